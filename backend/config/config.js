@@ -8,6 +8,13 @@ export const config = {
   database: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/Todo',
     collectionName: 'todos', // Collection name for todos
+    listCollectionName: 'lists', // Collection name for todo lists
+    historyCollectionName: 'todo_history', // Collection name for todo change history
+    commentCollectionName: 'comments', // Collection name for todo comments
+    timeEntryCollectionName: 'time_entries', // Collection name for tracked time entries
+    userCollectionName: 'users', // Collection name for user accounts
+    refreshTokenCollectionName: 'refresh_tokens', // Collection name for refresh tokens
+    apiTokenCollectionName: 'api_tokens', // Collection name for personal API tokens
     options: {
       useNewUrlParser: true,
       useUnifiedTopology: true,
@@ -35,11 +42,132 @@ export const config = {
     timeout: 10000
   },
 
+  // Authentication configuration
+  auth: {
+    // Secret for signing access tokens - the fallback is for local development only
+    jwtSecret: process.env.JWT_SECRET || 'dev-only-insecure-jwt-secret',
+    // Access tokens are short-lived; clients renew them with a refresh token
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+    refreshTokenDays: Number(process.env.REFRESH_TOKEN_DAYS ?? 30),
+    bcryptRounds: 12,
+    minPasswordLength: 8,
+    // bcrypt only uses the first 72 bytes of a password
+    maxPasswordBytes: 72,
+    maxNameLength: 100
+  },
+
+  // Personal API token configuration
+  apiTokens: {
+    // Marks a Bearer token as an API token rather than an access token
+    prefix: 'tdo_',
+    maxNameLength: 100,
+    maxPerUser: 50,
+    maxExpiryDays: 365,
+    // How often lastUsedAt is updated while a token is in use
+    lastUsedIntervalMs: 60 * 1000
+  },
+
+  // Trash configuration
+  trash: {
+    // Trashed todos older than this are deleted for good (0 disables auto-purge)
+    purgeAfterDays: Number(process.env.TRASH_PURGE_DAYS ?? 30),
+    // How often the auto-purge runs
+    purgeIntervalMinutes: 60
+  },
+
+  // Attachment configuration
+  attachments: {
+    // Local directory for uploaded files (relative paths resolve from the backend folder)
+    directory: process.env.ATTACHMENTS_DIR || 'uploads',
+    // Maximum size of a single file in bytes
+    maxFileSize: Number(process.env.ATTACHMENTS_MAX_FILE_SIZE ?? 10 * 1024 * 1024),
+    maxFilesPerRequest: 10,
+    maxFilesPerTodo: 20,
+    // Accepted MIME types (no SVG or HTML, which could run scripts when opened)
+    allowedMimeTypes: [
+      'image/png',
+      'image/jpeg',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'text/markdown',
+      'application/zip',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ]
+  },
+
+  // Comment configuration
+  comment: {
+    maxBodyLength: 2000,
+    maxAuthorLength: 100,
+    defaultLimit: 20,
+    maxLimit: 100
+  },
+
+  // Time tracking configuration
+  timeTracking: {
+    // Longest estimate accepted for a single todo (1000 hours)
+    maxEstimateMinutes: 60000,
+    maxNoteLength: 200,
+    // Longest single time entry (manual entries included)
+    maxEntryHours: 24,
+    // Widest date range accepted by the time report
+    maxReportDays: 366,
+    defaultReportDays: 7
+  },
+
+  // List configuration
+  list: {
+    maxNameLength: 100,
+    defaultColor: '#3b82f6',
+    defaultIcon: 'list',
+    maxCollaborators: 50, // Collaborators plus pending invites per list
+    inviteTtlDays: 14 // Pending invites expire after this many days
+  },
+
   // Todo configuration
   todo: {
     maxTextLength: 500,
+    // Long-form Markdown notes have their own, larger limit
+    maxNotesLength: Number(process.env.TODO_NOTES_MAX_LENGTH ?? 10000),
     defaultLimit: 50,
-    maxLimit: 100
+    maxLimit: 100,
+    // Priority levels from lowest to highest ('none' always sorts last)
+    priorities: ['none', 'low', 'medium', 'high', 'urgent'],
+    maxTags: 20,
+    maxTagLength: 50,
+    maxSubtasks: 100,
+    maxBlockers: 50
+  },
+
+  // Batch operations configuration
+  batch: {
+    maxOperations: 100
+  },
+
+  // Import/export configuration
+  importExport: {
+    // Most todos accepted in one import
+    maxRows: 1000
+  },
+
+  // iCalendar feed configuration
+  calendar: {
+    // Domain part of the UIDs of todos in the feed (<todo id>@<domain>)
+    uidDomain: process.env.CALENDAR_UID_DOMAIN || 'todo-app',
+    prodId: '-//Todo App//Todos//EN'
+  },
+
+  // Full-text search configuration
+  search: {
+    maxQueryLength: 200,
+    defaultLimit: 20,
+    maxLimit: 50
   }
 };
 
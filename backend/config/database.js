@@ -10,6 +10,13 @@ import { config } from './config.js';
 // Load environment variables
 dotenv.config();
 
+// Operations inside connection.transaction() join its session automatically,
+// so existing handlers can run in a transaction unchanged
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// Cached result of supportsTransactions()
+let transactionSupport = null;
+
 /**
  * Connect to MongoDB database
  * @returns {Promise<void>}
@@ -29,6 +36,44 @@ const connectDB = async () => {
   }
 };
 
+/**
+ * Check whether the server supports transactions (replica sets and sharded clusters do,
+ * a standalone server doesn't)
+ * @returns {Promise<boolean>} True if transactions can be used
+ */
+export const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionSupport;
+};
+
+/**
+ * Get the session of the transaction the current code runs in, if any
+ * Queries through models join it automatically; direct collection writes must pass it
+ * @returns {ClientSession|undefined} Session, or undefined outside a transaction
+ */
+export const getTransactionSession = () => mongoose.transactionAsyncLocalStorage?.getStore()?.session;
+
+/**
+ * Run a function in a transaction where the server supports them, so its writes succeed or
+ * fail together. Inside a transaction already (e.g. an atomic batch), it joins that one
+ * The function may run more than once, since transactions are retried on transient errors
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What the function returned
+ */
+export const withTransaction = async (fn) => {
+  if (getTransactionSession() || !(await supportsTransactions())) {
+    return fn();
+  }
+  let result;
+  await mongoose.connection.transaction(async () => {
+    result = await fn();
+  });
+  return result;
+};
+
 /**
  * Handle MongoDB connection events
  */
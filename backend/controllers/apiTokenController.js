@@ -0,0 +1,170 @@
+/**
+ * API Token Controller
+ * Handles creating, listing and revoking the signed-in user's personal API tokens
+ */
+
+import ApiToken, { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import { config } from '../config/config.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Validate the scopes from a request body
+ * @param {*} scopes - Requested scopes
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `Scopes must be a non-empty array of: ${API_TOKEN_SCOPES.join(', ')}`;
+  }
+  const unknown = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(', ')}. Use ${API_TOKEN_SCOPES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Validate the expiry from a request body
+ * @param {*} expiresInDays - Days until expiry, or null/undefined for a token that never expires
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateExpiry = (expiresInDays) => {
+  if (expiresInDays === undefined || expiresInDays === null) {
+    return null;
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > config.apiTokens.maxExpiryDays) {
+    return `expiresInDays must be a whole number from 1 to ${config.apiTokens.maxExpiryDays}, or null for no expiry`;
+  }
+  return null;
+};
+
+/**
+ * Get the signed-in user's API tokens (never the tokens themselves)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getApiTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'API tokens retrieved successfully',
+      data: tokens,
+      scopes: API_TOKEN_SCOPES
+    });
+
+  } catch (error) {
+    console.error('Error getting API tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving API tokens',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create an API token
+ * The raw token is in this response only; afterwards just its prefix is shown
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createApiToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token name is required'
+      });
+    }
+
+    const inputError = validateScopes(scopes) || validateExpiry(expiresInDays);
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        message: inputError
+      });
+    }
+
+    const count = await ApiToken.countDocuments({ userId: req.user.id });
+    if (count >= config.apiTokens.maxPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${config.apiTokens.maxPerUser} API tokens. Revoke one first`
+      });
+    }
+
+    const { apiToken, token } = await ApiToken.issue(req.user.id, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created successfully. Copy it now: it will not be shown again',
+      data: apiToken,
+      token
+    });
+
+  } catch (error) {
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Error creating API token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating API token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke (delete) an API token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeApiToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID_REGEX.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID format'
+      });
+    }
+
+    const apiToken = await ApiToken.findOneAndDelete({ _id: id, userId: req.user.id });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked successfully',
+      data: apiToken
+    });
+
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking API token',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,193 @@
+/**
+ * Attachment Controller
+ * Handles files attached to a todo, stored in the local attachment directory
+ */
+
+import Todo from '../models/Todo.js';
+import { config } from '../config/config.js';
+import { getAttachmentPath, removeAttachmentFiles } from '../utils/attachmentStorage.js';
+import { rejectIfReadOnly } from '../utils/access.js';
+import { recordHistory } from '../utils/history.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+// Types that browsers may display inline (thumbnails); everything else downloads
+const INLINE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Load the parent todo, sending a 400/404 response if it can't be used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Document|null>} Todo document, or null if a response was sent
+ */
+const findParentTodo = async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!OBJECT_ID_REGEX.test(id) || (attachmentId !== undefined && !OBJECT_ID_REGEX.test(attachmentId))) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid todo or attachment ID format'
+    });
+    return null;
+  }
+
+  const todo = await Todo.findById(id);
+  if (!todo) {
+    res.status(404).json({
+      success: false,
+      message: 'Todo not found'
+    });
+    return null;
+  }
+
+  return todo;
+};
+
+/**
+ * Build a Content-Disposition header that keeps non-ASCII file names intact
+ * @param {string} type - 'inline' or 'attachment'
+ * @param {string} fileName - Original file name
+ * @returns {string} Header value
+ */
+const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+/**
+ * Upload files to a todo (multipart field "files")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const uploadAttachments = async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded. Send them as multipart form data in the "files" field'
+      });
+    }
+
+    // Viewers of a shared list can't add files to its todos
+    const todo = await findParentTodo(req, res);
+    if (!todo || rejectIfReadOnly(res, todo)) {
+      await removeAttachmentFiles(files.map(file => file.filename));
+      return;
+    }
+
+    const { maxFilesPerTodo } = config.attachments;
+    if (todo.attachments.length + files.length > maxFilesPerTodo) {
+      await removeAttachmentFiles(files.map(file => file.filename));
+      return res.status(400).json({
+        success: false,
+        message: `A todo cannot have more than ${maxFilesPerTodo} attachments`
+      });
+    }
+
+    const previousTodo = todo.toObject();
+    const updatedTodo = await todo.addAttachments(files);
+    await recordHistory(req, 'update', [{ before: previousTodo, after: updatedTodo }]);
+
+    res.status(201).json({
+      success: true,
+      message: `${files.length} file(s) attached`,
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    await removeAttachmentFiles(files.map(file => file.filename));
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while uploading attachments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download an attachment (images can be shown inline with ?inline=true)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadAttachment = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+
+    const attachment = todo.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const inline = req.query.inline === 'true' && INLINE_MIME_TYPES.includes(attachment.mimeType);
+
+    res.sendFile(getAttachmentPath(attachment.storedName), {
+      headers: {
+        'Content-Type': attachment.mimeType,
+        'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', attachment.originalName),
+        'X-Content-Type-Options': 'nosniff'
+      }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({
+          success: false,
+          message: error.code === 'ENOENT' ? 'Attachment file is missing' : 'Error sending attachment'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while downloading attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an attachment and its file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteAttachment = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const previousTodo = todo.toObject();
+    const attachment = await todo.removeAttachment(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+    await removeAttachmentFiles([attachment.storedName]);
+    await recordHistory(req, 'update', [{ before: previousTodo, after: todo }]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: todo
+    });
+
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting attachment',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,253 @@
+/**
+ * Auth Controller
+ * Handles registration, login and the access/refresh token lifecycle
+ */
+
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { config } from '../config/config.js';
+import { signAccessToken, getExpiresIn } from '../utils/tokens.js';
+
+/**
+ * Validate a password from a request body
+ * @param {string} password - Plain-text password
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < config.auth.minPasswordLength) {
+    return `Password must be at least ${config.auth.minPasswordLength} characters long`;
+  }
+  if (Buffer.byteLength(password) > config.auth.maxPasswordBytes) {
+    return `Password cannot exceed ${config.auth.maxPasswordBytes} bytes`;
+  }
+  return null;
+};
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Document} user - User document
+ * @returns {Promise<Object>} Session payload for the response
+ */
+const createSession = async (user) => {
+  const accessToken = signAccessToken(user);
+  return {
+    user,
+    accessToken,
+    expiresIn: getExpiresIn(accessToken),
+    refreshToken: await RefreshToken.issue(user._id)
+  };
+};
+
+/**
+ * Register a new account and sign it in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const register = async (req, res) => {
+  try {
+    const { email, password, name = '' } = req.body;
+
+    if (typeof email !== 'string' || email.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const user = await User.create({
+      email,
+      name: typeof name === 'string' ? name : '',
+      passwordHash: await User.hashPassword(password)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: await createSession(user)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while registering',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sign in with email and password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findByCredentials(email, password);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed in successfully',
+      data: await createSession(user)
+    });
+
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while signing in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const rotated = await RefreshToken.rotate(refreshToken);
+    const user = rotated && await User.findById(rotated.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or expired. Please sign in again',
+        code: 'REFRESH_INVALID'
+      });
+    }
+
+    const accessToken = signAccessToken(user);
+    res.status(200).json({
+      success: true,
+      message: 'Session refreshed successfully',
+      data: {
+        user,
+        accessToken,
+        expiresIn: getExpiresIn(accessToken),
+        refreshToken: rotated.token
+      }
+    });
+
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while refreshing session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sign out by revoking a refresh token
+ * The access token stays valid until it expires, so clients discard it too
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken === 'string' && refreshToken.length > 0) {
+      await RefreshToken.revoke(refreshToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while signing out',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the signed-in user's account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User retrieved successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Error getting user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving user',
+      error: error.message
+    });
+  }
+};
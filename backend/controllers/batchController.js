@@ -0,0 +1,227 @@
+/**
+ * Batch Controller
+ * Runs several todo operations in one request
+ * Each operation goes through the handler of its single-todo endpoint, so
+ * validation, list roles, history and recurrence work exactly the same
+ */
+
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import { supportsTransactions } from '../config/database.js';
+import { getRequiredScope } from '../models/ApiToken.js';
+import { createTodo, updateTodo, toggleTodoComplete, deleteTodo } from './todoController.js';
+
+// Handler of each operation, and the HTTP method it stands for (for API token scopes)
+const OPERATIONS = {
+  create: { handler: createTodo, method: 'POST' },
+  update: { handler: updateTodo, method: 'PUT' },
+  toggle: { handler: toggleTodoComplete, method: 'PATCH' },
+  delete: { handler: deleteTodo, method: 'DELETE' }
+};
+
+/**
+ * Check the shape of an operation (its fields are validated by its handler)
+ * @param {*} operation - Operation from the request body
+ * @returns {string|null} Error message, or null if the operation is well-formed
+ */
+const validateOperation = (operation) => {
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    return 'Each operation must be an object';
+  }
+  if (!Object.hasOwn(OPERATIONS, operation.op)) {
+    return `op must be one of: ${Object.keys(OPERATIONS).join(', ')}`;
+  }
+  if (operation.op !== 'create' && typeof operation.id !== 'string') {
+    return `${operation.op} operations need the todo id`;
+  }
+  if (operation.ifMatch !== undefined && (operation.op === 'create' || typeof operation.ifMatch !== 'string')) {
+    return 'ifMatch must be the ETag of the todo, and only applies to existing todos';
+  }
+  const needsData = operation.op === 'create' || operation.op === 'update';
+  if (needsData || operation.data !== undefined) {
+    if (!operation.data || typeof operation.data !== 'object' || Array.isArray(operation.data)) {
+      return `${operation.op} operations need a data object`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Run one operation through its endpoint handler
+ * @param {Object} req - Express request object of the batch
+ * @param {Object} operation - { op, id, data, force, ifMatch }
+ * @returns {Promise<Object>} { status, body } the endpoint would have responded with
+ */
+const runOperation = async (req, operation) => {
+  const { handler, method } = OPERATIONS[operation.op];
+
+  // An API token needs the scope of each operation, as for the single endpoints
+  if (req.apiToken && !req.apiToken.allows(method)) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: `This API token needs the "${getRequiredScope(method)}" scope for ${operation.op} operations`
+      }
+    };
+  }
+
+  // Conditional headers of the batch request are about the batch, not this operation's todo
+  const headers = { ...req.headers };
+  delete headers['if-match'];
+  delete headers['if-none-match'];
+  if (operation.ifMatch !== undefined) {
+    headers['if-match'] = operation.ifMatch;
+  }
+
+  // The batch request with this operation's parameters (inheriting user, IP and other headers)
+  const operationReq = Object.create(req, {
+    params: { value: operation.op === 'create' ? {} : { id: operation.id } },
+    body: { value: operation.data ?? {} },
+    query: { value: operation.force === true ? { force: 'true' } : {} },
+    headers: { value: headers }
+  });
+
+  const captured = { status: 200, body: null };
+  const operationRes = {
+    status(code) {
+      captured.status = code;
+      return this;
+    },
+    json(body) {
+      captured.body = body;
+      return this;
+    },
+    // Headers such as ETag have no place in a batch result
+    set() {
+      return this;
+    }
+  };
+
+  await handler(operationReq, operationRes);
+  return captured;
+};
+
+/**
+ * Build the result entry of an operation
+ * @param {number} index - Position of the operation in the batch
+ * @param {Object} operation - Operation
+ * @param {Object} outcome - Result of runOperation
+ * @returns {Object} { index, op, id, status, success, message, data, ... }
+ */
+const toResult = (index, operation, { status, body }) => ({
+  index,
+  op: operation.op,
+  id: operation.id ?? body?.data?._id ?? null,
+  status,
+  ...body
+});
+
+/**
+ * Run a batch of create, update, toggle and delete operations in order
+ * By default each operation succeeds or fails on its own; with atomic=true
+ * they run in a transaction and the first failure rolls back all of them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const batchTodos = async (req, res) => {
+  try {
+    const { operations, atomic = false } = req.body;
+
+    // Validate the batch
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'operations must be a non-empty array'
+      });
+    }
+    if (operations.length > config.batch.maxOperations) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch cannot have more than ${config.batch.maxOperations} operations`
+      });
+    }
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'atomic must be true or false'
+      });
+    }
+    for (const [index, operation] of operations.entries()) {
+      const error = validateOperation(operation);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid operation at index ${index}: ${error}`
+        });
+      }
+    }
+
+    if (!atomic) {
+      const results = [];
+      for (const [index, operation] of operations.entries()) {
+        results.push(toResult(index, operation, await runOperation(req, operation)));
+      }
+
+      const failed = results.filter(result => !result.success).length;
+      return res.status(failed > 0 ? 207 : 200).json({
+        success: failed === 0,
+        message: failed > 0
+          ? `${failed} of ${results.length} operation(s) failed`
+          : `${results.length} operation(s) completed`,
+        results,
+        summary: { total: results.length, succeeded: results.length - failed, failed }
+      });
+    }
+
+    // All-or-nothing needs a replica set (or sharded cluster)
+    if (!(await supportsTransactions())) {
+      return res.status(400).json({
+        success: false,
+        message: 'atomic batches need MongoDB running as a replica set. Send the batch without atomic instead'
+      });
+    }
+
+    let results = [];
+    try {
+      await mongoose.connection.transaction(async () => {
+        // The callback is retried on transient errors, so start over each time
+        results = [];
+        for (const [index, operation] of operations.entries()) {
+          const result = toResult(index, operation, await runOperation(req, operation));
+          results.push(result);
+          if (!result.success) {
+            throw Object.assign(new Error(result.message), { code: 'BATCH_ABORTED' });
+          }
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'BATCH_ABORTED') throw error;
+
+      const failure = results[results.length - 1];
+      return res.status(failure.status).json({
+        success: false,
+        message: `Operation ${failure.index} failed, so no changes were made: ${failure.message}`,
+        results: results.map(result => result === failure
+          ? result
+          : { index: result.index, op: result.op, id: result.id, status: result.status, success: false, rolledBack: true }),
+        summary: { total: operations.length, succeeded: 0, failed: operations.length }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${results.length} operation(s) completed`,
+      results,
+      summary: { total: results.length, succeeded: results.length, failed: 0 }
+    });
+
+  } catch (error) {
+    console.error('Error running batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while running batch',
+      error: error.message
+    });
+  }
+};
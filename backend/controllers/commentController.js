@@ -0,0 +1,259 @@
+/**
+ * Comment Controller
+ * Handles the discussion thread of a todo
+ * The todo's commentCount is kept in sync so todo listings need no extra queries
+ */
+
+import Todo from '../models/Todo.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import { config } from '../config/config.js';
+import { rejectIfReadOnly, getTodoRole } from '../utils/access.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Validate a comment body from a request
+ * @param {string} body - Comment body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateBody = (body) => {
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    return 'Comment body is required and cannot be empty';
+  }
+  if (body.length > config.comment.maxBodyLength) {
+    return `Comment body cannot exceed ${config.comment.maxBodyLength} characters`;
+  }
+  return null;
+};
+
+/**
+ * Validate the route IDs and load the parent todo, sending a 400/404 response if it can't be used
+ * Comments of trashed todos are hidden along with the todo
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Document|null>} Todo document, or null if a response was sent
+ */
+const findParentTodo = async (req, res) => {
+  const { id, commentId } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!OBJECT_ID_REGEX.test(id) || (commentId !== undefined && !OBJECT_ID_REGEX.test(commentId))) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid todo or comment ID format'
+    });
+    return null;
+  }
+
+  const todo = await Todo.findById(id);
+  if (!todo) {
+    res.status(404).json({
+      success: false,
+      message: 'Todo not found'
+    });
+    return null;
+  }
+
+  return todo;
+};
+
+/**
+ * Load the comment for the :commentId route param, sending a 403/404 response unless
+ * the current user wrote it or owns the todo's list (or the todo, in the inbox)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Document} todo - Parent todo
+ * @param {string} action - What the user is doing, for the error message
+ * @returns {Promise<Document|null>} Comment document, or null if a response was sent
+ */
+const findOwnComment = async (req, res, todo, action) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, todoId: todo._id });
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  const isAuthor = comment.authorId !== null && comment.authorId.equals(req.user.id);
+  if (!isAuthor && getTodoRole(todo) !== 'owner') {
+    res.status(403).json({
+      success: false,
+      message: `Only the comment's author or the list owner can ${action} it`
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * Get a todo's comments, oldest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getComments = async (req, res) => {
+  try {
+    const { page = 1, limit = config.comment.defaultLimit } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    // Validate pagination parameters
+    if (!(pageNum >= 1) || !(limitNum >= 1) || limitNum > config.comment.maxLimit) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid pagination parameters. Page must be >= 1, limit must be between 1-${config.comment.maxLimit}`
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+
+    const result = await Comment.getPaginated(todo._id, { page: pageNum, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comments retrieved successfully',
+      data: result.comments,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Error getting comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving comments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a comment to a todo, signed by the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        message: bodyError
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    // Accounts without a display name sign with their email
+    const author = await User.findById(req.user.id).select('name email');
+    const comment = await Comment.create({
+      todoId: todo._id,
+      authorId: req.user.id,
+      authorName: (author?.name || author?.email || 'Unknown').slice(0, config.comment.maxAuthorLength),
+      body: body.trim()
+    });
+    await Todo.adjustCommentCount(todo._id, 1);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment,
+      commentCount: todo.commentCount + 1
+    });
+
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while adding comment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Edit a comment's body (its author or the list owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({
+        success: false,
+        message: bodyError
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const comment = await findOwnComment(req, res, todo, 'edit');
+    if (!comment) return;
+
+    comment.body = body.trim();
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating comment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a comment (its author or the list owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteComment = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const comment = await findOwnComment(req, res, todo, 'delete');
+    if (!comment) return;
+
+    await comment.deleteOne();
+    await Todo.adjustCommentCount(todo._id, -1);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: comment,
+      commentCount: Math.max(0, todo.commentCount - 1)
+    });
+
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting comment',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,149 @@
+/**
+ * History Controller
+ * Handles per-todo change history and the global activity feed
+ */
+
+import Todo from '../models/Todo.js';
+import TodoHistory, { HISTORY_ACTIONS } from '../models/TodoHistory.js';
+import { getCurrentUserId } from '../utils/requestContext.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Parse pagination parameters, sending a 400 response if they are invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { page, limit }, or null if a response was sent
+ */
+const parsePagination = (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  // Validate pagination parameters
+  if (!(pageNum >= 1) || !(limitNum >= 1) || limitNum > 100) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid pagination parameters. Page must be >= 1, limit must be between 1-100'
+    });
+    return null;
+  }
+
+  return { page: pageNum, limit: limitNum };
+};
+
+/**
+ * Shape history entries for a response: the origin (IP address, user agent) of a change
+ * is only shown to the user who made it. Older entries without an actor show it to the
+ * owner of an inbox todo, the only one who could have changed it
+ * @param {Array<Document>} entries - History entries
+ * @returns {Array<Object>} Entries JSON
+ */
+const serializeEntries = (entries) => {
+  const userId = getCurrentUserId();
+  return entries.map(entry => {
+    const { origin, ...json } = entry.toJSON();
+    const isOwnChange = entry.actorId
+      ? String(entry.actorId) === userId
+      : !entry.listId && String(entry.ownerId) === userId;
+    return isOwnChange ? { ...json, origin } : json;
+  });
+};
+
+/**
+ * Get the change history of a todo, newest first
+ * History is kept after the todo is deleted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTodoHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!OBJECT_ID_REGEX.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid todo ID format'
+      });
+    }
+
+    const pagination = parsePagination(req, res);
+    if (!pagination) return;
+
+    // Everyone with access to a shared todo sees all of its changes; once a todo
+    // is purged from the trash, users still see the changes they made themselves
+    const isAccessible = await Todo.exists({ _id: id }).setOptions({ withDeleted: true });
+    const result = await TodoHistory.getPaginated({
+      filter: { todoId: id },
+      ...pagination,
+      allOwners: Boolean(isAccessible)
+    });
+
+    if (result.pagination.totalItems === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No history found for this todo'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Todo history retrieved successfully',
+      data: serializeEntries(result.entries),
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Error getting todo history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving todo history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the activity feed across all todos, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getActivity = async (req, res) => {
+  try {
+    const { action } = req.query;
+
+    const pagination = parsePagination(req, res);
+    if (!pagination) return;
+
+    const filter = {};
+    if (action !== undefined) {
+      if (!HISTORY_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid action parameter. Must be one of: ${HISTORY_ACTIONS.join(', ')}`
+        });
+      }
+      filter.action = action;
+    }
+
+    const result = await TodoHistory.getPaginated({ filter, ...pagination });
+
+    res.status(200).json({
+      success: true,
+      message: 'Activity retrieved successfully',
+      data: serializeEntries(result.entries),
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Error getting activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving activity',
+      error: error.message
+    });
+  }
+};
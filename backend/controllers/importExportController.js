@@ -0,0 +1,423 @@
+/**
+ * Import/Export Controller
+ * Streams todos out as JSON, CSV or Markdown (or as an iCalendar feed) and imports
+ * them back, with a dry-run preview and a choice of what to do with duplicates
+ */
+
+import Todo from '../models/Todo.js';
+import List from '../models/List.js';
+import { config } from '../config/config.js';
+import { recordHistory } from '../utils/history.js';
+import { getListRole, getTodoRole, hasRole } from '../utils/access.js';
+import { keyBetween } from '../utils/position.js';
+import { EXPORT_FORMATS, IMPORT_FORMATS, toExportRecord, parseImportContent, parseImportRow } from '../utils/todoFormats.js';
+import { beginCalendar, formatVTodo, endCalendar, getTodoUid } from '../utils/icalendar.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+// What to do with an imported todo that already exists (same ID, or same text in the target list)
+const DUPLICATE_POLICIES = ['skip', 'overwrite', 'keep'];
+
+/**
+ * Write a chunk to a response, waiting while the client catches up
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>} Resolves when more can be written (or the client is gone)
+ */
+const writeChunk = async (res, chunk) => {
+  if (!chunk || res.destroyed || res.write(chunk)) {
+    return;
+  }
+  // Only one of the two events fires, so remove both listeners once it does
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+/**
+ * Build the filter of an export from its listId parameter ('none' selects the inbox)
+ * Archived and trashed todos are left out
+ * @param {*} listId - listId query parameter
+ * @returns {Object} { filter } or { error }
+ */
+const buildExportFilter = (listId) => {
+  const filter = { archivedAt: null };
+  if (listId === undefined) {
+    return { filter };
+  }
+  if (listId === 'none') {
+    filter.listId = null;
+  } else if (typeof listId === 'string' && OBJECT_ID_REGEX.test(listId)) {
+    filter.listId = listId;
+  } else {
+    return { error: 'Invalid listId parameter. Use a list ID or "none"' };
+  }
+  return { filter };
+};
+
+/**
+ * Stream the todos matching a filter, oldest first, one at a time
+ * The response headers must already be set
+ * @param {Object} res - Express response object
+ * @param {Object} filter - Todo filter
+ * @param {Object} output - { begin(), formatTodo(todo, index), end() } producing the text
+ */
+const streamTodos = async (res, filter, { begin, formatTodo, end }) => {
+  // Stop reading from the database if the client goes away
+  let isClosed = false;
+  res.on('close', () => {
+    isClosed = true;
+  });
+
+  await writeChunk(res, begin());
+  if (isClosed) return;
+
+  const cursor = Todo.find(filter).sort({ createdAt: 1, _id: 1 }).cursor();
+  let index = 0;
+  try {
+    for await (const todo of cursor) {
+      await writeChunk(res, formatTodo(todo, index));
+      index++;
+      // Checked before the cursor fetches the next todo
+      if (isClosed) break;
+    }
+  } finally {
+    await cursor.close();
+  }
+  if (!isClosed) {
+    res.end(end());
+  }
+};
+
+/**
+ * Export todos as a file download, streamed one todo at a time
+ * Archived and trashed todos are left out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportTodos = async (req, res) => {
+  try {
+    const { format = 'json', listId } = req.query;
+
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format parameter. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    const exportFormat = EXPORT_FORMATS[format];
+
+    const { filter, error } = buildExportFilter(listId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `attachment; filename="todos-${date}.${exportFormat.extension}"`
+    });
+    await streamTodos(res, filter, {
+      begin: exportFormat.begin,
+      formatTodo: (todo, index) => exportFormat.formatRecord(toExportRecord(todo), index),
+      end: exportFormat.end
+    });
+
+  } catch (error) {
+    console.error('Error exporting todos:', error);
+    // Once the file has started, the only way to signal the error is to cut it off
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while exporting todos',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Serve todos as an iCalendar feed of VTODO components, for calendar apps to subscribe to
+ * Calendar apps can't send headers, so the feed is usually fetched with an API token in ?access_token=
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const { filter, error } = buildExportFilter(req.query.listId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="todos.ics"',
+      // The feed URL carries a token, so shared caches must not keep it
+      'Cache-Control': 'private, no-cache'
+    });
+    await streamTodos(res, filter, {
+      begin: beginCalendar,
+      formatTodo: formatVTodo,
+      end: endCalendar
+    });
+
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while serving calendar feed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Import todos from JSON, CSV, Markdown or iCalendar file content
+ * Every row is validated like a new todo; invalid rows are reported and left out
+ * Calendar entries keep their UID, so importing them again finds the same todos
+ * With dryRun=true nothing is saved and the response previews what would happen
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const importTodos = async (req, res) => {
+  try {
+    const { format, content, duplicates = 'skip', dryRun = false, listId = null } = req.body;
+
+    // Validate the request
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'content must be the non-empty text of the file to import'
+      });
+    }
+    if (!DUPLICATE_POLICIES.includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        message: `duplicates must be one of: ${DUPLICATE_POLICIES.join(', ')}`
+      });
+    }
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'dryRun must be true or false'
+      });
+    }
+
+    // Imported todos go into one list (or the inbox), which the user must be able to edit
+    const targetListId = listId === '' ? null : listId;
+    if (targetListId !== null) {
+      if (typeof targetListId !== 'string' || !OBJECT_ID_REGEX.test(targetListId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid list ID format'
+        });
+      }
+      if (!(await List.exists({ _id: targetListId }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'List not found'
+        });
+      }
+      if (!hasRole(getListRole(targetListId), 'editor')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You have view-only access to this list'
+        });
+      }
+    }
+
+    const parsed = parseImportContent(format, content);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No todos found in the file'
+      });
+    }
+    if (parsed.rows.length > config.importExport.maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `An import cannot have more than ${config.importExport.maxRows} todos`
+      });
+    }
+
+    // Validate every row with the same rules as the model
+    const seenUids = new Set();
+    const rows = parsed.rows.map(({ row, values }) => {
+      const { id, uid, fields, errors } = parseImportRow(values);
+      if (errors.length === 0) {
+        const validationError = new Todo({ ...fields, icalUid: uid, listId: targetListId }).validateSync();
+        if (validationError) {
+          errors.push(...Object.values(validationError.errors).map(err => err.message));
+        }
+      }
+      if (uid !== null) {
+        if (seenUids.has(uid)) errors.push('Another entry in the file has the same UID');
+        seenUids.add(uid);
+      }
+      return { row, id, uid, fields, errors };
+    });
+    const validRows = rows.filter(row => row.errors.length === 0);
+
+    // Find existing todos the rows duplicate: same ID or calendar UID, or same text (ignoring case) in the target list.
+    // IDs and UIDs name one todo, so they also match archived and trashed todos
+    const ids = validRows.map(row => row.id).filter(Boolean);
+    const uids = validRows.map(row => row.uid).filter(Boolean);
+    const texts = validRows.map(row => row.fields.text);
+    const [todosById, todosByUid, todosByText] = await Promise.all([
+      ids.length > 0 ? Todo.find({ _id: { $in: ids } }).setOptions({ withDeleted: true }) : [],
+      uids.length > 0 ? Todo.find({ icalUid: { $in: uids } }).setOptions({ withDeleted: true }) : [],
+      Todo.find({ listId: targetListId, archivedAt: null, text: { $in: texts } })
+        .collation({ locale: 'en', strength: 2 })
+    ]);
+    const existingById = new Map(todosById.map(todo => [String(todo._id), todo]));
+    const existingByUid = new Map(todosByUid.map(todo => [todo.icalUid, todo]));
+    const existingByText = new Map();
+    todosByText.forEach(todo => {
+      const key = todo.text.toLowerCase();
+      if (!existingByText.has(key)) existingByText.set(key, todo);
+    });
+
+    // Decide what happens to each row
+    for (const row of rows) {
+      if (row.errors.length > 0) {
+        row.action = 'invalid';
+        continue;
+      }
+      const sameEntry = existingById.get(row.id) ?? existingByUid.get(row.uid);
+      const existing = sameEntry ?? existingByText.get(row.fields.text.toLowerCase());
+      // A calendar entry is one todo, so importing it again never makes a copy
+      const keepBoth = duplicates === 'keep' && !(row.uid && sameEntry);
+      if (!existing || keepBoth) {
+        row.action = 'create';
+      } else if (duplicates !== 'overwrite') {
+        row.action = 'skip';
+        row.existing = existing;
+      } else if (!hasRole(getTodoRole(existing), 'editor')) {
+        row.action = 'invalid';
+        row.errors.push('Duplicate of a todo you have view-only access to');
+      } else {
+        row.action = 'overwrite';
+        row.existing = existing;
+      }
+    }
+
+    if (!dryRun) {
+      // New todos go to the top of the manual order, keeping their order from the file
+      const creates = rows.filter(row => row.action === 'create');
+      let position = creates.length > 0 ? await Todo.getTopPosition() : null;
+      for (const row of [...creates].reverse()) {
+        row.position = position;
+        position = keyBetween(null, position);
+      }
+
+      const created = [];
+      const overwritten = [];
+      for (const row of rows) {
+        if (row.action !== 'create' && row.action !== 'overwrite') continue;
+        try {
+          if (row.action === 'create') {
+            const todo = await new Todo({
+              ...row.fields,
+              // UIDs derived from a todo ID only match in the account they came from
+              icalUid: row.uid,
+              listId: targetListId,
+              position: row.position
+            }).save();
+            created.push({ before: null, after: todo });
+            row.todoId = todo._id;
+          } else {
+            const before = row.existing.toObject();
+            const updates = { ...row.fields };
+            // Take on the entry's UID, so importing it again matches by UID rather than text
+            if (row.uid && getTodoUid(row.existing) !== row.uid) {
+              updates.icalUid = row.uid;
+            }
+            // Overwriting brings a trashed todo back, and an archived one when it is no longer completed
+            if (row.existing.deletedAt) {
+              updates.deletedAt = null;
+            }
+            if (row.existing.archivedAt && !(updates.completed ?? row.existing.completed)) {
+              updates.archivedAt = null;
+            }
+            const todo = await row.existing.set(updates).save();
+            overwritten.push({ before, after: todo });
+            row.todoId = todo._id;
+          }
+        } catch (error) {
+          console.error(`Error importing row ${row.row}:`, error);
+          row.action = 'invalid';
+          row.errors.push(error.name === 'ValidationError'
+            ? Object.values(error.errors).map(err => err.message).join('; ')
+            : 'Could not save this todo');
+        }
+      }
+      await recordHistory(req, 'create', created);
+      await recordHistory(req, 'update', overwritten);
+    }
+
+    const count = (action) => rows.filter(row => row.action === action).length;
+    const summary = {
+      total: rows.length,
+      create: count('create'),
+      overwrite: count('overwrite'),
+      skip: count('skip'),
+      invalid: count('invalid')
+    };
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `Preview: ${summary.create} to create, ${summary.overwrite} to overwrite, ${summary.skip} to skip, ${summary.invalid} invalid`
+        : `Imported ${summary.create + summary.overwrite} todo(s): ${summary.create} created, ${summary.overwrite} overwritten, ${summary.skip} skipped, ${summary.invalid} invalid`,
+      dryRun,
+      summary,
+      rows: rows.map(row => ({
+        row: row.row,
+        action: row.action,
+        text: row.fields.text ?? null,
+        ...(row.existing && { existingId: row.existing._id }),
+        ...(row.todoId && { todoId: row.todoId }),
+        ...(row.errors.length > 0 && { errors: row.errors })
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error importing todos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while importing todos',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,723 @@
+/**
+ * List Controller
+ * Handles CRUD operations for todo lists (projects), per-list queries and sharing
+ */
+
+import List from '../models/List.js';
+import Todo from '../models/Todo.js';
+import User, { EMAIL_REGEX } from '../models/User.js';
+import { config } from '../config/config.js';
+import { COLLABORATOR_ROLES } from '../utils/access.js';
+import { getCurrentUserId } from '../utils/requestContext.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+// Owner and collaborator fields included in responses (for names and avatars)
+// Works with both query.populate() and document.populate()
+const MEMBER_POPULATE = [
+  { path: 'ownerId', select: 'name email' },
+  { path: 'collaborators.userId', select: 'name email' }
+];
+
+/**
+ * Get the current user's role on a list from the list itself
+ * (the request's role map doesn't know about lists created during the request)
+ * @param {Document} list - List document, members populated or not
+ * @returns {string|null} 'owner', 'editor', 'viewer', or null
+ */
+const getMemberRole = (list) => {
+  const userId = getCurrentUserId();
+  const idOf = (ref) => String(ref?._id ?? ref);
+  if (idOf(list.ownerId) === userId) {
+    return 'owner';
+  }
+  return list.collaborators.find(collaborator => idOf(collaborator.userId) === userId)?.role ?? null;
+};
+
+/**
+ * Shape a list for a response: adds the user's role; pending invites are shown to the owner only
+ * @param {Document} list - List document
+ * @returns {Object} List JSON
+ */
+const serializeList = (list) => {
+  const role = getMemberRole(list);
+  const { invites, ...json } = list.toJSON();
+  return { ...json, role, ...(role === 'owner' && { invites }) };
+};
+
+/**
+ * Send a 403 response unless the current user owns the list
+ * @param {Object} res - Express response object
+ * @param {Document} list - List document
+ * @param {string} action - What was attempted, for the message (e.g. 'rename this list')
+ * @returns {boolean} True if a response was sent
+ */
+const rejectUnlessOwner = (res, list, action) => {
+  if (getMemberRole(list) === 'owner') {
+    return false;
+  }
+  res.status(403).json({
+    success: false,
+    message: `Only the list's owner can ${action}`
+  });
+  return true;
+};
+
+/**
+ * Pick the editable list fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to set
+ */
+const pickListFields = ({ name, color, icon, archived }) => {
+  const fields = {};
+  if (name !== undefined) fields.name = typeof name === 'string' ? name.trim() : name;
+  if (color !== undefined) fields.color = color;
+  if (icon !== undefined) fields.icon = icon;
+  if (archived !== undefined) fields.archived = Boolean(archived);
+  return fields;
+};
+
+/**
+ * Send a 400 response for mongoose validation errors
+ * @param {Error} error - Caught error
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if a response was sent
+ */
+const handleValidationError = (error, res) => {
+  if (error.name !== 'ValidationError') {
+    return false;
+  }
+  const errors = Object.values(error.errors).map(err => err.message);
+  res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors
+  });
+  return true;
+};
+
+/**
+ * Load a list by the :id route param, sending a 400/404 response if it can't be used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Document|null>} List document, or null if a response was sent
+ */
+const findList = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!OBJECT_ID_REGEX.test(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid list ID format'
+    });
+    return null;
+  }
+
+  const list = await List.findById(id).populate(MEMBER_POPULATE);
+  if (!list) {
+    res.status(404).json({
+      success: false,
+      message: 'List not found'
+    });
+    return null;
+  }
+
+  return list;
+};
+
+/**
+ * Get all lists (archived lists only when requested)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAllLists = async (req, res) => {
+  try {
+    const { includeArchived } = req.query;
+    const filter = includeArchived === 'true' ? {} : { archived: false };
+
+    const lists = await List.find(filter).sort({ createdAt: 1 }).populate(MEMBER_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lists retrieved successfully',
+      data: lists.map(serializeList)
+    });
+
+  } catch (error) {
+    console.error('Error getting lists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving lists',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single list by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getListById = async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+
+    res.status(200).json({
+      success: true,
+      message: 'List retrieved successfully',
+      data: serializeList(list)
+    });
+
+  } catch (error) {
+    console.error('Error getting list by ID:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a new list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createList = async (req, res) => {
+  try {
+    const fields = pickListFields(req.body);
+
+    // Validate required fields
+    if (!fields.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'List name is required and cannot be empty'
+      });
+    }
+
+    const savedList = await new List(fields).save();
+    await savedList.populate(MEMBER_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'List created successfully',
+      data: serializeList(savedList)
+    });
+
+  } catch (error) {
+    console.error('Error creating list:', error);
+    if (handleValidationError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a list (name, color, icon, archived)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateList = async (req, res) => {
+  try {
+    const fields = pickListFields(req.body);
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields provided for update'
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+    if (rejectUnlessOwner(res, list, 'change its settings')) return;
+
+    list.set(fields);
+    const updatedList = await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'List updated successfully',
+      data: serializeList(updatedList)
+    });
+
+  } catch (error) {
+    console.error('Error updating list:', error);
+    if (handleValidationError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a list; its todos are moved back to the inbox of whoever created them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteList = async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+    if (rejectUnlessOwner(res, list, 'delete it')) return;
+
+    const result = await Todo.updateMany({ listId: list._id }, { listId: null })
+      .setOptions({ withDeleted: true });
+    await list.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: `List deleted successfully. ${result.modifiedCount} todo(s) moved to the inbox`,
+      data: serializeList(list)
+    });
+
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the todos of a list with pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getListTodos = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    // Validate pagination parameters
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pagination parameters. Page must be >= 1, limit must be between 1-100'
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const result = await Todo.getPaginatedTodos({
+      filter: { listId: list._id, archivedAt: null },
+      page: pageNum,
+      limit: limitNum,
+      sortBy,
+      sortOrder
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'List todos retrieved successfully',
+      data: result.todos,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Error getting list todos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving list todos',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get statistics for a list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getListStats = async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const stats = await Todo.getStats({ listId: list._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'List statistics retrieved successfully',
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Error getting list statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving list statistics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Validate a collaborator role from a request body
+ * @param {string} role - Role
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRole = (role) => {
+  return COLLABORATOR_ROLES.includes(role)
+    ? null
+    : `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`;
+};
+
+/**
+ * Invite an existing account to a list by its email (owner only)
+ * The invite is bound to that account, so registering the email later can't claim it.
+ * Inviting an account again replaces its pending invite
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const inviteCollaborator = async (req, res) => {
+  try {
+    const { role = 'viewer' } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required'
+      });
+    }
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        message: roleError
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+    if (rejectUnlessOwner(res, list, 'invite collaborators')) return;
+
+    const invitee = await User.findOne({ email }).select('_id');
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account uses this email. Ask them to sign up, then invite them'
+      });
+    }
+
+    if (String(list.ownerId._id) === String(invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this list'
+      });
+    }
+
+    if (list.collaborators.some(collaborator => String(collaborator.userId?._id) === String(invitee._id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This person already collaborates on the list. Change their role instead'
+      });
+    }
+
+    const otherInvites = list.invites.filter(invite => String(invite.userId) !== String(invitee._id));
+    if (list.collaborators.length + otherInvites.length >= config.list.maxCollaborators) {
+      return res.status(400).json({
+        success: false,
+        message: `A list can be shared with up to ${config.list.maxCollaborators} people`
+      });
+    }
+
+    list.invites = [
+      ...otherInvites,
+      { userId: invitee._id, email, role, expiresAt: new Date(Date.now() + config.list.inviteTtlDays * 24 * 60 * 60 * 1000) }
+    ];
+    await list.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Invite sent to ${email}`,
+      data: serializeList(list)
+    });
+
+  } catch (error) {
+    console.error('Error inviting collaborator:', error);
+    if (handleValidationError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while inviting collaborator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Withdraw a pending invite (owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeInvite = async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+    if (rejectUnlessOwner(res, list, 'withdraw invites')) return;
+
+    const invite = list.invites.id(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    invite.deleteOne();
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite withdrawn successfully',
+      data: serializeList(list)
+    });
+
+  } catch (error) {
+    console.error('Error withdrawing invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while withdrawing invite',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a collaborator's role (owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateCollaborator = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        message: roleError
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+    if (rejectUnlessOwner(res, list, 'change roles')) return;
+
+    const collaborator = list.collaborators.find(item => String(item.userId?._id) === req.params.userId);
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    collaborator.role = role;
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: serializeList(list)
+    });
+
+  } catch (error) {
+    console.error('Error updating collaborator:', error);
+    if (handleValidationError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating collaborator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a collaborator: the owner can remove anyone, collaborators can remove themselves (leave)
+ * Todos they added stay in the list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removeCollaborator = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const isLeaving = userId === getCurrentUserId();
+    if (!isLeaving && rejectUnlessOwner(res, list, 'remove collaborators')) return;
+
+    const remaining = list.collaborators.filter(item => String(item.userId?._id) !== userId);
+    if (remaining.length === list.collaborators.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    list.collaborators = remaining;
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: isLeaving ? 'You left the list' : 'Collaborator removed successfully',
+      data: isLeaving ? null : serializeList(list)
+    });
+
+  } catch (error) {
+    console.error('Error removing collaborator:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while removing collaborator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the signed-in user's pending invites
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyInvites = async (req, res) => {
+  try {
+    const invites = await List.getInvitesFor(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invites retrieved successfully',
+      data: invites
+    });
+
+  } catch (error) {
+    console.error('Error getting invites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving invites',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accept an invite sent to the signed-in user and join the list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const acceptInvite = async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!OBJECT_ID_REGEX.test(inviteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invite ID format'
+      });
+    }
+
+    const list = await List.findOne({ invites: { $elemMatch: { _id: inviteId, userId: req.user.id } } })
+      .setOptions({ allOwners: true });
+    const invite = list?.invites.id(inviteId);
+
+    if (!invite || invite.expiresAt <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or expired'
+      });
+    }
+
+    // Claim the invite and join in one update, so accepting twice can't add the user twice
+    const joinedList = await List.findOneAndUpdate(
+      { _id: list._id, 'invites._id': inviteId, 'collaborators.userId': { $ne: req.user.id } },
+      {
+        $pull: { invites: { _id: inviteId } },
+        $push: { collaborators: { userId: req.user.id, role: invite.role } }
+      },
+      { new: true, runValidators: true }
+    ).setOptions({ allOwners: true }).populate(MEMBER_POPULATE);
+
+    if (!joinedList) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already joined this list'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `You joined "${joinedList.name}" as ${invite.role === 'editor' ? 'an editor' : 'a viewer'}`,
+      data: serializeList(joinedList)
+    });
+
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while accepting invite',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Decline an invite sent to the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const declineInvite = async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!OBJECT_ID_REGEX.test(inviteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invite ID format'
+      });
+    }
+
+    const result = await List.updateOne(
+      { invites: { $elemMatch: { _id: inviteId, userId: req.user.id } } },
+      { $pull: { invites: { _id: inviteId } } }
+    ).setOptions({ allOwners: true });
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite declined'
+    });
+
+  } catch (error) {
+    console.error('Error declining invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while declining invite',
+      error: error.message
+    });
+  }
+};
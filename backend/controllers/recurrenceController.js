@@ -0,0 +1,167 @@
+/**
+ * Recurrence Controller
+ * Handles editing and stopping recurring todo series
+ * A series is the first todo plus every occurrence spawned from it (linked by seriesId)
+ */
+
+import Todo from '../models/Todo.js';
+import { parseRecurrence } from '../utils/recurrence.js';
+import { rejectIfReadOnly } from '../utils/access.js';
+import { recordHistory } from '../utils/history.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Load the todo for the :id route param, sending a 400/404 response if it can't be used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Document|null>} Todo document, or null if a response was sent
+ */
+const findRecurringTodo = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!OBJECT_ID_REGEX.test(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid todo ID format'
+    });
+    return null;
+  }
+
+  const todo = await Todo.findById(id);
+  if (!todo) {
+    res.status(404).json({
+      success: false,
+      message: 'Todo not found'
+    });
+    return null;
+  }
+
+  return todo;
+};
+
+/**
+ * Change the recurrence of every pending todo in a series, recording each change in its history
+ * @param {Object} req - Express request object
+ * @param {ObjectId} seriesId - Series ID
+ * @param {Object|null} recurrence - New rule, or null to stop the series
+ * @returns {Promise<number>} Number of todos updated
+ */
+const changeSeries = async (req, seriesId, recurrence) => {
+  // The same todos updateSeries changes, as they were before
+  const pendingTodos = await Todo.find({ $or: [{ _id: seriesId }, { seriesId }], completed: false });
+  const modifiedCount = await Todo.updateSeries(seriesId, recurrence);
+  const updatedTodos = await Todo.find({ _id: { $in: pendingTodos.map(todo => todo._id) } });
+  const updatedById = new Map(updatedTodos.map(todo => [todo._id.toString(), todo]));
+  await recordHistory(req, 'update', pendingTodos
+    .filter(todo => updatedById.has(todo._id.toString()))
+    .map(todo => ({ before: todo, after: updatedById.get(todo._id.toString()) })));
+  return modifiedCount;
+};
+
+/**
+ * Get the series a todo belongs to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSeries = async (req, res) => {
+  try {
+    const todo = await findRecurringTodo(req, res);
+    if (!todo) return;
+
+    const seriesId = todo.seriesId || todo._id;
+    const occurrences = await Todo.find({ $or: [{ _id: seriesId }, { seriesId }] })
+      .sort({ occurrence: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Series retrieved successfully',
+      data: {
+        seriesId,
+        recurrence: todo.recurrence,
+        occurrences
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving series',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set or edit the recurrence rule of a todo's whole series
+ * Applies to every pending occurrence; completed occurrences keep their history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateRecurrence = async (req, res) => {
+  try {
+    const parsedRecurrence = parseRecurrence(req.body.recurrence ?? req.body);
+    if (parsedRecurrence.error || !parsedRecurrence.recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: parsedRecurrence.error || 'A recurrence rule is required. Use DELETE to stop a series'
+      });
+    }
+
+    const todo = await findRecurringTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const seriesId = todo.seriesId || todo._id;
+    const modifiedCount = await changeSeries(req, seriesId, parsedRecurrence.recurrence);
+    const updatedTodo = await Todo.findById(todo._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Recurrence updated on ${modifiedCount} pending todo(s) in the series`,
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error updating recurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating recurrence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop a recurring series: pending occurrences become one-off todos
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const stopRecurrence = async (req, res) => {
+  try {
+    const todo = await findRecurringTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const seriesId = todo.seriesId || todo._id;
+    const modifiedCount = await changeSeries(req, seriesId, null);
+    const updatedTodo = await Todo.findById(todo._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Series stopped. ${modifiedCount} pending todo(s) will no longer repeat`,
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error stopping recurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while stopping recurrence',
+      error: error.message
+    });
+  }
+};
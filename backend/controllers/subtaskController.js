@@ -0,0 +1,284 @@
+/**
+ * Subtask Controller
+ * Handles checklist items embedded in a todo
+ * Every response returns the full parent todo so clients get the updated progress
+ */
+
+import Todo from '../models/Todo.js';
+import { rejectIfReadOnly } from '../utils/access.js';
+import { recordHistory } from '../utils/history.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Validate subtask text from a request body
+ * @param {string} text - Subtask text
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSubtaskText = (text) => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return 'Subtask text is required and cannot be empty';
+  }
+  if (text.length > 500) {
+    return 'Subtask text cannot exceed 500 characters';
+  }
+  return null;
+};
+
+/**
+ * Load the parent todo, sending a 400/404 response if it can't be used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Document|null>} Todo document, or null if a response was sent
+ */
+const findParentTodo = async (req, res) => {
+  const { id, subtaskId } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!OBJECT_ID_REGEX.test(id) || (subtaskId !== undefined && !OBJECT_ID_REGEX.test(subtaskId))) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid todo or subtask ID format'
+    });
+    return null;
+  }
+
+  const todo = await Todo.findById(id);
+  if (!todo) {
+    res.status(404).json({
+      success: false,
+      message: 'Todo not found'
+    });
+    return null;
+  }
+
+  return todo;
+};
+
+/**
+ * Add a subtask to a todo
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addSubtask = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateSubtaskText(text);
+    if (textError) {
+      return res.status(400).json({
+        success: false,
+        message: textError
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+    const previousTodo = todo.toObject();
+
+    const updatedTodo = await todo.addSubtask(text.trim());
+
+    await recordHistory(req, 'update', [{ before: previousTodo, after: updatedTodo }]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Subtask added successfully',
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error adding subtask:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while adding subtask',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a subtask's text
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSubtask = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateSubtaskText(text);
+    if (textError) {
+      return res.status(400).json({
+        success: false,
+        message: textError
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+    const previousTodo = todo.toObject();
+
+    const subtask = todo.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    subtask.text = text.trim();
+    const updatedTodo = await todo.save();
+
+    await recordHistory(req, 'update', [{ before: previousTodo, after: updatedTodo }]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtask updated successfully',
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error updating subtask:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating subtask',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Toggle a subtask's completion status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const toggleSubtask = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+    const previousTodo = todo.toObject();
+
+    const updatedTodo = await todo.toggleSubtask(req.params.subtaskId);
+    if (!updatedTodo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    await recordHistory(req, 'update', [{ before: previousTodo, after: updatedTodo }]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtask toggled successfully',
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error toggling subtask:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while toggling subtask',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reorder a todo's subtasks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const reorderSubtasks = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.some(id => !OBJECT_ID_REGEX.test(String(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must be an array of subtask IDs'
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+    const previousTodo = todo.toObject();
+
+    const updatedTodo = await todo.reorderSubtasks(order);
+    if (!updatedTodo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every subtask of this todo exactly once'
+      });
+    }
+
+    await recordHistory(req, 'update', [{ before: previousTodo, after: updatedTodo }]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtasks reordered successfully',
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error reordering subtasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while reordering subtasks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a subtask
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteSubtask = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+    const previousTodo = todo.toObject();
+
+    const updatedTodo = await todo.removeSubtask(req.params.subtaskId);
+    if (!updatedTodo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    await recordHistory(req, 'update', [{ before: previousTodo, after: updatedTodo }]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtask deleted successfully',
+      data: updatedTodo
+    });
+
+  } catch (error) {
+    console.error('Error deleting subtask:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting subtask',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * Tag Controller
+ * Handles listing, renaming and merging of todo tags
+ * Tags live on the todos themselves, so every change rewrites affected todos
+ */
+
+import Todo from '../models/Todo.js';
+import { normalizeTag, isValidTag, parseTags } from '../utils/tagUtils.js';
+import { getEditableTodoFilter } from '../utils/access.js';
+import { recordHistory } from '../utils/history.js';
+
+/**
+ * Replace tags on the todos the user can edit, recording each change in its history
+ * @param {Object} req - Express request object
+ * @param {Array<string>} sources - Tags to replace
+ * @param {string} target - Tag to put in their place
+ * @returns {Promise<number>} Number of todos updated
+ */
+const changeTags = async (req, sources, target) => {
+  // Todos in lists the user can only view keep their tags
+  const scope = getEditableTodoFilter();
+
+  // The same todos replaceTags changes (trashed ones included), as they were before
+  const taggedTodos = await Todo.find({ ...scope, tags: { $in: sources } }).setOptions({ withDeleted: true });
+  const modifiedCount = await Todo.replaceTags(sources, target, scope);
+  const updatedTodos = await Todo.find({ _id: { $in: taggedTodos.map(todo => todo._id) } })
+    .setOptions({ withDeleted: true });
+  const updatedById = new Map(updatedTodos.map(todo => [todo._id.toString(), todo]));
+  await recordHistory(req, 'update', taggedTodos
+    .filter(todo => updatedById.has(todo._id.toString()))
+    .map(todo => ({ before: todo, after: updatedById.get(todo._id.toString()) })));
+  return modifiedCount;
+};
+
+/**
+ * Get all tags with usage counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAllTags = async (req, res) => {
+  try {
+    const tags = await Todo.getTagCounts();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags retrieved successfully',
+      data: tags
+    });
+
+  } catch (error) {
+    console.error('Error getting tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving tags',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a tag on every todo that uses it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const renameTag = async (req, res) => {
+  try {
+    const name = normalizeTag(req.params.name);
+    const newName = normalizeTag(req.body.newName ?? '');
+
+    // Validate tag names
+    if (!isValidTag(newName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid newName is required. Tags may contain letters, digits, "-", "_" and "/"'
+      });
+    }
+
+    if (name === newName) {
+      return res.status(400).json({
+        success: false,
+        message: 'New tag name must be different from the current name'
+      });
+    }
+
+    // Renaming onto an existing tag is a merge and must be requested explicitly
+    const [sourceExists, targetExists] = await Promise.all([
+      Todo.exists({ tags: name }),
+      Todo.exists({ tags: newName })
+    ]);
+
+    if (!sourceExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (targetExists) {
+      return res.status(409).json({
+        success: false,
+        message: `Tag "${newName}" already exists. Use POST /api/tags/merge to combine tags`
+      });
+    }
+
+    const modifiedCount = await changeTags(req, [name], newName);
+
+    res.status(200).json({
+      success: true,
+      message: `Tag "${name}" renamed to "${newName}" on ${modifiedCount} todo(s)`,
+      data: { from: name, to: newName, modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while renaming tag',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Merge several tags into one target tag
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const mergeTags = async (req, res) => {
+  try {
+    const { sources, target } = req.body;
+
+    // Validate source tags
+    const parsedSources = parseTags(sources ?? []);
+    if (parsedSources.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedSources.error
+      });
+    }
+    if (parsedSources.tags.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one source tag is required'
+      });
+    }
+
+    // Validate target tag
+    const targetTag = normalizeTag(target ?? '');
+    if (!isValidTag(targetTag)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid target tag is required. Tags may contain letters, digits, "-", "_" and "/"'
+      });
+    }
+
+    const modifiedCount = await changeTags(req, parsedSources.tags, targetTag);
+
+    res.status(200).json({
+      success: true,
+      message: `${parsedSources.tags.length} tag(s) merged into "${targetTag}" on ${modifiedCount} todo(s)`,
+      data: { sources: parsedSources.tags, target: targetTag, modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while merging tags',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,472 @@
+/**
+ * Time Controller
+ * Handles time tracking: the start/stop timer, manual time entries and reports
+ * The todo's trackedSeconds is kept in sync so todo listings need no extra queries
+ */
+
+import Todo from '../models/Todo.js';
+import TimeEntry from '../models/TimeEntry.js';
+import { config } from '../config/config.js';
+import { isValidTimeZone, parseDate } from '../utils/dateUtils.js';
+import { rejectIfReadOnly } from '../utils/access.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+// Ways the time report can be grouped
+const REPORT_GROUPS = ['day', 'tag', 'list'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the route IDs and load the parent todo, sending a 400/404 response if it can't be used
+ * Time entries of trashed todos are hidden along with the todo
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Document|null>} Todo document, or null if a response was sent
+ */
+const findParentTodo = async (req, res) => {
+  const { id, entryId } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!OBJECT_ID_REGEX.test(id) || (entryId !== undefined && !OBJECT_ID_REGEX.test(entryId))) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid todo or time entry ID format'
+    });
+    return null;
+  }
+
+  const todo = await Todo.findById(id);
+  if (!todo) {
+    res.status(404).json({
+      success: false,
+      message: 'Todo not found'
+    });
+    return null;
+  }
+
+  return todo;
+};
+
+/**
+ * Validate the start and end of a time entry
+ * @param {Date|null} startedAt - Start time
+ * @param {Date|null} endedAt - End time (null for a running timer)
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateEntryTimes = (startedAt, endedAt) => {
+  if (!startedAt) {
+    return 'Invalid startedAt. Use an ISO 8601 date-time';
+  }
+  if (startedAt > new Date()) {
+    return 'Time entries cannot start in the future';
+  }
+  if (endedAt === null) {
+    return null;
+  }
+  if (!endedAt) {
+    return 'Invalid endedAt. Use an ISO 8601 date-time';
+  }
+  if (endedAt <= startedAt) {
+    return 'End time must be after the start time';
+  }
+  if (endedAt - startedAt > config.timeTracking.maxEntryHours * 60 * 60 * 1000) {
+    return `A time entry cannot be longer than ${config.timeTracking.maxEntryHours} hours`;
+  }
+  return null;
+};
+
+/**
+ * Validate an optional note from a request body
+ * @param {string} note - Note text
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateNote = (note) => {
+  if (note === undefined) {
+    return null;
+  }
+  if (typeof note !== 'string' || note.length > config.timeTracking.maxNoteLength) {
+    return `Note must be a string of at most ${config.timeTracking.maxNoteLength} characters`;
+  }
+  return null;
+};
+
+/**
+ * Start a timer on a todo
+ * Only one timer can run at a time; stop the running one first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const startTimer = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const running = await TimeEntry.getRunning();
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: running.todoId.equals(todo._id)
+          ? 'A timer is already running for this todo'
+          : 'Another timer is already running. Stop it before starting a new one',
+        data: running
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      todoId: todo._id,
+      startedAt: new Date(),
+      running: true
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: entry
+    });
+
+  } catch (error) {
+    // A concurrent request started a timer first (unique index on running timers)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another timer is already running. Stop it before starting a new one',
+        data: await TimeEntry.getRunning()
+      });
+    }
+
+    console.error('Error starting timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while starting timer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop the timer running on a todo
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const stopTimer = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+
+    const entry = await TimeEntry.stopRunning(todo._id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running for this todo'
+      });
+    }
+    const trackedSeconds = await Todo.refreshTrackedTime(todo._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: entry,
+      trackedSeconds
+    });
+
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while stopping timer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the running timer with the text of its todo
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.getRunning();
+    const todo = entry && await Todo.findById(entry.todoId).select('text');
+
+    res.status(200).json({
+      success: true,
+      message: entry ? 'Running timer retrieved successfully' : 'No timer is running',
+      data: entry ? { ...entry.toJSON(), todoText: todo?.text ?? null } : null
+    });
+
+  } catch (error) {
+    console.error('Error getting running timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving running timer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a todo's time entries, newest first
+ * On a shared todo this includes collaborators' entries (with their names); each user edits only their own
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTimeEntries = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+
+    const entries = await TimeEntry.find({ todoId: todo._id })
+      .sort({ startedAt: -1 })
+      .populate('ownerId', 'name email')
+      .setOptions({ allOwners: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entries retrieved successfully',
+      data: entries,
+      trackedSeconds: todo.trackedSeconds
+    });
+
+  } catch (error) {
+    console.error('Error getting time entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving time entries',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a finished time entry by hand
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addTimeEntry = async (req, res) => {
+  try {
+    const { startedAt, endedAt, note } = req.body;
+
+    const parsedStart = parseDate(startedAt);
+    const parsedEnd = parseDate(endedAt);
+    const timesError = validateEntryTimes(parsedStart, parsedEnd ?? undefined) || validateNote(note);
+    if (timesError) {
+      return res.status(400).json({
+        success: false,
+        message: timesError
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const entry = await TimeEntry.create({
+      todoId: todo._id,
+      startedAt: parsedStart,
+      endedAt: parsedEnd,
+      source: 'manual',
+      ...(note !== undefined && { note })
+    });
+    const trackedSeconds = await Todo.refreshTrackedTime(todo._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Time entry added successfully',
+      data: entry,
+      trackedSeconds
+    });
+
+  } catch (error) {
+    console.error('Error adding time entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while adding time entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Edit a time entry's start, end or note
+ * The end of a running timer is set by stopping it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateTimeEntry = async (req, res) => {
+  try {
+    const { startedAt, endedAt, note } = req.body;
+
+    if (startedAt === undefined && endedAt === undefined && note === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields provided for update'
+      });
+    }
+
+    const noteError = validateNote(note);
+    if (noteError) {
+      return res.status(400).json({
+        success: false,
+        message: noteError
+      });
+    }
+
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, todoId: todo._id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (entry.running && endedAt !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the timer before editing its end time'
+      });
+    }
+
+    const parsedStart = startedAt === undefined ? entry.startedAt : parseDate(startedAt);
+    const parsedEnd = endedAt === undefined ? entry.endedAt : (parseDate(endedAt) ?? undefined);
+    const timesError = validateEntryTimes(parsedStart, parsedEnd);
+    if (timesError) {
+      return res.status(400).json({
+        success: false,
+        message: timesError
+      });
+    }
+
+    entry.startedAt = parsedStart;
+    entry.endedAt = parsedEnd;
+    if (note !== undefined) {
+      entry.note = note;
+    }
+    await entry.save();
+    const trackedSeconds = await Todo.refreshTrackedTime(todo._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry updated successfully',
+      data: entry,
+      trackedSeconds
+    });
+
+  } catch (error) {
+    console.error('Error updating time entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating time entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a time entry (deleting the running timer discards it)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteTimeEntry = async (req, res) => {
+  try {
+    const todo = await findParentTodo(req, res);
+    if (!todo) return;
+    if (rejectIfReadOnly(res, todo)) return;
+
+    const entry = await TimeEntry.findOneAndDelete({ _id: req.params.entryId, todoId: todo._id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+    const trackedSeconds = await Todo.refreshTrackedTime(todo._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted successfully',
+      data: entry,
+      trackedSeconds
+    });
+
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting time entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sum tracked time by day, tag or list over a date range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTimeReport = async (req, res) => {
+  try {
+    const { from, to, groupBy = 'day', timeZone = 'UTC' } = req.query;
+
+    if (!REPORT_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${REPORT_GROUPS.join(', ')}`
+      });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone parameter. Use an IANA name such as "Europe/Berlin"'
+      });
+    }
+
+    // Defaults to the last few days up to now
+    const toDate = to === undefined ? new Date() : parseDate(to, timeZone);
+    const fromDate = from === undefined
+      ? new Date((toDate?.getTime() ?? Date.now()) - config.timeTracking.defaultReportDays * DAY_MS)
+      : parseDate(from, timeZone);
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to parameter. Use an ISO 8601 date or date-time'
+      });
+    }
+    if (fromDate >= toDate || toDate - fromDate > config.timeTracking.maxReportDays * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `from must be before to, and the range cannot exceed ${config.timeTracking.maxReportDays} days`
+      });
+    }
+
+    const report = await TimeEntry.getReport({ from: fromDate, to: toDate, groupBy, timeZone });
+
+    res.status(200).json({
+      success: true,
+      message: 'Time report retrieved successfully',
+      data: {
+        from: fromDate,
+        to: toDate,
+        groupBy,
+        timeZone,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting time report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while building time report',
+      error: error.message
+    });
+  }
+};
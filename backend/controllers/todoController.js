@@ -4,17 +4,231 @@
  * Implements CRUD operations and additional functionality
  */
 
-import Todo from '../models/Todo.js';
+import Todo, { CURSOR_SORT_FIELDS } from '../models/Todo.js';
+import List from '../models/List.js';
+import { config } from '../config/config.js';
+import { withTransaction } from '../config/database.js';
+import { isValidTimeZone, parseDate, toDateKey } from '../utils/dateUtils.js';
+import { parseTags } from '../utils/tagUtils.js';
+import { parseRecurrence } from '../utils/recurrence.js';
+import { recordHistory } from '../utils/history.js';
+import { keyBetween } from '../utils/position.js';
+import { parseNotes, renderMarkdown } from '../utils/markdown.js';
+import { getListRole, hasRole, getEditableTodoFilter, rejectIfReadOnly } from '../utils/access.js';
+import { parseSearchQuery, hasSearchTerms, buildHighlights, escapeRegex } from '../utils/search.js';
+import { decodeCursor } from '../utils/cursor.js';
+import { setTodoETag, sendVersionConflict, rejectIfStale } from '../utils/etag.js';
+
+/**
+ * Parse and validate due date fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { error } on invalid input, otherwise the fields to set
+ */
+const parseDueFields = ({ dueAt, dueTimeZone }) => {
+  const fields = {};
+
+  if (dueTimeZone !== undefined) {
+    if (dueTimeZone !== null && !isValidTimeZone(dueTimeZone)) {
+      return { error: 'Invalid due time zone. Use an IANA name such as "Europe/Berlin"' };
+    }
+    fields.dueTimeZone = dueTimeZone;
+  }
+
+  if (dueAt !== undefined) {
+    if (dueAt === null || dueAt === '') {
+      fields.dueAt = null;
+    } else {
+      const parsedDueAt = parseDate(dueAt, fields.dueTimeZone || 'UTC');
+      if (!parsedDueAt) {
+        return { error: 'Invalid due date. Use an ISO 8601 date or date-time' };
+      }
+      fields.dueAt = parsedDueAt;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Validate a time estimate from a request body
+ * @param {number|null} estimateMinutes - Estimate in whole minutes, or null to clear it
+ * @returns {Object} { error } on invalid input, otherwise { estimateMinutes }
+ */
+const parseEstimate = (estimateMinutes) => {
+  if (estimateMinutes === null) {
+    return { estimateMinutes: null };
+  }
+  if (!Number.isInteger(estimateMinutes) || estimateMinutes < 1 || estimateMinutes > config.timeTracking.maxEstimateMinutes) {
+    return { error: `Estimate must be a whole number of minutes between 1 and ${config.timeTracking.maxEstimateMinutes}` };
+  }
+  return { estimateMinutes };
+};
+
+/**
+ * Validate a listId from a request body and check that the list exists
+ * and that the user may add todos to it
+ * @param {string|null} listId - List ID, or null for the inbox
+ * @returns {Promise<Object>} { error, statusCode } on invalid input, otherwise { listId }
+ */
+const resolveListId = async (listId) => {
+  if (listId === null || listId === '') {
+    return { listId: null };
+  }
+  
+  if (typeof listId !== 'string' || !listId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: 'Invalid list ID format', statusCode: 400 };
+  }
+  
+  const listExists = await List.exists({ _id: listId });
+  if (!listExists) {
+    return { error: 'List not found', statusCode: 404 };
+  }
+  
+  if (!hasRole(getListRole(listId), 'editor')) {
+    return { error: 'You have view-only access to this list', statusCode: 403 };
+  }
+  
+  return { listId };
+};
+
+// Fields of blocking todos included in responses (populated as `blockers`)
+const BLOCKER_FIELDS = 'text completed';
+
+/**
+ * Validate blocking todo IDs from a request
+ * @param {Array<string>} blockedBy - IDs of the todos that must be completed first
+ * @param {string|null} todoId - Todo being blocked (null when creating), for cycle detection
+ * @returns {Promise<Object>} { blockedBy } on success, { error, statusCode } otherwise
+ */
+const resolveBlockedBy = async (blockedBy, todoId = null) => {
+  if (!Array.isArray(blockedBy)) {
+    return { error: 'blockedBy must be an array of todo IDs', statusCode: 400 };
+  }
+  
+  const ids = [...new Set(blockedBy.map(String))];
+  if (ids.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
+    return { error: 'Invalid todo ID format in blockedBy', statusCode: 400 };
+  }
+  if (ids.length > config.todo.maxBlockers) {
+    return { error: `A todo cannot be blocked by more than ${config.todo.maxBlockers} todos`, statusCode: 400 };
+  }
+  if (todoId && ids.includes(String(todoId))) {
+    return { error: 'A todo cannot block itself', statusCode: 400 };
+  }
+  
+  const found = await Todo.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return { error: 'Blocking todo not found', statusCode: 404 };
+  }
+  
+  if (todoId && await Todo.wouldCreateCycle(todoId, ids)) {
+    return { error: 'This dependency would create a cycle', statusCode: 400 };
+  }
+  
+  return { blockedBy: ids };
+};
+
+/**
+ * Send a 409 response if a todo being completed still has pending blockers
+ * Pass force=true in the query to complete it anyway
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Document} todo - Todo about to be completed
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectIfBlocked = async (req, res, todo) => {
+  if (req.query.force === 'true') {
+    return false;
+  }
+  
+  const blockers = await todo.getPendingBlockers();
+  if (blockers.length === 0) {
+    return false;
+  }
+  
+  res.status(409).json({
+    success: false,
+    message: `Todo is blocked by ${blockers.length} pending todo(s). Complete them first or pass force=true`,
+    blockers
+  });
+  return true;
+};
+
+/**
+ * Respond to a write made conditional by rejectIfStale that matched nothing:
+ * the todo was changed (412 with its current state) or deleted (404) since it was loaded
+ * @param {Object} res - Express response object
+ * @param {string} id - Todo ID
+ */
+const respondToMissedWrite = async (res, id) => {
+  const todo = await Todo.findById(id);
+  if (todo) {
+    return sendVersionConflict(res, todo);
+  }
+  res.status(404).json({
+    success: false,
+    message: 'Todo not found'
+  });
+};
+
+/**
+ * Parse a date range from query parameters (start inclusive, end exclusive)
+ * @param {Object} query - Request query
+ * @param {string} fromKey - Name of the start parameter
+ * @param {string} toKey - Name of the end parameter
+ * @param {string} timeZone - Time zone for dates without an offset
+ * @returns {Object} { error } on invalid input, otherwise { range } (null if neither is given)
+ */
+const parseDateRange = (query, fromKey, toKey, timeZone) => {
+  if (query[fromKey] === undefined && query[toKey] === undefined) {
+    return { range: null };
+  }
+  
+  const range = {};
+  for (const [key, operator] of [[fromKey, '$gte'], [toKey, '$lt']]) {
+    if (query[key] === undefined) continue;
+    const date = typeof query[key] === 'string' ? parseDate(query[key], timeZone) : null;
+    if (!date) {
+      return { error: `Invalid ${key} parameter. Use an ISO 8601 date or date-time` };
+    }
+    range[operator] = date;
+  }
+  
+  if (range.$gte && range.$lt && range.$gte >= range.$lt) {
+    return { error: `${fromKey} must be before ${toKey}` };
+  }
+  return { range };
+};
 
 /**
  * Get all todos with optional pagination
+ * Pages are numbered (page) or, when after is given (empty for the first page),
+ * cursor-based: each response carries the nextCursor to pass as after
+ * Filters: list, tags, due date, overdue, completion, creation/update date ranges
+ * and a case-insensitive text match; dates without an offset are interpreted in timeZone
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getAllTodos = async (req, res) => {
   try {
-    // Extract query parameters for pagination
-    const { page = 1, limit = 50, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    // Extract query parameters for pagination and filtering
+    const {
+      page = 1,
+      limit = 50,
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      dueBefore,
+      dueAfter,
+      overdue,
+      tags,
+      tagMode = 'any',
+      listId,
+      completed,
+      textContains,
+      timeZone = 'UTC',
+      after,
+      includeTotal
+    } = req.query;
     
     // Convert string parameters to appropriate types
     const pageNum = parseInt(page);
@@ -28,13 +242,185 @@ export const getAllTodos = async (req, res) => {
       });
     }
     
-    // Get paginated todos using static method
-    const result = await Todo.getPaginatedTodos({
-      page: pageNum,
-      limit: limitNum,
-      sortBy,
-      sortOrder
-    });
+    if (includeTotal !== undefined && !['true', 'false'].includes(includeTotal)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid includeTotal parameter. Must be "true" or "false"'
+      });
+    }
+    
+    // Validate cursor pagination parameters
+    const useCursor = after !== undefined;
+    let cursorValues = null;
+    if (useCursor) {
+      if (req.query.page !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use either page or after, not both'
+        });
+      }
+      if (!CURSOR_SORT_FIELDS.includes(sortBy) || !['asc', 'desc'].includes(sortOrder)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid sort for cursor pagination. sortBy must be one of: ${CURSOR_SORT_FIELDS.join(', ')}; sortOrder must be "asc" or "desc"`
+        });
+      }
+      if (after !== '') {
+        const cursor = decodeCursor(after);
+        if (!cursor || cursor.sortBy !== sortBy || cursor.sortOrder !== sortOrder) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid after cursor. Pass the nextCursor of the previous page with the same sortBy and sortOrder'
+          });
+        }
+        cursorValues = cursor.values;
+      }
+    }
+    
+    // Build list filter ('none' selects todos in the inbox); archived todos are never listed
+    const filter = { archivedAt: null };
+    if (listId !== undefined) {
+      if (listId === 'none') {
+        filter.listId = null;
+      } else if (typeof listId === 'string' && listId.match(/^[0-9a-fA-F]{24}$/)) {
+        filter.listId = listId;
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid listId parameter. Use a list ID or "none"'
+        });
+      }
+    }
+    
+    // Build tag filter
+    if (tags !== undefined) {
+      if (!['all', 'any'].includes(tagMode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid tagMode parameter. Must be "all" or "any"'
+        });
+      }
+      const parsedTags = parseTags(tags);
+      if (parsedTags.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedTags.error
+        });
+      }
+      if (parsedTags.tags.length > 0) {
+        filter.tags = { [tagMode === 'all' ? '$all' : '$in']: parsedTags.tags };
+      }
+    }
+    
+    // Build due date filter
+    if (dueBefore !== undefined || dueAfter !== undefined) {
+      filter.dueAt = {};
+      if (dueBefore !== undefined) {
+        const before = parseDate(dueBefore);
+        if (!before) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid dueBefore parameter. Use an ISO 8601 date or date-time'
+          });
+        }
+        filter.dueAt.$lt = before;
+      }
+      if (dueAfter !== undefined) {
+        const after = parseDate(dueAfter);
+        if (!after) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid dueAfter parameter. Use an ISO 8601 date or date-time'
+          });
+        }
+        filter.dueAt.$gt = after;
+      }
+    }
+    if (overdue === 'true') {
+      // Overdue means pending and due before now (or before dueBefore if earlier)
+      const now = new Date();
+      filter.completed = false;
+      filter.dueAt = {
+        ...filter.dueAt,
+        $lt: filter.dueAt?.$lt && filter.dueAt.$lt < now ? filter.dueAt.$lt : now
+      };
+    }
+    
+    // Build completion filter
+    if (completed !== undefined) {
+      if (!['true', 'false'].includes(completed)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid completed parameter. Must be "true" or "false"'
+        });
+      }
+      if (overdue === 'true' && completed === 'true') {
+        return res.status(400).json({
+          success: false,
+          message: 'overdue=true only matches pending todos and cannot be combined with completed=true'
+        });
+      }
+      filter.completed = completed === 'true';
+    }
+    
+    // Build creation and update date filters
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone parameter. Use an IANA name such as "Europe/Berlin"'
+      });
+    }
+    for (const [field, fromKey, toKey] of [['createdAt', 'createdFrom', 'createdTo'], ['updatedAt', 'updatedFrom', 'updatedTo']]) {
+      const parsedRange = parseDateRange(req.query, fromKey, toKey, timeZone);
+      if (parsedRange.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedRange.error
+        });
+      }
+      if (parsedRange.range) {
+        filter[field] = parsedRange.range;
+      }
+    }
+    
+    // Build text filter (case-insensitive substring of the todo text)
+    if (textContains !== undefined) {
+      if (typeof textContains !== 'string' || textContains.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid textContains parameter. Must be a non-empty string'
+        });
+      }
+      if (textContains.length > config.todo.maxTextLength) {
+        return res.status(400).json({
+          success: false,
+          message: `textContains cannot exceed ${config.todo.maxTextLength} characters`
+        });
+      }
+      filter.text = { $regex: escapeRegex(textContains.trim()), $options: 'i' };
+    }
+    
+    // Get paginated todos using static method (the total is counted unless turned off;
+    // cursor pages only count it on request)
+    const result = useCursor
+      ? await Todo.getTodosAfterCursor({
+        filter,
+        after: cursorValues,
+        limit: limitNum,
+        sortBy,
+        sortOrder,
+        includeTotal: includeTotal === 'true'
+      })
+      : await Todo.getPaginatedTodos({
+        filter,
+        page: pageNum,
+        limit: limitNum,
+        sortBy,
+        sortOrder,
+        includeTotal: includeTotal !== 'false'
+      });
+    
+    await Todo.populate(result.todos, { path: 'blockers', select: BLOCKER_FIELDS });
     
     res.status(200).json({
       success: true,
@@ -44,6 +430,12 @@ export const getAllTodos = async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid after cursor. Pass the nextCursor of the previous page with the same sortBy and sortOrder'
+      });
+    }
     console.error('Error getting todos:', error);
     res.status(500).json({
       success: false,
@@ -53,6 +445,150 @@ export const getAllTodos = async (req, res) => {
   }
 };
 
+/**
+ * Search todo text and notes, best matches first
+ * Each result has its relevance score and highlighted snippets of the matching fields
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const searchTodos = async (req, res) => {
+  try {
+    const { q, listId, page = 1, limit = config.search.defaultLimit } = req.query;
+    
+    if (typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) is required'
+      });
+    }
+    if (q.length > config.search.maxQueryLength) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query cannot exceed ${config.search.maxQueryLength} characters`
+      });
+    }
+    
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    if (!(pageNum >= 1) || !(limitNum >= 1) || limitNum > config.search.maxLimit) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid pagination parameters. Page must be >= 1, limit must be between 1-${config.search.maxLimit}`
+      });
+    }
+    
+    // A query of only exclusions (e.g. "-draft") matches nothing
+    const parsed = parseSearchQuery(q);
+    if (!hasSearchTerms(parsed)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query needs at least one word or phrase to look for'
+      });
+    }
+    
+    // Same list filter as getAllTodos; archived todos are never searched
+    const filter = { archivedAt: null };
+    if (listId !== undefined) {
+      if (listId === 'none') {
+        filter.listId = null;
+      } else if (typeof listId === 'string' && listId.match(/^[0-9a-fA-F]{24}$/)) {
+        filter.listId = listId;
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid listId parameter. Use a list ID or "none"'
+        });
+      }
+    }
+    
+    const result = await Todo.search({ query: q, filter, page: pageNum, limit: limitNum });
+    await Todo.populate(result.todos, { path: 'blockers', select: BLOCKER_FIELDS });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Search completed successfully',
+      data: result.todos.map(todo => ({
+        ...todo.toJSON(),
+        highlights: buildHighlights(todo, parsed)
+      })),
+      pagination: result.pagination,
+      query: parsed
+    });
+    
+  } catch (error) {
+    console.error('Error searching todos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while searching todos',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get upcoming todos grouped by day (agenda view)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getUpcomingTodos = async (req, res) => {
+  try {
+    const { days = 7, timeZone = 'UTC' } = req.query;
+    const daysNum = parseInt(days);
+    
+    // Validate query parameters
+    if (isNaN(daysNum) || daysNum < 1 || daysNum > 90) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid days parameter. Must be between 1-90'
+      });
+    }
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone parameter. Use an IANA name such as "Europe/Berlin"'
+      });
+    }
+    
+    const now = new Date();
+    const to = new Date(now.getTime() + daysNum * 24 * 60 * 60 * 1000);
+    
+    const [overdueTodos, upcomingTodos] = await Promise.all([
+      Todo.getUpcoming({ from: new Date(0), to: now }),
+      Todo.getUpcoming({ from: now, to })
+    ]);
+    
+    // Group upcoming todos by calendar day in the requested time zone
+    const agenda = [];
+    for (const todo of upcomingTodos) {
+      const date = toDateKey(todo.dueAt, timeZone);
+      const lastDay = agenda[agenda.length - 1];
+      if (lastDay && lastDay.date === date) {
+        lastDay.todos.push(todo);
+      } else {
+        agenda.push({ date, todos: [todo] });
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Upcoming todos retrieved successfully',
+      data: {
+        timeZone,
+        overdue: overdueTodos,
+        agenda
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error getting upcoming todos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving upcoming todos',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get a single todo by ID
  * @param {Object} req - Express request object
@@ -71,7 +607,7 @@ export const getTodoById = async (req, res) => {
     }
     
     // Find todo by ID
-    const todo = await Todo.findById(id);
+    const todo = await Todo.findById(id).populate('blockers', BLOCKER_FIELDS);
     
     if (!todo) {
       return res.status(404).json({
@@ -80,6 +616,8 @@ export const getTodoById = async (req, res) => {
       });
     }
     
+    // Answered with 304 when If-None-Match has the current version
+    setTodoETag(res, todo);
     res.status(200).json({
       success: true,
       message: 'Todo retrieved successfully',
@@ -103,7 +641,7 @@ export const getTodoById = async (req, res) => {
  */
 export const createTodo = async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, notes, priority, tags, autoCompleteOnSubtasks, listId, recurrence, blockedBy, estimateMinutes } = req.body;
     
     // Validate required fields
     if (!text || text.trim().length === 0) {
@@ -121,14 +659,98 @@ export const createTodo = async (req, res) => {
       });
     }
     
-    // Create new todo
+    // Validate optional notes
+    const parsedNotes = parseNotes(notes ?? null, config.todo.maxNotesLength);
+    if (parsedNotes.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedNotes.error
+      });
+    }
+    
+    // Validate optional priority
+    if (priority !== undefined && !config.todo.priorities.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Priority must be one of: ${config.todo.priorities.join(', ')}`
+      });
+    }
+    
+    // Validate optional tags
+    const parsedTags = parseTags(tags ?? []);
+    if (parsedTags.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedTags.error
+      });
+    }
+    
+    // Validate optional due date
+    const dueFields = parseDueFields(req.body);
+    if (dueFields.error) {
+      return res.status(400).json({
+        success: false,
+        message: dueFields.error
+      });
+    }
+    
+    // Validate optional time estimate
+    const parsedEstimate = parseEstimate(estimateMinutes ?? null);
+    if (parsedEstimate.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedEstimate.error
+      });
+    }
+    
+    // Validate optional recurrence rule
+    const parsedRecurrence = parseRecurrence(recurrence ?? null);
+    if (parsedRecurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedRecurrence.error
+      });
+    }
+    
+    // Validate optional list
+    const listResult = await resolveListId(listId ?? null);
+    if (listResult.error) {
+      return res.status(listResult.statusCode).json({
+        success: false,
+        message: listResult.error
+      });
+    }
+    
+    // Validate optional blocking todos (a new todo can't be part of a cycle)
+    const blockedByResult = await resolveBlockedBy(blockedBy ?? []);
+    if (blockedByResult.error) {
+      return res.status(blockedByResult.statusCode).json({
+        success: false,
+        message: blockedByResult.error
+      });
+    }
+    
+    // Create new todo at the top of the manual order
     const newTodo = new Todo({
-      text: text.trim()
+      text: text.trim(),
+      notes: parsedNotes.notes,
+      position: await Todo.getTopPosition(),
+      ...(priority !== undefined && { priority }),
+      tags: parsedTags.tags,
+      estimateMinutes: parsedEstimate.estimateMinutes,
+      listId: listResult.listId,
+      blockedBy: blockedByResult.blockedBy,
+      recurrence: parsedRecurrence.recurrence,
+      ...(autoCompleteOnSubtasks !== undefined && { autoCompleteOnSubtasks: Boolean(autoCompleteOnSubtasks) }),
+      ...dueFields
     });
     
     // Save to database
     const savedTodo = await newTodo.save();
+    await recordHistory(req, 'create', [{ before: null, after: savedTodo }]);
+    await savedTodo.populate('blockers', BLOCKER_FIELDS);
     
+    setTodoETag(res, savedTodo);
     res.status(201).json({
       success: true,
       message: 'Todo created successfully',
@@ -164,7 +786,7 @@ export const createTodo = async (req, res) => {
 export const updateTodo = async (req, res) => {
   try {
     const { id } = req.params;
-    const { text, completed } = req.body;
+    const { text, notes, completed, priority, tags, autoCompleteOnSubtasks, listId, recurrence, blockedBy, estimateMinutes } = req.body;
     
     // Validate MongoDB ObjectId format
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -191,9 +813,93 @@ export const updateTodo = async (req, res) => {
       }
       updateData.text = text.trim();
     }
+    if (notes !== undefined) {
+      const parsedNotes = parseNotes(notes, config.todo.maxNotesLength);
+      if (parsedNotes.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedNotes.error
+        });
+      }
+      updateData.notes = parsedNotes.notes;
+    }
     if (completed !== undefined) {
       updateData.completed = Boolean(completed);
     }
+    if (priority !== undefined) {
+      if (!config.todo.priorities.includes(priority)) {
+        return res.status(400).json({
+          success: false,
+          message: `Priority must be one of: ${config.todo.priorities.join(', ')}`
+        });
+      }
+      updateData.priority = priority;
+    }
+    if (tags !== undefined) {
+      const parsedTags = parseTags(tags);
+      if (parsedTags.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedTags.error
+        });
+      }
+      updateData.tags = parsedTags.tags;
+    }
+    if (autoCompleteOnSubtasks !== undefined) {
+      updateData.autoCompleteOnSubtasks = Boolean(autoCompleteOnSubtasks);
+    }
+    if (estimateMinutes !== undefined) {
+      const parsedEstimate = parseEstimate(estimateMinutes);
+      if (parsedEstimate.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedEstimate.error
+        });
+      }
+      updateData.estimateMinutes = parsedEstimate.estimateMinutes;
+    }
+    if (recurrence !== undefined) {
+      // Changes only this todo; use /api/todos/:id/recurrence to edit the whole series
+      const parsedRecurrence = parseRecurrence(recurrence);
+      if (parsedRecurrence.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsedRecurrence.error
+        });
+      }
+      updateData.recurrence = parsedRecurrence.recurrence;
+    }
+    if (listId !== undefined) {
+      // Moving a todo to another list (null moves it to the inbox)
+      const listResult = await resolveListId(listId);
+      if (listResult.error) {
+        return res.status(listResult.statusCode).json({
+          success: false,
+          message: listResult.error
+        });
+      }
+      updateData.listId = listResult.listId;
+    }
+    if (blockedBy !== undefined) {
+      // Replaces every blocking todo; edges that would create a cycle are rejected
+      const blockedByResult = await resolveBlockedBy(blockedBy, id);
+      if (blockedByResult.error) {
+        return res.status(blockedByResult.statusCode).json({
+          success: false,
+          message: blockedByResult.error
+        });
+      }
+      updateData.blockedBy = blockedByResult.blockedBy;
+    }
+    
+    const dueFields = parseDueFields(req.body);
+    if (dueFields.error) {
+      return res.status(400).json({
+        success: false,
+        message: dueFields.error
+      });
+    }
+    Object.assign(updateData, dueFields);
     
     // If no valid fields to update
     if (Object.keys(updateData).length === 0) {
@@ -203,24 +909,58 @@ export const updateTodo = async (req, res) => {
       });
     }
     
-    // Find and update todo
-    const updatedTodo = await Todo.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Keep the current version for the history diff
+    const previousTodo = await Todo.findById(id);
     
-    if (!updatedTodo) {
+    if (!previousTodo) {
       return res.status(404).json({
         success: false,
         message: 'Todo not found'
       });
     }
     
+    // Viewers of a shared list can't change its todos
+    if (rejectIfReadOnly(res, previousTodo)) return;
+    
+    // With If-Match, only the version the client last saw can be updated
+    if (rejectIfStale(req, res, previousTodo)) return;
+    
+    // Blocked todos can only be completed with force=true (checked against the new blockers)
+    if (updateData.completed === true && !previousTodo.completed) {
+      const blockedTodo = new Todo({ blockedBy: updateData.blockedBy ?? previousTodo.blockedBy });
+      if (await rejectIfBlocked(req, res, blockedTodo)) return;
+    }
+    
+    // Find and update todo (still at the checked version, with If-Match). Completing a
+    // recurring todo schedules its next occurrence in the same transaction (where supported),
+    // so the todo can't end up completed without one
+    const { updatedTodo, nextOccurrence } = await withTransaction(async () => {
+      const updated = await Todo.findOneAndUpdate(
+        { _id: id, ...previousTodo.$where },
+        updateData,
+        { new: true, runValidators: true }
+      );
+      return {
+        updatedTodo: updated,
+        nextOccurrence: updated && updateData.completed === true ? await updated.spawnNextOccurrence() : null
+      };
+    });
+    
+    if (!updatedTodo) {
+      return respondToMissedWrite(res, id);
+    }
+    await recordHistory(req, 'update', [{ before: previousTodo, after: updatedTodo }]);
+    await updatedTodo.populate('blockers', BLOCKER_FIELDS);
+    if (nextOccurrence?.$locals.created) {
+      await recordHistory(req, 'create', [{ before: null, after: nextOccurrence }]);
+    }
+    
+    setTodoETag(res, updatedTodo);
     res.status(200).json({
       success: true,
       message: 'Todo updated successfully',
-      data: updatedTodo
+      data: updatedTodo,
+      ...(nextOccurrence && { nextOccurrence })
     });
     
   } catch (error) {
@@ -271,17 +1011,48 @@ export const toggleTodoComplete = async (req, res) => {
       });
     }
     
-    // Use instance method to toggle completion
-    const updatedTodo = await todo.toggleComplete();
+    // Viewers of a shared list can't change its todos
+    if (rejectIfReadOnly(res, todo)) return;
+    
+    // With If-Match, only the version the client last saw can be toggled
+    if (rejectIfStale(req, res, todo)) return;
+    
+    // Blocked todos can only be completed with force=true
+    if (!todo.completed && await rejectIfBlocked(req, res, todo)) return;
+    
+    // Use instance method to toggle completion. Completing a recurring todo schedules its
+    // next occurrence in the same transaction (where supported), so the todo can't end up
+    // completed without one
+    const previousTodo = todo.toObject();
+    const { updatedTodo, nextOccurrence } = await withTransaction(async () => {
+      const toggled = await todo.toggleComplete();
+      return {
+        updatedTodo: toggled,
+        nextOccurrence: toggled.completed ? await toggled.spawnNextOccurrence() : null
+      };
+    });
+    await recordHistory(req, 'toggle', [{ before: previousTodo, after: updatedTodo }]);
+    await updatedTodo.populate('blockers', BLOCKER_FIELDS);
+    if (nextOccurrence?.$locals.created) {
+      await recordHistory(req, 'create', [{ before: null, after: nextOccurrence }]);
+    }
     
+    setTodoETag(res, updatedTodo);
     res.status(200).json({
       success: true,
       message: `Todo marked as ${updatedTodo.completed ? 'completed' : 'pending'}`,
-      data: updatedTodo
+      data: updatedTodo,
+      ...(nextOccurrence && { nextOccurrence })
     });
     
   } catch (error) {
     console.error('Error toggling todo completion:', error);
+    
+    // The todo changed after the If-Match check
+    if (error.name === 'DocumentNotFoundError') {
+      return respondToMissedWrite(res, req.params.id);
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Internal server error while toggling todo completion',
@@ -291,7 +1062,179 @@ export const toggleTodoComplete = async (req, res) => {
 };
 
 /**
- * Delete a todo by ID
+ * Move a todo in the manual order, between the given neighbors
+ * Only the moved todo gets a new position key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const moveTodo = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { before, after } = req.body;
+    
+    // Validate MongoDB ObjectId formats
+    const ids = [id, before, after].filter(value => value !== undefined && value !== null);
+    if (ids.some(value => typeof value !== 'string' || !value.match(/^[0-9a-fA-F]{24}$/))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid todo ID format'
+      });
+    }
+    
+    if (!before && !after) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide before and/or after: the todos to place this todo before or after'
+      });
+    }
+    
+    if (before === id || after === id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A todo cannot be moved next to itself'
+      });
+    }
+    
+    const [todo, nextTodo, previousTodo] = await Promise.all([
+      Todo.findById(id),
+      before ? Todo.findById(before) : null,
+      after ? Todo.findById(after) : null
+    ]);
+    
+    if (!todo || (before && !nextTodo) || (after && !previousTodo)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Todo not found'
+      });
+    }
+    
+    // Viewers of a shared list can't change its todos
+    if (rejectIfReadOnly(res, todo)) return;
+    
+    // With If-Match, only the version the client last saw can be moved
+    if (rejectIfStale(req, res, todo)) return;
+    
+    // With a single neighbor, the other side is whatever currently follows/precedes it
+    const previousPosition = previousTodo
+      ? previousTodo.position
+      : await Todo.getAdjacentPosition(nextTodo.position, 'prev', todo._id);
+    const nextPosition = nextTodo
+      ? nextTodo.position
+      : await Todo.getAdjacentPosition(previousTodo.position, 'next', todo._id);
+    
+    if (previousPosition !== null && nextPosition !== null && previousPosition >= nextPosition) {
+      return res.status(400).json({
+        success: false,
+        message: 'The after todo must come before the before todo in the current order'
+      });
+    }
+    
+    const previousVersion = todo.toObject();
+    todo.position = keyBetween(previousPosition, nextPosition);
+    const movedTodo = await todo.save();
+    await recordHistory(req, 'move', [{ before: previousVersion, after: movedTodo }]);
+    
+    setTodoETag(res, movedTodo);
+    res.status(200).json({
+      success: true,
+      message: 'Todo moved successfully',
+      data: movedTodo
+    });
+    
+  } catch (error) {
+    console.error('Error moving todo:', error);
+    
+    // The todo changed after the If-Match check
+    if (error.name === 'DocumentNotFoundError') {
+      return respondToMissedWrite(res, req.params.id);
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while moving todo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a todo's dependency graph: what it is blocked by (upstream) and what it blocks (downstream)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTodoDependencies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid todo ID format'
+      });
+    }
+    
+    const graph = await Todo.getDependencyGraph(id);
+    
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: 'Todo not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Todo dependencies retrieved successfully',
+      data: {
+        ...graph,
+        // Blocked while any direct blocker is still pending
+        isBlocked: graph.upstream.some(node => node.depth === 0 && !node.completed)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error getting todo dependencies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving todo dependencies',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Render Markdown notes to sanitized HTML without saving (for the editor preview)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const previewNotes = async (req, res) => {
+  try {
+    const parsedNotes = parseNotes(req.body.notes ?? null, config.todo.maxNotesLength);
+    if (parsedNotes.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedNotes.error
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: { html: renderMarkdown(parsedNotes.notes) }
+    });
+    
+  } catch (error) {
+    console.error('Error previewing notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while previewing notes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a todo by ID (moves it to the trash)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -307,24 +1250,43 @@ export const deleteTodo = async (req, res) => {
       });
     }
     
-    // Find and delete todo
-    const deletedTodo = await Todo.findByIdAndDelete(id);
+    // Find todo and move it to the trash
+    const todo = await Todo.findById(id);
     
-    if (!deletedTodo) {
+    if (!todo) {
       return res.status(404).json({
         success: false,
         message: 'Todo not found'
       });
     }
     
+    // Viewers of a shared list can't change its todos
+    if (rejectIfReadOnly(res, todo)) return;
+    
+    // With If-Match, only the version the client last saw can be deleted
+    if (rejectIfStale(req, res, todo)) return;
+    
+    // A trashed todo can't keep a timer running
+    await Todo.stopTimer(todo._id);
+    
+    const previousTodo = todo.toObject();
+    const deletedTodo = await todo.moveToTrash();
+    await recordHistory(req, 'delete', [{ before: previousTodo, after: deletedTodo }]);
+    
     res.status(200).json({
       success: true,
-      message: 'Todo deleted successfully',
+      message: 'Todo moved to trash',
       data: deletedTodo
     });
     
   } catch (error) {
     console.error('Error deleting todo:', error);
+    
+    // The todo changed after the If-Match check
+    if (error.name === 'DocumentNotFoundError') {
+      return respondToMissedWrite(res, req.params.id);
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Internal server error while deleting todo',
@@ -360,19 +1322,26 @@ export const getTodoStats = async (req, res) => {
 };
 
 /**
- * Delete all completed todos
+ * Delete all completed todos (moves them to the trash)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const deleteCompletedTodos = async (req, res) => {
   try {
-    // Delete all completed todos
-    const result = await Todo.deleteMany({ completed: true });
+    // Move all completed todos to the trash, except in lists the user can only view
+    const trashedTodos = await Todo.trashCompleted(getEditableTodoFilter());
+    const deletedCount = trashedTodos.length;
+    await Todo.stopTimer(trashedTodos.map(todo => todo._id));
+    const deletedAt = new Date();
+    await recordHistory(req, 'delete', trashedTodos.map(todo => ({
+      before: todo,
+      after: { ...todo.toObject(), deletedAt }
+    })));
     
     res.status(200).json({
       success: true,
-      message: `${result.deletedCount} completed todos deleted successfully`,
-      data: { deletedCount: result.deletedCount }
+      message: `${deletedCount} completed todos moved to trash`,
+      data: { deletedCount }
     });
     
   } catch (error) {
@@ -384,3 +1353,115 @@ export const deleteCompletedTodos = async (req, res) => {
     });
   }
 };
+
+/**
+ * Archive all completed todos (removes them from the active list, keeps them in stats)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const archiveCompletedTodos = async (req, res) => {
+  try {
+    // Todos in lists the user can only view are left alone
+    const archivedTodos = await Todo.archiveCompleted(getEditableTodoFilter());
+    const archivedCount = archivedTodos.length;
+    const archivedAt = new Date();
+    await recordHistory(req, 'archive', archivedTodos.map(todo => ({
+      before: todo,
+      after: { ...todo.toObject(), archivedAt }
+    })));
+    
+    res.status(200).json({
+      success: true,
+      message: `${archivedCount} completed todos archived successfully`,
+      data: { archivedCount }
+    });
+    
+  } catch (error) {
+    console.error('Error archiving completed todos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while archiving completed todos',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Browse archived todos, most recently completed first
+ * Optional from (inclusive) / to (exclusive) filter on the completion date;
+ * dates without an offset are interpreted in timeZone
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getArchivedTodos = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, from, to, timeZone = 'UTC' } = req.query;
+    
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    
+    // Validate pagination parameters
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pagination parameters. Page must be >= 1, limit must be between 1-100'
+      });
+    }
+    
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone parameter. Use an IANA name such as "Europe/Berlin"'
+      });
+    }
+    
+    // Build completion date range filter
+    const filter = { archivedAt: { $ne: null } };
+    if (from !== undefined || to !== undefined) {
+      filter.completedAt = {};
+      if (from !== undefined) {
+        const fromDate = parseDate(from, timeZone);
+        if (!fromDate) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid from parameter. Use an ISO 8601 date or date-time'
+          });
+        }
+        filter.completedAt.$gte = fromDate;
+      }
+      if (to !== undefined) {
+        const toDate = parseDate(to, timeZone);
+        if (!toDate) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid to parameter. Use an ISO 8601 date or date-time'
+          });
+        }
+        filter.completedAt.$lt = toDate;
+      }
+    }
+    
+    const result = await Todo.getPaginatedTodos({
+      filter,
+      page: pageNum,
+      limit: limitNum,
+      sortBy: 'completedAt',
+      sortOrder: 'desc'
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Archived todos retrieved successfully',
+      data: result.todos,
+      pagination: result.pagination
+    });
+    
+  } catch (error) {
+    console.error('Error getting archived todos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving archived todos',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * Trash Controller
+ * Handles browsing, restoring and emptying soft-deleted todos
+ */
+
+import Todo from '../models/Todo.js';
+import { config } from '../config/config.js';
+import { recordHistory } from '../utils/history.js';
+import { getEditableTodoFilter, rejectIfReadOnly } from '../utils/access.js';
+
+// MongoDB ObjectId format
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Get trashed todos, most recently deleted first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    // Validate pagination parameters
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pagination parameters. Page must be >= 1, limit must be between 1-100'
+      });
+    }
+
+    const result = await Todo.getPaginatedTodos({
+      filter: { deletedAt: { $ne: null } },
+      page: pageNum,
+      limit: limitNum,
+      sortBy: 'deletedAt',
+      sortOrder: 'desc'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Trash retrieved successfully',
+      data: result.todos,
+      pagination: result.pagination,
+      purgeAfterDays: config.trash.purgeAfterDays
+    });
+
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving trash',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore a todo from the trash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreTodo = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!OBJECT_ID_REGEX.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid todo ID format'
+      });
+    }
+
+    const trashedTodo = await Todo.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!trashedTodo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Todo not found in trash'
+      });
+    }
+
+    // Viewers of a shared list can't restore its todos
+    if (rejectIfReadOnly(res, trashedTodo)) return;
+
+    const previousTodo = trashedTodo.toObject();
+    const restoredTodo = await trashedTodo.restoreFromTrash();
+    await recordHistory(req, 'restore', [{ before: previousTodo, after: restoredTodo }]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Todo restored successfully',
+      data: restoredTodo
+    });
+
+  } catch (error) {
+    console.error('Error restoring todo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while restoring todo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Permanently delete every todo in the trash, except those in lists the user can only view
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const emptyTrash = async (req, res) => {
+  try {
+    const deletedCount = await Todo.purgeTrash(new Date(), getEditableTodoFilter());
+
+    res.status(200).json({
+      success: true,
+      message: `${deletedCount} todos permanently deleted`,
+      data: { deletedCount }
+    });
+
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while emptying trash',
+      error: error.message
+    });
+  }
+};
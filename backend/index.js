@@ -4,26 +4,55 @@
  * Implements MVC architecture for Todo application
  */
 
+// Load environment variables before any module reads them (config.js reads them on import)
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import connectDB from './config/database.js';
+import Todo from './models/Todo.js';
+import authRoutes from './routes/authRoutes.js';
+import apiTokenRoutes from './routes/apiTokenRoutes.js';
 import todoRoutes from './routes/todoRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import listRoutes from './routes/listRoutes.js';
+import inviteRoutes from './routes/inviteRoutes.js';
+import trashRoutes from './routes/trashRoutes.js';
+import activityRoutes from './routes/activityRoutes.js';
+import timeRoutes from './routes/timeRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import { authenticate, requireSession } from './middleware/auth.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
+import { startTrashPurge } from './utils/trashPurge.js';
 
-// Load environment variables
-dotenv.config();
+// Tokens signed with the built-in development secret could be forged by anyone
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  console.error('JWT_SECRET must be set in production');
+  process.exit(1);
+}
 
 // Create Express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then give todos created before manual ordering a position
+// (here rather than on reads, so GET requests never write)
+connectDB()
+  .then(async () => {
+    const backfilled = await Todo.backfillPositions();
+    if (backfilled > 0) {
+      console.log(`↕️  Gave ${backfilled} todo(s) a manual order position`);
+    }
+  })
+  .catch(error => console.error('Error backfilling todo positions:', error.message));
+
+// Permanently delete old todos from the trash on a schedule
+startTrashPurge();
 
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  // Lets the frontend read todo versions for If-Match
+  exposedHeaders: ['ETag']
 }));
 
 // Body parser middleware
@@ -47,7 +76,16 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/todos', todoRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/tokens', authenticate, requireSession, apiTokenRoutes);
+app.use('/api/todos', authenticate, todoRoutes);
+app.use('/api/tags', authenticate, tagRoutes);
+app.use('/api/lists', authenticate, listRoutes);
+app.use('/api/invites', authenticate, inviteRoutes);
+app.use('/api/trash', authenticate, trashRoutes);
+app.use('/api/activity', authenticate, activityRoutes);
+app.use('/api/time', authenticate, timeRoutes);
+app.use('/api/calendar.ics', authenticate, calendarRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -57,8 +95,17 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
+      tokens: '/api/tokens',
       todos: '/api/todos',
-      stats: '/api/todos/stats'
+      stats: '/api/todos/stats',
+      tags: '/api/tags',
+      lists: '/api/lists',
+      invites: '/api/invites',
+      trash: '/api/trash',
+      activity: '/api/activity',
+      time: '/api/time',
+      calendar: '/api/calendar.ics'
     }
   });
 });
@@ -0,0 +1,122 @@
+/**
+ * Authentication Middleware
+ * Requires a valid access token or personal API token and runs the rest of the request as its user,
+ * which scopes every owner-scoped model query to that user
+ */
+
+import List from '../models/List.js';
+import ApiToken, { isApiToken, getRequiredScope } from '../models/ApiToken.js';
+import { verifyAccessToken } from '../utils/tokens.js';
+import { runAsUser } from '../utils/requestContext.js';
+
+/**
+ * Read the access token from the Authorization header
+ * GET requests may pass it as ?access_token= instead, for links that can't send headers
+ * (attachment downloads and image thumbnails)
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token, or null if none was sent
+ */
+const getAccessToken = (req) => {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (req.method === 'GET' && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+};
+
+/**
+ * Authenticate a request made with a personal API token
+ * Responds 401 for unknown or expired tokens and 403 when the token lacks the scope for the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} token - Raw API token
+ * @returns {Promise<Object|null>} { id, email } of the token's user, or null if a response was sent
+ */
+const authenticateApiToken = async (req, res, token) => {
+  const apiToken = await ApiToken.verify(token);
+  if (!apiToken) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API token',
+      code: 'TOKEN_INVALID'
+    });
+    return null;
+  }
+
+  if (!apiToken.allows(req.method)) {
+    res.status(403).json({
+      success: false,
+      message: `This API token needs the "${getRequiredScope(req.method)}" scope for ${req.method} requests`,
+      code: 'TOKEN_SCOPE'
+    });
+    return null;
+  }
+
+  req.apiToken = apiToken;
+  return { id: String(apiToken.userId._id), email: apiToken.userId.email };
+};
+
+/**
+ * Require a signed-in user
+ * Accepts access tokens (JWTs) and personal API tokens, which are limited to their scopes
+ * Responds 401 with code TOKEN_EXPIRED when the client should refresh its token
+ * Loads the user's roles on shared lists, so models and controllers can check access
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticate = async (req, res, next) => {
+  const token = getAccessToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      code: 'TOKEN_MISSING'
+    });
+  }
+
+  if (isApiToken(token)) {
+    const user = await authenticateApiToken(req, res, token);
+    if (!user) return;
+    req.user = user;
+    return runAsUser(user.id, next, await List.getRoles(user.id));
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(401).json({
+      success: false,
+      message: expired ? 'Access token expired' : 'Invalid access token',
+      code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+    });
+  }
+
+  req.user = { id: payload.sub, email: payload.email };
+  const listRoles = await List.getRoles(payload.sub);
+  runAsUser(payload.sub, next, listRoles);
+};
+
+/**
+ * Require a signed-in session rather than an API token
+ * Used for account management (such as creating API tokens), so a leaked token can't mint others
+ * Must run after authenticate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens cannot be used for this request. Please sign in',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+  next();
+};
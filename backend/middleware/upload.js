@@ -0,0 +1,100 @@
+/**
+ * Upload Middleware
+ * Parses multipart attachment uploads to the local attachment directory
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import multer from 'multer';
+import { AsyncResource } from 'async_hooks';
+import { config } from '../config/config.js';
+import { ATTACHMENTS_DIR, ensureAttachmentsDir } from '../utils/attachmentStorage.js';
+
+const { maxFileSize, maxFilesPerRequest, allowedMimeTypes } = config.attachments;
+
+// Files get random names; the original name is only kept in the database
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    try {
+      ensureAttachmentsDir();
+      cb(null, ATTACHMENTS_DIR);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    cb(null, `${crypto.randomUUID()}${extension}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  // Browsers send UTF-8 file names without declaring a charset
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: maxFileSize,
+    files: maxFilesPerRequest
+  },
+  fileFilter: (req, file, cb) => {
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Format a byte count for error messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "10 MB" or "500 KB"
+ */
+const formatSize = (bytes) => {
+  return bytes >= 1024 * 1024
+    ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+/**
+ * Accept up to maxFilesPerRequest files in the "files" field
+ * Upload errors are answered here with the API's JSON error format
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const parseAttachmentUpload = (req, res, next) => {
+  // Bound so the handler keeps the signed-in user's context: multer calls back from stream events
+  upload.array('files', maxFilesPerRequest)(req, res, AsyncResource.bind((error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `Files cannot exceed ${formatSize(maxFileSize)}`
+      });
+    }
+
+    if (error.code === 'UNSUPPORTED_TYPE') {
+      return res.status(415).json({
+        success: false,
+        message: error.message,
+        allowedTypes: allowedMimeTypes
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Upload up to ${maxFilesPerRequest} files in the "files" field`
+          : error.message
+      });
+    }
+
+    next(error);
+  }));
+};
@@ -0,0 +1,174 @@
+/**
+ * API Token Model
+ * Personal access tokens for scripts and automation; only a hash of each token is stored
+ * A token acts as its user, limited to its scopes, until it expires or is revoked (deleted)
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scopes a token can be given
+export const API_TOKEN_SCOPES = ['read', 'write', 'delete'];
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Check whether a Bearer token is an API token rather than an access token (JWT)
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for API tokens
+ */
+export const isApiToken = (token) => token.startsWith(config.apiTokens.prefix);
+
+/**
+ * Get the scope a request needs
+ * @param {string} method - HTTP method
+ * @returns {string} 'read', 'write' or 'delete'
+ */
+export const getRequiredScope = (method) => {
+  if (method === 'GET' || method === 'HEAD' || method === 'OPTIONS') {
+    return 'read';
+  }
+  return method === 'DELETE' ? 'delete' : 'write';
+};
+
+/**
+ * API Token Schema Definition
+ * Defines the structure of ApiToken documents
+ */
+const apiTokenSchema = new mongoose.Schema({
+  // User the token acts as
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+
+  // Label to tell tokens apart, e.g. the script that uses it
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [config.apiTokens.maxNameLength, `Token name cannot exceed ${config.apiTokens.maxNameLength} characters`]
+  },
+
+  // SHA-256 of the token; the raw token is only shown once, when it is created
+  tokenHash: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+
+  // Start of the token, shown so users can recognise it
+  tokenPrefix: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+
+  // What the token may do: read (GET), write (POST, PUT, PATCH), delete (DELETE)
+  scopes: {
+    type: [{ type: String, enum: API_TOKEN_SCOPES }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'A token needs at least one scope'
+    }
+  },
+
+  // null for tokens that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Updated at most once a minute while the token is in use
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Schema options
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false, // Disable __v field
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Lookup by token
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+
+// A user's tokens, newest first
+apiTokenSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Static method to create a token
+ * @param {string} userId - User ID
+ * @param {Object} options - Token options
+ * @param {string} options.name - Token name
+ * @param {Array<string>} options.scopes - Scopes
+ * @param {number|null} [options.expiresInDays] - Days until the token expires (null for never)
+ * @returns {Promise<Object>} { apiToken, token } with the raw token (not stored)
+ */
+apiTokenSchema.statics.issue = async function(userId, { name, scopes, expiresInDays = null }) {
+  const token = config.apiTokens.prefix + crypto.randomBytes(32).toString('base64url');
+  const apiToken = await this.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, config.apiTokens.prefix.length + 4),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+  });
+  return { apiToken, token };
+};
+
+/**
+ * Static method to look up a token for a request and record that it was used
+ * @param {string} token - Raw token
+ * @returns {Promise<Document|null>} Token with its user populated, or null if unknown or expired
+ */
+apiTokenSchema.statics.verify = async function(token) {
+  const now = new Date();
+  const apiToken = await this.findOne({
+    tokenHash: hashToken(token),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  }).populate('userId', 'email');
+
+  if (!apiToken?.userId) {
+    return null;
+  }
+
+  // Throttled, so a busy script doesn't write on every request
+  if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt > config.apiTokens.lastUsedIntervalMs) {
+    await this.updateOne({ _id: apiToken._id }, { lastUsedAt: now });
+    apiToken.lastUsedAt = now;
+  }
+
+  return apiToken;
+};
+
+/**
+ * Instance method to check whether the token may make a request
+ * @param {string} method - HTTP method
+ * @returns {boolean} True if one of the token's scopes covers the method
+ */
+apiTokenSchema.methods.allows = function(method) {
+  return this.scopes.includes(getRequiredScope(method));
+};
+
+// Create and export the ApiToken model with custom collection name from config
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema, config.database.apiTokenCollectionName);
+
+export default ApiToken;
@@ -0,0 +1,100 @@
+/**
+ * Comment Model
+ * Discussion thread entries attached to a todo
+ */
+
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+
+/**
+ * Comment Schema Definition
+ * Defines the structure and validation rules for Comment documents
+ */
+const commentSchema = new mongoose.Schema({
+  // Todo the comment belongs to
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true,
+    immutable: true
+  },
+
+  // Account that posted the comment (null for comments posted before accounts)
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+
+  // Display name of the author when posting, taken from their account
+  authorName: {
+    type: String,
+    required: [true, 'Author name is required'],
+    trim: true,
+    maxlength: [config.comment.maxAuthorLength, `Author name cannot exceed ${config.comment.maxAuthorLength} characters`]
+  },
+
+  // Comment text
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    minlength: [1, 'Comment body must be at least 1 character long'],
+    maxlength: [config.comment.maxBodyLength, `Comment body cannot exceed ${config.comment.maxBodyLength} characters`]
+  },
+
+  // Set when the body is edited after posting
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Schema options
+  timestamps: true, // Automatically manage createdAt and updatedAt
+  versionKey: false // Disable __v field
+});
+
+// Index for a todo's thread, oldest first
+commentSchema.index({ todoId: 1, createdAt: 1 });
+
+/**
+ * Static method to get a todo's comments with pagination, oldest first
+ * @param {string} todoId - Todo ID
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Items per page (default: config.comment.defaultLimit)
+ * @returns {Promise<Object>} Comments and pagination metadata
+ */
+commentSchema.statics.getPaginated = async function(todoId, { page = 1, limit = config.comment.defaultLimit } = {}) {
+  try {
+    const filter = { todoId };
+    const [comments, total] = await Promise.all([
+      this.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      this.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      comments,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  } catch (error) {
+    throw new Error('Failed to get comments');
+  }
+};
+
+// Create and export the Comment model with custom collection name from config
+const Comment = mongoose.model('Comment', commentSchema, config.database.commentCollectionName);
+
+export default Comment;
@@ -0,0 +1,187 @@
+/**
+ * List Model
+ * Defines the schema and model for todo lists (projects) in MongoDB
+ */
+
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import { ownerScope } from '../utils/ownerScope.js';
+import { COLLABORATOR_ROLES } from '../utils/access.js';
+import { EMAIL_REGEX } from './User.js';
+
+/**
+ * Collaborator Schema Definition
+ * A user the list is shared with and what they may do
+ */
+const collaboratorSchema = new mongoose.Schema({
+  // Collaborating user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 'editor' (change todos) or 'viewer' (read only)
+  role: {
+    type: String,
+    enum: {
+      values: COLLABORATOR_ROLES,
+      message: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`
+    },
+    required: true
+  },
+
+  // When the invite was accepted
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Invite Schema Definition
+ * A pending invitation to an existing account, which only that account can accept
+ */
+const inviteSchema = new mongoose.Schema({
+  // Invited account; emails aren't verified, so invites are matched on this, not the email
+  // (older invites made by email alone have none and can only be withdrawn)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Email the owner typed, shown in the pending invites; stored lowercase
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    match: [EMAIL_REGEX, 'Email must be a valid email address']
+  },
+
+  // Role given on acceptance
+  role: {
+    type: String,
+    enum: {
+      values: COLLABORATOR_ROLES,
+      message: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`
+    },
+    required: true
+  },
+
+  // The invite can't be accepted after this
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+/**
+ * List Schema Definition
+ * Defines the structure and validation rules for List documents
+ */
+const listSchema = new mongoose.Schema({
+  // List name - required field with validation
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    minlength: [1, 'List name must be at least 1 character long'],
+    maxlength: [config.list.maxNameLength, `List name cannot exceed ${config.list.maxNameLength} characters`]
+  },
+
+  // Display color as a hex value (e.g. '#3b82f6')
+  color: {
+    type: String,
+    default: config.list.defaultColor,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value such as #3b82f6']
+  },
+
+  // Icon name (lucide icon identifier used by the frontend)
+  icon: {
+    type: String,
+    default: config.list.defaultIcon,
+    trim: true,
+    maxlength: [50, 'Icon name cannot exceed 50 characters']
+  },
+
+  // Archived lists are hidden from the default list view
+  archived: {
+    type: Boolean,
+    default: false
+  },
+
+  // Users the list is shared with
+  collaborators: {
+    type: [collaboratorSchema],
+    default: []
+  },
+
+  // Pending invitations
+  invites: {
+    type: [inviteSchema],
+    default: []
+  }
+}, {
+  // Schema options
+  timestamps: true, // Automatically manage createdAt and updatedAt
+  versionKey: false // Disable __v field
+});
+
+// Every list belongs to a user; queries see the lists the signed-in user owns or collaborates on
+listSchema.plugin(ownerScope, {
+  scopeFilter: (ownerId, listIds) => ({ $or: [{ ownerId }, { _id: { $in: listIds } }] })
+});
+
+// Lookups of the lists a user collaborates on or is invited to
+listSchema.index({ 'collaborators.userId': 1 });
+listSchema.index({ 'invites.userId': 1 });
+
+/**
+ * Static method to get a user's role on every list they own or collaborate on
+ * Runs before the request is scoped to the user, so it sees every list
+ * @param {string} userId - User ID
+ * @returns {Promise<Map<string, string>>} Role by list ID
+ */
+listSchema.statics.getRoles = async function(userId) {
+  const lists = await this.find({ $or: [{ ownerId: userId }, { 'collaborators.userId': userId }] })
+    .select('ownerId collaborators')
+    .setOptions({ allOwners: true })
+    .lean();
+
+  return new Map(lists.map(list => [
+    String(list._id),
+    String(list.ownerId) === String(userId)
+      ? 'owner'
+      : list.collaborators.find(collaborator => String(collaborator.userId) === String(userId)).role
+  ]));
+};
+
+/**
+ * Static method to get the unexpired invites for an account, across every user's lists
+ * @param {string} userId - Invited user ID
+ * @returns {Promise<Array>} Invites as { _id, role, expiresAt, list: { _id, name, color, icon }, owner }
+ */
+listSchema.statics.getInvitesFor = async function(userId) {
+  const now = new Date();
+  const lists = await this.find({ invites: { $elemMatch: { userId, expiresAt: { $gt: now } } } })
+    .populate('ownerId', 'name email')
+    .setOptions({ allOwners: true });
+
+  return lists.flatMap(list => list.invites
+    .filter(invite => String(invite.userId) === String(userId) && invite.expiresAt > now)
+    .map(invite => ({
+      _id: invite._id,
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+      list: { _id: list._id, name: list.name, color: list.color, icon: list.icon },
+      owner: list.ownerId
+    })));
+};
+
+// Create and export the List model with custom collection name from config
+const List = mongoose.model('List', listSchema, config.database.listCollectionName);
+
+export default List;
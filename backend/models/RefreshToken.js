@@ -0,0 +1,126 @@
+/**
+ * Refresh Token Model
+ * Long-lived tokens that renew access tokens; only a hash of each token is stored
+ * Tokens are single-use: every refresh replaces the token with a new one
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Refresh Token Schema Definition
+ * Defines the structure of RefreshToken documents
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  // User the token signs in
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+
+  // SHA-256 of the token; the raw token is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+
+  // Expired tokens are removed by MongoDB's TTL monitor
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when the token is used (rotated) or the user logs out
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Schema options
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false // Disable __v field
+});
+
+// Lookup by token
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+
+// Revoking every token of a user
+refreshTokenSchema.index({ userId: 1 });
+
+// Delete tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to issue a new refresh token
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Raw token (not stored)
+ */
+refreshTokenSchema.statics.issue = async function(userId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await this.create({
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + config.auth.refreshTokenDays * DAY_MS)
+  });
+  return token;
+};
+
+/**
+ * Static method to use a refresh token, replacing it with a new one
+ * Using a token that was already rotated means it leaked, so all of the user's tokens are revoked
+ * @param {string} token - Raw token
+ * @returns {Promise<Object|null>} { userId, token } with the replacement token, or null if it can't be used
+ */
+refreshTokenSchema.statics.rotate = async function(token) {
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const stored = await this.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  );
+
+  if (!stored) {
+    const reused = await this.findOne({ tokenHash: hashToken(token), revokedAt: { $ne: null } });
+    if (reused) {
+      await this.revokeAll(reused.userId);
+    }
+    return null;
+  }
+
+  return { userId: stored.userId, token: await this.issue(stored.userId) };
+};
+
+/**
+ * Static method to revoke a single refresh token (logout)
+ * @param {string} token - Raw token
+ * @returns {Promise<Object>} Update result
+ */
+refreshTokenSchema.statics.revoke = function(token) {
+  return this.updateOne({ tokenHash: hashToken(token), revokedAt: null }, { revokedAt: new Date() });
+};
+
+/**
+ * Static method to revoke every refresh token of a user (sign out everywhere)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Update result
+ */
+refreshTokenSchema.statics.revokeAll = function(userId) {
+  return this.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Create and export the RefreshToken model with custom collection name from config
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema, config.database.refreshTokenCollectionName);
+
+export default RefreshToken;
@@ -0,0 +1,206 @@
+/**
+ * Time Entry Model
+ * Tracked time spent on a todo, recorded by the start/stop timer or entered manually
+ */
+
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import { ownerScope } from '../utils/ownerScope.js';
+
+/**
+ * Time Entry Schema Definition
+ * Defines the structure and validation rules for TimeEntry documents
+ */
+const timeEntrySchema = new mongoose.Schema({
+  // Todo the time was spent on
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true,
+    immutable: true
+  },
+
+  // When the work started
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+
+  // When the work stopped - null while the timer is running
+  endedAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(endedAt) {
+        return endedAt === null || endedAt > this.startedAt;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+
+  // True only for the running timer; a unique index allows a single running timer per user
+  running: {
+    type: Boolean,
+    default: false
+  },
+
+  // How the entry was created
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'timer',
+    immutable: true
+  },
+
+  // Optional description of the work
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [config.timeTracking.maxNoteLength, `Note cannot exceed ${config.timeTracking.maxNoteLength} characters`]
+  }
+}, {
+  // Schema options
+  timestamps: true, // Automatically manage createdAt and updatedAt
+  versionKey: false, // Disable __v field
+  toJSON: { virtuals: true } // Include durationSeconds
+});
+
+// Time entries belong to a user; each user has their own running timer
+timeEntrySchema.plugin(ownerScope);
+
+/**
+ * Virtual: length of a finished entry in seconds (null while running)
+ */
+timeEntrySchema.virtual('durationSeconds').get(function() {
+  if (!this.endedAt) {
+    return null;
+  }
+  return Math.round((this.endedAt - this.startedAt) / 1000);
+});
+
+// Index for a todo's entries, newest first
+timeEntrySchema.index({ todoId: 1, startedAt: -1 });
+
+// Index for reports over a date range
+timeEntrySchema.index({ startedAt: 1 });
+
+// A user can never have two timers running at once, even under concurrent start requests
+timeEntrySchema.index({ ownerId: 1, running: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+/**
+ * Static method to get the running timer, if any
+ * @returns {Promise<Document|null>} Running entry
+ */
+timeEntrySchema.statics.getRunning = function() {
+  return this.findOne({ running: true });
+};
+
+/**
+ * Static method to stop the running timer
+ * @param {string|Object} [todoId] - Only stop it if it belongs to this todo (or matches this condition, e.g. { $in: ids })
+ * @returns {Promise<Document|null>} Stopped entry, or null if no matching timer was running
+ */
+timeEntrySchema.statics.stopRunning = function(todoId) {
+  const filter = { running: true };
+  if (todoId) {
+    filter.todoId = todoId;
+  }
+  return this.findOneAndUpdate(
+    filter,
+    { endedAt: new Date(), running: false },
+    { new: true }
+  );
+};
+
+/**
+ * Static method to sum the finished time entries of a todo
+ * Counts every collaborator's entries, since a shared todo's tracked time is the team's
+ * @param {string} todoId - Todo ID
+ * @returns {Promise<number>} Tracked time in seconds
+ */
+timeEntrySchema.statics.getTotalSeconds = async function(todoId) {
+  const [result] = await this.aggregate([
+    { $match: { todoId: new mongoose.Types.ObjectId(String(todoId)), endedAt: { $ne: null } } },
+    { $group: { _id: null, ms: { $sum: { $subtract: ['$endedAt', '$startedAt'] } } } }
+  ]).option({ allOwners: true });
+  return result ? Math.round(result.ms / 1000) : 0;
+};
+
+/**
+ * Static method to sum tracked time over a date range
+ * Entries count towards the day they started on; entries of trashed todos are left out
+ * @param {Object} options - Report options
+ * @param {Date} options.from - Range start (inclusive)
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {string} options.groupBy - 'day', 'tag' or 'list'
+ * @param {string} [options.timeZone='UTC'] - Time zone for day boundaries
+ * @returns {Promise<Object>} { groups: [{ key, label, seconds, entryCount, todoCount }], totalSeconds }
+ */
+timeEntrySchema.statics.getReport = async function({ from, to, groupBy, timeZone = 'UTC' }) {
+  try {
+    const keys = {
+      day: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone: timeZone } },
+      tag: '$todo.tags',
+      list: '$todo.listId'
+    };
+
+    const pipeline = [
+      { $match: { startedAt: { $gte: from, $lt: to }, endedAt: { $ne: null } } },
+      { $lookup: { from: config.database.collectionName, localField: 'todoId', foreignField: '_id', as: 'todo' } },
+      { $unwind: '$todo' },
+      { $match: { 'todo.deletedAt': null } },
+      { $addFields: { ms: { $subtract: ['$endedAt', '$startedAt'] } } }
+    ];
+
+    // An entry counts once for each tag of its todo; untagged time is grouped under null
+    if (groupBy === 'tag') {
+      pipeline.push({ $unwind: { path: '$todo.tags', preserveNullAndEmptyArrays: true } });
+    }
+
+    pipeline.push(
+      {
+        $group: {
+          _id: keys[groupBy],
+          ms: { $sum: '$ms' },
+          entryCount: { $sum: 1 },
+          todos: { $addToSet: '$todoId' }
+        }
+      },
+      { $sort: groupBy === 'day' ? { _id: 1 } : { ms: -1, _id: 1 } }
+    );
+
+    if (groupBy === 'list') {
+      pipeline.push(
+        { $lookup: { from: config.database.listCollectionName, localField: '_id', foreignField: '_id', as: 'list' } },
+        { $addFields: { label: { $ifNull: [{ $arrayElemAt: ['$list.name', 0] }, 'Inbox'] } } }
+      );
+    }
+
+    const [groups, [total]] = await Promise.all([
+      this.aggregate(pipeline),
+      this.aggregate([
+        ...pipeline.slice(0, 5),
+        { $group: { _id: null, ms: { $sum: '$ms' } } }
+      ])
+    ]);
+
+    return {
+      groups: groups.map(group => ({
+        key: group._id ?? null,
+        label: group.label ?? (group._id === null ? 'Untagged' : String(group._id)),
+        seconds: Math.round(group.ms / 1000),
+        entryCount: group.entryCount,
+        todoCount: group.todos.length
+      })),
+      totalSeconds: total ? Math.round(total.ms / 1000) : 0
+    };
+  } catch (error) {
+    throw new Error('Failed to build time report');
+  }
+};
+
+// Create and export the TimeEntry model with custom collection name from config
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema, config.database.timeEntryCollectionName);
+
+export default TimeEntry;
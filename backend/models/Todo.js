@@ -5,6 +5,126 @@
 
 import mongoose from 'mongoose';
 import { config } from '../config/config.js';
+import { getTransactionSession } from '../config/database.js';
+import { ownerScope } from '../utils/ownerScope.js';
+import { isValidTimeZone, getZonedParts } from '../utils/dateUtils.js';
+import { isValidTag } from '../utils/tagUtils.js';
+import { FREQUENCIES, getNextOccurrence } from '../utils/recurrence.js';
+import { isValidPosition, keyBetween, sequentialKeys } from '../utils/position.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { removeAttachmentFiles } from '../utils/attachmentStorage.js';
+import { encodeCursor, buildKeysetFilter } from '../utils/cursor.js';
+import Comment from './Comment.js';
+import TimeEntry from './TimeEntry.js';
+
+/**
+ * Subtask Schema Definition
+ * Checklist items embedded in a todo, each with its own _id
+ */
+const subtaskSchema = new mongoose.Schema({
+  // Subtask text content
+  text: {
+    type: String,
+    required: [true, 'Subtask text is required'],
+    trim: true,
+    minlength: [1, 'Subtask text must be at least 1 character long'],
+    maxlength: [500, 'Subtask text cannot exceed 500 characters']
+  },
+  
+  // Completion status - defaults to false
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Display position within the checklist (0-based)
+  order: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Attachment Schema Definition
+ * Metadata for files stored in the local attachment directory
+ */
+const attachmentSchema = new mongoose.Schema({
+  // File name as uploaded, used for downloads
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  
+  // Random file name on disk
+  storedName: {
+    type: String,
+    required: true
+  },
+  
+  mimeType: {
+    type: String,
+    required: true
+  },
+  
+  // Size in bytes
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Recurrence Schema Definition
+ * RRULE-style schedule; validated in detail by utils/recurrence.js
+ */
+const recurrenceSchema = new mongoose.Schema({
+  // How the schedule repeats
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  
+  // Repeat every N days/weeks/months
+  interval: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 1
+  },
+  
+  // Weekly only: days to repeat on (0 = Sunday)
+  daysOfWeek: {
+    type: [Number],
+    default: undefined
+  },
+  
+  // Monthly only: day of the month (clamped to shorter months)
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  
+  // Optional end date for the series
+  until: {
+    type: Date
+  },
+  
+  // Optional total number of occurrences
+  count: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
 
 /**
  * Todo Schema Definition
@@ -20,12 +140,205 @@ const todoSchema = new mongoose.Schema({
     maxlength: [500, 'Todo text cannot exceed 500 characters']
   },
   
+  // Long-form notes in Markdown - null when empty
+  notes: {
+    type: String,
+    default: null,
+    maxlength: [config.todo.maxNotesLength, `Notes cannot exceed ${config.todo.maxNotesLength} characters`]
+  },
+  
+  // Sanitized HTML rendering of the notes, kept in sync by the save/update hooks
+  notesHtml: {
+    type: String,
+    default: null
+  },
+  
   // Completion status - defaults to false
   completed: {
     type: Boolean,
     default: false
   },
   
+  // List (project) the todo belongs to - null for the inbox
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  
+  // Manual order: fractional rank key, sorted as a plain string
+  position: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidPosition(value),
+      message: props => `${props.value} is not a valid position key`
+    }
+  },
+  
+  // Priority level - 'none' when not set
+  priority: {
+    type: String,
+    enum: {
+      values: config.todo.priorities,
+      message: 'Priority must be one of: ' + config.todo.priorities.join(', ')
+    },
+    default: 'none'
+  },
+  
+  // Todos that must be completed before this one can be
+  blockedBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Todo' }],
+    default: [],
+    validate: {
+      validator: (blockedBy) => blockedBy.length <= config.todo.maxBlockers,
+      message: `A todo cannot be blocked by more than ${config.todo.maxBlockers} todos`
+    }
+  },
+  
+  // Tags/labels - normalized to lowercase without a leading '#'
+  tags: {
+    type: [String],
+    default: [],
+    validate: [
+      {
+        validator: (tags) => tags.every(isValidTag),
+        message: 'Tags may contain letters, digits, "-", "_" and "/"'
+      },
+      {
+        validator: (tags) => tags.length <= config.todo.maxTags,
+        message: `A todo cannot have more than ${config.todo.maxTags} tags`
+      }
+    ]
+  },
+  
+  // Checklist items
+  subtasks: {
+    type: [subtaskSchema],
+    default: [],
+    validate: {
+      validator: (subtasks) => subtasks.length <= config.todo.maxSubtasks,
+      message: `A todo cannot have more than ${config.todo.maxSubtasks} subtasks`
+    }
+  },
+  
+  // Uploaded files
+  attachments: {
+    type: [attachmentSchema],
+    default: [],
+    validate: {
+      validator: (attachments) => attachments.length <= config.attachments.maxFilesPerTodo,
+      message: `A todo cannot have more than ${config.attachments.maxFilesPerTodo} attachments`
+    }
+  },
+  
+  // Number of comments in the todo's thread, kept in sync by the comment controller
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Estimated effort in minutes - null when not estimated
+  estimateMinutes: {
+    type: Number,
+    default: null,
+    min: [1, 'Estimate must be at least 1 minute'],
+    max: [config.timeTracking.maxEstimateMinutes, `Estimate cannot exceed ${config.timeTracking.maxEstimateMinutes} minutes`],
+    validate: {
+      validator: (minutes) => minutes === null || Number.isInteger(minutes),
+      message: 'Estimate must be a whole number of minutes'
+    }
+  },
+  
+  // Total of the todo's finished time entries, kept in sync by the time controller
+  trackedSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Complete the todo automatically once every subtask is done
+  autoCompleteOnSubtasks: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Recurrence rule - null for one-off todos
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  
+  // First todo of the recurring series this todo belongs to
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  
+  // 1-based position within the series
+  occurrence: {
+    type: Number,
+    default: 1
+  },
+  
+  // Occurrence created when this todo was completed
+  nextOccurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  
+  // Due date - optional, stored as a UTC instant
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  
+  // IANA time zone the due date was set in (e.g. 'Europe/Berlin')
+  dueTimeZone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidTimeZone(value),
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
+  
+  // UID of the calendar entry the todo was imported from, kept so the calendar feed
+  // and later imports of the same entry refer to the same todo (null: derived from _id)
+  icalUid: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: [255, 'Calendar UID cannot exceed 255 characters']
+  },
+  
+  // When the todo was last completed - null while pending
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // When the completed todo was archived - null for todos in the active list
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // When the todo was moved to the trash - null for active todos
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Incremented by every edit; the todo's ETag for conditional requests (If-Match)
+  version: {
+    type: Number,
+    default: 0
+  },
+  
   // Creation timestamp - automatically set
   createdAt: {
     type: Date,
@@ -40,27 +353,165 @@ const todoSchema = new mongoose.Schema({
 }, {
   // Schema options
   timestamps: true, // Automatically manage createdAt and updatedAt
-  versionKey: false // Disable __v field
+  versionKey: false, // Disable __v field (version above counts every edit, not just array changes)
+  toJSON: { virtuals: true } // Include computed fields such as progress
+});
+
+// Every todo belongs to a user; queries see the signed-in user's inbox and the todos of
+// every list they own or collaborate on, whoever created them
+todoSchema.plugin(ownerScope, {
+  scopeFilter: (ownerId, listIds) => ({ $or: [{ ownerId, listId: null }, { listId: { $in: listIds } }] })
+});
+
+/**
+ * Virtual: subtask completion percentage (0-100), or null without subtasks
+ */
+todoSchema.virtual('progress').get(function() {
+  if (!this.subtasks || this.subtasks.length === 0) {
+    return null;
+  }
+  const done = this.subtasks.filter(subtask => subtask.completed).length;
+  return Math.round((done / this.subtasks.length) * 100);
 });
 
+/**
+ * Virtual: the blocking todos, populated on demand with populate('blockers')
+ */
+todoSchema.virtual('blockers', {
+  ref: 'Todo',
+  localField: 'blockedBy',
+  foreignField: '_id'
+});
+
+// Index for due date range queries (overdue, upcoming)
+todoSchema.index({ dueAt: 1, completed: 1 });
+
+// Multikey index for tag filtering and tag usage counts
+todoSchema.index({ tags: 1 });
+
+// Index for per-list queries and stats
+todoSchema.index({ listId: 1, completed: 1 });
+
+// Index for the archive browser (filtered and sorted by completion date)
+todoSchema.index({ archivedAt: 1, completedAt: -1 });
+
+// Index for manual ordering
+todoSchema.index({ position: 1 });
+
+// Multikey index for finding the todos a todo blocks
+todoSchema.index({ blockedBy: 1 });
+
+// Index for browsing and purging the trash
+todoSchema.index({ deletedAt: 1 });
+
+// Full-text index for search; matches in the text rank above matches in the notes
+todoSchema.index(
+  { text: 'text', notes: 'text' },
+  { name: 'todo_text_search', weights: { text: 3, notes: 1 } }
+);
+
+// Index for matching re-imported calendar entries
+todoSchema.index({ icalUid: 1 }, { partialFilterExpression: { icalUid: { $type: 'string' } } });
+
+// One todo per series position, so concurrent completions can't spawn duplicates
+todoSchema.index(
+  { seriesId: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
+
 /**
  * Pre-save middleware
- * Updates the updatedAt field before saving
+ * Updates the version, updatedAt field, completion timestamp and rendered notes before saving
  */
 todoSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified()) {
+    this.version = (this.version ?? 0) + 1;
+  }
   this.updatedAt = new Date();
+  // A completion time given along with completing the todo (e.g. by an import) is kept
+  if (this.isModified('completed') && !(this.completed && this.completedAt && this.isModified('completedAt'))) {
+    this.completedAt = this.completed ? new Date() : null;
+  }
+  if (this.isModified('notes')) {
+    this.notesHtml = renderMarkdown(this.notes);
+  }
   next();
 });
 
 /**
  * Pre-update middleware
- * Updates the updatedAt field before updating
+ * Updates the updatedAt field, completion timestamp and rendered notes before updating
  */
 todoSchema.pre(['updateOne', 'findOneAndUpdate'], function(next) {
   this.set({ updatedAt: new Date() });
+  const update = this.getUpdate();
+  const completed = update.completed ?? update.$set?.completed;
+  if (typeof completed === 'boolean') {
+    this.set({ completedAt: completed ? new Date() : null });
+  }
+  const notes = 'notes' in update ? update.notes : update.$set?.notes;
+  if (notes !== undefined) {
+    this.set({ notesHtml: renderMarkdown(notes) });
+  }
+  next();
+});
+
+/**
+ * Pre-update middleware
+ * Every update makes a new version of the todos it changes, except bookkeeping
+ * run without timestamps (which isn't an edit either)
+ */
+todoSchema.pre(['updateOne', 'findOneAndUpdate', 'updateMany'], function(next) {
+  if (this.mongooseOptions().timestamps === false) return next();
+  const update = this.getUpdate();
+  if (Array.isArray(update)) {
+    update.push({ $set: { version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } });
+  } else {
+    update.$inc = { ...update.$inc, version: 1 };
+  }
+  next();
+});
+
+/**
+ * Soft-delete middleware
+ * Hides trashed todos from every query unless the filter mentions deletedAt
+ * or the query is run with the withDeleted option
+ */
+todoSchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
   next();
 });
 
+/**
+ * Soft-delete middleware for aggregations (stats, tag counts, priority sort)
+ */
+todoSchema.pre('aggregate', function(next) {
+  if (!this.options.withDeleted) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+  next();
+});
+
+/**
+ * Instance method to move the todo to the trash
+ * @returns {Promise<Document>} Updated todo document
+ */
+todoSchema.methods.moveToTrash = function() {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Instance method to restore the todo from the trash
+ * @returns {Promise<Document>} Updated todo document
+ */
+todoSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  return this.save();
+};
+
 /**
  * Instance method to toggle completion status
  * @returns {Promise<Document>} Updated todo document
@@ -70,53 +521,695 @@ todoSchema.methods.toggleComplete = function() {
   return this.save();
 };
 
+/**
+ * Sync the parent completion state with its subtasks
+ * Only applies when autoCompleteOnSubtasks is enabled
+ */
+todoSchema.methods.applySubtaskRollup = function() {
+  if (!this.autoCompleteOnSubtasks || this.subtasks.length === 0) {
+    return;
+  }
+  this.completed = this.subtasks.every(subtask => subtask.completed);
+};
+
+/**
+ * Instance method to add a subtask at the end of the checklist
+ * @param {string} text - Subtask text
+ * @returns {Promise<Document>} Updated todo document
+ */
+todoSchema.methods.addSubtask = function(text) {
+  const order = this.subtasks.reduce((max, subtask) => Math.max(max, subtask.order + 1), 0);
+  this.subtasks.push({ text, order });
+  this.applySubtaskRollup();
+  return this.save();
+};
+
+/**
+ * Instance method to toggle a subtask's completion status
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Promise<Document|null>} Updated todo, or null if the subtask doesn't exist
+ */
+todoSchema.methods.toggleSubtask = function(subtaskId) {
+  const subtask = this.subtasks.id(subtaskId);
+  if (!subtask) {
+    return Promise.resolve(null);
+  }
+  subtask.completed = !subtask.completed;
+  this.applySubtaskRollup();
+  return this.save();
+};
+
+/**
+ * Instance method to reorder subtasks
+ * @param {Array<string>} subtaskIds - Every subtask ID in the new order
+ * @returns {Promise<Document|null>} Updated todo, or null if the IDs don't match the checklist
+ */
+todoSchema.methods.reorderSubtasks = function(subtaskIds) {
+  const currentIds = this.subtasks.map(subtask => subtask._id.toString()).sort();
+  const requestedIds = [...subtaskIds].map(String).sort();
+  
+  if (currentIds.length !== requestedIds.length ||
+      currentIds.some((id, index) => id !== requestedIds[index])) {
+    return Promise.resolve(null);
+  }
+  
+  subtaskIds.forEach((id, index) => {
+    this.subtasks.id(id).order = index;
+  });
+  this.subtasks.sort((a, b) => a.order - b.order);
+  return this.save();
+};
+
+/**
+ * Instance method to remove a subtask
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Promise<Document|null>} Updated todo, or null if the subtask doesn't exist
+ */
+todoSchema.methods.removeSubtask = function(subtaskId) {
+  const subtask = this.subtasks.id(subtaskId);
+  if (!subtask) {
+    return Promise.resolve(null);
+  }
+  subtask.deleteOne();
+  this.applySubtaskRollup();
+  return this.save();
+};
+
+/**
+ * Instance method to add uploaded files as attachments
+ * @param {Array<Object>} files - Uploaded files from multer
+ * @returns {Promise<Document>} Updated todo document
+ */
+todoSchema.methods.addAttachments = function(files) {
+  files.forEach(file => {
+    this.attachments.push({
+      originalName: file.originalname,
+      storedName: file.filename,
+      mimeType: file.mimetype,
+      size: file.size
+    });
+  });
+  return this.save();
+};
+
+/**
+ * Instance method to remove an attachment (the file itself is removed by the caller)
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Object|null>} Removed attachment, or null if it doesn't exist
+ */
+todoSchema.methods.removeAttachment = async function(attachmentId) {
+  const attachment = this.attachments.id(attachmentId);
+  if (!attachment) {
+    return null;
+  }
+  attachment.deleteOne();
+  await this.save();
+  return attachment;
+};
+
+/**
+ * Instance method to get the blocking todos that are still pending
+ * Trashed blockers no longer block
+ * @returns {Promise<Array>} Pending blockers (text only)
+ */
+todoSchema.methods.getPendingBlockers = function() {
+  if (this.blockedBy.length === 0) {
+    return Promise.resolve([]);
+  }
+  return this.constructor.find({ _id: { $in: this.blockedBy }, completed: false }).select('text');
+};
+
+/**
+ * Instance method to create the next occurrence of a recurring todo
+ * Safe to call more than once: the (seriesId, occurrence) unique index
+ * guarantees a single next occurrence even under concurrent requests
+ * @returns {Promise<Document|null>} Next occurrence, or null if none is due
+ *   ($locals.created is true when this call created it)
+ */
+todoSchema.methods.spawnNextOccurrence = async function() {
+  if (!this.recurrence || !this.completed) {
+    return null;
+  }
+  
+  const Model = this.constructor;
+  if (this.nextOccurrenceId) {
+    return Model.findById(this.nextOccurrenceId);
+  }
+  
+  const timeZone = this.dueTimeZone || 'UTC';
+  const from = this.dueAt || new Date();
+  const nextDueAt = getNextOccurrence(this.recurrence, {
+    from,
+    occurrence: this.occurrence,
+    timeZone
+  });
+  
+  if (!nextDueAt) {
+    return null;
+  }
+  
+  const seriesId = this.seriesId || this._id;
+  const recurrence = this.recurrence.toObject();
+  if (recurrence.frequency === 'monthly' && !recurrence.dayOfMonth) {
+    // Pin the day so a clamped month (e.g. Feb 28) doesn't shift the series
+    recurrence.dayOfMonth = getZonedParts(from, timeZone).day;
+  }
+  
+  // A duplicate key error would abort a surrounding transaction, so look for the occurrence first
+  let next = await Model.findOne({ seriesId, occurrence: this.occurrence + 1 })
+    .setOptions({ withDeleted: true });
+  if (!next) {
+    try {
+      next = await Model.create({
+        text: this.text,
+        notes: this.notes,
+        position: await Model.getPositionAfter(this.position),
+        listId: this.listId,
+        priority: this.priority,
+        tags: this.tags,
+        estimateMinutes: this.estimateMinutes,
+        subtasks: this.subtasks.map(({ text, order }) => ({ text, order })),
+        autoCompleteOnSubtasks: this.autoCompleteOnSubtasks,
+        recurrence,
+        seriesId,
+        occurrence: this.occurrence + 1,
+        dueAt: nextDueAt,
+        dueTimeZone: this.dueTimeZone
+      });
+      next.$locals.created = true;
+    } catch (error) {
+      // Another request created this occurrence in the meantime
+      if (error.code !== 11000) throw error;
+      next = await Model.findOne({ seriesId, occurrence: this.occurrence + 1 })
+        .setOptions({ withDeleted: true });
+    }
+  }
+  
+  await Model.updateOne(
+    { _id: this._id },
+    { seriesId, nextOccurrenceId: next._id }
+  );
+  this.seriesId = seriesId;
+  this.nextOccurrenceId = next._id;
+  this.version = (this.version ?? 0) + 1;
+  
+  return next;
+};
+
+/**
+ * Static method to get the position key for a new todo at the top of the manual order
+ * @returns {Promise<string>} Position key
+ */
+todoSchema.statics.getTopPosition = async function() {
+  const first = await this.findOne({ position: { $ne: null } })
+    .setOptions({ withDeleted: true })
+    .sort({ position: 1 })
+    .select('position');
+  return keyBetween(null, first?.position ?? null);
+};
+
+/**
+ * Static method to get the position key directly after a position
+ * @param {string|null} position - Position to follow (null for the top)
+ * @returns {Promise<string>} Position key
+ */
+todoSchema.statics.getPositionAfter = async function(position) {
+  if (!position) {
+    return this.getTopPosition();
+  }
+  const following = await this.getAdjacentPosition(position, 'next');
+  return keyBetween(position, following);
+};
+
+/**
+ * Static method to find the nearest position before or after a position
+ * Trashed todos are included so they keep their place when restored
+ * @param {string} position - Reference position
+ * @param {string} direction - 'prev' or 'next'
+ * @param {ObjectId|string} [excludeId] - Todo to ignore (the one being moved)
+ * @returns {Promise<string|null>} Neighboring position, or null at the start/end
+ */
+todoSchema.statics.getAdjacentPosition = async function(position, direction, excludeId) {
+  const isNext = direction === 'next';
+  const neighbor = await this.findOne({
+    position: isNext ? { $gt: position } : { $lt: position },
+    ...(excludeId && { _id: { $ne: excludeId } })
+  })
+    .setOptions({ withDeleted: true })
+    .sort({ position: isNext ? 1 : -1 })
+    .select('position');
+  return neighbor?.position ?? null;
+};
+
+/**
+ * Static method to give todos created before manual ordering a position
+ * They are appended after every positioned todo, newest first
+ * @returns {Promise<number>} Number of todos updated
+ */
+todoSchema.statics.backfillPositions = async function() {
+  try {
+    const missing = await this.find({ position: null })
+      .setOptions({ withDeleted: true })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('_id');
+    if (missing.length === 0) {
+      return 0;
+    }
+    
+    const last = await this.findOne({ position: { $ne: null } })
+      .setOptions({ withDeleted: true })
+      .sort({ position: -1 })
+      .select('position');
+    // Extending the last key keeps every new key after it
+    const keys = sequentialKeys(missing.length).map(key => `${last?.position ?? ''}${key}`);
+    
+    await this.bulkWrite(missing.map((todo, index) => ({
+      updateOne: {
+        filter: { _id: todo._id },
+        update: { position: keys[index] },
+        timestamps: false
+      }
+    })));
+    return missing.length;
+  } catch (error) {
+    throw new Error('Failed to backfill todo positions');
+  }
+};
+
+/**
+ * Static method to update the recurrence of every pending todo in a series
+ * @param {ObjectId} seriesId - Series ID (the first todo's _id)
+ * @param {Object|null} recurrence - New rule, or null to stop the series
+ * @returns {Promise<number>} Number of todos updated
+ */
+todoSchema.statics.updateSeries = async function(seriesId, recurrence) {
+  try {
+    const result = await this.updateMany(
+      { $or: [{ _id: seriesId }, { seriesId }], completed: false },
+      { recurrence }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    throw new Error('Failed to update recurring series');
+  }
+};
+
+/**
+ * Static method to move every completed todo to the trash
+ * @param {Object} [filter={}] - Further MongoDB filter, e.g. to skip todos the user can't edit
+ * @returns {Promise<Array>} Trashed todos as they were before being trashed
+ */
+todoSchema.statics.trashCompleted = async function(filter = {}) {
+  try {
+    const todos = await this.find({ ...filter, completed: true, archivedAt: null });
+    if (todos.length > 0) {
+      await this.updateMany(
+        { _id: { $in: todos.map(todo => todo._id) } },
+        { deletedAt: new Date() }
+      );
+    }
+    return todos;
+  } catch (error) {
+    throw new Error('Failed to move completed todos to the trash');
+  }
+};
+
+/**
+ * Static method to check whether blocking a todo by the given todos would create a cycle,
+ * i.e. whether the todo is already (transitively) upstream of one of them
+ * Trashed todos are included (the blockers themselves and every todo upstream), since they can be restored
+ * @param {string} todoId - Todo that would be blocked
+ * @param {Array<string>} blockerIds - Proposed blocking todos
+ * @returns {Promise<boolean>} True if a cycle would be created
+ */
+todoSchema.statics.wouldCreateCycle = async function(todoId, blockerIds) {
+  const id = String(todoId);
+  if (blockerIds.some(blockerId => String(blockerId) === id)) {
+    return true;
+  }
+  if (blockerIds.length === 0) {
+    return false;
+  }
+  
+  const results = await this.aggregate([
+    { $match: { _id: { $in: blockerIds.map(blockerId => new mongoose.Types.ObjectId(String(blockerId))) } } },
+    {
+      $graphLookup: {
+        from: this.collection.collectionName,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream'
+      }
+    },
+    { $project: { upstreamIds: '$upstream._id' } }
+  ]).option({ withDeleted: true });
+  
+  return results.some(result => result.upstreamIds.some(upstreamId => upstreamId.toString() === id));
+};
+
+/**
+ * Static method to get a todo's dependency graph in both directions
+ * Upstream: todos it is (transitively) blocked by; downstream: todos it (transitively) blocks
+ * @param {string} todoId - Todo ID
+ * @returns {Promise<Object|null>} { todo, upstream, downstream }, or null if the todo doesn't exist
+ */
+todoSchema.statics.getDependencyGraph = async function(todoId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(todoId)) } },
+    {
+      $graphLookup: {
+        from: this.collection.collectionName,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream',
+        depthField: 'depth',
+        restrictSearchWithMatch: { deletedAt: null }
+      }
+    },
+    {
+      $graphLookup: {
+        from: this.collection.collectionName,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'blockedBy',
+        as: 'downstream',
+        depthField: 'depth',
+        restrictSearchWithMatch: { deletedAt: null }
+      }
+    },
+    {
+      $project: {
+        text: 1,
+        completed: 1,
+        blockedBy: 1,
+        'upstream._id': 1,
+        'upstream.text': 1,
+        'upstream.completed': 1,
+        'upstream.blockedBy': 1,
+        'upstream.depth': 1,
+        'downstream._id': 1,
+        'downstream.text': 1,
+        'downstream.completed': 1,
+        'downstream.blockedBy': 1,
+        'downstream.depth': 1
+      }
+    }
+  ]);
+  
+  if (!result) {
+    return null;
+  }
+  
+  // Nearest first; edges are given by each node's blockedBy
+  const byDepth = (a, b) => a.depth - b.depth;
+  return {
+    todo: { _id: result._id, text: result.text, completed: result.completed, blockedBy: result.blockedBy },
+    upstream: result.upstream.sort(byDepth),
+    downstream: result.downstream.sort(byDepth)
+  };
+};
+
+/**
+ * Static method to adjust a todo's comment count
+ * Writes to the collection directly: a comment isn't an edit, so updatedAt stays unchanged.
+ * The write joins the current transaction (e.g. of an atomic batch), so it rolls back with it
+ * @param {string} id - Todo ID
+ * @param {number} delta - Change in the number of comments
+ * @returns {Promise<Object>} Update result
+ */
+todoSchema.statics.adjustCommentCount = function(id, delta) {
+  return this.collection.updateOne(
+    { _id: new mongoose.Types.ObjectId(String(id)) },
+    { $inc: { commentCount: delta } },
+    { session: getTransactionSession() }
+  );
+};
+
+/**
+ * Static method to recalculate a todo's tracked time from its time entries
+ * Writes to the collection directly like adjustCommentCount, so updatedAt stays unchanged
+ * and the write joins the current transaction
+ * @param {string} id - Todo ID
+ * @returns {Promise<number>} Tracked time in seconds
+ */
+todoSchema.statics.refreshTrackedTime = async function(id) {
+  const trackedSeconds = await TimeEntry.getTotalSeconds(id);
+  await this.collection.updateOne(
+    { _id: new mongoose.Types.ObjectId(String(id)) },
+    { $set: { trackedSeconds } },
+    { session: getTransactionSession() }
+  );
+  return trackedSeconds;
+};
+
+/**
+ * Static method to stop the running timers on the given todos, whoever started them
+ * @param {string|Array<string>} ids - Todo ID(s)
+ * @returns {Promise<number>} Number of timers stopped
+ */
+todoSchema.statics.stopTimer = async function(ids) {
+  const entries = await TimeEntry.find({ todoId: { $in: [].concat(ids) }, running: true })
+    .setOptions({ allOwners: true });
+  if (entries.length === 0) {
+    return 0;
+  }
+  await TimeEntry.updateMany(
+    { _id: { $in: entries.map(entry => entry._id) } },
+    { endedAt: new Date(), running: false }
+  ).setOptions({ allOwners: true });
+  await Promise.all([...new Set(entries.map(entry => String(entry.todoId)))].map(id => this.refreshTrackedTime(id)));
+  return entries.length;
+};
+
+/**
+ * Static method to permanently delete trashed todos with their comments, time entries and attachment files
+ * @param {Date} [before=new Date()] - Only purge todos trashed at or before this time
+ * @param {Object} [filter={}] - Further MongoDB filter, e.g. to skip todos the user can't edit
+ * @returns {Promise<number>} Number of todos deleted
+ */
+todoSchema.statics.purgeTrash = async function(before = new Date(), filter = {}) {
+  try {
+    const todos = await this.find({ ...filter, deletedAt: { $ne: null, $lte: before } }).select('attachments');
+    if (todos.length === 0) {
+      return 0;
+    }
+    
+    const ids = todos.map(todo => todo._id);
+    const result = await this.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    // Comments, time entries, files and dependency edges go with the todo; they are kept while it is in the trash so it can be restored
+    await Comment.deleteMany({ todoId: { $in: ids } });
+    await TimeEntry.deleteMany({ todoId: { $in: ids } }).setOptions({ allOwners: true });
+    await this.updateMany(
+      { blockedBy: { $in: ids } },
+      { $pull: { blockedBy: { $in: ids } } },
+      { withDeleted: true, timestamps: false }
+    );
+    await removeAttachmentFiles(todos.flatMap(todo => todo.attachments.map(attachment => attachment.storedName)));
+    return result.deletedCount;
+  } catch (error) {
+    throw new Error('Failed to purge trash');
+  }
+};
+
+/**
+ * Static method to archive every completed todo in the active list
+ * Todos completed before completedAt existed fall back to their last update
+ * @param {Object} [filter={}] - Further MongoDB filter, e.g. to skip todos the user can't edit
+ * @returns {Promise<Array>} Archived todos as they were before being archived
+ */
+todoSchema.statics.archiveCompleted = async function(filter = {}) {
+  try {
+    const todos = await this.find({ ...filter, completed: true, archivedAt: null });
+    if (todos.length > 0) {
+      await this.updateMany(
+        { _id: { $in: todos.map(todo => todo._id) } },
+        [{ $set: { archivedAt: new Date(), completedAt: { $ifNull: ['$completedAt', '$updatedAt'] } } }]
+      );
+    }
+    return todos;
+  } catch (error) {
+    throw new Error('Failed to archive completed todos');
+  }
+};
+
 /**
  * Static method to get todo statistics
+ * Counts cover the active list; archived todos are reported separately
+ * and included in the all-time completed count
+ * @param {Object} filter - MongoDB filter, e.g. { listId } (default: {})
  * @returns {Promise<Object>} Statistics object with counts
  */
-todoSchema.statics.getStats = async function() {
+todoSchema.statics.getStats = async function(filter = {}) {
   try {
-    const total = await this.countDocuments();
-    const completed = await this.countDocuments({ completed: true });
+    const total = await this.countDocuments({ ...filter, archivedAt: null });
+    const completed = await this.countDocuments({ ...filter, archivedAt: null, completed: true });
+    const archived = await this.countDocuments({ ...filter, archivedAt: { $ne: null } });
     const pending = total - completed;
     
+    // Estimated vs. tracked time of the active todos
+    const [time] = await this.aggregate([
+      { $match: { ...filter, archivedAt: null } },
+      {
+        $group: {
+          _id: null,
+          estimatedMinutes: { $sum: '$estimateMinutes' },
+          trackedSeconds: { $sum: '$trackedSeconds' },
+          estimatedTodos: { $sum: { $cond: [{ $gt: ['$estimateMinutes', 0] }, 1, 0] } },
+          // Tracked time of estimated todos only, to compare like with like
+          trackedOnEstimatedSeconds: {
+            $sum: { $cond: [{ $gt: ['$estimateMinutes', 0] }, '$trackedSeconds', 0] }
+          }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+    
     return {
       total,
       completed,
-      pending
+      pending,
+      archived,
+      completedAllTime: completed + archived,
+      time: time || { estimatedMinutes: 0, trackedSeconds: 0, estimatedTodos: 0, trackedOnEstimatedSeconds: 0 }
     };
   } catch (error) {
     throw new Error('Failed to get todo statistics');
   }
 };
 
+/**
+ * Static method to list all tags with usage counts
+ * @returns {Promise<Array>} Tags as { name, count }, most used first
+ */
+todoSchema.statics.getTagCounts = async function() {
+  try {
+    return await this.aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, name: '$_id', count: 1 } }
+    ]);
+  } catch (error) {
+    throw new Error('Failed to get tag counts');
+  }
+};
+
+/**
+ * Static method to replace tags on every todo that has them
+ * Used for both renaming (one source) and merging (several sources)
+ * @param {Array<string>} sources - Tags to replace
+ * @param {string} target - Replacement tag
+ * @param {Object} [scope={}] - Further MongoDB filter, e.g. to skip todos the user can't edit
+ * @returns {Promise<number>} Number of todos affected
+ */
+todoSchema.statics.replaceTags = async function(sources, target, scope = {}) {
+  try {
+    const filter = { ...scope, tags: { $in: sources } };
+    const staleTags = sources.filter(tag => tag !== target);
+    const affected = await this.countDocuments(filter);
+    
+    // Add the target first, then pull the sources (one update cannot do both on the same path)
+    // Trashed todos are updated too so they come back with current tags when restored
+    await this.updateMany(filter, { $addToSet: { tags: target } }).setOptions({ withDeleted: true });
+    if (staleTags.length > 0) {
+      await this.updateMany(
+        { ...scope, tags: { $in: staleTags } },
+        { $pull: { tags: { $in: staleTags } } }
+      ).setOptions({ withDeleted: true });
+    }
+    
+    return affected;
+  } catch (error) {
+    throw new Error('Failed to replace tags');
+  }
+};
+
+/**
+ * Static method to get pending todos due within a time window
+ * @param {Object} options - Window options
+ * @param {Date} options.from - Window start (inclusive)
+ * @param {Date} options.to - Window end (exclusive)
+ * @returns {Promise<Array>} Todos sorted by due date
+ */
+todoSchema.statics.getUpcoming = async function({ from, to }) {
+  try {
+    return await this.find({
+      completed: false,
+      dueAt: { $gte: from, $lt: to }
+    }).sort({ dueAt: 1 });
+  } catch (error) {
+    throw new Error('Failed to get upcoming todos');
+  }
+};
+
 /**
  * Static method to get todos with pagination
  * @param {Object} options - Pagination options
+ * @param {Object} options.filter - MongoDB filter (default: {})
  * @param {number} options.page - Page number (default: 1)
  * @param {number} options.limit - Items per page (default: 10)
- * @param {string} options.sortBy - Sort field (default: 'createdAt')
+ * @param {string} options.sortBy - Sort field, or 'priority' for priority rank (default: 'createdAt')
  * @param {string} options.sortOrder - Sort order 'asc' or 'desc' (default: 'desc')
+ * @param {boolean} options.includeTotal - Count all matching todos (default: true); without
+ *   the count, totalPages and totalItems are left out
  * @returns {Promise<Object>} Paginated todos and metadata
  */
 todoSchema.statics.getPaginatedTodos = async function(options = {}) {
   const {
+    filter = {},
     page = 1,
     limit = 10,
     sortBy = 'createdAt',
-    sortOrder = 'desc'
+    sortOrder = 'desc',
+    includeTotal = true
   } = options;
   
   const skip = (page - 1) * limit;
-  const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  // Without a count, one extra item tells whether there is a next page
+  const fetchLimit = includeTotal ? limit : limit + 1;
   
   try {
-    const todos = await this.find()
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+    let todos;
+    if (sortBy === 'priority') {
+      // Sort by priority rank; todos without a priority always come last
+      const ranks = config.todo.priorities.map((level, index) => ({
+        case: { $eq: ['$priority', level] },
+        then: index
+      }));
+      // Aggregation skips schema casting, so cast the filter (e.g. listId strings) first
+      const results = await this.aggregate([
+        { $match: this.find().cast(this, filter) },
+        { $addFields: { _priorityRank: { $switch: { branches: ranks, default: 0 } } } },
+        { $addFields: { _hasPriority: { $gt: ['$_priorityRank', 0] } } },
+        { $sort: { _hasPriority: -1, _priorityRank: direction, createdAt: -1, _id: -1 } },
+        { $skip: skip },
+        { $limit: fetchLimit },
+        { $project: { _priorityRank: 0, _hasPriority: 0 } }
+      ]);
+      todos = results.map(result => this.hydrate(result));
+    } else {
+      todos = await this.find(filter)
+        .sort({ [sortBy]: direction })
+        .skip(skip)
+        .limit(fetchLimit);
+    }
+    
+    if (!includeTotal) {
+      return {
+        todos: todos.slice(0, limit),
+        pagination: {
+          currentPage: page,
+          itemsPerPage: limit,
+          hasNextPage: todos.length > limit,
+          hasPrevPage: page > 1
+        }
+      };
+    }
     
-    const total = await this.countDocuments();
+    const total = await this.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
     
     return {
@@ -135,6 +1228,142 @@ todoSchema.statics.getPaginatedTodos = async function(options = {}) {
   }
 };
 
+/**
+ * Sort fields supported by cursor pagination
+ */
+export const CURSOR_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueAt', 'completedAt', 'text', 'position', 'priority'];
+
+/**
+ * Static method to get a page of todos after a cursor (keyset pagination)
+ * Unlike getPaginatedTodos, later pages don't shift when todos are added or
+ * removed while paging, and the total is only counted on request
+ * @param {Object} options - Pagination options
+ * @param {Object} [options.filter] - MongoDB filter
+ * @param {Object|null} [options.after] - Decoded cursor values of the previous page, null for the first page
+ * @param {number} [options.limit] - Items per page
+ * @param {string} [options.sortBy] - One of CURSOR_SORT_FIELDS
+ * @param {string} [options.sortOrder] - Sort order 'asc' or 'desc'
+ * @param {boolean} [options.includeTotal] - Also count all matching todos
+ * @returns {Promise<Object>} Todos and { limit, hasNextPage, nextCursor, totalItems? }
+ */
+todoSchema.statics.getTodosAfterCursor = async function(options = {}) {
+  const {
+    filter = {},
+    after = null,
+    limit = 10,
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    includeTotal = false
+  } = options;
+  
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const isPriority = sortBy === 'priority';
+  // The same order as getPaginatedTodos, always ending in _id so every position is unique
+  const keys = isPriority
+    ? [
+      { field: '_hasPriority', direction: -1 },
+      { field: '_priorityRank', direction },
+      { field: 'createdAt', direction: -1 },
+      { field: '_id', direction: -1 }
+    ]
+    : [
+      { field: sortBy, direction },
+      { field: '_id', direction }
+    ];
+  
+  // Aggregation skips schema casting, so cast filters (e.g. ID and date strings) first
+  let keysetFilter = null;
+  if (after) {
+    try {
+      if (!keys.every(key => Object.hasOwn(after, key.field))) {
+        throw new Error('Cursor does not match the sort order');
+      }
+      keysetFilter = this.find().cast(this, buildKeysetFilter(keys, after));
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid cursor: ${error.message}`), { code: 'INVALID_CURSOR' });
+    }
+  }
+  
+  try {
+    const sort = Object.fromEntries(keys.map(key => [key.field, key.direction]));
+    // One extra item tells whether there is a next page
+    let results;
+    if (isPriority) {
+      const ranks = config.todo.priorities.map((level, index) => ({
+        case: { $eq: ['$priority', level] },
+        then: index
+      }));
+      results = (await this.aggregate([
+        { $match: this.find().cast(this, filter) },
+        { $addFields: { _priorityRank: { $switch: { branches: ranks, default: 0 } } } },
+        { $addFields: { _hasPriority: { $gt: ['$_priorityRank', 0] } } },
+        ...(keysetFilter ? [{ $match: keysetFilter }] : []),
+        { $sort: sort },
+        { $limit: limit + 1 }
+      ])).map(({ _priorityRank, _hasPriority, ...result }) => ({
+        todo: this.hydrate(result),
+        values: { _hasPriority, _priorityRank, createdAt: result.createdAt, _id: result._id }
+      }));
+    } else {
+      results = (await this.find(keysetFilter ? { $and: [filter, keysetFilter] } : filter)
+        .sort(sort)
+        .limit(limit + 1))
+        .map(todo => ({ todo, values: { [sortBy]: todo[sortBy] ?? null, _id: todo._id } }));
+    }
+    
+    const hasNextPage = results.length > limit;
+    const page = results.slice(0, limit);
+    const last = page[page.length - 1];
+    
+    return {
+      todos: page.map(result => result.todo),
+      pagination: {
+        limit,
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor({ sortBy, sortOrder, values: last.values }) : null,
+        ...(includeTotal && { totalItems: await this.countDocuments(filter) })
+      }
+    };
+  } catch (error) {
+    throw new Error('Failed to get todos after cursor');
+  }
+};
+
+/**
+ * Static method for full-text search, best matches first
+ * @param {Object} options - Search options
+ * @param {string} options.query - Query in MongoDB $text syntax (words, "phrases", -exclusions)
+ * @param {Object} [options.filter] - Extra filter (e.g. list)
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.limit] - Results per page
+ * @returns {Promise<Object>} { todos, pagination }, each todo with its relevance score
+ */
+todoSchema.statics.search = async function({ query, filter = {}, page = 1, limit = 20 }) {
+  const searchFilter = { ...filter, $text: { $search: query } };
+  const score = { $meta: 'textScore' };
+
+  const [todos, total] = await Promise.all([
+    this.find(searchFilter, { score })
+      .sort({ score, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(searchFilter)
+  ]);
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    todos,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
 // Create and export the Todo model with custom collection name from config
 const Todo = mongoose.model('Todo', todoSchema, config.database.collectionName);
 
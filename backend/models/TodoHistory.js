@@ -0,0 +1,166 @@
+/**
+ * Todo History Model
+ * Immutable change log entries for todos (one per create/update/toggle/move/delete)
+ */
+
+import mongoose from 'mongoose';
+import { config } from '../config/config.js';
+import { ownerScope } from '../utils/ownerScope.js';
+
+// Actions recorded in the history
+export const HISTORY_ACTIONS = ['create', 'update', 'toggle', 'move', 'delete', 'restore', 'archive'];
+
+/**
+ * Change Schema Definition
+ * Before/after values of a single field
+ */
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * History Schema Definition
+ * Entries are written once and never modified
+ */
+const todoHistorySchema = new mongoose.Schema({
+  // Todo the entry belongs to (kept after the todo is deleted)
+  todoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true,
+    immutable: true
+  },
+
+  // List the todo was in at the time (null for the inbox); decides who sees the entry
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null,
+    immutable: true
+  },
+
+  // What happened to the todo
+  action: {
+    type: String,
+    enum: HISTORY_ACTIONS,
+    required: true,
+    immutable: true
+  },
+
+  // Todo text at the time of the change, for display in the activity feed
+  text: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+
+  // Field-level diff
+  changes: {
+    type: [changeSchema],
+    default: [],
+    immutable: true
+  },
+
+  // User who made the change (null for entries from before this was recorded)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+
+  // Where the change came from; only shown to whoever made it
+  origin: {
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    method: { type: String, default: null },
+    path: { type: String, default: null }
+  }
+}, {
+  // Schema options
+  timestamps: { createdAt: true, updatedAt: false }, // Entries are never updated
+  versionKey: false // Disable __v field
+});
+
+// History entries belong to the todo's owner and list; like todos, the activity feed shows
+// the user's inbox and every list they own or collaborate on, whoever made the change
+todoHistorySchema.plugin(ownerScope, {
+  scopeFilter: (ownerId, listIds) => ({ $or: [{ ownerId, listId: null }, { listId: { $in: listIds } }] })
+});
+
+// Index for a todo's history, newest first
+todoHistorySchema.index({ todoId: 1, createdAt: -1 });
+
+// Indexes for the global activity feed
+todoHistorySchema.index({ createdAt: -1 });
+todoHistorySchema.index({ listId: 1, createdAt: -1 });
+
+/**
+ * Block updates so entries stay immutable
+ */
+todoHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Todo history entries cannot be modified'));
+});
+
+/**
+ * Block re-saving an existing entry
+ */
+todoHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Todo history entries cannot be modified'));
+  }
+  next();
+});
+
+/**
+ * Static method to get history entries with pagination
+ * @param {Object} options - Pagination options
+ * @param {Object} options.filter - MongoDB filter (default: {})
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Items per page (default: 20)
+ * @param {boolean} options.allOwners - Include every user's entries, not just the signed-in user's (default: false)
+ * @returns {Promise<Object>} Entries (newest first) and pagination metadata
+ */
+todoHistorySchema.statics.getPaginated = async function({ filter = {}, page = 1, limit = 20, allOwners = false } = {}) {
+  try {
+    const [entries, total] = await Promise.all([
+      this.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .setOptions({ allOwners }),
+      this.countDocuments(filter).setOptions({ allOwners })
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  } catch (error) {
+    throw new Error('Failed to get todo history');
+  }
+};
+
+// Create and export the TodoHistory model with custom collection name from config
+const TodoHistory = mongoose.model('TodoHistory', todoHistorySchema, config.database.historyCollectionName);
+
+export default TodoHistory;
@@ -0,0 +1,97 @@
+/**
+ * User Model
+ * Accounts that own todos, lists and time entries
+ */
+
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { config } from '../config/config.js';
+
+// Loose email check; the address is confirmed by the user typing it, not by us
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * User Schema Definition
+ * Defines the structure and validation rules for User documents
+ */
+const userSchema = new mongoose.Schema({
+  // Login email, stored lowercase
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    match: [EMAIL_REGEX, 'Email must be a valid email address']
+  },
+
+  // Display name
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [config.auth.maxNameLength, `Name cannot exceed ${config.auth.maxNameLength} characters`]
+  },
+
+  // bcrypt hash of the password - never returned by queries unless selected explicitly
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  // Schema options
+  timestamps: true, // Automatically manage createdAt and updatedAt
+  versionKey: false, // Disable __v field
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+// One account per email address
+userSchema.index({ email: 1 }, { unique: true });
+
+/**
+ * Static method to hash a password
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+userSchema.statics.hashPassword = function(password) {
+  return bcrypt.hash(password, config.auth.bcryptRounds);
+};
+
+// Compared against when no account matches, so unknown emails take as long as wrong passwords
+let dummyHash = null;
+
+/**
+ * Static method to find the account for a login
+ * @param {string} email - Login email
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Document|null>} User, or null if the email or password is wrong
+ */
+userSchema.statics.findByCredentials = async function(email, password) {
+  const user = await this.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+  if (!user) {
+    dummyHash ??= await this.hashPassword('not-a-real-password');
+    await bcrypt.compare(password, dummyHash);
+    return null;
+  }
+  return await user.comparePassword(password) ? user : null;
+};
+
+/**
+ * Instance method to check a password (the document must be loaded with +passwordHash)
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+userSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Create and export the User model with custom collection name from config
+const User = mongoose.model('User', userSchema, config.database.userCollectionName);
+
+export default User;
@@ -0,0 +1,20 @@
+/**
+ * Activity Routes
+ * Defines the API endpoint for the global activity feed
+ */
+
+import express from 'express';
+import { getActivity } from '../controllers/historyController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/activity
+ * @desc    Get history entries across all todos, newest first (paginated)
+ * @access  Private
+ * @query   page, limit, action (create, update, toggle, move, delete, restore, archive)
+ */
+router.get('/', getActivity);
+
+export default router;
@@ -0,0 +1,36 @@
+/**
+ * API Token Routes
+ * Defines API endpoints for managing personal API tokens
+ * These need a signed-in session: an API token can't list, create or revoke tokens
+ */
+
+import express from 'express';
+import { getApiTokens, createApiToken, revokeApiToken } from '../controllers/apiTokenController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/tokens
+ * @desc    Get the signed-in user's API tokens (without the tokens themselves)
+ * @access  Private (session only)
+ */
+router.get('/', getApiTokens);
+
+/**
+ * @route   POST /api/tokens
+ * @desc    Create an API token; the token is returned once, in this response
+ * @access  Private (session only)
+ * @body    { name: string, scopes: Array<'read' | 'write' | 'delete'>, expiresInDays?: number | null }
+ */
+router.post('/', createApiToken);
+
+/**
+ * @route   DELETE /api/tokens/:id
+ * @desc    Revoke an API token
+ * @access  Private (session only)
+ * @params  id - Token ObjectId
+ */
+router.delete('/:id', revokeApiToken);
+
+export default router;
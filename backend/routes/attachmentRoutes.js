@@ -0,0 +1,43 @@
+/**
+ * Attachment Routes
+ * Defines API endpoints for todo attachments, mounted under /api/todos/:id/attachments
+ */
+
+import express from 'express';
+import {
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment
+} from '../controllers/attachmentController.js';
+import { parseAttachmentUpload } from '../middleware/upload.js';
+
+// Create router instance with access to the parent :id param
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   POST /api/todos/:id/attachments
+ * @desc    Upload files to a todo (size and type limits in config.attachments)
+ * @access  Private
+ * @params  id - Todo ObjectId
+ * @body    multipart/form-data with one or more "files"
+ */
+router.post('/', parseAttachmentUpload, uploadAttachments);
+
+/**
+ * @route   GET /api/todos/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private
+ * @params  id - Todo ObjectId, attachmentId - Attachment ObjectId
+ * @query   inline ('true' to display images in the browser, e.g. thumbnails)
+ */
+router.get('/:attachmentId', downloadAttachment);
+
+/**
+ * @route   DELETE /api/todos/:id/attachments/:attachmentId
+ * @desc    Delete an attachment and its file
+ * @access  Private
+ * @params  id - Todo ObjectId, attachmentId - Attachment ObjectId
+ */
+router.delete('/:attachmentId', deleteAttachment);
+
+export default router;
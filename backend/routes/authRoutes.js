@@ -0,0 +1,52 @@
+/**
+ * Auth Routes
+ * Defines API endpoints for accounts and sessions
+ */
+
+import express from 'express';
+import { register, login, refresh, logout, getMe } from '../controllers/authController.js';
+import { authenticate } from '../middleware/auth.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Create an account and sign it in
+ * @access  Public
+ * @body    { email: string, password: string, name?: string }
+ */
+router.post('/register', register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in and receive an access token and a refresh token
+ * @access  Public
+ * @body    { email: string, password: string }
+ */
+router.post('/login', login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for new tokens (each refresh token works once)
+ * @access  Public
+ * @body    { refreshToken: string }
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke a refresh token
+ * @access  Public
+ * @body    { refreshToken: string }
+ */
+router.post('/logout', logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed-in user
+ * @access  Private
+ */
+router.get('/me', authenticate, getMe);
+
+export default router;
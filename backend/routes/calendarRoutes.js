@@ -0,0 +1,20 @@
+/**
+ * Calendar Routes
+ * Defines the iCalendar feed of todos for calendar apps
+ */
+
+import express from 'express';
+import { getCalendarFeed } from '../controllers/importExportController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/calendar.ics
+ * @desc    Get todos as an iCalendar (RFC 5545) feed of VTODO entries (archived and trashed todos left out)
+ * @access  Private (calendar apps pass a read-scoped API token as ?access_token=)
+ * @query   listId (list ID, or 'none' for the inbox; all todos if omitted)
+ */
+router.get('/', getCalendarFeed);
+
+export default router;
@@ -0,0 +1,52 @@
+/**
+ * Comment Routes
+ * Defines API endpoints for a todo's discussion thread, mounted under /api/todos/:id/comments
+ */
+
+import express from 'express';
+import {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+} from '../controllers/commentController.js';
+
+// Create router instance with access to the parent :id param
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/todos/:id/comments
+ * @desc    Get a todo's comments, oldest first
+ * @access  Private
+ * @params  id - Todo ObjectId
+ * @query   page, limit
+ */
+router.get('/', getComments);
+
+/**
+ * @route   POST /api/todos/:id/comments
+ * @desc    Add a comment to a todo, signed with the current user's name
+ * @access  Private
+ * @params  id - Todo ObjectId
+ * @body    { body: string }
+ */
+router.post('/', addComment);
+
+/**
+ * @route   PUT /api/todos/:id/comments/:commentId
+ * @desc    Edit a comment's body (its author or the list owner only)
+ * @access  Private
+ * @params  id - Todo ObjectId, commentId - Comment ObjectId
+ * @body    { body: string }
+ */
+router.put('/:commentId', updateComment);
+
+/**
+ * @route   DELETE /api/todos/:id/comments/:commentId
+ * @desc    Delete a comment (its author or the list owner only)
+ * @access  Private
+ * @params  id - Todo ObjectId, commentId - Comment ObjectId
+ */
+router.delete('/:commentId', deleteComment);
+
+export default router;
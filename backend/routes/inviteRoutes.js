@@ -0,0 +1,35 @@
+/**
+ * Invite Routes
+ * Defines API endpoints for the signed-in user's invites to shared lists
+ */
+
+import express from 'express';
+import { getMyInvites, acceptInvite, declineInvite } from '../controllers/listController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/invites
+ * @desc    Get pending invites sent to the signed-in user
+ * @access  Private
+ */
+router.get('/', getMyInvites);
+
+/**
+ * @route   POST /api/invites/:inviteId/accept
+ * @desc    Accept an invite and join the list
+ * @access  Private
+ * @params  inviteId - Invite ObjectId
+ */
+router.post('/:inviteId/accept', acceptInvite);
+
+/**
+ * @route   DELETE /api/invites/:inviteId
+ * @desc    Decline an invite
+ * @access  Private
+ * @params  inviteId - Invite ObjectId
+ */
+router.delete('/:inviteId', declineInvite);
+
+export default router;
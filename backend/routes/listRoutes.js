@@ -0,0 +1,116 @@
+/**
+ * List Routes
+ * Defines API endpoints for todo lists (projects)
+ */
+
+import express from 'express';
+import {
+  getAllLists,
+  getListById,
+  createList,
+  updateList,
+  deleteList,
+  getListTodos,
+  getListStats,
+  inviteCollaborator,
+  revokeInvite,
+  updateCollaborator,
+  removeCollaborator
+} from '../controllers/listController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/lists
+ * @desc    Get all lists
+ * @access  Private
+ * @query   includeArchived - 'true' to include archived lists
+ */
+router.get('/', getAllLists);
+
+/**
+ * @route   POST /api/lists
+ * @desc    Create a new list
+ * @access  Private
+ * @body    { name: string, color?: string, icon?: string }
+ */
+router.post('/', createList);
+
+/**
+ * @route   GET /api/lists/:id
+ * @desc    Get a single list by ID
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.get('/:id', getListById);
+
+/**
+ * @route   PUT /api/lists/:id
+ * @desc    Update a list (owner only)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ * @body    { name?: string, color?: string, icon?: string, archived?: boolean }
+ */
+router.put('/:id', updateList);
+
+/**
+ * @route   DELETE /api/lists/:id
+ * @desc    Delete a list and move its todos to their creators' inboxes (owner only)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.delete('/:id', deleteList);
+
+/**
+ * @route   GET /api/lists/:id/todos
+ * @desc    Get the todos of a list with optional pagination
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ * @query   page, limit, sortBy, sortOrder
+ */
+router.get('/:id/todos', getListTodos);
+
+/**
+ * @route   GET /api/lists/:id/stats
+ * @desc    Get statistics for a list (total, completed, pending)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.get('/:id/stats', getListStats);
+
+/**
+ * @route   POST /api/lists/:id/invites
+ * @desc    Invite an existing account by its email as an editor or viewer (owner only)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ * @body    { email: string, role?: 'editor' | 'viewer' }
+ */
+router.post('/:id/invites', inviteCollaborator);
+
+/**
+ * @route   DELETE /api/lists/:id/invites/:inviteId
+ * @desc    Withdraw a pending invite (owner only)
+ * @access  Private
+ * @params  id - MongoDB ObjectId, inviteId - Invite ObjectId
+ */
+router.delete('/:id/invites/:inviteId', revokeInvite);
+
+/**
+ * @route   PATCH /api/lists/:id/collaborators/:userId
+ * @desc    Change a collaborator's role (owner only)
+ * @access  Private
+ * @params  id - MongoDB ObjectId, userId - Collaborator's user ID
+ * @body    { role: 'editor' | 'viewer' }
+ */
+router.patch('/:id/collaborators/:userId', updateCollaborator);
+
+/**
+ * @route   DELETE /api/lists/:id/collaborators/:userId
+ * @desc    Remove a collaborator (owner), or leave the list (your own user ID)
+ * @access  Private
+ * @params  id - MongoDB ObjectId, userId - Collaborator's user ID
+ */
+router.delete('/:id/collaborators/:userId', removeCollaborator);
+
+export default router;
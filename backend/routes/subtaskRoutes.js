@@ -0,0 +1,61 @@
+/**
+ * Subtask Routes
+ * Defines API endpoints for checklist items, mounted under /api/todos/:id/subtasks
+ */
+
+import express from 'express';
+import {
+  addSubtask,
+  updateSubtask,
+  toggleSubtask,
+  reorderSubtasks,
+  deleteSubtask
+} from '../controllers/subtaskController.js';
+
+// Create router instance with access to the parent :id param
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   POST /api/todos/:id/subtasks
+ * @desc    Add a subtask to the end of a todo's checklist
+ * @access  Private
+ * @params  id - Todo ObjectId
+ * @body    { text: string }
+ */
+router.post('/', addSubtask);
+
+/**
+ * @route   PATCH /api/todos/:id/subtasks/reorder
+ * @desc    Reorder a todo's subtasks
+ * @access  Private
+ * @params  id - Todo ObjectId
+ * @body    { order: string[] } - Every subtask ID in the new order
+ */
+router.patch('/reorder', reorderSubtasks);
+
+/**
+ * @route   PUT /api/todos/:id/subtasks/:subtaskId
+ * @desc    Update a subtask's text
+ * @access  Private
+ * @params  id - Todo ObjectId, subtaskId - Subtask ObjectId
+ * @body    { text: string }
+ */
+router.put('/:subtaskId', updateSubtask);
+
+/**
+ * @route   PATCH /api/todos/:id/subtasks/:subtaskId/toggle
+ * @desc    Toggle a subtask's completion status
+ * @access  Private
+ * @params  id - Todo ObjectId, subtaskId - Subtask ObjectId
+ */
+router.patch('/:subtaskId/toggle', toggleSubtask);
+
+/**
+ * @route   DELETE /api/todos/:id/subtasks/:subtaskId
+ * @desc    Delete a subtask
+ * @access  Private
+ * @params  id - Todo ObjectId, subtaskId - Subtask ObjectId
+ */
+router.delete('/:subtaskId', deleteSubtask);
+
+export default router;
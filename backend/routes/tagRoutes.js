@@ -0,0 +1,40 @@
+/**
+ * Tag Routes
+ * Defines API endpoints for tag management
+ */
+
+import express from 'express';
+import {
+  getAllTags,
+  renameTag,
+  mergeTags
+} from '../controllers/tagController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get all tags with usage counts (most used first)
+ * @access  Private
+ */
+router.get('/', getAllTags);
+
+/**
+ * @route   POST /api/tags/merge
+ * @desc    Merge source tags into a target tag on every affected todo
+ * @access  Private
+ * @body    { sources: string[], target: string }
+ */
+router.post('/merge', mergeTags);
+
+/**
+ * @route   PUT /api/tags/:name
+ * @desc    Rename a tag on every affected todo
+ * @access  Private
+ * @params  name - Current tag name
+ * @body    { newName: string }
+ */
+router.put('/:name', renameTag);
+
+export default router;
@@ -0,0 +1,51 @@
+/**
+ * Time Entry Routes
+ * Defines API endpoints for a todo's time entries, mounted under /api/todos/:id/time-entries
+ */
+
+import express from 'express';
+import {
+  getTimeEntries,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry
+} from '../controllers/timeController.js';
+
+// Create router instance with access to the parent :id param
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/todos/:id/time-entries
+ * @desc    Get a todo's time entries, newest first
+ * @access  Private
+ * @params  id - Todo ObjectId
+ */
+router.get('/', getTimeEntries);
+
+/**
+ * @route   POST /api/todos/:id/time-entries
+ * @desc    Add a finished time entry by hand
+ * @access  Private
+ * @params  id - Todo ObjectId
+ * @body    { startedAt: string, endedAt: string, note?: string }
+ */
+router.post('/', addTimeEntry);
+
+/**
+ * @route   PUT /api/todos/:id/time-entries/:entryId
+ * @desc    Edit a time entry
+ * @access  Private
+ * @params  id - Todo ObjectId, entryId - TimeEntry ObjectId
+ * @body    { startedAt?: string, endedAt?: string, note?: string }
+ */
+router.put('/:entryId', updateTimeEntry);
+
+/**
+ * @route   DELETE /api/todos/:id/time-entries/:entryId
+ * @desc    Delete a time entry (discards a running timer)
+ * @access  Private
+ * @params  id - Todo ObjectId, entryId - TimeEntry ObjectId
+ */
+router.delete('/:entryId', deleteTimeEntry);
+
+export default router;
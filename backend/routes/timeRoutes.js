@@ -0,0 +1,27 @@
+/**
+ * Time Routes
+ * Defines API endpoints for time tracking across all todos
+ */
+
+import express from 'express';
+import { getRunningTimer, getTimeReport } from '../controllers/timeController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/time/running
+ * @desc    Get the running timer (null if none) with its todo's text
+ * @access  Private
+ */
+router.get('/running', getRunningTimer);
+
+/**
+ * @route   GET /api/time/report
+ * @desc    Sum tracked time by day, tag or list over a date range
+ * @access  Private
+ * @query   from, to (default: the last 7 days), groupBy (day, tag, list), timeZone
+ */
+router.get('/report', getTimeReport);
+
+export default router;
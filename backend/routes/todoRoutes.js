@@ -7,14 +7,34 @@
 import express from 'express';
 import {
   getAllTodos,
+  searchTodos,
+  getUpcomingTodos,
   getTodoById,
   createTodo,
   updateTodo,
   toggleTodoComplete,
+  moveTodo,
+  getTodoDependencies,
+  previewNotes,
   deleteTodo,
   getTodoStats,
-  deleteCompletedTodos
+  deleteCompletedTodos,
+  archiveCompletedTodos,
+  getArchivedTodos
 } from '../controllers/todoController.js';
+import {
+  getSeries,
+  updateRecurrence,
+  stopRecurrence
+} from '../controllers/recurrenceController.js';
+import { getTodoHistory } from '../controllers/historyController.js';
+import { batchTodos } from '../controllers/batchController.js';
+import { exportTodos, importTodos } from '../controllers/importExportController.js';
+import { startTimer, stopTimer } from '../controllers/timeController.js';
+import subtaskRoutes from './subtaskRoutes.js';
+import attachmentRoutes from './attachmentRoutes.js';
+import commentRoutes from './commentRoutes.js';
+import timeEntryRoutes from './timeEntryRoutes.js';
 
 // Create router instance
 const router = express.Router();
@@ -22,64 +42,227 @@ const router = express.Router();
 /**
  * @route   GET /api/todos
  * @desc    Get all todos with optional pagination
- * @access  Public
- * @query   page, limit, sortBy, sortOrder
+ * @access  Private
+ * @query   page, limit, sortBy, sortOrder, dueBefore, dueAfter, overdue, tags, tagMode, listId ('none' for the inbox)
+ *          completed (true|false), createdFrom, createdTo, updatedFrom, updatedTo (from inclusive, to exclusive),
+ *          timeZone (IANA name for dates without an offset, default UTC), textContains (case-insensitive)
+ *          after (cursor pagination instead of page: '' for the first page, then pagination.nextCursor),
+ *          includeTotal (true|false; defaults to true for page numbers, false for cursors)
+ * @headers If-None-Match - ETag of a previous response; 304 if nothing changed
  */
 router.get('/', getAllTodos);
 
+/**
+ * @route   GET /api/todos/search
+ * @desc    Full-text search of todo text and notes, best matches first, with highlighted snippets
+ * @access  Private
+ * @query   q (words, "exact phrases", -excluded), listId ('none' for the inbox), page, limit (1-50, default 20)
+ */
+router.get('/search', searchTodos);
+
+/**
+ * @route   GET /api/todos/upcoming
+ * @desc    Get pending todos due in the next few days, grouped by day
+ * @access  Private
+ * @query   days (1-90, default 7), timeZone (IANA name, default UTC)
+ */
+router.get('/upcoming', getUpcomingTodos);
+
 /**
  * @route   GET /api/todos/stats
- * @desc    Get todo statistics (total, completed, pending)
- * @access  Public
+ * @desc    Get todo statistics (total, completed, pending, archived, completedAllTime)
+ * @access  Private
  */
 router.get('/stats', getTodoStats);
 
+/**
+ * @route   GET /api/todos/archive
+ * @desc    Browse archived todos, most recently completed first
+ * @access  Private
+ * @query   page, limit, from (inclusive), to (exclusive), timeZone (IANA name, default UTC)
+ */
+router.get('/archive', getArchivedTodos);
+
+/**
+ * @route   POST /api/todos/archive-completed
+ * @desc    Archive all completed todos in the active list
+ * @access  Private
+ */
+router.post('/archive-completed', archiveCompletedTodos);
+
+/**
+ * @route   POST /api/todos/notes/preview
+ * @desc    Render Markdown notes to sanitized HTML without saving
+ * @access  Private
+ * @body    { notes: string }
+ */
+router.post('/notes/preview', previewNotes);
+
+/**
+ * @route   POST /api/todos/batch
+ * @desc    Run several create, update, toggle and delete operations, with a result for each
+ * @access  Private
+ * @body    { operations: [{ op: 'create'|'update'|'toggle'|'delete', id?, data?, force?, ifMatch? }], atomic?: boolean }
+ *          ifMatch: the todo's ETag, as the If-Match header of the single endpoints
+ */
+router.post('/batch', batchTodos);
+
+/**
+ * @route   GET /api/todos/export
+ * @desc    Download todos as a JSON, CSV or Markdown file (streamed; archived and trashed todos left out)
+ * @access  Private
+ * @query   format ('json'|'csv'|'md', default json), listId (list ID, or 'none' for the inbox; all todos if omitted)
+ */
+router.get('/export', exportTodos);
+
+/**
+ * @route   POST /api/todos/import
+ * @desc    Import todos from the content of a JSON, CSV, Markdown or iCalendar file, or preview the import with dryRun
+ * @access  Private
+ * @body    { format: 'json'|'csv'|'md'|'ics', content: string, duplicates?: 'skip'|'overwrite'|'keep', dryRun?: boolean, listId?: string|null }
+ */
+router.post('/import', importTodos);
+
 /**
  * @route   GET /api/todos/:id
- * @desc    Get a single todo by ID
- * @access  Public
+ * @desc    Get a single todo by ID (the ETag header has its version)
+ * @access  Private
  * @params  id - MongoDB ObjectId
+ * @headers If-None-Match - ETag of the todo; 304 if it hasn't changed
  */
 router.get('/:id', getTodoById);
 
+/**
+ * @route   GET /api/todos/:id/history
+ * @desc    Get a todo's change history, newest first (paginated)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ * @query   page, limit
+ */
+router.get('/:id/history', getTodoHistory);
+
+/**
+ * @route   GET /api/todos/:id/dependencies
+ * @desc    Get the todos blocking this one (upstream) and the todos it blocks (downstream)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.get('/:id/dependencies', getTodoDependencies);
+
 /**
  * @route   POST /api/todos
  * @desc    Create a new todo
- * @access  Public
- * @body    { text: string }
+ * @access  Private
+ * @body    { text: string, notes?: string, listId?: string, priority?: string, tags?: string[], autoCompleteOnSubtasks?: boolean, blockedBy?: string[], estimateMinutes?: number, recurrence?: object, dueAt?: string, dueTimeZone?: string }
  */
 router.post('/', createTodo);
 
 /**
  * @route   PUT /api/todos/:id
  * @desc    Update a todo by ID
- * @access  Public
+ * @access  Private
  * @params  id - MongoDB ObjectId
- * @body    { text?: string, completed?: boolean }
+ * @query   force - 'true' to complete a todo that is still blocked
+ * @body    { text?: string, notes?: string|null, completed?: boolean, listId?: string|null, priority?: string, tags?: string[], autoCompleteOnSubtasks?: boolean, blockedBy?: string[], estimateMinutes?: number|null, recurrence?: object|null, dueAt?: string|null, dueTimeZone?: string|null }
+ * @headers If-Match - ETag of the todo; 412 with the current todo if it changed since
  */
 router.put('/:id', updateTodo);
 
 /**
  * @route   PATCH /api/todos/:id/toggle
  * @desc    Toggle todo completion status
- * @access  Public
+ * @access  Private
  * @params  id - MongoDB ObjectId
+ * @query   force - 'true' to complete a todo that is still blocked
+ * @headers If-Match - ETag of the todo; 412 with the current todo if it changed since
  */
 router.patch('/:id/toggle', toggleTodoComplete);
 
+/**
+ * @route   PATCH /api/todos/:id/move
+ * @desc    Move a todo in the manual order (sortBy=position)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ * @body    { before?: string, after?: string } - IDs of the todos to place this todo before/after
+ * @headers If-Match - ETag of the todo; 412 with the current todo if it changed since
+ */
+router.patch('/:id/move', moveTodo);
+
+/**
+ * @route   POST /api/todos/:id/timer/start
+ * @desc    Start a timer on a todo (409 if any timer is already running)
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.post('/:id/timer/start', startTimer);
+
+/**
+ * @route   POST /api/todos/:id/timer/stop
+ * @desc    Stop the timer running on a todo
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.post('/:id/timer/stop', stopTimer);
+
 /**
  * @route   DELETE /api/todos/completed
  * @desc    Delete all completed todos
- * @access  Public
+ * @access  Private
  */
 router.delete('/completed', deleteCompletedTodos);
 
 /**
  * @route   DELETE /api/todos/:id
  * @desc    Delete a todo by ID
- * @access  Public
+ * @access  Private
  * @params  id - MongoDB ObjectId
+ * @headers If-Match - ETag of the todo; 412 with the current todo if it changed since
  */
 router.delete('/:id', deleteTodo);
 
+/**
+ * @route   GET /api/todos/:id/recurrence
+ * @desc    Get the recurring series a todo belongs to
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.get('/:id/recurrence', getSeries);
+
+/**
+ * @route   PUT /api/todos/:id/recurrence
+ * @desc    Set or edit the recurrence rule of every pending todo in the series
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ * @body    { frequency, interval?, daysOfWeek?, dayOfMonth?, until?, count? }
+ */
+router.put('/:id/recurrence', updateRecurrence);
+
+/**
+ * @route   DELETE /api/todos/:id/recurrence
+ * @desc    Stop a recurring series
+ * @access  Private
+ * @params  id - MongoDB ObjectId
+ */
+router.delete('/:id/recurrence', stopRecurrence);
+
+/**
+ * Subtask routes - /api/todos/:id/subtasks
+ */
+router.use('/:id/subtasks', subtaskRoutes);
+
+/**
+ * Attachment routes - /api/todos/:id/attachments
+ */
+router.use('/:id/attachments', attachmentRoutes);
+
+/**
+ * Comment routes - /api/todos/:id/comments
+ */
+router.use('/:id/comments', commentRoutes);
+
+/**
+ * Time entry routes - /api/todos/:id/time-entries
+ */
+router.use('/:id/time-entries', timeEntryRoutes);
+
 export default router;
@@ -0,0 +1,38 @@
+/**
+ * Trash Routes
+ * Defines API endpoints for soft-deleted todos
+ */
+
+import express from 'express';
+import {
+  getTrash,
+  restoreTodo,
+  emptyTrash
+} from '../controllers/trashController.js';
+
+// Create router instance
+const router = express.Router();
+
+/**
+ * @route   GET /api/trash
+ * @desc    Get trashed todos, most recently deleted first (paginated)
+ * @access  Private
+ */
+router.get('/', getTrash);
+
+/**
+ * @route   DELETE /api/trash
+ * @desc    Permanently delete every trashed todo
+ * @access  Private
+ */
+router.delete('/', emptyTrash);
+
+/**
+ * @route   POST /api/trash/:id/restore
+ * @desc    Restore a todo from the trash
+ * @access  Private
+ * @params  id - Todo ID
+ */
+router.post('/:id/restore', restoreTodo);
+
+export default router;
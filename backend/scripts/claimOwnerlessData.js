@@ -0,0 +1,54 @@
+/**
+ * Claim Ownerless Data
+ * Gives the todos, lists, history and time entries created before accounts existed to
+ * one account, named by its email. Comments on those todos are signed with that account.
+ * Running it again changes nothing, since the data then has an owner
+ *
+ * Usage: npm run claim-data -- you@example.com
+ */
+
+// Load environment variables before any module reads them (config.js reads them on import)
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+import Todo from '../models/Todo.js';
+import List from '../models/List.js';
+import TodoHistory from '../models/TodoHistory.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Comment from '../models/Comment.js';
+
+const email = process.argv[2]?.trim().toLowerCase();
+if (!email) {
+  console.error('Usage: npm run claim-data -- <email of the account to give the data to>');
+  process.exit(1);
+}
+
+await connectDB();
+
+try {
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw new Error(`No account uses ${email}. Register it first`);
+  }
+
+  // Writes to the collections directly: history entries can't be modified through the
+  // model, and trashed todos are hidden from model queries
+  const todoIds = await Todo.collection.distinct('_id', { ownerId: null });
+  const comments = await Comment.collection.updateMany(
+    { todoId: { $in: todoIds }, authorId: null },
+    { $set: { authorId: user._id } }
+  );
+  const [todos, lists, history, timeEntries] = await Promise.all([Todo, List, TodoHistory, TimeEntry].map(Model =>
+    Model.collection.updateMany({ ownerId: null }, { $set: { ownerId: user._id } })
+  ));
+
+  console.log(`✅ Gave ${email} ${todos.modifiedCount} todo(s), ${lists.modifiedCount} list(s), `
+    + `${history.modifiedCount} history entr(ies), ${timeEntries.modifiedCount} time entr(ies) `
+    + `and ${comments.modifiedCount} comment(s)`);
+} catch (error) {
+  console.error('❌ Could not claim ownerless data:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
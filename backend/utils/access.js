@@ -0,0 +1,80 @@
+/**
+ * Access Utilities
+ * The signed-in user's role on lists and todos
+ * Owners manage a list and its sharing, editors change its todos, viewers only read them;
+ * todos in the inbox belong to their creator alone
+ */
+
+import { getCurrentUserId, getCurrentListRoles } from './requestContext.js';
+
+// Roles from least to most access
+export const LIST_ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles that can be given to collaborators (a list has exactly one owner)
+export const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+/**
+ * Check whether a role grants at least the required access
+ * @param {string|null} role - Role held
+ * @param {string} required - Minimum role
+ * @returns {boolean} True if the role is sufficient
+ */
+export const hasRole = (role, required) => {
+  return LIST_ROLES.indexOf(role) >= LIST_ROLES.indexOf(required);
+};
+
+/**
+ * Get the current user's role on a list
+ * Outside a signed-in request (scheduled jobs) everything is allowed
+ * @param {string|ObjectId} listId - List ID
+ * @returns {string|null} Role, or null if the user isn't a member
+ */
+export const getListRole = (listId) => {
+  if (!getCurrentUserId()) {
+    return 'owner';
+  }
+  return getCurrentListRoles().get(String(listId)) ?? null;
+};
+
+/**
+ * Get the current user's role on a todo, which is their role on its list
+ * @param {Object} todo - Todo document
+ * @returns {string|null} Role, or null if the user has no access
+ */
+export const getTodoRole = (todo) => {
+  if (todo.listId) {
+    return getListRole(todo.listId);
+  }
+  const userId = getCurrentUserId();
+  return !userId || !todo.ownerId || String(todo.ownerId) === userId ? 'owner' : null;
+};
+
+/**
+ * Filter for the todos the current user may change, added to bulk updates
+ * so they skip todos in lists the user can only view
+ * @returns {Object} MongoDB filter
+ */
+export const getEditableTodoFilter = () => {
+  const viewerListIds = [...getCurrentListRoles()]
+    .filter(([, role]) => !hasRole(role, 'editor'))
+    .map(([listId]) => listId);
+  return viewerListIds.length > 0 ? { listId: { $nin: viewerListIds } } : {};
+};
+
+/**
+ * Send a 403 response unless the current user can edit a todo
+ * @param {Object} res - Express response object
+ * @param {Object} todo - Todo document
+ * @returns {boolean} True if a response was sent
+ */
+export const rejectIfReadOnly = (res, todo) => {
+  if (hasRole(getTodoRole(todo), 'editor')) {
+    return false;
+  }
+  res.status(403).json({
+    success: false,
+    message: 'You have view-only access to this todo',
+    role: getTodoRole(todo)
+  });
+  return true;
+};
@@ -0,0 +1,50 @@
+/**
+ * Attachment Storage
+ * Locates and removes attachment files in the configured local directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/config.js';
+
+// Backend root, so relative directories don't depend on the working directory
+const BACKEND_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Absolute attachment directory
+export const ATTACHMENTS_DIR = path.resolve(BACKEND_ROOT, config.attachments.directory);
+
+/**
+ * Create the attachment directory if it doesn't exist
+ */
+export const ensureAttachmentsDir = () => {
+  fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+};
+
+/**
+ * Get the absolute path of a stored file
+ * Only the base name is used, so stored names can never point outside the directory
+ * @param {string} storedName - Stored file name
+ * @returns {string} Absolute path
+ */
+export const getAttachmentPath = (storedName) => {
+  return path.join(ATTACHMENTS_DIR, path.basename(storedName));
+};
+
+/**
+ * Delete stored files, ignoring files that are already gone
+ * Failures are logged rather than thrown so the database change still succeeds
+ * @param {Array<string>} storedNames - Stored file names
+ * @returns {Promise<void>}
+ */
+export const removeAttachmentFiles = async (storedNames) => {
+  const results = await Promise.allSettled(
+    storedNames.map(storedName => fs.promises.unlink(getAttachmentPath(storedName)))
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected' && result.reason.code !== 'ENOENT') {
+      console.error(`Error removing attachment ${storedNames[index]}:`, result.reason.message);
+    }
+  });
+};
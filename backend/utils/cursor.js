@@ -0,0 +1,69 @@
+/**
+ * Cursor Utilities
+ * Opaque cursors for keyset pagination: a cursor holds the sort values of the
+ * last item of a page, and the next page starts strictly after them, so items
+ * added or removed while paging don't shift later pages
+ */
+
+/**
+ * Encode a cursor
+ * @param {Object} payload - { sortBy, sortOrder, values } (values keyed by sort field)
+ * @returns {string} URL-safe cursor
+ */
+export const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object|null} { sortBy, sortOrder, values }, or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const isValid = payload !== null && typeof payload === 'object'
+      && typeof payload.sortBy === 'string'
+      && typeof payload.sortOrder === 'string'
+      && payload.values !== null && typeof payload.values === 'object';
+    return isValid ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the filter matching items that sort strictly after a cursor position
+ * Null values sort before everything ascending and after everything descending,
+ * like MongoDB sorts them
+ * @param {Array<Object>} keys - Sort keys in order: [{ field, direction (1 or -1) }], unique last
+ * @param {Object} values - Sort values of the last item, keyed by field
+ * @returns {Object} MongoDB filter
+ */
+export const buildKeysetFilter = (keys, values) => {
+  const clauses = [];
+
+  keys.forEach(({ field, direction }, index) => {
+    const value = values[field];
+    let after;
+    if (value === null) {
+      // Only non-null values follow a null, and only when ascending
+      if (direction === -1) return;
+      after = { [field]: { $ne: null } };
+    } else if (direction === 1) {
+      after = { [field]: { $gt: value } };
+    } else {
+      after = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+
+    // Equal on every earlier key, after on this one
+    const equalities = keys.slice(0, index).map(key => ({ [key.field]: values[key.field] }));
+    clauses.push({ $and: [...equalities, after] });
+  });
+
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $exists: false } };
+};
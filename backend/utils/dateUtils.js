@@ -0,0 +1,176 @@
+/**
+ * Date Utilities
+ * Time-zone aware helpers for due dates and agenda grouping
+ * Uses the built-in Intl API so no extra dependencies are required
+ */
+
+// ISO date or date/time, e.g. 2025-01-31, 2025-01-31T17:30 or 2025-01-31T17:30:00.000+02:00
+// (without an offset the time is local to a time zone)
+const ISO_DATE_TIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+/**
+ * Check whether a string is a valid IANA time zone (e.g. 'Europe/Berlin')
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the time zone is supported
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.trim().length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the calendar/clock components of an instant in a time zone
+ * @param {Date} date - Instant to evaluate
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+export const getZonedParts = (date, timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second
+  };
+};
+
+/**
+ * Get the offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant to evaluate
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return asUTC - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a wall-clock date/time in a time zone to a UTC instant
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {Date} UTC instant
+ */
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') => {
+  const guess = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+  // Apply the offset twice so instants near a DST switch land correctly
+  const firstPass = new Date(guess.getTime() - getTimeZoneOffset(guess, timeZone));
+  return new Date(guess.getTime() - getTimeZoneOffset(firstPass, timeZone));
+};
+
+/**
+ * Check that date/time parts name a real moment, e.g. not 2025-02-31 or 24:00
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @returns {boolean} True if no part rolls over into the next
+ */
+const isRealDateTime = ({ year, month, day, hour, minute, second }) => {
+  const date = new Date(0);
+  // setUTCFullYear, because Date.UTC maps years 0-99 to 1900-1999
+  date.setUTCFullYear(year, month - 1, day);
+  date.setUTCHours(hour, minute, second);
+
+  return date.getUTCFullYear() === year
+    && date.getUTCMonth() === month - 1
+    && date.getUTCDate() === day
+    && date.getUTCHours() === hour
+    && date.getUTCMinutes() === minute
+    && date.getUTCSeconds() === second;
+};
+
+/**
+ * Parse a date value supplied by a client
+ * Strings must be ISO dates or date/times, and impossible dates such as 2025-02-31 are
+ * rejected rather than rolled over. Strings with an explicit offset (or 'Z') are parsed
+ * as-is; local date/time strings without an offset are interpreted in the given time zone
+ * @param {string|number|Date} value - Date value to parse (numbers are Unix milliseconds)
+ * @param {string} [timeZone='UTC'] - Time zone for local date/time strings
+ * @returns {Date|null} Parsed date, or null if the value is invalid
+ */
+export const parseDate = (value, timeZone = 'UTC') => {
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(ISO_DATE_TIME_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '', offset] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second)
+  };
+  const milliseconds = Number(fraction.padEnd(3, '0'));
+
+  if (!isRealDateTime(parts)) {
+    return null;
+  }
+
+  if (offset) {
+    const [, sign, offsetHours, offsetMinutes] = offset.toUpperCase() === 'Z'
+      ? [null, '+', '0', '0']
+      : offset.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (Number(offsetHours) > 23 || Number(offsetMinutes) > 59) {
+      return null;
+    }
+
+    const offsetMs = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60 * 1000;
+    return new Date(zonedTimeToUtc(parts).getTime() + milliseconds - offsetMs);
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    return null;
+  }
+
+  return new Date(zonedTimeToUtc(parts, timeZone).getTime() + milliseconds);
+};
+
+/**
+ * Format a date as a calendar day key (YYYY-MM-DD) in a time zone
+ * @param {Date} date - Date to format
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {string} Day key
+ */
+export const toDateKey = (date, timeZone = 'UTC') => {
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
@@ -0,0 +1,92 @@
+/**
+ * ETag Utilities
+ * A todo's ETag is its version, which every edit increments, followed by a digest of the
+ * todo as served. Clients send it back in If-Match, so an edit based on an outdated copy
+ * fails instead of overwriting newer changes. If-Match only compares the version: comment
+ * counts, tracked time and blockers change the digest (so If-None-Match sees them) but
+ * aren't edits that should conflict
+ */
+
+import crypto from 'crypto';
+
+// Quoted ETag, optionally weak, with the version and an optional digest, e.g. "3-Xb1nT0vq2kQm8sLd" or "3"
+const ETAG_REGEX = /^(?:W\/)?"(\d+)(?:-[\w-]*)?"$/;
+
+/**
+ * Get the ETag of a todo
+ * @param {Object} todo - Todo document, as it is sent in the response
+ * @returns {string} Quoted ETag, e.g. "3-Xb1nT0vq2kQm8sLd"
+ */
+export const getTodoETag = (todo) => {
+  const json = JSON.stringify(typeof todo.toJSON === 'function' ? todo.toJSON() : todo);
+  const digest = crypto.createHash('sha1').update(json).digest('base64url').slice(0, 16);
+  return `"${todo.version ?? 0}-${digest}"`;
+};
+
+/**
+ * Get the version an ETag was issued for
+ * @param {string} tag - ETag from a request header
+ * @returns {number|null} Version, or null if the tag isn't a todo ETag
+ */
+const getETagVersion = (tag) => {
+  const match = tag.trim().match(ETAG_REGEX);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Set the ETag header of a response to a todo's ETag
+ * @param {Object} res - Express response object
+ * @param {Object} todo - Todo document
+ */
+export const setTodoETag = (res, todo) => {
+  res.set('ETag', getTodoETag(todo));
+};
+
+/**
+ * Get the filter matching a todo only while it still has a version
+ * Todos saved before versioning have no version field, which counts as 0
+ * @param {number} version - Version
+ * @returns {Object} MongoDB filter
+ */
+export const versionFilter = (version) => version ? { version } : { version: { $in: [0, null] } };
+
+/**
+ * Send a 412 response with the current state of a todo that changed elsewhere
+ * @param {Object} res - Express response object
+ * @param {Object} todo - Current todo document
+ */
+export const sendVersionConflict = (res, todo) => {
+  res.status(412).set('ETag', getTodoETag(todo)).json({
+    success: false,
+    message: 'This todo was changed elsewhere. Reload it, or send the change again without If-Match to overwrite',
+    code: 'VERSION_CONFLICT',
+    data: todo
+  });
+};
+
+/**
+ * Check the If-Match header of a request against a todo
+ * Sends 412 with the current todo unless it matches. When it matches, the todo's next
+ * save only applies while the todo still has this version, so an edit made elsewhere
+ * in the meantime can't be overwritten either
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} todo - Todo document
+ * @returns {boolean} True if a response was sent
+ */
+export const rejectIfStale = (req, res, todo) => {
+  const header = req.get('If-Match');
+  if (header === undefined) {
+    return false;
+  }
+
+  const version = todo.version ?? 0;
+  const matches = header.split(',').some(tag => tag.trim() === '*' || getETagVersion(tag) === version);
+  if (!matches) {
+    sendVersionConflict(res, todo);
+    return true;
+  }
+
+  todo.$where = { ...todo.$where, ...versionFilter(todo.version) };
+  return false;
+};
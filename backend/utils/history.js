@@ -0,0 +1,119 @@
+/**
+ * History Utilities
+ * Builds field-level diffs and records todo history entries
+ */
+
+import TodoHistory from '../models/TodoHistory.js';
+import { getCurrentUserId } from './requestContext.js';
+
+// Todo fields tracked in the history
+export const TRACKED_FIELDS = [
+  'text',
+  'notes',
+  'position',
+  'completed',
+  'priority',
+  'tags',
+  'listId',
+  'blockedBy',
+  'dueAt',
+  'dueTimeZone',
+  'estimateMinutes',
+  'recurrence',
+  'autoCompleteOnSubtasks',
+  'subtasks',
+  'attachments',
+  'archivedAt',
+  'deletedAt'
+];
+
+// Fields recorded in a compact form: checklist items by text, attachments by file name
+const SUMMARIZED_FIELDS = {
+  subtasks: (subtasks) => [...subtasks]
+    .sort((a, b) => a.order - b.order)
+    .map(({ text, completed }) => ({ text, completed })),
+  attachments: (attachments) => attachments.map(attachment => attachment.originalName)
+};
+
+/**
+ * Convert a field value to plain JSON (ObjectIds and Dates become strings)
+ * @param {*} value - Field value
+ * @returns {*} JSON-safe value, null when unset or an empty array
+ */
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Compute the field-level diff between two versions of a todo
+ * @param {Object|null} before - Previous todo (null when created)
+ * @param {Object|null} after - New todo
+ * @returns {Array} Changes as { field, before, after }
+ */
+export const diffTodo = (before, after) => {
+  const plainBefore = before?.toObject ? before.toObject() : before;
+  const plainAfter = after?.toObject ? after.toObject() : after;
+
+  const getValue = (todo, field) => (SUMMARIZED_FIELDS[field] && todo?.[field]
+    ? SUMMARIZED_FIELDS[field](todo[field])
+    : todo?.[field]);
+
+  return TRACKED_FIELDS.reduce((changes, field) => {
+    const previousValue = toPlain(getValue(plainBefore, field));
+    const nextValue = toPlain(getValue(plainAfter, field));
+    if (JSON.stringify(previousValue) !== JSON.stringify(nextValue)) {
+      changes.push({ field, before: previousValue, after: nextValue });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Describe where a request came from
+ * @param {Object} req - Express request object
+ * @returns {Object} { ip, userAgent, method, path }
+ */
+export const getRequestOrigin = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null,
+  method: req.method,
+  path: req.originalUrl
+});
+
+/**
+ * Record history entries for changed todos
+ * Entries belong to the todo's owner and list (not to whoever made the change), so
+ * everyone with access to a shared list sees its activity
+ * Failures are logged rather than thrown so the change itself still succeeds
+ * @param {Object} req - Express request object (for the origin)
+ * @param {string} action - History action
+ * @param {Array<Object>} versions - Changed todos as { before, after }
+ * @returns {Promise<void>}
+ */
+export const recordHistory = async (req, action, versions) => {
+  try {
+    const origin = getRequestOrigin(req);
+    const actorId = getCurrentUserId() ?? null;
+    const entries = versions
+      .map(({ before, after }) => ({
+        todoId: (after || before)._id,
+        ownerId: (after || before).ownerId ?? undefined,
+        listId: (after || before).listId ?? null,
+        action,
+        text: (after || before).text,
+        changes: diffTodo(before, after),
+        actorId,
+        origin
+      }))
+      // An update that changed nothing leaves no trace
+      .filter(entry => action !== 'update' || entry.changes.length > 0);
+
+    if (entries.length > 0) {
+      await TodoHistory.insertMany(entries);
+    }
+  } catch (error) {
+    console.error('Error recording todo history:', error);
+  }
+};
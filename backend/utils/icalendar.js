@@ -0,0 +1,299 @@
+/**
+ * iCalendar Utilities
+ * Writes todos as RFC 5545 VTODO components for the calendar feed, and reads
+ * VTODO and VEVENT components from .ics files for import
+ */
+
+import { config } from '../config/config.js';
+import { isValidTimeZone } from './dateUtils.js';
+
+// Todo priorities as iCalendar PRIORITY values (1 is highest, 9 lowest, 0 undefined)
+const PRIORITY_VALUES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+// Longest content line before it is folded, in octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Get the UID of a todo in the feed: the UID it was imported with, or one derived from its ID
+ * @param {Object} todo - Todo
+ * @returns {string} UID
+ */
+export const getTodoUid = (todo) => todo.icalUid || `${todo._id}@${config.calendar.uidDomain}`;
+
+/**
+ * Get the todo ID from a UID derived by getTodoUid
+ * @param {string} uid - UID
+ * @returns {string|null} Todo ID, or null for other UIDs
+ */
+const getIdFromUid = (uid) => {
+  const match = uid.match(/^([0-9a-fA-F]{24})@(.+)$/);
+  return match && match[2] === config.calendar.uidDomain ? match[1] : null;
+};
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ * @param {Date|string} value - Date
+ * @returns {string} e.g. 20240501T120000Z
+ */
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to at most 75 octets per line, without splitting characters
+ * @param {string} line - Content line
+ * @returns {string} Folded line ending in CRLF
+ */
+const foldLine = (line) => {
+  let folded = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      folded += '\r\n ';
+      // The leading space of a continuation line counts towards its length
+      octets = 1;
+    }
+    folded += char;
+    octets += size;
+  }
+  return `${folded}\r\n`;
+};
+
+/**
+ * Start of the calendar feed
+ * @returns {string} VCALENDAR header
+ */
+export const beginCalendar = () => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${config.calendar.prodId}`,
+  'CALSCALE:GREGORIAN',
+  'X-WR-CALNAME:Todos'
+].map(foldLine).join('');
+
+/**
+ * End of the calendar feed
+ * @returns {string} VCALENDAR footer
+ */
+export const endCalendar = () => foldLine('END:VCALENDAR');
+
+/**
+ * Format a todo as a VTODO component
+ * @param {Object} todo - Todo
+ * @returns {string} VTODO lines
+ */
+export const formatVTodo = (todo) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${escapeText(getTodoUid(todo))}`,
+    `DTSTAMP:${formatDateTime(todo.updatedAt)}`,
+    `CREATED:${formatDateTime(todo.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(todo.updatedAt)}`,
+    `SUMMARY:${escapeText(todo.text)}`
+  ];
+  if (todo.notes) lines.push(`DESCRIPTION:${escapeText(todo.notes)}`);
+  lines.push(`STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+  if (todo.completed && todo.completedAt) lines.push(`COMPLETED:${formatDateTime(todo.completedAt)}`);
+  if (todo.dueAt) lines.push(`DUE:${formatDateTime(todo.dueAt)}`);
+  if (PRIORITY_VALUES[todo.priority]) lines.push(`PRIORITY:${PRIORITY_VALUES[todo.priority]}`);
+  if (todo.tags?.length > 0) lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+  lines.push('END:VTODO');
+  return lines.map(foldLine).join('');
+};
+
+/**
+ * Unfold an iCalendar file into content lines
+ * @param {string} content - File content
+ * @returns {Array<Object>} [{ line, text }] with the file line each content line starts on
+ */
+const unfoldLines = (content) => {
+  const lines = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (/^[ \t]/.test(text) && lines.length > 0) {
+      lines[lines.length - 1].text += text.slice(1);
+    } else if (text.trim() !== '') {
+      lines.push({ line: index + 1, text });
+    }
+  });
+  return lines;
+};
+
+/**
+ * Parse a content line into its name, parameters and value
+ * @param {string} text - Content line
+ * @returns {Object|null} { name, params, value }, or null if the line is malformed
+ */
+const parseContentLine = (text) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') inQuotes = !inQuotes;
+    else if (text[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = text.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: text.slice(colon + 1) };
+};
+
+/**
+ * Convert a DATE or DATE-TIME value to a string parseDate understands
+ * @param {Object} property - { params, value }
+ * @returns {Object} { date, timeZone } (timeZone only for local times with a known TZID)
+ */
+const toDateValue = ({ params, value }) => {
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly) {
+    return { date: `${dateOnly[1]}-${dateOnly[2]}-${dateOnly[3]}` };
+  }
+  const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!dateTime) {
+    return { date: value };
+  }
+  const [, year, month, day, hour, minute, second, utc] = dateTime;
+  const date = `${year}-${month}-${day}T${hour}:${minute}:${second}${utc}`;
+  // Local times in other time zones (e.g. Windows names) are read as UTC
+  return !utc && params.TZID && isValidTimeZone(params.TZID)
+    ? { date, timeZone: params.TZID }
+    : { date };
+};
+
+/**
+ * Convert an iCalendar PRIORITY to a todo priority
+ * @param {string} value - PRIORITY value (0-9)
+ * @returns {string} Priority (invalid values are passed on, to be reported)
+ */
+const toPriority = (value) => {
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < 0 || priority > 9) return value;
+  if (priority === 0) return 'none';
+  if (priority === 1) return 'urgent';
+  if (priority <= 4) return 'high';
+  return priority === 5 ? 'medium' : 'low';
+};
+
+/**
+ * Convert calendar categories to tags: lowercase, spaces become dashes, other characters are dropped
+ * @param {string} value - CATEGORIES value
+ * @returns {Array<string>} Tags
+ */
+const toTags = (value) => value
+  .split(/(?<!\\),/)
+  .map(category => unescapeText(category)
+    .normalize('NFKD')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_\-/]/g, '')
+    .replace(/^[^a-z0-9]+/, '')
+    .slice(0, config.todo.maxTagLength))
+  .filter(Boolean);
+
+/**
+ * Convert the properties of a VTODO or VEVENT to import values
+ * @param {string} type - 'VTODO' or 'VEVENT'
+ * @param {Object} properties - Properties by name: [{ params, value }]
+ * @returns {Object} Raw values for parseImportRow
+ */
+const toImportValues = (type, properties) => {
+  const first = (name) => properties[name]?.[0];
+  const values = {};
+
+  const uid = first('UID')?.value.trim();
+  if (uid) {
+    values.uid = unescapeText(uid);
+    values.id = getIdFromUid(values.uid);
+  }
+  if (first('SUMMARY')) values.text = unescapeText(first('SUMMARY').value);
+  if (first('DESCRIPTION')) values.notes = unescapeText(first('DESCRIPTION').value);
+
+  // Events have no status; they become pending todos due when they start
+  values.completed = type === 'VTODO'
+    && (first('STATUS')?.value.toUpperCase() === 'COMPLETED' || first('COMPLETED') !== undefined);
+  if (values.completed && first('COMPLETED')) values.completedAt = toDateValue(first('COMPLETED')).date;
+
+  const due = type === 'VTODO' ? first('DUE') : first('DTSTART');
+  if (due) {
+    const { date, timeZone } = toDateValue(due);
+    values.dueAt = date;
+    if (timeZone) values.dueTimeZone = timeZone;
+  }
+
+  if (first('PRIORITY')) values.priority = toPriority(first('PRIORITY').value.trim());
+
+  const tags = (properties.CATEGORIES || []).flatMap(category => toTags(category.value));
+  if (tags.length > 0) values.tags = [...new Set(tags)];
+
+  return values;
+};
+
+/**
+ * Parse an iCalendar file into import rows, one per VTODO and VEVENT
+ * Changed instances of recurring entries (with a RECURRENCE-ID) are left out,
+ * as are components nested in them, such as alarms
+ * @param {string} content - File content
+ * @returns {Object} { rows: [{ row, values }] } or { error }
+ */
+export const parseICalendar = (content) => {
+  const lines = unfoldLines(content);
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.text.trim() ?? '')) {
+    return { error: 'iCalendar imports must start with BEGIN:VCALENDAR' };
+  }
+
+  const rows = [];
+  let current = null;
+  let depth = 0;
+
+  for (const { line, text } of lines) {
+    const property = parseContentLine(text.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      const type = property.value.trim().toUpperCase();
+      if (current) {
+        depth++;
+      } else if (type === 'VTODO' || type === 'VEVENT') {
+        current = { row: line, type, properties: {} };
+      }
+    } else if (property.name === 'END' && current) {
+      if (depth > 0) {
+        depth--;
+      } else {
+        if (!current.properties['RECURRENCE-ID']) {
+          rows.push({ row: current.row, values: toImportValues(current.type, current.properties) });
+        }
+        current = null;
+      }
+    } else if (current && depth === 0) {
+      (current.properties[property.name] ??= []).push(property);
+    }
+  }
+
+  return { rows };
+};
@@ -0,0 +1,70 @@
+/**
+ * Markdown Utilities
+ * Renders todo notes from Markdown to sanitized HTML
+ */
+
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// GitHub-flavored Markdown with single line breaks kept as <br>
+const markdown = new Marked({ gfm: true, breaks: true });
+
+// Only formatting tags survive; scripts, styles, iframes, forms and event handlers are dropped
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'em', 'del', 's', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'input',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    // Task list checkboxes (- [x] item)
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links open in a new tab without access to the app window
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer nofollow' }),
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.type === 'checkbox'
+        ? { type: 'checkbox', disabled: '', ...('checked' in attribs && { checked: '' }) }
+        : {}
+    })
+  },
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+/**
+ * Render Markdown notes to sanitized HTML
+ * @param {string|null} source - Markdown source
+ * @returns {string|null} Safe HTML, or null for empty notes
+ */
+export const renderMarkdown = (source) => {
+  if (!source || !source.trim()) return null;
+  return sanitizeHtml(markdown.parse(source), SANITIZE_OPTIONS);
+};
+
+/**
+ * Parse and validate notes from a request
+ * @param {*} notes - Raw notes (null or '' clears them)
+ * @param {number} maxLength - Maximum length in characters
+ * @returns {Object} { notes } on success, { error } on invalid input
+ */
+export const parseNotes = (notes, maxLength) => {
+  if (notes === null || notes === '') {
+    return { notes: null };
+  }
+  if (typeof notes !== 'string') {
+    return { error: 'Notes must be a string' };
+  }
+  if (notes.length > maxLength) {
+    return { error: `Notes cannot exceed ${maxLength} characters` };
+  }
+  return { notes: notes.trim() ? notes : null };
+};
@@ -0,0 +1,106 @@
+/**
+ * Owner Scope Plugin
+ * Gives a schema an ownerId and limits every query to the signed-in user's documents
+ * Outside a signed-in request (scheduled jobs, scripts) queries run unscoped, and
+ * a query can opt out with the allOwners option once access has been checked another way
+ */
+
+import mongoose from 'mongoose';
+import { getCurrentUserId, getCurrentListRoles } from './requestContext.js';
+
+// Query operations that get the owner filter
+const SCOPED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Build the current user's filter
+ * @param {Function} scopeFilter - Receives (ownerId, listIds) as ObjectIds and returns the filter
+ * @returns {Object|null} Filter, or null outside a signed-in request
+ */
+const getScopeFilter = (scopeFilter) => {
+  const userId = getCurrentUserId();
+  if (!userId) {
+    return null;
+  }
+  const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+  const listIds = [...getCurrentListRoles().keys()].map(toObjectId);
+  return scopeFilter(toObjectId(userId), listIds);
+};
+
+/**
+ * Mongoose plugin that scopes a model to the current user
+ * @param {mongoose.Schema} schema - Schema to scope
+ * @param {Object} [options] - Plugin options
+ * @param {Function} [options.scopeFilter] - Custom filter for models that shared lists open up to
+ *   collaborators; receives (ownerId, listIds of the lists the user belongs to)
+ */
+export const ownerScope = (schema, { scopeFilter = (ownerId) => ({ ownerId }) } = {}) => {
+  schema.add({
+    // User the document belongs to
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      immutable: true,
+      index: true
+    }
+  });
+
+  /**
+   * Limit queries to the current user's documents
+   */
+  schema.pre(SCOPED_QUERIES, function(next) {
+    const filter = !this.getOptions().allOwners && getScopeFilter(scopeFilter);
+    if (filter) {
+      // and() rather than where(), so a query's own $or is kept
+      this.and([filter]);
+    }
+    next();
+  });
+
+  /**
+   * Limit aggregations to the current user's documents
+   */
+  schema.pre('aggregate', function(next) {
+    const filter = !this.options.allOwners && getScopeFilter(scopeFilter);
+    if (filter) {
+      this.pipeline().unshift({ $match: filter });
+    }
+    next();
+  });
+
+  /**
+   * New documents belong to the current user
+   */
+  schema.pre('validate', function(next) {
+    if (this.isNew && !this.ownerId) {
+      this.ownerId = getCurrentUserId();
+    }
+    next();
+  });
+
+  /**
+   * insertMany skips document middleware, so set owners here
+   */
+  schema.pre('insertMany', function(next, docs) {
+    const ownerId = getCurrentUserId();
+    if (ownerId) {
+      for (const doc of [].concat(docs)) {
+        doc.ownerId ??= ownerId;
+      }
+    }
+    next();
+  });
+};
@@ -0,0 +1,81 @@
+/**
+ * Position Utilities
+ * Fractional rank keys for manual ordering: a key can always be generated
+ * between two neighbors, so a move only rewrites the moved todo
+ * Keys are base-62 strings compared by plain string order (no trailing '0')
+ */
+
+// Digits in ascending ASCII order, so string comparison matches numeric order
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Check whether a value is a usable position key
+ * @param {*} key - Value to check
+ * @returns {boolean} True for a non-empty base-62 string without a trailing '0'
+ */
+export const isValidPosition = (key) => {
+  return typeof key === 'string' && /^[0-9A-Za-z]*[1-9A-Za-z]$/.test(key);
+};
+
+/**
+ * Midpoint of two fractional digit strings (a < b, b null for "infinity")
+ * @param {string} a - Lower bound ('' for zero)
+ * @param {string|null} b - Upper bound
+ * @returns {string} Key strictly between a and b
+ */
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Skip the shared prefix
+    let n = 0;
+    while ((a[n] || '0') === b[n]) {
+      n++;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Consecutive digits: use b's first digit if b continues, else extend a
+  if (b && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * Generate a key between two neighbors
+ * @param {string|null} before - Key of the previous item (null for the start)
+ * @param {string|null} after - Key of the next item (null for the end)
+ * @returns {string} New key
+ */
+export const keyBetween = (before, after) => {
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Invalid position range: ${before} >= ${after}`);
+  }
+  return midpoint(before || '', after);
+};
+
+/**
+ * Generate evenly spaced keys for n items in order (used to backfill positions)
+ * @param {number} count - Number of keys
+ * @returns {Array<string>} Ascending keys
+ */
+export const sequentialKeys = (count) => {
+  const width = Math.max(1, Math.ceil(Math.log(count + 1) / Math.log(DIGITS.length)));
+  return Array.from({ length: count }, (_, index) => {
+    let value = index + 1;
+    let key = '';
+    for (let i = 0; i < width; i++) {
+      key = DIGITS[value % DIGITS.length] + key;
+      value = Math.floor(value / DIGITS.length);
+    }
+    // A trailing 'V' keeps keys free of trailing zeros
+    return `${key}V`;
+  });
+};
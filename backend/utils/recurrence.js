@@ -0,0 +1,172 @@
+/**
+ * Recurrence Utilities
+ * Validation and next-occurrence calculation for RRULE-style schedules
+ * Dates are stepped in the todo's own time zone so wall-clock times survive DST
+ */
+
+import { getZonedParts, parseDate, zonedTimeToUtc } from './dateUtils.js';
+
+export const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse and validate a recurrence rule from a request body
+ * @param {Object|null} input - Raw rule
+ * @returns {Object} { error } on invalid input, otherwise { recurrence } (null to clear)
+ */
+export const parseRecurrence = (input) => {
+  if (input === null) {
+    return { recurrence: null };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Recurrence must be an object or null' };
+  }
+
+  const { frequency, interval = 1, daysOfWeek, dayOfMonth, until, count } = input;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const recurrence = { frequency, interval: Number(interval) };
+
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1 || recurrence.interval > 365) {
+    return { error: 'Recurrence interval must be a whole number between 1-365' };
+  }
+
+  if (frequency === 'weekly' && daysOfWeek !== undefined) {
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+        daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Recurrence daysOfWeek must be a non-empty array of numbers 0-6 (0 = Sunday)' };
+    }
+    recurrence.daysOfWeek = [...new Set(daysOfWeek)].sort();
+  }
+
+  if (frequency === 'monthly' && dayOfMonth !== undefined) {
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      return { error: 'Recurrence dayOfMonth must be a number between 1-31' };
+    }
+    recurrence.dayOfMonth = dayOfMonth;
+  }
+
+  if (until !== undefined && until !== null) {
+    const untilDate = parseDate(until);
+    if (!untilDate) {
+      return { error: 'Recurrence until must be an ISO 8601 date or date-time' };
+    }
+    recurrence.until = untilDate;
+  }
+
+  if (count !== undefined && count !== null) {
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: 'Recurrence count must be a whole number >= 1' };
+    }
+    recurrence.count = count;
+  }
+
+  return { recurrence };
+};
+
+/**
+ * Add calendar days to a { year, month, day } date
+ * @param {Object} date - Calendar date
+ * @param {number} days - Days to add
+ * @returns {Object} New calendar date
+ */
+const addDays = ({ year, month, day }, days) => {
+  const result = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return { year: result.getUTCFullYear(), month: result.getUTCMonth() + 1, day: result.getUTCDate() };
+};
+
+/**
+ * Day of week (0 = Sunday) of a calendar date
+ * @param {Object} date - Calendar date
+ * @returns {number} Weekday
+ */
+const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+/**
+ * Calculate the next calendar date for a rule
+ * @param {Object} rule - Recurrence rule
+ * @param {Object} from - Calendar date of the current occurrence
+ * @returns {Object} Calendar date of the next occurrence
+ */
+const nextCalendarDate = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(from, interval);
+
+    case 'weekdays': {
+      let next = addDays(from, 1);
+      while ([0, 6].includes(weekdayOf(next))) {
+        next = addDays(next, 1);
+      }
+      return next;
+    }
+
+    case 'weekly': {
+      const days = rule.daysOfWeek?.length ? rule.daysOfWeek : [weekdayOf(from)];
+      const startOfWeek = addDays(from, -weekdayOf(from));
+
+      // Walk forward day by day, only accepting days in every Nth week
+      for (let offset = 1; offset <= 7 * interval + 7; offset++) {
+        const candidate = addDays(from, offset);
+        const weeksSinceStart = Math.floor(
+          (Date.UTC(candidate.year, candidate.month - 1, candidate.day) -
+           Date.UTC(startOfWeek.year, startOfWeek.month - 1, startOfWeek.day)) / (7 * DAY_MS)
+        );
+        if (weeksSinceStart % interval === 0 && days.includes(weekdayOf(candidate))) {
+          return candidate;
+        }
+      }
+      return addDays(from, 7 * interval);
+    }
+
+    case 'monthly': {
+      const targetDay = rule.dayOfMonth || from.day;
+      const monthIndex = from.month - 1 + interval;
+      const year = from.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      // Clamp to the last day of shorter months (e.g. the 31st in April)
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return { year, month, day: Math.min(targetDay, daysInMonth) };
+    }
+
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Calculate the due date of the next occurrence in a series
+ * @param {Object} rule - Recurrence rule
+ * @param {Object} options - Current occurrence details
+ * @param {Date} options.from - Due date (or completion time) of the current occurrence
+ * @param {number} options.occurrence - 1-based index of the current occurrence
+ * @param {string} [options.timeZone='UTC'] - Time zone the schedule is anchored to
+ * @returns {Date|null} Next due date, or null when the series has ended
+ */
+export const getNextOccurrence = (rule, { from, occurrence, timeZone = 'UTC' }) => {
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const parts = getZonedParts(from, timeZone);
+  const nextDate = nextCalendarDate(rule, parts);
+  const next = zonedTimeToUtc({
+    ...nextDate,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  }, timeZone);
+
+  if (rule.until && next > new Date(rule.until)) {
+    return null;
+  }
+
+  return next;
+};
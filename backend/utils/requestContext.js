@@ -0,0 +1,30 @@
+/**
+ * Request Context
+ * Carries the signed-in user through a request's async calls (AsyncLocalStorage),
+ * so models can scope their queries without every call site passing the user along
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback (and everything it awaits) as a user
+ * @param {string} userId - User ID
+ * @param {Function} callback - Function to run
+ * @param {Map<string, string>} [listRoles] - The user's role ('owner', 'editor' or 'viewer') by list ID
+ * @returns {*} The callback's return value
+ */
+export const runAsUser = (userId, callback, listRoles = new Map()) => storage.run({ userId, listRoles }, callback);
+
+/**
+ * Get the user of the current request
+ * @returns {string|null} User ID, or null outside a signed-in request (e.g. scheduled jobs)
+ */
+export const getCurrentUserId = () => storage.getStore()?.userId ?? null;
+
+/**
+ * Get the current user's roles on the lists they own or collaborate on
+ * @returns {Map<string, string>} Role by list ID (empty outside a signed-in request)
+ */
+export const getCurrentListRoles = () => storage.getStore()?.listRoles ?? new Map();
@@ -0,0 +1,147 @@
+/**
+ * Search Utilities
+ * Parses full-text search queries and builds highlighted snippets for the results
+ * Query syntax follows MongoDB's $text search: words match any of them, "quoted phrases"
+ * must all appear, and -word or -"phrase" excludes todos containing it
+ */
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+// Endings stripped from search words so "running" also highlights "run" and "runs"
+// (the text index stems words, so such todos match)
+const WORD_ENDINGS = /(ing|ed|es|s)$/;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a search query into its parts
+ * @param {string} query - Raw query
+ * @returns {Object} { terms, phrases, excluded } (all lowercase)
+ */
+export const parseSearchQuery = (query) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  // Quoted phrases (optionally negated), then single words (optionally negated)
+  const tokenRegex = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  for (const match of String(query).matchAll(tokenRegex)) {
+    const [, phraseNegation, phrase, wordNegation, word] = match;
+    if (phrase !== undefined) {
+      const value = phrase.trim().toLowerCase();
+      if (value) {
+        (phraseNegation ? excluded : phrases).push(value);
+      }
+    } else {
+      const value = word.replace(/^"+|"+$/g, '').toLowerCase();
+      if (value) {
+        (wordNegation ? excluded : terms).push(value);
+      }
+    }
+  }
+
+  return { terms, phrases, excluded };
+};
+
+/**
+ * Check whether a parsed query has anything to search for
+ * (MongoDB ignores queries made only of exclusions)
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} True if the query has words or phrases
+ */
+export const hasSearchTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+/**
+ * Find the ranges of a text that match a parsed query
+ * Words match at the start of a word and extend to its end; phrases match anywhere
+ * @param {string} text - Text to search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end] ranges
+ */
+export const findMatches = (text, parsed) => {
+  if (!text) {
+    return [];
+  }
+
+  const patterns = [
+    ...parsed.phrases.map(phrase => escapeRegex(phrase)),
+    ...parsed.terms.map(term => {
+      // "running" -> "runn" -> "run"
+      const stem = term.length > 4 ? term.replace(WORD_ENDINGS, '').replace(/([^aeiou])\1$/, '$1') : term;
+      // Only anchor to a word start when the term starts with a word character
+      return `${/^\w/.test(stem) ? '\\b' : ''}${escapeRegex(stem)}\\w*`;
+    })
+  ];
+  if (patterns.length === 0) {
+    return [];
+  }
+
+  const ranges = [];
+  for (const match of text.matchAll(new RegExp(patterns.join('|'), 'gi'))) {
+    if (match[0].length > 0) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  // Merge overlapping ranges (a phrase containing a word, for example)
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Cut a snippet around the first match of a long text
+ * @param {string} text - Full text
+ * @param {Array<Array<number>>} matches - Ranges from findMatches
+ * @returns {Object} { snippet, matches } with ranges relative to the snippet
+ */
+export const buildSnippet = (text, matches) => {
+  const start = Math.max(0, matches[0][0] - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_CONTEXT * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    matches: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset])
+  };
+};
+
+/**
+ * Build the highlights of a search result
+ * The todo text is returned whole; notes are cut to a snippet around the first match
+ * @param {Object} todo - Todo (text, notes)
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<Object>} [{ field, snippet, matches }] for each field that matched
+ */
+export const buildHighlights = (todo, parsed) => {
+  const highlights = [];
+
+  const textMatches = findMatches(todo.text, parsed);
+  if (textMatches.length > 0) {
+    highlights.push({ field: 'text', snippet: todo.text, matches: textMatches });
+  }
+
+  const notesMatches = findMatches(todo.notes, parsed);
+  if (notesMatches.length > 0) {
+    highlights.push({ field: 'notes', ...buildSnippet(todo.notes, notesMatches) });
+  }
+
+  return highlights;
+};
@@ -0,0 +1,63 @@
+/**
+ * Tag Utilities
+ * Normalization and validation helpers for todo tags
+ */
+
+import { config } from '../config/config.js';
+
+// Tags are lowercase letters, digits, dashes, underscores and slashes
+const TAG_REGEX = /^[a-z0-9][a-z0-9_\-/]*$/;
+
+/**
+ * Normalize a single tag: trim, drop a leading '#', lowercase
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag
+ */
+export const normalizeTag = (tag) => {
+  return String(tag).trim().replace(/^#+/, '').toLowerCase();
+};
+
+/**
+ * Check whether a normalized tag is valid
+ * @param {string} tag - Normalized tag
+ * @returns {boolean} True if the tag is valid
+ */
+export const isValidTag = (tag) => {
+  return typeof tag === 'string' &&
+    tag.length > 0 &&
+    tag.length <= config.todo.maxTagLength &&
+    TAG_REGEX.test(tag);
+};
+
+/**
+ * Parse and validate a list of tags from a request
+ * Accepts an array or a comma-separated string and removes duplicates
+ * @param {Array|string} tags - Raw tags
+ * @returns {Object} { tags } on success, { error } on invalid input
+ */
+export const parseTags = (tags) => {
+  const rawTags = typeof tags === 'string' ? tags.split(',') : tags;
+
+  if (!Array.isArray(rawTags)) {
+    return { error: 'Tags must be an array of strings' };
+  }
+
+  const normalized = [...new Set(
+    rawTags
+      .filter(tag => typeof tag === 'string' && tag.trim().length > 0)
+      .map(normalizeTag)
+  )];
+
+  const invalid = normalized.find(tag => !isValidTag(tag));
+  if (invalid !== undefined) {
+    return {
+      error: `Invalid tag "${invalid}". Tags may contain letters, digits, "-", "_" and "/" (max ${config.todo.maxTagLength} characters)`
+    };
+  }
+
+  if (normalized.length > config.todo.maxTags) {
+    return { error: `A todo cannot have more than ${config.todo.maxTags} tags` };
+  }
+
+  return { tags: normalized };
+};
@@ -0,0 +1,394 @@
+/**
+ * Todo Import/Export Formats
+ * Serializes todos as JSON, CSV or Markdown and parses the same formats back
+ * (plus iCalendar files); exports are written one todo at a time so they can be streamed
+ */
+
+import { config } from '../config/config.js';
+import { parseTags } from './tagUtils.js';
+import { parseNotes } from './markdown.js';
+import { isValidTimeZone, parseDate } from './dateUtils.js';
+import { parseICalendar } from './icalendar.js';
+
+// Fields of an exported todo, in CSV column order
+export const EXPORT_FIELDS = [
+  'id',
+  'text',
+  'completed',
+  'priority',
+  'tags',
+  'dueAt',
+  'dueTimeZone',
+  'estimateMinutes',
+  'notes',
+  'createdAt',
+  'completedAt'
+];
+
+// Fields read from an imported row (the rest are set by the server)
+const IMPORT_FIELDS = ['id', 'text', 'completed', 'completedAt', 'priority', 'tags', 'dueAt', 'dueTimeZone', 'estimateMinutes', 'notes'];
+
+// Markdown metadata lines under a checklist item ("  - priority: high")
+const MARKDOWN_META_FIELDS = {
+  id: 'id',
+  priority: 'priority',
+  tags: 'tags',
+  due: 'dueAt',
+  timezone: 'dueTimeZone',
+  estimate: 'estimateMinutes'
+};
+
+// Spreadsheets run cells starting with these as formulas, so exports prefix them with '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format an optional date as an ISO string
+ * @param {Date|string|null} value - Date
+ * @returns {string|null} ISO string, or null
+ */
+const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+/**
+ * Get the exported fields of a todo
+ * @param {Object} todo - Todo document or plain object
+ * @returns {Object} Record with the EXPORT_FIELDS
+ */
+export const toExportRecord = (todo) => ({
+  id: String(todo._id ?? todo.id),
+  text: todo.text,
+  completed: Boolean(todo.completed),
+  priority: todo.priority || 'none',
+  tags: todo.tags || [],
+  dueAt: toIso(todo.dueAt),
+  dueTimeZone: todo.dueTimeZone || null,
+  estimateMinutes: todo.estimateMinutes ?? null,
+  notes: todo.notes || null,
+  createdAt: toIso(todo.createdAt),
+  completedAt: toIso(todo.completedAt)
+});
+
+/**
+ * Format a value as a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let cell = Array.isArray(value) ? value.join(',') : String(value);
+  if (FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]|^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Format a todo as a Markdown checklist item, with its fields as nested
+ * "key: value" items and its notes as a block quote
+ * @param {Object} record - Export record
+ * @returns {string} Markdown
+ */
+const toMarkdownItem = (record) => {
+  const lines = [`- [${record.completed ? 'x' : ' '}] ${record.text.replace(/\s*\n\s*/g, ' ')}`];
+  if (record.priority !== 'none') lines.push(`  - priority: ${record.priority}`);
+  if (record.tags.length > 0) lines.push(`  - tags: ${record.tags.join(', ')}`);
+  if (record.dueAt) lines.push(`  - due: ${record.dueAt}`);
+  if (record.dueTimeZone) lines.push(`  - timezone: ${record.dueTimeZone}`);
+  if (record.estimateMinutes) lines.push(`  - estimate: ${record.estimateMinutes}`);
+  lines.push(`  - id: ${record.id}`);
+  if (record.notes) {
+    lines.push(...record.notes.split(/\r?\n/).map(line => `  > ${line}`.trimEnd()));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Export formats: content type, file extension, and the text before, for and after each todo
+ */
+export const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    begin: () => '[',
+    formatRecord: (record, index) => `${index > 0 ? ',' : ''}\n  ${JSON.stringify(record)}`,
+    end: () => '\n]\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The byte order mark makes spreadsheets read the file as UTF-8
+    begin: () => `\uFEFF${EXPORT_FIELDS.join(',')}\r\n`,
+    formatRecord: (record) => `${EXPORT_FIELDS.map(field => toCsvCell(record[field])).join(',')}\r\n`,
+    end: () => ''
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    begin: () => '# Todos\n\n',
+    formatRecord: toMarkdownItem,
+    end: () => ''
+  }
+};
+
+// Formats accepted by imports: the export formats and iCalendar (.ics) files
+export const IMPORT_FORMATS = [...Object.keys(EXPORT_FORMATS), 'ics'];
+
+/**
+ * Parse CSV text into records (RFC 4180: quoted cells may contain commas, quotes and newlines)
+ * @param {string} content - CSV text
+ * @returns {Array<Object>} [{ line, cells }] with the line each record starts on
+ */
+const parseCsv = (content) => {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      cells.push(cell);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+  }
+
+  // Blank lines aren't records
+  return records.filter(record => record.cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse JSON import content: an array of todos (or { data: [...] } as returned by the API)
+ * @param {string} content - JSON text
+ * @returns {Object} { rows } or { error }
+ */
+const parseJsonRows = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.data;
+  if (!Array.isArray(items)) {
+    return { error: 'JSON imports must be an array of todos' };
+  }
+  return {
+    rows: items.map((item, index) => ({
+      row: index + 1,
+      values: item !== null && typeof item === 'object' && !Array.isArray(item) ? item : null
+    }))
+  };
+};
+
+/**
+ * Parse CSV import content with a header row naming the columns (as exported)
+ * @param {string} content - CSV text
+ * @returns {Object} { rows } or { error }
+ */
+const parseCsvRows = (content) => {
+  const [header, ...records] = parseCsv(content);
+  if (!header) {
+    return { rows: [] };
+  }
+
+  // Match columns to fields regardless of case; unknown columns are ignored
+  const columns = header.cells.map(name => {
+    const normalized = name.trim().toLowerCase();
+    return IMPORT_FIELDS.find(field => field.toLowerCase() === normalized) ?? (normalized === '_id' ? 'id' : null);
+  });
+  if (!columns.includes('text')) {
+    return { error: 'CSV imports need a header row with a "text" column' };
+  }
+
+  return {
+    rows: records.map(({ line, cells }) => {
+      const values = {};
+      columns.forEach((field, index) => {
+        if (field && cells[index] !== undefined) {
+          // Undo the formula guard added on export
+          values[field] = cells[index].startsWith("'") && FORMULA_PREFIX.test(cells[index].slice(1))
+            ? cells[index].slice(1)
+            : cells[index];
+        }
+      });
+      return { row: line, values };
+    })
+  };
+};
+
+/**
+ * Parse Markdown import content: one todo per top-level list item ("- [ ] text",
+ * "- [x] text" or "- text"), with optional "key: value" sub-items and "> notes" lines
+ * @param {string} content - Markdown text
+ * @returns {Object} { rows }
+ */
+const parseMarkdownRows = (content) => {
+  const rows = [];
+  let current = null;
+  let notes = [];
+
+  const finish = () => {
+    if (current) {
+      if (notes.length > 0) current.values.notes = notes.join('\n');
+      rows.push(current);
+    }
+    current = null;
+    notes = [];
+  };
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const item = line.match(/^ ?[-*+]\s+(?:\[([ xX])\]\s+)?(.*)$/);
+    if (item) {
+      finish();
+      current = { row: index + 1, values: { text: item[2], completed: item[1] !== undefined && item[1] !== ' ' } };
+      return;
+    }
+    if (!current) return;
+
+    const meta = line.match(/^\s+[-*+]\s+([a-zA-Z]+):\s*(.*)$/);
+    const field = meta && MARKDOWN_META_FIELDS[meta[1].toLowerCase()];
+    if (field) {
+      current.values[field] = meta[2].trim();
+      return;
+    }
+    const quote = line.match(/^\s+>\s?(.*)$/);
+    if (quote) {
+      notes.push(quote[1]);
+    } else if (/^\s+\S/.test(line)) {
+      // Any other indented text belongs to the notes as well
+      notes.push(line.trim());
+    }
+  });
+  finish();
+
+  return { rows };
+};
+
+/**
+ * Parse import content into rows of raw values
+ * @param {string} format - 'json', 'csv', 'md' or 'ics'
+ * @param {string} content - File content
+ * @returns {Object} { rows: [{ row, values }] } or { error }
+ */
+export const parseImportContent = (format, content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  if (format === 'json') return parseJsonRows(text);
+  if (format === 'csv') return parseCsvRows(text);
+  if (format === 'ics') return parseICalendar(text);
+  return parseMarkdownRows(text);
+};
+
+/**
+ * Check whether a raw value is empty (missing, null or a blank string)
+ * @param {*} value - Raw value
+ * @returns {boolean} True if empty
+ */
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validate the raw values of an imported row and convert them to todo fields
+ * Length limits are checked by the model when the row is validated
+ * @param {Object|null} values - Raw values from parseImportContent
+ * @returns {Object} { id, uid, fields, errors } (errors empty if the row is valid)
+ */
+export const parseImportRow = (values) => {
+  if (!values) {
+    return { id: null, uid: null, fields: {}, errors: ['Row must be an object'] };
+  }
+
+  const errors = [];
+  const fields = {};
+
+  if (typeof values.text !== 'string' || values.text.trim() === '') {
+    errors.push('Todo text is required and cannot be empty');
+  } else {
+    fields.text = values.text.trim();
+  }
+
+  if (!isBlank(values.notes)) {
+    const parsedNotes = parseNotes(values.notes, Infinity);
+    if (parsedNotes.error) errors.push(parsedNotes.error);
+    else fields.notes = parsedNotes.notes;
+  }
+
+  if (!isBlank(values.completed)) {
+    const completed = String(values.completed).trim().toLowerCase();
+    if (['true', '1', 'yes', 'x'].includes(completed)) fields.completed = true;
+    else if (['false', '0', 'no'].includes(completed)) fields.completed = false;
+    else errors.push('completed must be true or false');
+  }
+  // The completion time only means something for completed todos; without one, it is the import time
+  if (fields.completed && !isBlank(values.completedAt)) {
+    const completedAt = parseDate(values.completedAt);
+    if (completedAt) fields.completedAt = completedAt;
+    else errors.push('Invalid completion date. Use an ISO 8601 date-time');
+  }
+
+  if (!isBlank(values.priority)) {
+    fields.priority = String(values.priority).trim().toLowerCase();
+  }
+
+  if (!isBlank(values.tags)) {
+    const parsedTags = parseTags(values.tags);
+    if (parsedTags.error) errors.push(parsedTags.error);
+    else fields.tags = parsedTags.tags;
+  }
+
+  if (!isBlank(values.dueTimeZone)) {
+    if (isValidTimeZone(values.dueTimeZone)) fields.dueTimeZone = values.dueTimeZone;
+    else errors.push('Invalid due time zone. Use an IANA name such as "Europe/Berlin"');
+  }
+  if (!isBlank(values.dueAt)) {
+    const dueAt = parseDate(values.dueAt, fields.dueTimeZone || 'UTC');
+    if (dueAt) fields.dueAt = dueAt;
+    else errors.push('Invalid due date. Use an ISO 8601 date or date-time');
+  }
+
+  if (!isBlank(values.estimateMinutes)) {
+    const estimate = Number(values.estimateMinutes);
+    if (Number.isInteger(estimate) && estimate >= 1 && estimate <= config.timeTracking.maxEstimateMinutes) {
+      fields.estimateMinutes = estimate;
+    } else {
+      errors.push(`Estimate must be a whole number of minutes between 1 and ${config.timeTracking.maxEstimateMinutes}`);
+    }
+  }
+
+  // IDs from another account or database simply won't match an existing todo
+  const id = typeof values.id === 'string' && /^[0-9a-fA-F]{24}$/.test(values.id.trim())
+    ? values.id.trim()
+    : (typeof values._id === 'string' && /^[0-9a-fA-F]{24}$/.test(values._id) ? values._id : null);
+
+  // Calendar UID, so re-importing the same calendar entry finds the todo made from it
+  const uid = typeof values.uid === 'string' && values.uid.trim() !== '' ? values.uid.trim() : null;
+
+  return { id, uid, fields, errors };
+};
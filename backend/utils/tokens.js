@@ -0,0 +1,40 @@
+/**
+ * Access Token Utilities
+ * Signs and verifies the short-lived JWTs sent as Bearer tokens
+ */
+
+import jwt from 'jsonwebtoken';
+import { config } from '../config/config.js';
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user) => {
+  return jwt.sign(
+    { email: user.email },
+    config.auth.jwtSecret,
+    { subject: String(user._id), expiresIn: config.auth.accessTokenTtl, algorithm: 'HS256' }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT
+ * @returns {Object} Decoded payload ({ sub, email, iat, exp })
+ * @throws {jwt.TokenExpiredError|jwt.JsonWebTokenError} If the token is expired or invalid
+ */
+export const verifyAccessToken = (token) => {
+  return jwt.verify(token, config.auth.jwtSecret, { algorithms: ['HS256'] });
+};
+
+/**
+ * Lifetime of an access token in seconds, for clients that refresh ahead of expiry
+ * @param {string} token - Signed JWT
+ * @returns {number} Seconds until the token expires
+ */
+export const getExpiresIn = (token) => {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+};
@@ -0,0 +1,47 @@
+/**
+ * Trash Purge
+ * Periodically deletes todos that have been in the trash longer than
+ * config.trash.purgeAfterDays
+ */
+
+import Todo from '../models/Todo.js';
+import { config } from '../config/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Permanently delete todos trashed before the configured purge age
+ * @returns {Promise<number>} Number of todos deleted
+ */
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - config.trash.purgeAfterDays * DAY_MS);
+  return Todo.purgeTrash(cutoff);
+};
+
+/**
+ * Start the auto-purge timer (no-op when purgeAfterDays is 0)
+ * @returns {NodeJS.Timeout|null} Interval handle
+ */
+export const startTrashPurge = () => {
+  const { purgeAfterDays, purgeIntervalMinutes } = config.trash;
+  if (!purgeAfterDays || purgeAfterDays <= 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const deletedCount = await purgeExpiredTrash();
+      if (deletedCount > 0) {
+        console.log(`🗑️  Purged ${deletedCount} todo(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, purgeIntervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for the purge timer
+  timer.unref();
+  return timer;
+};
@@ -4,15 +4,49 @@
  * Implements offline-first approach with localStorage fallback
  */
 
-import React from 'react';
+import React, { useState } from 'react';
+import { LogOut, Users, Eye, Settings } from 'lucide-react';
 import { useTodos } from './hooks/useTodos';
+import { useLists } from './hooks/useLists';
+import { useTrash } from './hooks/useTrash';
+import { useArchive } from './hooks/useArchive';
+import { useActivity } from './hooks/useActivity';
+import { useTimer } from './hooks/useTimer';
+import { useInvites } from './hooks/useInvites';
+import { useApiTokens } from './hooks/useApiTokens';
+import { useSearch } from './hooks/useSearch';
+import { useImportExport } from './hooks/useImportExport';
 import TodoHeader from './components/TodoHeader';
 import TodoInput from './components/TodoInput';
 import TodoList from './components/TodoList';
 import TodoStats from './components/TodoStats';
+import ImportExportBar from './components/ImportExportBar';
+import ImportDialog from './components/ImportDialog';
+import TagFilterBar from './components/TagFilterBar';
+import SearchBar from './components/SearchBar';
+import SearchResults from './components/SearchResults';
+import ListSidebar from './components/ListSidebar';
+import ListSharingPanel from './components/ListSharingPanel';
+import CollaboratorAvatars from './components/CollaboratorAvatars';
+import InviteBanner from './components/InviteBanner';
+import TrashView from './components/TrashView';
+import ArchiveView from './components/ArchiveView';
+import ActivityFeed from './components/ActivityFeed';
+import SettingsView from './components/SettingsView';
 import ErrorAlert from './components/ErrorAlert';
 
-const App = () => {
+const App = ({ user, onLogout }) => {
+  // Selected list: null for all todos, 'none' for the inbox, or a list ID
+  const [selectedListId, setSelectedListId] = useState(null);
+  // Main view: 'todos', 'activity', 'archive', 'trash' or 'settings'
+  const [view, setView] = useState('todos');
+  // Whether the sharing panel of the selected list is open
+  const [isSharingOpen, setIsSharingOpen] = useState(false);
+  // Search box contents; a non-empty query shows search results instead of the todo list
+  const [searchQuery, setSearchQuery] = useState('');
+  // Whether the import dialog is open
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
   // Custom hook for todo management
   const {
     todos,
@@ -20,13 +54,267 @@ const App = () => {
     loading,
     error,
     isOnline,
+    tagFilter,
+    availableTags,
     addTodo,
     updateTodo,
+    replaceTodo,
     toggleTodoComplete,
+    moveTodo,
     deleteTodo,
-    deleteCompletedTodos,
+    archiveCompletedTodos,
+    batchTodos,
+    updateRecurrence,
+    addSubtask,
+    toggleSubtask,
+    reorderSubtasks,
+    deleteSubtask,
+    uploadAttachments,
+    deleteAttachment,
+    setCommentCount,
+    setTrackedSeconds,
+    loadTodos,
+    setTagFilter,
     clearError
-  } = useTodos();
+  } = useTodos({ listId: selectedListId });
+
+  // Custom hook for list management
+  const {
+    lists,
+    error: listError,
+    createList,
+    updateList,
+    deleteList,
+    inviteCollaborator,
+    revokeInvite,
+    updateCollaborator,
+    removeCollaborator,
+    addJoinedList,
+    clearError: clearListError
+  } = useLists(isOnline);
+
+  /**
+   * Show a list the user just joined, along with its todos
+   * @param {Object} list - Joined list
+   */
+  const handleJoinList = (list) => {
+    addJoinedList(list);
+    loadTodos();
+  };
+
+  // Custom hook for invites to other people's lists
+  const {
+    invites,
+    error: inviteError,
+    acceptInvite,
+    declineInvite,
+    clearError: clearInviteError
+  } = useInvites(isOnline, handleJoinList);
+
+  // Custom hook for the running timer (one at a time across all todos)
+  const {
+    runningTimer,
+    error: timerError,
+    startTimer,
+    stopTimer,
+    clearError: clearTimerError
+  } = useTimer(isOnline, setTrackedSeconds);
+
+  // Custom hook for the trash (loaded when the trash view opens)
+  const {
+    trash,
+    purgeAfterDays,
+    loading: trashLoading,
+    error: trashError,
+    restoreTodo,
+    emptyTrash,
+    clearError: clearTrashError
+  } = useTrash(isOnline, view === 'trash');
+
+  // Custom hook for the archive (loaded when the archive view opens)
+  const {
+    archivedTodos,
+    pagination: archivePagination,
+    archivedCount,
+    dateRange: archiveDateRange,
+    loading: archiveLoading,
+    error: archiveError,
+    setDateRange: setArchiveDateRange,
+    loadArchivedCount,
+    loadMore: loadMoreArchived,
+    clearError: clearArchiveError
+  } = useArchive(isOnline, view === 'archive');
+
+  // Custom hook for the activity feed (loaded when the feed opens)
+  const {
+    activity,
+    pagination: activityPagination,
+    loading: activityLoading,
+    error: activityError,
+    loadMore: loadMoreActivity,
+    clearError: clearActivityError
+  } = useActivity(isOnline, view === 'activity');
+
+  // Custom hook for personal API tokens (loaded when settings open)
+  const {
+    tokens: apiTokens,
+    scopes: apiTokenScopes,
+    createdToken,
+    loading: apiTokensLoading,
+    error: apiTokenError,
+    createToken,
+    revokeToken,
+    dismissCreatedToken,
+    clearError: clearApiTokenError
+  } = useApiTokens(isOnline, view === 'settings');
+
+  // Custom hook for full-text search in the selected list
+  const {
+    isSearching,
+    results: searchResults,
+    parsedQuery,
+    pagination: searchPagination,
+    loading: searchLoading,
+    isOffline: isSearchOffline,
+    error: searchError,
+    loadMore: loadMoreSearchResults,
+    removeResult: removeSearchResult
+  } = useSearch(searchQuery, isOnline, selectedListId);
+
+  // Custom hook for exporting the selected list and importing into it
+  const {
+    exporting,
+    importing,
+    preview: importPreview,
+    importResult,
+    error: importExportError,
+    exportTodos,
+    previewImport,
+    runImport,
+    resetImport,
+    clearError: clearImportExportError
+  } = useImportExport(isOnline, selectedListId, loadTodos);
+
+  /**
+   * Open or close the import dialog, starting over each time
+   */
+  const handleToggleImport = () => {
+    resetImport();
+    setIsImportOpen(!isImportOpen);
+  };
+
+  /**
+   * Select a list and return to the todo view
+   * @param {string|null} id - List selection value
+   */
+  const handleSelectList = (id) => {
+    setSelectedListId(id);
+    setView('todos');
+    setIsSharingOpen(false);
+    setIsImportOpen(false);
+  };
+
+  /**
+   * Archive completed todos and refresh the archived count
+   */
+  const handleArchiveCompleted = async () => {
+    const archived = await archiveCompletedTodos();
+    if (archived) {
+      loadArchivedCount();
+    }
+  };
+
+  /**
+   * Restore a todo from the trash and reload todos so it reappears
+   * @param {string} id - Todo ID
+   */
+  const handleRestore = async (id) => {
+    const restored = await restoreTodo(id);
+    if (restored) {
+      loadTodos();
+    }
+  };
+
+  /**
+   * Delete a list and reload todos, since its todos move to the inbox
+   * @param {string} id - List ID
+   * @returns {Promise<boolean|undefined>} True if the list was deleted
+   */
+  const handleDeleteList = async (id) => {
+    const deleted = await deleteList(id);
+    if (deleted) {
+      loadTodos();
+    }
+    return deleted;
+  };
+
+  /**
+   * Leave a list shared with the user and go back to all todos
+   * @param {string} id - List ID
+   */
+  const handleLeaveList = async (id) => {
+    const left = await removeCollaborator(id, user._id);
+    if (left) {
+      handleSelectList(null);
+      loadTodos();
+    }
+  };
+
+  // Selected list, when a list (rather than all todos or the inbox) is selected
+  const selectedList = lists.find(list => list._id === selectedListId);
+  // Todos can't be added to lists the user can only view
+  const isSelectedListReadOnly = selectedList?.role === 'viewer';
+
+  // Name shown on the statistics panel for the selected list
+  const selectedListName = selectedListId === 'none'
+    ? 'Inbox'
+    : selectedList?.name;
+
+  /**
+   * Delete a todo shown in the search results
+   * @param {string} id - Todo ID
+   * @param {Object} [options] - { version } the deletion is based on
+   * @returns {Promise<Object|undefined>} { conflict } if the todo changed elsewhere
+   */
+  const handleDeleteSearchResult = async (id, options) => {
+    const result = await deleteTodo(id, options);
+    if (!result?.conflict) {
+      removeSearchResult(id);
+    }
+    return result;
+  };
+
+  /**
+   * Add a tag to the active filter (from a tag chip on a todo)
+   * @param {string} tag - Tag name
+   */
+  const handleTagClick = (tag) => {
+    if (!tagFilter.tags.includes(tag)) {
+      setTagFilter({ ...tagFilter, tags: [...tagFilter.tags, tag] });
+    }
+  };
+
+  // Callbacks for each todo, shared by the todo list and the search results
+  const todoItemProps = {
+    onUpdate: updateTodo,
+    onReload: replaceTodo,
+    onToggleComplete: toggleTodoComplete,
+    lists,
+    currentUserId: user._id,
+    onTagClick: handleTagClick,
+    onAddSubtask: addSubtask,
+    onToggleSubtask: toggleSubtask,
+    onReorderSubtasks: reorderSubtasks,
+    onDeleteSubtask: deleteSubtask,
+    onUploadAttachments: uploadAttachments,
+    onDeleteAttachment: deleteAttachment,
+    onCommentCountChange: setCommentCount,
+    runningTimer,
+    onStartTimer: startTimer,
+    onStopTimer: stopTimer,
+    onTrackedTimeChange: setTrackedSeconds,
+    onUpdateRecurrence: updateRecurrence
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 relative">
@@ -40,45 +328,247 @@ const App = () => {
       {/* Main container */}
       <div className="relative z-10 min-h-screen flex flex-col">
         <div className="flex-1 container mx-auto px-6 py-12 max-w-6xl">
+          {/* Signed-in user */}
+          <div className="flex justify-end items-center space-x-3 mb-4 text-sm text-gray-600">
+            <span title={user.email}>{user.name || user.email}</span>
+            <button
+              onClick={() => setView(view === 'settings' ? 'todos' : 'settings')}
+              aria-pressed={view === 'settings'}
+              className={`inline-flex items-center space-x-1 px-3 py-1 rounded-lg border border-gray-200 ${
+                view === 'settings' ? 'bg-blue-50 text-blue-600' : 'bg-white hover:bg-gray-50'
+              }`}
+            >
+              <Settings className="w-4 h-4" />
+              <span>Settings</span>
+            </button>
+            <button
+              onClick={onLogout}
+              className="inline-flex items-center space-x-1 px-3 py-1 rounded-lg border border-gray-200 bg-white hover:bg-gray-50"
+            >
+              <LogOut className="w-4 h-4" />
+              <span>Sign out</span>
+            </button>
+          </div>
+
           {/* Header */}
           <div className="text-center mb-12">
             <TodoHeader />
           </div>
+
+          {/* Invites to other people's lists */}
+          <InviteBanner
+            invites={invites}
+            onAccept={acceptInvite}
+            onDecline={declineInvite}
+          />
           
-          {/* Input section */}
-          <div className="flex justify-center mb-12">
-            <TodoInput 
-              onAddTodo={addTodo}
-              loading={loading}
-            />
-          </div>
-          
-          {/* Todo list */}
-          <div className="flex justify-center mb-12">
-            <TodoList
-              todos={todos}
-              loading={loading}
-              onUpdate={updateTodo}
-              onDelete={deleteTodo}
-              onToggleComplete={toggleTodoComplete}
-              onDeleteCompleted={deleteCompletedTodos}
-            />
-          </div>
-          
-          {/* Statistics */}
-          <div className="flex justify-center">
-            <TodoStats
-              stats={stats}
+          <div className="flex flex-col lg:flex-row gap-8">
+            {/* List sidebar */}
+            <ListSidebar
+              lists={lists}
+              selectedListId={selectedListId}
+              onSelect={handleSelectList}
+              onCreate={createList}
+              onArchive={(id) => updateList(id, { archived: true })}
+              onDelete={handleDeleteList}
               isOnline={isOnline}
+              view={view}
+              onViewChange={setView}
             />
+            
+            {view === 'settings' ? (
+              <div className="flex-1 min-w-0 flex justify-center">
+                <SettingsView
+                  tokens={apiTokens}
+                  scopes={apiTokenScopes}
+                  createdToken={createdToken}
+                  loading={apiTokensLoading}
+                  isOnline={isOnline}
+                  onCreateToken={createToken}
+                  onRevokeToken={revokeToken}
+                  onDismissCreatedToken={dismissCreatedToken}
+                />
+              </div>
+            ) : view === 'activity' ? (
+              <div className="flex-1 min-w-0 flex justify-center">
+                <ActivityFeed
+                  activity={activity}
+                  pagination={activityPagination}
+                  loading={activityLoading}
+                  isOnline={isOnline}
+                  lists={lists}
+                  onLoadMore={loadMoreActivity}
+                />
+              </div>
+            ) : view === 'archive' ? (
+              <div className="flex-1 min-w-0 flex justify-center">
+                <ArchiveView
+                  archivedTodos={archivedTodos}
+                  pagination={archivePagination}
+                  dateRange={archiveDateRange}
+                  loading={archiveLoading}
+                  isOnline={isOnline}
+                  onDateRangeChange={setArchiveDateRange}
+                  onLoadMore={loadMoreArchived}
+                />
+              </div>
+            ) : view === 'trash' ? (
+              <div className="flex-1 min-w-0 flex justify-center">
+                <TrashView
+                  trash={trash}
+                  loading={trashLoading}
+                  purgeAfterDays={purgeAfterDays}
+                  isOnline={isOnline}
+                  onRestore={handleRestore}
+                  onEmpty={emptyTrash}
+                />
+              </div>
+            ) : (
+              <div className="flex-1 min-w-0">
+                {/* Members and sharing of the selected list */}
+                {selectedList && (
+                  <div className="flex flex-col items-center mb-8 space-y-4">
+                    <div className="flex items-center space-x-3">
+                      <CollaboratorAvatars list={selectedList} />
+                      <button
+                        onClick={() => setIsSharingOpen(!isSharingOpen)}
+                        aria-expanded={isSharingOpen}
+                        className="inline-flex items-center space-x-1 px-3 py-1 text-sm rounded-lg border border-gray-200 bg-white text-gray-600 hover:bg-gray-50"
+                      >
+                        <Users className="w-4 h-4" />
+                        <span>{selectedList.role === 'owner' ? 'Share' : 'Members'}</span>
+                      </button>
+                    </div>
+                    {isSharingOpen && (
+                      <ListSharingPanel
+                        list={selectedList}
+                        currentUserId={user._id}
+                        isOnline={isOnline}
+                        onInvite={(inviteData) => inviteCollaborator(selectedList._id, inviteData)}
+                        onRevokeInvite={(inviteId) => revokeInvite(selectedList._id, inviteId)}
+                        onChangeRole={(userId, role) => updateCollaborator(selectedList._id, userId, role)}
+                        onRemove={(userId) => removeCollaborator(selectedList._id, userId)}
+                        onLeave={() => handleLeaveList(selectedList._id)}
+                      />
+                    )}
+                  </div>
+                )}
+
+                {/* Input section */}
+                <div className="flex justify-center mb-12">
+                  {isSelectedListReadOnly ? (
+                    <p className="inline-flex items-center space-x-2 text-sm text-gray-500">
+                      <Eye className="w-4 h-4" />
+                      <span>You have view-only access to this list.</span>
+                    </p>
+                  ) : (
+                    <TodoInput 
+                      onAddTodo={addTodo}
+                      loading={loading}
+                    />
+                  )}
+                </div>
+                
+                {/* Tag filter */}
+                <div className="flex justify-center mb-8">
+                  <TagFilterBar
+                    availableTags={availableTags}
+                    tagFilter={tagFilter}
+                    onChange={setTagFilter}
+                  />
+                </div>
+                
+                {/* Search */}
+                <div className="flex justify-center mb-8">
+                  <SearchBar
+                    value={searchQuery}
+                    onChange={setSearchQuery}
+                    loading={searchLoading}
+                  />
+                </div>
+                
+                {/* Todo list, or search results while searching */}
+                <div className="flex justify-center mb-12">
+                  {isSearching ? (
+                    <SearchResults
+                      query={searchQuery.trim()}
+                      results={searchResults}
+                      parsedQuery={parsedQuery}
+                      pagination={searchPagination}
+                      loading={searchLoading}
+                      isOffline={isSearchOffline}
+                      error={searchError}
+                      onLoadMore={loadMoreSearchResults}
+                      todos={todos}
+                      {...todoItemProps}
+                      onDelete={handleDeleteSearchResult}
+                    />
+                  ) : (
+                    <TodoList
+                      todos={todos}
+                      loading={loading}
+                      onDelete={deleteTodo}
+                      onArchiveCompleted={handleArchiveCompleted}
+                      onMoveTodo={moveTodo}
+                      onBatch={batchTodos}
+                      {...todoItemProps}
+                    />
+                  )}
+                </div>
+                
+                {/* Export and import */}
+                <div className="flex flex-col items-center mb-8 space-y-4">
+                  <ImportExportBar
+                    exporting={exporting}
+                    canImport={!isSelectedListReadOnly}
+                    isImportOpen={isImportOpen}
+                    onExport={exportTodos}
+                    onToggleImport={handleToggleImport}
+                  />
+                  {isImportOpen && !isSelectedListReadOnly && (
+                    <ImportDialog
+                      isOnline={isOnline}
+                      importing={importing}
+                      preview={importPreview}
+                      importResult={importResult}
+                      error={importExportError}
+                      onPreview={previewImport}
+                      onImport={runImport}
+                      onReset={resetImport}
+                      onClose={handleToggleImport}
+                    />
+                  )}
+                </div>
+
+                {/* Statistics */}
+                <div className="flex justify-center">
+                  <TodoStats
+                    stats={stats}
+                    isOnline={isOnline}
+                    listName={selectedListName}
+                    archivedCount={selectedListId === null ? archivedCount : null}
+                  />
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
       
       {/* Error alert */}
       <ErrorAlert
-        error={error}
-        onClose={clearError}
+        error={error || listError || inviteError || timerError || trashError || archiveError || activityError || apiTokenError || (!isImportOpen && importExportError)}
+        onClose={() => {
+          clearError();
+          clearListError();
+          clearInviteError();
+          clearTimerError();
+          clearTrashError();
+          clearArchiveError();
+          clearActivityError();
+          clearApiTokenError();
+          clearImportExportError();
+        }}
       />
     </div>
   );
@@ -0,0 +1,56 @@
+/**
+ * Activity Feed Component
+ * Recent changes across all todos, newest first
+ */
+
+import React from 'react';
+import { Loader2, Activity, WifiOff } from 'lucide-react';
+import HistoryEntry from './HistoryEntry';
+
+const ActivityFeed = ({ activity, pagination, loading, isOnline, lists, onLoadMore }) => {
+  if (!isOnline) {
+    return (
+      <div className="w-full max-w-4xl px-6 text-center py-16">
+        <WifiOff className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">The activity feed is only available while online.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-4xl px-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <Activity className="w-6 h-6 text-gray-500" />
+        <h2 className="text-xl font-bold text-gray-700">Activity</h2>
+      </div>
+
+      {loading && activity.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="w-12 h-12 text-blue-500 animate-spin" />
+        </div>
+      ) : activity.length === 0 ? (
+        <div className="text-center py-16 text-gray-500">No activity yet.</div>
+      ) : (
+        <ol className="space-y-4 bg-white rounded-2xl p-6 shadow border border-gray-100">
+          {activity.map(entry => (
+            <HistoryEntry key={entry._id} entry={entry} lists={lists} showText />
+          ))}
+        </ol>
+      )}
+
+      {pagination?.hasNextPage && (
+        <div className="text-center">
+          <button
+            onClick={onLoadMore}
+            disabled={loading}
+            className="px-4 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
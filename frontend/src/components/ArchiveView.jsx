@@ -0,0 +1,125 @@
+/**
+ * Archive View Component
+ * Archived todos grouped by the week they were completed, with a date range filter
+ */
+
+import React from 'react';
+import { Loader2, Archive, CheckCircle, WifiOff } from 'lucide-react';
+import { getWeekStart } from '../utils/dateUtils';
+
+/**
+ * Group todos by the week they were completed, keeping the API's newest-first order
+ * @param {Array} todos - Archived todos
+ * @returns {Array} Groups as { weekStart, todos }
+ */
+const groupByWeek = (todos) => {
+  const groups = new Map();
+  todos.forEach(todo => {
+    const weekStart = getWeekStart(todo.completedAt || todo.updatedAt);
+    const key = weekStart.getTime();
+    if (!groups.has(key)) {
+      groups.set(key, { weekStart, todos: [] });
+    }
+    groups.get(key).todos.push(todo);
+  });
+  return [...groups.values()];
+};
+
+const ArchiveView = ({ archivedTodos, pagination, dateRange, loading, isOnline, onDateRangeChange, onLoadMore }) => {
+  if (!isOnline) {
+    return (
+      <div className="w-full max-w-4xl px-6 text-center py-16">
+        <WifiOff className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">The archive is only available while online.</p>
+      </div>
+    );
+  }
+
+  const weeks = groupByWeek(archivedTodos);
+
+  return (
+    <div className="w-full max-w-4xl px-6 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <Archive className="w-6 h-6 text-gray-500" />
+          <h2 className="text-xl font-bold text-gray-700">
+            Archive{pagination ? ` (${pagination.totalItems})` : ''}
+          </h2>
+        </div>
+
+        {/* Completion date range */}
+        <div className="flex items-center space-x-2 text-sm text-gray-600">
+          <label className="flex items-center space-x-1">
+            <span>From</span>
+            <input
+              type="date"
+              value={dateRange.from}
+              max={dateRange.to || undefined}
+              onChange={(e) => onDateRangeChange({ ...dateRange, from: e.target.value })}
+              className="px-2 py-1 border border-gray-200 rounded-lg focus:outline-none focus:border-blue-500"
+            />
+          </label>
+          <label className="flex items-center space-x-1">
+            <span>to</span>
+            <input
+              type="date"
+              value={dateRange.to}
+              min={dateRange.from || undefined}
+              onChange={(e) => onDateRangeChange({ ...dateRange, to: e.target.value })}
+              className="px-2 py-1 border border-gray-200 rounded-lg focus:outline-none focus:border-blue-500"
+            />
+          </label>
+        </div>
+      </div>
+
+      {loading && archivedTodos.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="w-12 h-12 text-blue-500 animate-spin" />
+        </div>
+      ) : archivedTodos.length === 0 ? (
+        <div className="text-center py-16 text-gray-500">No archived todos in this period.</div>
+      ) : (
+        weeks.map(({ weekStart, todos }) => (
+          <section key={weekStart.getTime()} className="space-y-3">
+            <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide">
+              Week of {weekStart.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}
+              <span className="ml-2 normal-case font-normal">({todos.length})</span>
+            </h3>
+            <ul className="space-y-2">
+              {todos.map(todo => (
+                <li
+                  key={todo._id}
+                  className="flex items-center space-x-3 bg-white rounded-xl p-4 shadow-sm border border-gray-100"
+                >
+                  <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
+                  <span className="flex-1 min-w-0 truncate text-gray-700">{todo.text}</span>
+                  <span className="text-xs text-gray-400 flex-shrink-0">
+                    {new Date(todo.completedAt || todo.updatedAt).toLocaleDateString('en-US', {
+                      weekday: 'short',
+                      month: 'short',
+                      day: 'numeric'
+                    })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))
+      )}
+
+      {pagination?.hasNextPage && (
+        <div className="text-center">
+          <button
+            onClick={onLoadMore}
+            disabled={loading}
+            className="px-4 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArchiveView;
@@ -0,0 +1,122 @@
+/**
+ * Attachment List Component
+ * Image thumbnails and file links for a todo's attachments, with upload and delete
+ */
+
+import React, { useRef, useState } from 'react';
+import { Paperclip, FileText, X, Loader2 } from 'lucide-react';
+import { attachmentAPI } from '../services/api';
+import { ATTACHMENT_ACCEPT, isImageAttachment, formatFileSize } from '../utils/attachments';
+
+const AttachmentList = ({ todoId, attachments = [], onUpload, onDelete, disabled }) => {
+  const fileInputRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+  const images = attachments.filter(isImageAttachment);
+  const files = attachments.filter(attachment => !isImageAttachment(attachment));
+
+  /**
+   * Upload the files picked in the file dialog
+   * @param {Event} e - Input change event
+   */
+  const handleFilesSelected = async (e) => {
+    const selected = [...e.target.files];
+    e.target.value = ''; // Allow picking the same file again
+    if (selected.length === 0) return;
+
+    setProgress(0);
+    try {
+      await onUpload(todoId, selected, setProgress);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  /**
+   * Delete an attachment with confirmation
+   * @param {Object} attachment - Attachment metadata
+   */
+  const handleDelete = (attachment) => {
+    if (window.confirm(`Delete "${attachment.originalName}"?`)) {
+      onDelete(todoId, attachment._id);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {images.length > 0 && (
+        <ul className="flex flex-wrap gap-2">
+          {images.map(attachment => (
+            <li key={attachment._id} className="relative group/attachment">
+              <a
+                href={attachmentAPI.getAttachmentUrl(todoId, attachment._id, { inline: true })}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={`${attachment.originalName} (${formatFileSize(attachment.size)})`}
+              >
+                <img
+                  src={attachmentAPI.getAttachmentUrl(todoId, attachment._id, { inline: true })}
+                  alt={attachment.originalName}
+                  loading="lazy"
+                  className="w-16 h-16 object-cover rounded-lg border border-gray-200"
+                />
+              </a>
+              <button
+                onClick={() => handleDelete(attachment)}
+                disabled={disabled}
+                className="absolute -top-1 -right-1 p-0.5 bg-white rounded-full border border-gray-200 text-gray-400 hover:text-red-500 opacity-0 group-hover/attachment:opacity-100 focus:opacity-100"
+                aria-label={`Delete ${attachment.originalName}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {files.length > 0 && (
+        <ul className="space-y-1">
+          {files.map(attachment => (
+            <li key={attachment._id} className="flex items-center space-x-2 text-sm">
+              <FileText className="w-4 h-4 text-gray-400 flex-shrink-0" />
+              <a
+                href={attachmentAPI.getAttachmentUrl(todoId, attachment._id)}
+                className="truncate text-blue-600 hover:underline"
+                download={attachment.originalName}
+              >
+                {attachment.originalName}
+              </a>
+              <span className="text-xs text-gray-400 flex-shrink-0">{formatFileSize(attachment.size)}</span>
+              <button
+                onClick={() => handleDelete(attachment)}
+                disabled={disabled}
+                className="p-0.5 text-gray-400 hover:text-red-500"
+                aria-label={`Delete ${attachment.originalName}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={ATTACHMENT_ACCEPT}
+        onChange={handleFilesSelected}
+        className="hidden"
+      />
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled || progress !== null}
+        className="inline-flex items-center space-x-1 text-xs text-gray-400 hover:text-blue-600 disabled:opacity-50"
+      >
+        {progress !== null ? <Loader2 className="w-3 h-3 animate-spin" /> : <Paperclip className="w-3 h-3" />}
+        <span>{progress !== null ? `Uploading… ${progress}%` : 'Attach files'}</span>
+      </button>
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,30 @@
+/**
+ * Auth Gate Component
+ * Shows the sign-in screen until a user is signed in, then the app for that user
+ */
+
+import React from 'react';
+import { useAuth } from '../hooks/useAuth';
+import App from '../App';
+import AuthScreen from './AuthScreen';
+
+const AuthGate = () => {
+  const { user, loading, error, login, register, logout, clearError } = useAuth();
+
+  if (!user) {
+    return (
+      <AuthScreen
+        onLogin={login}
+        onRegister={register}
+        loading={loading}
+        error={error}
+        onClearError={clearError}
+      />
+    );
+  }
+
+  // Keyed by user so nothing from a previous account's session survives a sign-in
+  return <App key={user._id} user={user} onLogout={logout} />;
+};
+
+export default AuthGate;
@@ -0,0 +1,127 @@
+/**
+ * Auth Screen Component
+ * Sign-in and registration form shown until a user is signed in
+ */
+
+import React, { useState } from 'react';
+import { Loader2, LogIn, UserPlus } from 'lucide-react';
+import TodoHeader from './TodoHeader';
+
+// Mirrors the API's password rule
+const MIN_PASSWORD_LENGTH = 8;
+
+const AuthScreen = ({ onLogin, onRegister, loading, error, onClearError }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const isRegister = mode === 'register';
+
+  /**
+   * Update one form field
+   * @param {string} field - Field name
+   * @returns {Function} Change handler
+   */
+  const handleChange = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  /**
+   * Switch between signing in and registering
+   */
+  const toggleMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    onClearError();
+  };
+
+  /**
+   * Submit the form
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const credentials = { email: form.email.trim(), password: form.password };
+    if (isRegister) {
+      onRegister({ ...credentials, name: form.name.trim() });
+    } else {
+      onLogin(credentials);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-3 border border-gray-200 rounded-xl text-gray-700 focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex flex-col items-center justify-center px-6 py-12">
+      <div className="mb-10">
+        <TodoHeader />
+      </div>
+
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-2xl shadow-lg p-8 space-y-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          {isRegister ? 'Create an account' : 'Sign in'}
+        </h2>
+
+        {isRegister && (
+          <input
+            type="text"
+            value={form.name}
+            onChange={handleChange('name')}
+            placeholder="Name (optional)"
+            maxLength={100}
+            autoComplete="name"
+            className={inputClassName}
+            aria-label="Name"
+          />
+        )}
+        <input
+          type="email"
+          value={form.email}
+          onChange={handleChange('email')}
+          placeholder="Email"
+          required
+          autoComplete="email"
+          className={inputClassName}
+          aria-label="Email"
+        />
+        <input
+          type="password"
+          value={form.password}
+          onChange={handleChange('password')}
+          placeholder="Password"
+          required
+          minLength={isRegister ? MIN_PASSWORD_LENGTH : undefined}
+          autoComplete={isRegister ? 'new-password' : 'current-password'}
+          className={inputClassName}
+          aria-label="Password"
+        />
+        {isRegister && (
+          <p className="text-xs text-gray-500">At least {MIN_PASSWORD_LENGTH} characters.</p>
+        )}
+
+        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full inline-flex items-center justify-center space-x-2 px-4 py-3 rounded-xl bg-gradient-to-r from-blue-500 to-purple-600 text-white font-semibold hover:opacity-90 disabled:opacity-50"
+        >
+          {loading ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : isRegister ? (
+            <UserPlus className="w-5 h-5" />
+          ) : (
+            <LogIn className="w-5 h-5" />
+          )}
+          <span>{isRegister ? 'Create account' : 'Sign in'}</span>
+        </button>
+
+        <p className="text-sm text-center text-gray-600">
+          {isRegister ? 'Already have an account?' : 'New here?'}{' '}
+          <button type="button" onClick={toggleMode} className="text-blue-600 font-semibold hover:underline">
+            {isRegister ? 'Sign in' : 'Create an account'}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default AuthScreen;
@@ -0,0 +1,97 @@
+/**
+ * Bulk Action Bar Component
+ * Actions for the todos selected with shift-click: complete, uncomplete, move and delete
+ */
+
+import React from 'react';
+import { CheckCircle, Circle, Trash2, FolderInput, X, Loader2 } from 'lucide-react';
+
+const BulkActionBar = ({
+  count,
+  moveTargets = [],
+  busy = false,
+  onComplete,
+  onUncomplete,
+  onMove,
+  onDelete,
+  onClear
+}) => {
+  /**
+   * Move the selection to the chosen list
+   * @param {Event} e - Select change event
+   */
+  const handleMove = (e) => {
+    const { value } = e.target;
+    if (value === '') return;
+    onMove(value === 'none' ? null : value);
+  };
+
+  return (
+    <div
+      className="sticky top-4 z-40 flex flex-wrap items-center gap-2 px-4 py-3 bg-white border border-blue-200 rounded-2xl shadow-lg"
+      role="toolbar"
+      aria-label="Bulk actions"
+    >
+      <span className="mr-2 text-sm font-semibold text-gray-700">
+        {count} selected
+      </span>
+
+      <button
+        onClick={onComplete}
+        disabled={busy}
+        className="inline-flex items-center space-x-1 px-3 py-1 text-sm text-green-700 border border-green-200 rounded-lg hover:bg-green-50 disabled:opacity-50"
+      >
+        <CheckCircle className="w-4 h-4" />
+        <span>Complete</span>
+      </button>
+      <button
+        onClick={onUncomplete}
+        disabled={busy}
+        className="inline-flex items-center space-x-1 px-3 py-1 text-sm text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+      >
+        <Circle className="w-4 h-4" />
+        <span>Uncomplete</span>
+      </button>
+
+      <label className="inline-flex items-center space-x-1 px-3 py-1 text-sm text-gray-700 border border-gray-200 rounded-lg">
+        <FolderInput className="w-4 h-4" />
+        <select
+          value=""
+          onChange={handleMove}
+          disabled={busy}
+          className="bg-transparent focus:outline-none cursor-pointer"
+          aria-label="Move selected todos to list"
+        >
+          <option value="" disabled>Move to…</option>
+          <option value="none">Inbox</option>
+          {moveTargets.map(list => (
+            <option key={list._id} value={list._id}>{list.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <button
+        onClick={onDelete}
+        disabled={busy}
+        className="inline-flex items-center space-x-1 px-3 py-1 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+      >
+        <Trash2 className="w-4 h-4" />
+        <span>Delete</span>
+      </button>
+
+      <div className="flex items-center ml-auto space-x-2">
+        {busy && <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />}
+        <button
+          onClick={onClear}
+          className="p-1 text-gray-400 hover:text-gray-600 rounded"
+          title="Clear selection (Esc)"
+          aria-label="Clear selection"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,58 @@
+/**
+ * Collaborator Avatars Component
+ * Overlapping initials for the members of a shared list
+ */
+
+import React from 'react';
+import { getListMembers, getInitials, getMemberName } from '../utils/members';
+
+// Number of avatars shown before the rest are summarised as "+N"
+const MAX_AVATARS = 5;
+
+// Avatar background colors, picked per member so each person keeps the same color
+const AVATAR_COLORS = ['bg-blue-500', 'bg-purple-500', 'bg-pink-500', 'bg-orange-500', 'bg-teal-500', 'bg-green-500'];
+
+/**
+ * Pick a stable avatar color for a member
+ * @param {string} id - User ID
+ * @returns {string} Tailwind class
+ */
+const getColor = (id = '') => {
+  const sum = [...id].reduce((total, char) => total + char.charCodeAt(0), 0);
+  return AVATAR_COLORS[sum % AVATAR_COLORS.length];
+};
+
+const CollaboratorAvatars = ({ list, size = 'md' }) => {
+  const members = getListMembers(list);
+  // Lists nobody else has joined have no one to show
+  if (members.length < 2) {
+    return null;
+  }
+
+  const sizeClass = size === 'sm' ? 'w-6 h-6 text-[10px]' : 'w-8 h-8 text-xs';
+  const hidden = members.length - MAX_AVATARS;
+
+  return (
+    <div className="flex -space-x-2" aria-label={`${members.length} members`}>
+      {members.slice(0, MAX_AVATARS).map(member => (
+        <span
+          key={member._id}
+          className={`${sizeClass} ${getColor(member._id)} rounded-full ring-2 ring-white flex items-center justify-center font-semibold text-white`}
+          title={`${getMemberName(member)} (${member.role})`}
+        >
+          {getInitials(member)}
+        </span>
+      ))}
+      {hidden > 0 && (
+        <span
+          className={`${sizeClass} bg-gray-300 rounded-full ring-2 ring-white flex items-center justify-center font-semibold text-gray-700`}
+          title={`${hidden} more`}
+        >
+          +{hidden}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default CollaboratorAvatars;
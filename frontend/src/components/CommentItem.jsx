@@ -0,0 +1,100 @@
+/**
+ * Comment Item Component
+ * A single comment with author, time and inline edit/delete
+ */
+
+import React, { useState } from 'react';
+import { Edit2, Trash2 } from 'lucide-react';
+import LinkifiedText from './LinkifiedText';
+
+// Mirrors the API's comment length limit
+const MAX_COMMENT_LENGTH = 2000;
+
+const CommentItem = ({ comment, readOnly = false, onUpdate, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editBody, setEditBody] = useState(comment.body);
+
+  /**
+   * Save the edited body
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!editBody.trim() || editBody.trim() === comment.body) {
+      setIsEditing(false);
+      return;
+    }
+    if (await onUpdate(comment._id, editBody.trim())) {
+      setIsEditing(false);
+    }
+  };
+
+  /**
+   * Delete the comment with confirmation
+   */
+  const handleDelete = () => {
+    if (window.confirm('Delete this comment?')) {
+      onDelete(comment._id);
+    }
+  };
+
+  return (
+    <li className="group/comment space-y-1">
+      <div className="flex items-baseline gap-x-2 text-sm">
+        <span className="font-semibold text-gray-700">{comment.authorName}</span>
+        <time dateTime={comment.createdAt} className="text-xs text-gray-400">
+          {new Date(comment.createdAt).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+          })}
+        </time>
+        {comment.editedAt && <span className="text-xs text-gray-400">(edited)</span>}
+        {!isEditing && !readOnly && (
+          <span className="ml-auto flex space-x-1 opacity-0 group-hover/comment:opacity-100 focus-within:opacity-100">
+            <button
+              onClick={() => { setEditBody(comment.body); setIsEditing(true); }}
+              className="p-1 text-gray-400 hover:text-blue-500"
+              aria-label="Edit comment"
+            >
+              <Edit2 className="w-3 h-3" />
+            </button>
+            <button
+              onClick={handleDelete}
+              className="p-1 text-gray-400 hover:text-red-500"
+              aria-label="Delete comment"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </span>
+        )}
+      </div>
+
+      {isEditing ? (
+        <form onSubmit={handleSubmit} className="space-y-1">
+          <textarea
+            value={editBody}
+            onChange={(e) => setEditBody(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+            rows={2}
+            maxLength={MAX_COMMENT_LENGTH}
+            className="w-full p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            aria-label="Edit comment"
+            autoFocus
+          />
+          <div className="flex space-x-2 text-xs">
+            <button type="submit" className="px-2 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600">Save</button>
+            <button type="button" onClick={() => setIsEditing(false)} className="px-2 py-1 text-gray-500 hover:text-gray-700">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">
+          <LinkifiedText text={comment.body} />
+        </p>
+      )}
+    </li>
+  );
+};
+
+export default CommentItem;
@@ -0,0 +1,97 @@
+/**
+ * Comment Thread Component
+ * Discussion thread shown inside a todo item, oldest comment first
+ */
+
+import React, { useState } from 'react';
+import { Loader2, Send } from 'lucide-react';
+import { useComments } from '../hooks/useComments';
+import CommentItem from './CommentItem';
+
+const CommentThread = ({ todoId, onCountChange, currentUserId, isOwner = false, readOnly = false }) => {
+  const { comments, pagination, loading, error, loadComments, addComment, updateComment, deleteComment } =
+    useComments(todoId, true, onCountChange);
+  const [body, setBody] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+
+  /**
+   * Post a new comment (signed with the user's account name by the server)
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setIsPosting(true);
+    if (await addComment(body.trim())) {
+      setBody('');
+    }
+    setIsPosting(false);
+  };
+
+  return (
+    <div className="mt-2 p-3 rounded-xl border border-gray-200 bg-gray-50 space-y-3">
+      <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wide">Discussion</h4>
+
+      {loading && comments.length === 0 ? (
+        <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />
+      ) : comments.length === 0 && !error ? (
+        <p className="text-sm text-gray-500">No comments yet. Start the discussion below.</p>
+      ) : (
+        <ol className="space-y-3">
+          {comments.map(comment => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              // Authors can change their own comments; list owners can change any
+              readOnly={readOnly || (comment.authorId !== currentUserId && !isOwner)}
+              onUpdate={updateComment}
+              onDelete={deleteComment}
+            />
+          ))}
+        </ol>
+      )}
+
+      {pagination?.hasNextPage && (
+        <button
+          onClick={() => loadComments(pagination.currentPage + 1)}
+          disabled={loading}
+          className="text-xs text-blue-600 hover:underline disabled:opacity-50"
+        >
+          Show more comments
+        </button>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {!readOnly && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <div className="flex items-end space-x-2">
+            <textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit(e);
+              }}
+              placeholder="Write a comment…"
+              rows={2}
+              maxLength={2000}
+              className="flex-1 p-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              aria-label="Comment"
+            />
+            <button
+              type="submit"
+              disabled={isPosting || !body.trim()}
+              className="p-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50"
+              aria-label="Post comment"
+            >
+              <Send className="w-4 h-4" />
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,112 @@
+/**
+ * Dependency Picker Component
+ * Lock chip listing the todos that block this one, with an inline editor to add or remove blockers
+ */
+
+import React, { useState } from 'react';
+import { Lock, Unlock, X } from 'lucide-react';
+import { resolveBlockers, wouldCreateCycle } from '../utils/dependencies';
+
+const DependencyPicker = ({ todo, todos, onSave, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const blockers = resolveBlockers(todo, todos);
+  const pending = blockers.filter(blocker => !blocker.completed);
+  const blockedBy = (todo.blockedBy || []).map(String);
+
+  // Todos that could block this one without creating a cycle
+  const candidates = todos.filter(other =>
+    other.id !== todo.id &&
+    !blockedBy.includes(String(other.id)) &&
+    !wouldCreateCycle(todo.id, other.id, todos)
+  );
+
+  /**
+   * Add a blocker from the select
+   * @param {Event} e - Change event
+   */
+  const handleAdd = (e) => {
+    if (e.target.value) {
+      onSave([...blockedBy, e.target.value]);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        disabled={disabled}
+        className={`inline-flex items-center space-x-1 px-2 py-1 rounded-full border text-xs font-semibold max-w-full ${
+          pending.length > 0
+            ? 'bg-amber-50 border-amber-200 text-amber-700'
+            : blockers.length > 0
+              ? 'bg-gray-50 border-gray-200 text-gray-500'
+              : 'border-dashed border-gray-300 text-gray-400 hover:text-amber-600 hover:border-amber-300'
+        }`}
+        title={pending.length > 0 ? 'Blocked: complete these tasks first' : 'Edit blocking tasks'}
+      >
+        {pending.length > 0 ? <Lock className="w-3 h-3 shrink-0" /> : <Unlock className="w-3 h-3 shrink-0" />}
+        <span className="truncate">
+          {pending.length > 0
+            ? `Blocked by ${pending.map(blocker => blocker.text).join(', ')}`
+            : blockers.length > 0 ? 'Unblocked' : 'Blocked by'}
+        </span>
+      </button>
+    );
+  }
+
+  return (
+    <div className="basis-full space-y-2 p-3 rounded-xl border border-amber-200 bg-amber-50 text-sm text-gray-700">
+      <div className="flex items-center space-x-2">
+        <Lock className="w-4 h-4 text-amber-600" />
+        <span className="font-semibold">Blocked by</span>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="ml-auto p-1 text-gray-400 hover:text-gray-600"
+          title="Close"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {blockers.length === 0 ? (
+        <p className="text-gray-500">Nothing blocks this task.</p>
+      ) : (
+        <ul className="space-y-1">
+          {blockers.map(blocker => (
+            <li key={blocker.id} className="flex items-center space-x-2">
+              <span className={`flex-1 truncate ${blocker.completed ? 'line-through text-gray-400' : ''}`}>
+                {blocker.text}
+              </span>
+              <button
+                onClick={() => onSave(blockedBy.filter(id => id !== blocker.id))}
+                disabled={disabled}
+                className="p-1 text-gray-400 hover:text-red-500"
+                aria-label={`Remove blocker ${blocker.text}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {candidates.length > 0 && (
+        <select
+          value=""
+          onChange={handleAdd}
+          disabled={disabled}
+          className="w-full px-2 py-1 border border-amber-200 rounded-lg bg-white focus:outline-none focus:border-amber-500"
+          aria-label="Add blocking task"
+        >
+          <option value="">Add a blocking task…</option>
+          {candidates.map(candidate => (
+            <option key={candidate.id} value={candidate.id}>{candidate.text}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default DependencyPicker;
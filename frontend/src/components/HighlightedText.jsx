@@ -0,0 +1,27 @@
+/**
+ * Highlighted Text Component
+ * Renders plain text with search matches marked
+ */
+
+import React from 'react';
+
+const HighlightedText = ({ text, matches = [] }) => {
+  const segments = [];
+  let position = 0;
+  for (const [start, end] of matches) {
+    if (start > position) {
+      segments.push(<React.Fragment key={position}>{text.slice(position, start)}</React.Fragment>);
+    }
+    segments.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded px-0.5">{text.slice(start, end)}</mark>
+    );
+    position = end;
+  }
+  if (position < text.length) {
+    segments.push(<React.Fragment key={position}>{text.slice(position)}</React.Fragment>);
+  }
+
+  return <>{segments}</>;
+};
+
+export default HighlightedText;
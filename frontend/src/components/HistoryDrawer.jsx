@@ -0,0 +1,45 @@
+/**
+ * History Drawer Component
+ * Collapsible change history shown inside a todo item
+ */
+
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import { useTodoHistory } from '../hooks/useTodoHistory';
+import HistoryEntry from './HistoryEntry';
+
+const HistoryDrawer = ({ todoId, lists }) => {
+  const { entries, pagination, loading, error, loadHistory } = useTodoHistory(todoId, true);
+
+  return (
+    <div className="mt-2 p-3 rounded-xl border border-gray-200 bg-gray-50">
+      <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">History</h4>
+
+      {error ? (
+        <p className="text-sm text-gray-500">{error}</p>
+      ) : loading && entries.length === 0 ? (
+        <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded yet.</p>
+      ) : (
+        <ol className="space-y-3">
+          {entries.map(entry => (
+            <HistoryEntry key={entry._id} entry={entry} lists={lists} />
+          ))}
+        </ol>
+      )}
+
+      {pagination?.hasNextPage && (
+        <button
+          onClick={() => loadHistory(pagination.currentPage + 1)}
+          disabled={loading}
+          className="mt-2 text-xs text-blue-600 hover:underline disabled:opacity-50"
+        >
+          Show older changes
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default HistoryDrawer;
@@ -0,0 +1,55 @@
+/**
+ * History Entry Component
+ * One change log entry: action, time, origin and field-level diff
+ */
+
+import React from 'react';
+import { ACTION_LABELS, FIELD_LABELS, HIDDEN_FIELDS, formatHistoryValue } from '../utils/history';
+
+const HistoryEntry = ({ entry, lists = [], showText = false }) => {
+  // A creation lists the initial values; other actions show before → after
+  const isCreate = entry.action === 'create';
+  const changes = entry.changes.filter(change => !HIDDEN_FIELDS.includes(change.field));
+
+  return (
+    <li className="space-y-1">
+      <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+        <span className="font-semibold text-gray-700">{ACTION_LABELS[entry.action] || entry.action}</span>
+        {showText && <span className="text-gray-600 truncate max-w-xs">"{entry.text}"</span>}
+        <time
+          dateTime={entry.createdAt}
+          className="text-xs text-gray-400"
+          title={[entry.origin?.method, entry.origin?.path, entry.origin?.ip, entry.origin?.userAgent]
+            .filter(Boolean)
+            .join(' · ')}
+        >
+          {new Date(entry.createdAt).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+          })}
+        </time>
+      </div>
+
+      {changes.length > 0 && (
+        <ul className="text-xs text-gray-500 space-y-0.5 pl-3 border-l-2 border-gray-100">
+          {changes.map(change => (
+            <li key={change.field} className="break-words">
+              <span className="font-medium text-gray-600">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+              {!isCreate && (
+                <>
+                  <span className="line-through">{formatHistoryValue(change.field, change.before, lists)}</span>
+                  {' → '}
+                </>
+              )}
+              <span>{formatHistoryValue(change.field, change.after, lists)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+export default HistoryEntry;
@@ -0,0 +1,180 @@
+/**
+ * Import Dialog Component
+ * Picks a JSON, CSV, Markdown or iCalendar file, previews what importing it would do
+ * (including rows that fail validation), then imports it
+ */
+
+import React, { useState } from 'react';
+import { Upload, X, Loader2, AlertTriangle } from 'lucide-react';
+import { IMPORT_FORMATS, getFormatFromFileName } from '../utils/todoFormats';
+
+// What to do with rows that match an existing todo
+const DUPLICATE_OPTIONS = [
+  { value: 'skip', label: 'Skip duplicates' },
+  { value: 'overwrite', label: 'Overwrite duplicates' },
+  { value: 'keep', label: 'Keep both' }
+];
+
+// Label and color of each row action
+const ACTION_STYLES = {
+  create: { label: 'Create', className: 'text-green-700 bg-green-50' },
+  overwrite: { label: 'Overwrite', className: 'text-blue-700 bg-blue-50' },
+  skip: { label: 'Skip', className: 'text-gray-600 bg-gray-100' },
+  invalid: { label: 'Invalid', className: 'text-red-700 bg-red-50' }
+};
+
+const ImportDialog = ({
+  isOnline,
+  importing = false,
+  preview,
+  importResult,
+  error,
+  onPreview,
+  onImport,
+  onReset,
+  onClose
+}) => {
+  const [file, setFile] = useState(null);
+  const [duplicates, setDuplicates] = useState('skip');
+
+  /**
+   * Read the chosen file; a new file needs a new preview
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    onReset();
+    if (!chosen) {
+      setFile(null);
+      return;
+    }
+    setFile({
+      name: chosen.name,
+      format: getFormatFromFileName(chosen.name) ?? 'json',
+      content: await chosen.text()
+    });
+  };
+
+  /**
+   * Change an import option, which makes the preview out of date
+   * @param {Function} update - State update to apply
+   */
+  const changeOption = (update) => {
+    update();
+    onReset();
+  };
+
+  const rows = (importResult || preview)?.rows || [];
+  // Rows worth showing: everything except plain creates
+  const notableRows = rows.filter(row => row.action !== 'create');
+
+  return (
+    <div className="w-full max-w-4xl px-6">
+      <div className="p-6 bg-white border border-gray-200 rounded-2xl shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">Import todos</h3>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            aria-label="Close import"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!isOnline && (
+          <p className="mb-4 text-sm text-orange-700">
+            Importing needs a connection to the server.
+          </p>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <input
+            type="file"
+            accept=".json,.csv,.md,.markdown,.ics,.ical,application/json,text/csv,text/markdown,text/calendar"
+            onChange={handleFileChange}
+            className="text-sm text-gray-600 file:mr-3 file:px-3 file:py-1 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700"
+            aria-label="File to import"
+          />
+          {file && (
+            <select
+              value={file.format}
+              onChange={(e) => changeOption(() => setFile({ ...file, format: e.target.value }))}
+              className="px-2 py-1 text-sm border border-gray-200 rounded-lg"
+              aria-label="File format"
+            >
+              {Object.entries(IMPORT_FORMATS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={duplicates}
+            onChange={(e) => changeOption(() => setDuplicates(e.target.value))}
+            className="px-2 py-1 text-sm border border-gray-200 rounded-lg"
+            aria-label="Duplicates"
+          >
+            {DUPLICATE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => onPreview(file, duplicates)}
+            disabled={!file || !isOnline || importing}
+            className="px-4 py-2 text-sm text-gray-700 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Preview
+          </button>
+          <button
+            onClick={() => onImport(file, duplicates)}
+            disabled={!preview || importing}
+            className="inline-flex items-center space-x-1 px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4" />
+            <span>Import</span>
+          </button>
+          {importing && <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />}
+        </div>
+
+        {error && (
+          <p className="mt-4 text-sm text-red-600">{error}</p>
+        )}
+
+        {/* Preview or result summary */}
+        {(importResult || preview) && (
+          <div className="mt-4">
+            <p className="text-sm font-medium text-gray-700">
+              {(importResult || preview).message}
+            </p>
+            {notableRows.length > 0 && (
+              <ul className="mt-3 max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                {notableRows.map(row => (
+                  <li key={row.row} className="flex items-start space-x-3 px-3 py-2 text-sm">
+                    <span className="w-14 shrink-0 text-gray-400">Row {row.row}</span>
+                    <span className={`shrink-0 px-2 rounded ${ACTION_STYLES[row.action].className}`}>
+                      {ACTION_STYLES[row.action].label}
+                    </span>
+                    <div className="min-w-0">
+                      <p className="text-gray-700 truncate">{row.text || <em className="text-gray-400">No text</em>}</p>
+                      {row.errors?.map(message => (
+                        <p key={message} className="flex items-center space-x-1 text-red-600">
+                          <AlertTriangle className="w-3 h-3 shrink-0" />
+                          <span>{message}</span>
+                        </p>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
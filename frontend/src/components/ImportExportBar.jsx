@@ -0,0 +1,49 @@
+/**
+ * Import/Export Bar Component
+ * Export buttons for each file format, and a button opening the import dialog
+ */
+
+import React from 'react';
+import { Download, Upload, Loader2 } from 'lucide-react';
+import { EXPORT_FORMATS } from '../utils/todoFormats';
+
+const ImportExportBar = ({
+  exporting = false,
+  canImport = true,
+  isImportOpen = false,
+  onExport,
+  onToggleImport
+}) => {
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2">
+      <span className="inline-flex items-center space-x-1 text-sm text-gray-500">
+        {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+        <span>Export</span>
+      </span>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          onClick={() => onExport(format)}
+          disabled={exporting}
+          className="px-3 py-1 text-sm text-gray-600 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          title={`Download todos as ${label}`}
+        >
+          {label}
+        </button>
+      ))}
+
+      {canImport && (
+        <button
+          onClick={onToggleImport}
+          aria-expanded={isImportOpen}
+          className="inline-flex items-center space-x-1 ml-2 px-3 py-1 text-sm text-blue-700 bg-white border border-blue-200 rounded-lg hover:bg-blue-50"
+        >
+          <Upload className="w-4 h-4" />
+          <span>Import</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ImportExportBar;
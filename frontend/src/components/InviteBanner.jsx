@@ -0,0 +1,51 @@
+/**
+ * Invite Banner Component
+ * Pending invites to other people's lists, with accept and decline buttons
+ */
+
+import React from 'react';
+import { Mail, Check, X } from 'lucide-react';
+import { getMemberName } from '../utils/members';
+
+const InviteBanner = ({ invites, onAccept, onDecline }) => {
+  if (invites.length === 0) return null;
+
+  return (
+    <div className="mb-8 space-y-2">
+      {invites.map(invite => (
+        <div
+          key={invite._id}
+          className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-2xl border border-blue-100 bg-blue-50"
+        >
+          <div className="flex items-center space-x-3 min-w-0">
+            <Mail className="w-5 h-5 text-blue-500 flex-shrink-0" />
+            <p className="text-sm text-gray-700">
+              <span className="font-medium">{getMemberName(invite.owner)}</span>
+              {' invited you to '}
+              <span className="font-medium" style={{ color: invite.list.color }}>{invite.list.name}</span>
+              {` as ${invite.role === 'editor' ? 'an editor' : 'a viewer'}`}
+            </p>
+          </div>
+          <div className="flex space-x-2 flex-shrink-0">
+            <button
+              onClick={() => onAccept(invite._id)}
+              className="inline-flex items-center space-x-1 px-3 py-1 text-sm bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg"
+            >
+              <Check className="w-4 h-4" />
+              <span>Accept</span>
+            </button>
+            <button
+              onClick={() => onDecline(invite._id)}
+              className="inline-flex items-center space-x-1 px-3 py-1 text-sm text-gray-600 border border-gray-200 bg-white rounded-lg hover:bg-gray-50"
+            >
+              <X className="w-4 h-4" />
+              <span>Decline</span>
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default InviteBanner;
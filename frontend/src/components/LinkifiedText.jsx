@@ -0,0 +1,28 @@
+/**
+ * Linkified Text Component
+ * Renders plain text with http(s) and www. links made clickable
+ */
+
+import React from 'react';
+import { splitLinks } from '../utils/notes';
+
+const LinkifiedText = ({ text }) => (
+  <>
+    {splitLinks(text).map((segment, index) => segment.href ? (
+      <a
+        key={index}
+        href={segment.href}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+        className="text-blue-600 underline break-all hover:text-blue-800"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {segment.text}
+      </a>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+export default LinkifiedText;
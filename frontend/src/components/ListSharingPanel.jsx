@@ -0,0 +1,188 @@
+/**
+ * List Sharing Panel Component
+ * Members and pending invites of a list; the owner invites people and manages roles,
+ * other members can leave
+ */
+
+import React, { useState } from 'react';
+import { UserPlus, X, LogOut, Mail } from 'lucide-react';
+import { getListMembers, getMemberName, COLLABORATOR_ROLES, ROLE_DESCRIPTIONS } from '../utils/members';
+
+const ListSharingPanel = ({
+  list,
+  currentUserId,
+  isOnline,
+  onInvite,
+  onRevokeInvite,
+  onChangeRole,
+  onRemove,
+  onLeave
+}) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [sending, setSending] = useState(false);
+
+  const isOwner = list.role === 'owner';
+  const members = getListMembers(list);
+
+  /**
+   * Handle invite submission
+   * @param {Event} e - Form submit event
+   */
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setSending(true);
+    const updated = await onInvite({ email: email.trim(), role });
+    setSending(false);
+    if (updated) {
+      setEmail('');
+    }
+  };
+
+  /**
+   * Handle removing a collaborator with confirmation
+   * @param {Object} member - Member to remove
+   */
+  const handleRemove = (member) => {
+    if (window.confirm(`Remove ${getMemberName(member)} from "${list.name}"?`)) {
+      onRemove(member._id);
+    }
+  };
+
+  /**
+   * Handle leaving the list with confirmation
+   */
+  const handleLeave = () => {
+    if (window.confirm(`Leave "${list.name}"? You will lose access to its todos.`)) {
+      onLeave();
+    }
+  };
+
+  return (
+    <div className="w-full max-w-2xl p-4 rounded-2xl border border-gray-100 bg-white shadow-lg">
+      <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">Sharing</h3>
+
+      {/* Members */}
+      <ul className="divide-y divide-gray-100">
+        {members.map(member => (
+          <li key={member._id} className="flex items-center justify-between py-2 gap-3">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-800 truncate">
+                {getMemberName(member)}
+                {member._id === currentUserId && <span className="text-gray-400"> (you)</span>}
+              </p>
+              {member.name && <p className="text-xs text-gray-500 truncate">{member.email}</p>}
+            </div>
+
+            <div className="flex items-center space-x-2 flex-shrink-0">
+              {isOwner && member.role !== 'owner' ? (
+                <>
+                  <select
+                    value={member.role}
+                    onChange={(e) => onChangeRole(member._id, e.target.value)}
+                    disabled={!isOnline}
+                    className="text-sm border border-gray-200 rounded-lg px-2 py-1 bg-white"
+                    aria-label={`Role for ${getMemberName(member)}`}
+                  >
+                    {COLLABORATOR_ROLES.map(option => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleRemove(member)}
+                    disabled={!isOnline}
+                    className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-50"
+                    title="Remove from list"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </>
+              ) : (
+                <span className="text-xs text-gray-500 capitalize" title={ROLE_DESCRIPTIONS[member.role]}>
+                  {member.role}
+                </span>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {isOwner ? (
+        <>
+          {/* Pending invites */}
+          {list.invites?.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">Pending invites</h4>
+              <ul className="space-y-1">
+                {list.invites.map(invite => (
+                  <li key={invite._id} className="flex items-center justify-between text-sm text-gray-600 gap-3">
+                    <span className="flex items-center space-x-2 min-w-0">
+                      <Mail className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                      <span className="truncate">{invite.email}</span>
+                      <span className="text-xs text-gray-400 flex-shrink-0">
+                        {invite.role}, expires {new Date(invite.expiresAt).toLocaleDateString()}
+                      </span>
+                    </span>
+                    <button
+                      onClick={() => onRevokeInvite(invite._id)}
+                      disabled={!isOnline}
+                      className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-50"
+                      title="Withdraw invite"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Invite form */}
+          <form onSubmit={handleInvite} className="mt-4 flex flex-col sm:flex-row gap-2">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Invite by email"
+              className="flex-1 px-3 py-2 text-sm border-2 border-blue-200 rounded-lg focus:outline-none focus:border-blue-500"
+              disabled={!isOnline || sending}
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="text-sm border-2 border-blue-200 rounded-lg px-2 py-2 bg-white"
+              aria-label="Role"
+              title={ROLE_DESCRIPTIONS[role]}
+            >
+              {COLLABORATOR_ROLES.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={!isOnline || sending || !email.trim()}
+              className="inline-flex items-center justify-center space-x-1 px-3 py-2 text-sm bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg disabled:opacity-50"
+              title={isOnline ? 'Send invite' : 'Invites can only be sent while online'}
+            >
+              <UserPlus className="w-4 h-4" />
+              <span>Invite</span>
+            </button>
+          </form>
+        </>
+      ) : (
+        <button
+          onClick={handleLeave}
+          disabled={!isOnline}
+          className="mt-4 inline-flex items-center space-x-1 text-sm text-gray-500 hover:text-red-600 disabled:opacity-50"
+        >
+          <LogOut className="w-4 h-4" />
+          <span>Leave list</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ListSharingPanel;
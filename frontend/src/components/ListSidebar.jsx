@@ -0,0 +1,227 @@
+/**
+ * List Sidebar Component
+ * Navigation between todo lists (projects) with list creation and management
+ */
+
+import React, { useState } from 'react';
+import { Layers, Inbox, Plus, Archive, Trash2, X, Activity, Users } from 'lucide-react';
+
+// Views other than the todo list, shown below the lists
+const EXTRA_VIEWS = [
+  { view: 'activity', label: 'Activity', icon: <Activity className="w-4 h-4 flex-shrink-0" /> },
+  { view: 'archive', label: 'Archive', icon: <Archive className="w-4 h-4 flex-shrink-0" /> },
+  { view: 'trash', label: 'Trash', icon: <Trash2 className="w-4 h-4 flex-shrink-0" /> }
+];
+
+// Color choices offered when creating a list
+const LIST_COLORS = ['#3b82f6', '#8b5cf6', '#ec4899', '#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6'];
+
+const ListSidebar = ({
+  lists,
+  selectedListId,
+  onSelect,
+  onCreate,
+  onArchive,
+  onDelete,
+  isOnline,
+  view = 'todos',
+  onViewChange
+}) => {
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(LIST_COLORS[0]);
+
+  /**
+   * Handle list creation
+   * @param {Event} e - Form submit event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    const created = await onCreate({ name: name.trim(), color });
+    if (created) {
+      setName('');
+      setIsCreating(false);
+      onSelect(created._id);
+    }
+  };
+
+  /**
+   * Handle list deletion with confirmation
+   * @param {Object} list - List to delete
+   */
+  const handleDelete = async (list) => {
+    if (window.confirm(`Delete "${list.name}"? Its todos will move to the inbox.`)) {
+      const deleted = await onDelete(list._id);
+      if (deleted && selectedListId === list._id) {
+        onSelect(null);
+      }
+    }
+  };
+
+  /**
+   * Handle list archiving
+   * @param {Object} list - List to archive
+   */
+  const handleArchive = async (list) => {
+    const archived = await onArchive(list._id);
+    if (archived && selectedListId === list._id) {
+      onSelect(null);
+    }
+  };
+
+  /**
+   * Render a sidebar navigation entry
+   * @param {string|null} id - List selection value
+   * @param {React.ReactNode} icon - Leading icon
+   * @param {string} label - Entry label
+   * @param {React.ReactNode} [actions] - Hover actions
+   */
+  const renderEntry = (id, icon, label, actions) => {
+    const isSelected = view === 'todos' && selectedListId === id;
+    return (
+      <li key={id ?? 'all'} className="group/list flex items-center">
+        <button
+          onClick={() => onSelect(id)}
+          aria-current={isSelected ? 'page' : undefined}
+          className={`
+            flex-1 flex items-center space-x-3 px-3 py-2 rounded-xl text-left font-medium min-w-0
+            ${isSelected
+              ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow'
+              : 'text-gray-700 hover:bg-blue-50'
+            }
+          `}
+        >
+          {icon}
+          <span className="truncate">{label}</span>
+        </button>
+        {actions}
+      </li>
+    );
+  };
+
+  return (
+    <aside className="w-full lg:w-64 flex-shrink-0">
+      <div className="bg-white rounded-2xl p-4 shadow-lg border border-gray-100">
+        <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3 px-3">Lists</h3>
+
+        <ul className="space-y-1">
+          {renderEntry(null, <Layers className="w-4 h-4 flex-shrink-0" />, 'All todos')}
+          {renderEntry('none', <Inbox className="w-4 h-4 flex-shrink-0" />, 'Inbox')}
+          {lists.map(list => renderEntry(
+            list._id,
+            <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: list.color }}></span>,
+            <>
+              {list.name}
+              {list.collaborators?.length > 0 && (
+                <Users className="inline w-3 h-3 ml-1 opacity-60" aria-label="Shared" />
+              )}
+            </>,
+            // Only the owner can archive or delete a shared list
+            isOnline && (list.role ?? 'owner') === 'owner' && (
+              <div className="flex opacity-0 group-hover/list:opacity-100 focus-within:opacity-100">
+                <button
+                  onClick={() => handleArchive(list)}
+                  className="p-1 text-gray-400 hover:text-blue-500"
+                  title="Archive list"
+                >
+                  <Archive className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(list)}
+                  className="p-1 text-gray-400 hover:text-red-500"
+                  title="Delete list"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            )
+          ))}
+        </ul>
+
+        {/* New list */}
+        {isCreating ? (
+          <form onSubmit={handleCreate} className="mt-4 space-y-2 px-1">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="List name"
+              className="w-full px-3 py-2 text-sm border-2 border-blue-200 rounded-lg focus:outline-none focus:border-blue-500"
+              maxLength={100}
+              autoFocus
+            />
+            <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="List color">
+              {LIST_COLORS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  role="radio"
+                  aria-checked={color === option}
+                  onClick={() => setColor(option)}
+                  className={`w-6 h-6 rounded-full ${color === option ? 'ring-2 ring-offset-2 ring-gray-400' : ''}`}
+                  style={{ backgroundColor: option }}
+                  title={option}
+                ></button>
+              ))}
+            </div>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={!name.trim()}
+                className="flex-1 px-3 py-1 text-sm bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg disabled:opacity-50"
+              >
+                Create
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsCreating(false)}
+                className="p-1 text-gray-400 hover:text-gray-600"
+                title="Cancel"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            onClick={() => setIsCreating(true)}
+            disabled={!isOnline}
+            className="mt-4 w-full flex items-center space-x-2 px-3 py-2 text-sm text-gray-500 hover:text-blue-600 disabled:opacity-50"
+            title={isOnline ? 'Create a new list' : 'Lists can only be created while online'}
+          >
+            <Plus className="w-4 h-4" />
+            <span>New list</span>
+          </button>
+        )}
+
+        {/* Activity, archive and trash */}
+        {onViewChange && (
+          <ul className="mt-2 pt-2 space-y-1 border-t border-gray-100">
+            {EXTRA_VIEWS.map(({ view: extraView, label, icon }) => (
+              <li key={extraView}>
+                <button
+                  onClick={() => onViewChange(view === extraView ? 'todos' : extraView)}
+                  aria-pressed={view === extraView}
+                  className={`
+                    w-full flex items-center space-x-3 px-3 py-2 rounded-xl text-left font-medium
+                    ${view === extraView
+                      ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow'
+                      : 'text-gray-500 hover:bg-blue-50'
+                    }
+                  `}
+                >
+                  {icon}
+                  <span>{label}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default ListSidebar;
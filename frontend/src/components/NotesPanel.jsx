@@ -0,0 +1,191 @@
+/**
+ * Notes Panel Component
+ * Expandable Markdown notes for a todo with edit and preview modes
+ * Rendered HTML always comes from the API's sanitizer; offline, the raw Markdown is shown
+ */
+
+import React, { useState } from 'react';
+import { FileText, ChevronDown, ChevronRight, Save, X, Loader2 } from 'lucide-react';
+import { useNotesPreview } from '../hooks/useNotesPreview';
+import { MAX_NOTES_LENGTH } from '../utils/notes';
+
+/**
+ * Render notes as sanitized HTML, or the raw Markdown when no server rendering is available
+ * @param {string|null} html - Sanitized HTML from the API
+ * @param {string} markdown - Markdown source
+ * @returns {JSX.Element} Notes content
+ */
+const renderNotes = (html, markdown) => html ? (
+  <div className="todo-notes" dangerouslySetInnerHTML={{ __html: html }} />
+) : (
+  <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">{markdown}</p>
+);
+
+const NotesPanel = ({ notes, notesHtml, onSave, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('view'); // 'view' | 'edit' | 'preview'
+  const [draft, setDraft] = useState(notes || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const preview = useNotesPreview(draft, mode === 'preview');
+  const isEditing = mode !== 'view';
+
+  /**
+   * Start editing the saved notes
+   */
+  const handleEdit = () => {
+    setDraft(notes || '');
+    setMode('edit');
+    setIsOpen(true);
+  };
+
+  /**
+   * Save the draft (an empty draft clears the notes)
+   */
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(draft.trim() ? draft : null);
+      setMode('view');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Discard the draft
+   */
+  const handleCancel = () => {
+    setDraft(notes || '');
+    setMode('view');
+  };
+
+  /**
+   * Handle keyboard shortcuts while editing
+   * @param {KeyboardEvent} e - Key event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleSave();
+    } else if (e.key === 'Escape') {
+      handleCancel();
+    }
+  };
+
+  if (!notes && !isEditing) {
+    return (
+      <button
+        onClick={handleEdit}
+        disabled={disabled}
+        className="inline-flex items-center space-x-1 text-xs text-gray-400 hover:text-blue-600"
+      >
+        <FileText className="w-3 h-3" />
+        <span>Add notes</span>
+      </button>
+    );
+  }
+
+  return (
+    <div className="rounded-xl border border-gray-200 bg-gray-50">
+      <div className="flex items-center justify-between px-3 py-2">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen || isEditing}
+          disabled={isEditing}
+          className="flex items-center space-x-1 text-xs font-semibold text-gray-500 uppercase tracking-wide"
+        >
+          {isOpen || isEditing ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+          <FileText className="w-3 h-3" />
+          <span>Notes</span>
+        </button>
+
+        {isEditing ? (
+          <div className="flex text-xs" role="tablist" aria-label="Notes mode">
+            {['edit', 'preview'].map(tab => (
+              <button
+                key={tab}
+                role="tab"
+                aria-selected={mode === tab}
+                onClick={() => setMode(tab)}
+                className={`px-2 py-1 rounded-lg capitalize ${mode === tab ? 'bg-white shadow text-gray-800' : 'text-gray-500 hover:text-gray-700'}`}
+              >
+                {tab}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <button
+            onClick={handleEdit}
+            disabled={disabled}
+            className="text-xs text-blue-600 hover:underline disabled:opacity-50"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      {mode === 'edit' && (
+        <div className="px-3 pb-3 space-y-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            rows={6}
+            maxLength={MAX_NOTES_LENGTH}
+            placeholder="Add details, links or a checklist. Markdown is supported."
+            className="w-full p-2 border border-gray-200 rounded-lg text-sm font-mono focus:outline-none focus:border-blue-500"
+            aria-label="Notes (Markdown)"
+            autoFocus
+          />
+          <p className="text-xs text-gray-400 text-right">{draft.length}/{MAX_NOTES_LENGTH}</p>
+        </div>
+      )}
+
+      {mode === 'preview' && (
+        <div className="px-3 pb-3">
+          {preview.loading ? (
+            <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />
+          ) : draft.trim() ? (
+            <>
+              {renderNotes(preview.html, draft)}
+              {preview.unavailable && (
+                <p className="mt-2 text-xs text-gray-400">Preview is unavailable offline; showing the Markdown source.</p>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-400">Nothing to preview.</p>
+          )}
+        </div>
+      )}
+
+      {isEditing && (
+        <div className="flex space-x-2 px-3 pb-3">
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="flex items-center space-x-1 px-3 py-1 bg-green-500 text-white text-sm rounded-lg hover:bg-green-600 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            <span>Save</span>
+          </button>
+          <button
+            onClick={handleCancel}
+            disabled={isSaving}
+            className="flex items-center space-x-1 px-3 py-1 bg-gray-500 text-white text-sm rounded-lg hover:bg-gray-600"
+          >
+            <X className="w-4 h-4" />
+            <span>Cancel</span>
+          </button>
+        </div>
+      )}
+
+      {mode === 'view' && isOpen && (
+        <div className="px-3 pb-3">
+          {renderNotes(notesHtml, notes)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotesPanel;
@@ -0,0 +1,233 @@
+/**
+ * Recurrence Picker Component
+ * Repeat chip that opens an inline editor for a todo's recurring schedule
+ */
+
+import React, { useState } from 'react';
+import { Repeat, X } from 'lucide-react';
+import { FREQUENCIES, WEEKDAY_NAMES, describeRecurrence } from '../utils/recurrence';
+
+/**
+ * Build the editor form state from a saved rule
+ * @param {Object|null} rule - Recurrence rule
+ * @returns {Object} Form state
+ */
+const toFormState = (rule) => ({
+  frequency: rule?.frequency || 'daily',
+  interval: rule?.interval || 1,
+  daysOfWeek: rule?.daysOfWeek || [],
+  dayOfMonth: rule?.dayOfMonth || '',
+  end: rule?.count ? 'count' : rule?.until ? 'until' : 'never',
+  count: rule?.count || 5,
+  until: rule?.until ? new Date(rule.until).toISOString().slice(0, 10) : ''
+});
+
+const RecurrencePicker = ({ recurrence, onSave, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState(() => toFormState(recurrence));
+  const unit = FREQUENCIES.find(option => option.value === form.frequency)?.unit;
+
+  /**
+   * Update a single form field
+   * @param {string} field - Field name
+   * @param {*} value - New value
+   */
+  const setField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Toggle a weekday for weekly schedules
+   * @param {number} day - Weekday (0 = Sunday)
+   */
+  const toggleDay = (day) => {
+    setField('daysOfWeek', form.daysOfWeek.includes(day)
+      ? form.daysOfWeek.filter(d => d !== day)
+      : [...form.daysOfWeek, day].sort()
+    );
+  };
+
+  /**
+   * Open the editor with the saved rule
+   */
+  const handleOpen = () => {
+    setForm(toFormState(recurrence));
+    setIsOpen(true);
+  };
+
+  /**
+   * Save the rule from the form
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const rule = { frequency: form.frequency };
+    if (unit) rule.interval = Number(form.interval) || 1;
+    if (form.frequency === 'weekly' && form.daysOfWeek.length > 0) rule.daysOfWeek = form.daysOfWeek;
+    if (form.frequency === 'monthly' && form.dayOfMonth) rule.dayOfMonth = Number(form.dayOfMonth);
+    if (form.end === 'count') rule.count = Number(form.count) || 1;
+    // End of the chosen day in the user's own time zone
+    if (form.end === 'until' && form.until) rule.until = new Date(`${form.until}T23:59:59`).toISOString();
+
+    await onSave(rule);
+    setIsOpen(false);
+  };
+
+  /**
+   * Stop repeating
+   */
+  const handleStop = async () => {
+    await onSave(null);
+    setIsOpen(false);
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={handleOpen}
+        disabled={disabled}
+        className={`inline-flex items-center space-x-1 px-2 py-1 rounded-full border text-xs font-semibold ${
+          recurrence
+            ? 'bg-teal-50 border-teal-200 text-teal-700'
+            : 'border-dashed border-gray-300 text-gray-400 hover:text-teal-600 hover:border-teal-300'
+        }`}
+        title="Edit repeat schedule"
+      >
+        <Repeat className="w-3 h-3" />
+        <span>{recurrence ? describeRecurrence(recurrence) : 'Repeat'}</span>
+      </button>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="basis-full space-y-2 p-3 rounded-xl border border-teal-200 bg-teal-50 text-sm text-gray-700"
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <Repeat className="w-4 h-4 text-teal-600" />
+        <select
+          value={form.frequency}
+          onChange={(e) => setField('frequency', e.target.value)}
+          className="px-2 py-1 border border-teal-200 rounded-lg bg-white focus:outline-none focus:border-teal-500"
+          aria-label="Frequency"
+        >
+          {FREQUENCIES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {unit && (
+          <label className="flex items-center space-x-1">
+            <span>every</span>
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={form.interval}
+              onChange={(e) => setField('interval', e.target.value)}
+              className="w-16 px-2 py-1 border border-teal-200 rounded-lg focus:outline-none focus:border-teal-500"
+            />
+            <span>{unit}(s)</span>
+          </label>
+        )}
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="ml-auto p-1 text-gray-400 hover:text-gray-600"
+          title="Cancel"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {form.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1" role="group" aria-label="Days of the week">
+          {WEEKDAY_NAMES.map((name, day) => (
+            <button
+              key={name}
+              type="button"
+              aria-pressed={form.daysOfWeek.includes(day)}
+              onClick={() => toggleDay(day)}
+              className={`px-2 py-1 rounded-lg text-xs font-semibold ${
+                form.daysOfWeek.includes(day) ? 'bg-teal-600 text-white' : 'bg-white border border-teal-200 text-teal-700'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {form.frequency === 'monthly' && (
+        <label className="flex items-center space-x-1">
+          <span>on day</span>
+          <input
+            type="number"
+            min={1}
+            max={31}
+            value={form.dayOfMonth}
+            onChange={(e) => setField('dayOfMonth', e.target.value)}
+            placeholder="due day"
+            className="w-24 px-2 py-1 border border-teal-200 rounded-lg focus:outline-none focus:border-teal-500"
+          />
+        </label>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={form.end}
+          onChange={(e) => setField('end', e.target.value)}
+          className="px-2 py-1 border border-teal-200 rounded-lg bg-white focus:outline-none focus:border-teal-500"
+          aria-label="Ends"
+        >
+          <option value="never">Never ends</option>
+          <option value="count">Ends after</option>
+          <option value="until">Ends on</option>
+        </select>
+        {form.end === 'count' && (
+          <label className="flex items-center space-x-1">
+            <input
+              type="number"
+              min={1}
+              value={form.count}
+              onChange={(e) => setField('count', e.target.value)}
+              className="w-16 px-2 py-1 border border-teal-200 rounded-lg focus:outline-none focus:border-teal-500"
+            />
+            <span>times</span>
+          </label>
+        )}
+        {form.end === 'until' && (
+          <input
+            type="date"
+            value={form.until}
+            onChange={(e) => setField('until', e.target.value)}
+            className="px-2 py-1 border border-teal-200 rounded-lg focus:outline-none focus:border-teal-500"
+            aria-label="End date"
+          />
+        )}
+      </div>
+
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={form.end === 'until' && !form.until}
+          className="px-3 py-1 bg-teal-600 text-white rounded-lg hover:bg-teal-700 disabled:opacity-50"
+        >
+          Save
+        </button>
+        {recurrence && (
+          <button
+            type="button"
+            onClick={handleStop}
+            className="px-3 py-1 bg-white border border-gray-300 text-gray-600 rounded-lg hover:text-red-600"
+          >
+            Stop repeating
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default RecurrencePicker;
@@ -0,0 +1,38 @@
+/**
+ * Search Bar Component
+ * Search box for todo text and notes, with a hint on the query syntax
+ */
+
+import React from 'react';
+import { Search, X, Loader2 } from 'lucide-react';
+
+const SearchBar = ({ value, onChange, loading }) => (
+  <div className="w-full max-w-4xl px-6">
+    <div className="relative">
+      <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400 pointer-events-none" />
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && onChange('')}
+        placeholder='Search todos and notes: words, "exact phrase", -exclude'
+        maxLength={200}
+        className="w-full pl-12 pr-12 py-3 bg-white border-2 border-gray-100 rounded-2xl shadow-lg focus:outline-none focus:border-blue-400"
+        aria-label="Search todos"
+      />
+      {loading ? (
+        <Loader2 className="absolute right-4 top-1/2 -translate-y-1/2 w-5 h-5 text-blue-500 animate-spin" />
+      ) : value && (
+        <button
+          onClick={() => onChange('')}
+          className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-gray-600"
+          title="Clear search"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+export default SearchBar;
@@ -0,0 +1,95 @@
+/**
+ * Search Results Component
+ * Search matches, best first, with the matching words highlighted
+ */
+
+import React from 'react';
+import { Search, WifiOff } from 'lucide-react';
+import { buildHighlights } from '../utils/search';
+import TodoItem from './TodoItem';
+
+const SearchResults = ({
+  query,
+  results,
+  parsedQuery,
+  pagination,
+  loading,
+  isOffline,
+  error,
+  onLoadMore,
+  todos = [],
+  ...itemHandlers // TodoItem callbacks, as for TodoList
+}) => {
+  // Show the latest version of each result when it was changed after the search
+  const todosById = new Map(todos.map(todo => [todo.id, todo]));
+
+  /**
+   * Get the current version of a result and its highlights
+   * @param {Object} result - Search result
+   * @returns {Object} { todo, highlights }
+   */
+  const resolveResult = (result) => {
+    const todo = { ...result, ...todosById.get(result.id) };
+    const isUnchanged = todo.text === result.text && todo.notes === result.notes;
+    return {
+      todo,
+      highlights: isUnchanged && result.highlights ? result.highlights : buildHighlights(todo, parsedQuery)
+    };
+  };
+
+  const total = pagination?.totalItems ?? results.length;
+
+  return (
+    <div className="w-full max-w-4xl px-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Search className="w-6 h-6 text-blue-500" />
+          <h2 className="text-xl font-bold text-gray-700">
+            {loading && results.length === 0 ? 'Searching…' : `${total} result${total === 1 ? '' : 's'} for "${query}"`}
+          </h2>
+        </div>
+        {isOffline && (
+          <span className="inline-flex items-center space-x-1 text-sm text-gray-500" title="Searching the todos saved on this device">
+            <WifiOff className="w-4 h-4" />
+            <span>Offline results</span>
+          </span>
+        )}
+      </div>
+
+      {error ? (
+        <p className="text-gray-500">{error}</p>
+      ) : !loading && results.length === 0 ? (
+        <p className="text-gray-500">No todos match your search.</p>
+      ) : (
+        <div className="space-y-6">
+          {results.map(result => {
+            const { todo, highlights } = resolveResult(result);
+            return (
+              <TodoItem
+                key={todo.id}
+                todo={todo}
+                todos={todos}
+                highlights={highlights}
+                {...itemHandlers}
+              />
+            );
+          })}
+        </div>
+      )}
+
+      {pagination?.hasNextPage && (
+        <div className="text-center">
+          <button
+            onClick={onLoadMore}
+            disabled={loading}
+            className="px-4 py-2 text-sm text-blue-600 hover:underline disabled:opacity-50"
+          >
+            Show more results
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
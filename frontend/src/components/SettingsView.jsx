@@ -0,0 +1,268 @@
+/**
+ * Settings View Component
+ * Account settings: personal API tokens for scripts and automation
+ */
+
+import React, { useState } from 'react';
+import { Loader2, Settings, KeyRound, Copy, Check, Trash2, WifiOff, Plus, CalendarDays } from 'lucide-react';
+import { apiTokenAPI } from '../services/api';
+
+// Expiry choices offered when creating a token (days, null for never)
+const EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: null, label: 'Never' }
+];
+
+// What each scope allows, shown next to its checkbox
+const SCOPE_DESCRIPTIONS = {
+  read: 'Read todos, lists and activity (GET)',
+  write: 'Create and change (POST, PUT, PATCH)',
+  delete: 'Delete (DELETE)'
+};
+
+/**
+ * Format a date for the token table
+ * @param {string|null} value - ISO date
+ * @returns {string} Formatted date
+ */
+const formatTokenDate = (value) => new Date(value).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const SettingsView = ({
+  tokens,
+  scopes,
+  createdToken,
+  loading,
+  isOnline,
+  onCreateToken,
+  onRevokeToken,
+  onDismissCreatedToken
+}) => {
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState(['read']);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [isCreating, setIsCreating] = useState(false);
+  // What was last copied: 'token' or 'feed'
+  const [copied, setCopied] = useState(null);
+
+  /**
+   * Toggle a scope in the create form
+   * @param {string} scope - Scope name
+   */
+  const toggleScope = (scope) => {
+    setSelectedScopes(prev => prev.includes(scope)
+      ? prev.filter(item => item !== scope)
+      : [...prev, scope]);
+  };
+
+  /**
+   * Handle token creation
+   * @param {Event} e - Form submit event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || selectedScopes.length === 0) return;
+
+    setIsCreating(true);
+    const created = await onCreateToken({ name: name.trim(), scopes: selectedScopes, expiresInDays });
+    setIsCreating(false);
+    if (created) {
+      setName('');
+      setCopied(null);
+    }
+  };
+
+  /**
+   * Copy the new token, or its calendar feed URL, to the clipboard
+   * @param {string} what - 'token' or 'feed'
+   * @param {string} text - Text to copy
+   */
+  const handleCopy = async (what, text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(what);
+    } catch (error) {
+      console.error('Error copying token:', error);
+    }
+  };
+
+  /**
+   * Handle revoking a token with confirmation
+   * @param {Object} token - Token to revoke
+   */
+  const handleRevoke = (token) => {
+    if (window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      onRevokeToken(token._id);
+    }
+  };
+
+  if (!isOnline) {
+    return (
+      <div className="w-full max-w-4xl px-6 text-center py-16">
+        <WifiOff className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">Settings are only available while online.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-4xl px-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <Settings className="w-6 h-6 text-gray-500" />
+        <h2 className="text-xl font-bold text-gray-700">Settings</h2>
+      </div>
+
+      <section className="bg-white rounded-2xl p-6 shadow-lg border border-gray-100 space-y-4">
+        <div>
+          <h3 className="flex items-center space-x-2 text-lg font-semibold text-gray-800">
+            <KeyRound className="w-5 h-5 text-blue-500" />
+            <span>API tokens</span>
+          </h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Personal tokens let scripts use the API as you. Send one as <code>Authorization: Bearer &lt;token&gt;</code>.
+            A token can only do what its scopes allow, and can't manage other tokens.
+          </p>
+        </div>
+
+        {/* Token just created, shown once */}
+        {createdToken && (
+          <div className="p-4 rounded-xl border border-green-200 bg-green-50 space-y-2">
+            <p className="text-sm font-semibold text-green-800">Copy your new token now. It won't be shown again.</p>
+            <div className="flex items-center space-x-2">
+              <code className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-white border border-green-200 text-sm break-all">
+                {createdToken.token}
+              </code>
+              <button
+                onClick={() => handleCopy('token', createdToken.token)}
+                className="p-2 text-green-700 hover:bg-green-100 rounded-lg"
+                title="Copy to clipboard"
+              >
+                {copied === 'token' ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+              </button>
+            </div>
+            {createdToken.scopes.includes('read') && (
+              <>
+                <p className="flex items-center space-x-1 pt-2 text-sm text-green-800">
+                  <CalendarDays className="w-4 h-4" />
+                  <span>Calendar feed: subscribe to this URL in a calendar app to see your todos there.</span>
+                </p>
+                <div className="flex items-center space-x-2">
+                  <code className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-white border border-green-200 text-sm break-all">
+                    {apiTokenAPI.getCalendarFeedUrl(createdToken.token)}
+                  </code>
+                  <button
+                    onClick={() => handleCopy('feed', apiTokenAPI.getCalendarFeedUrl(createdToken.token))}
+                    className="p-2 text-green-700 hover:bg-green-100 rounded-lg"
+                    title="Copy feed URL to clipboard"
+                  >
+                    {copied === 'feed' ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                  </button>
+                </div>
+              </>
+            )}
+            <button onClick={onDismissCreatedToken} className="text-xs text-green-700 hover:underline">
+              I've saved it
+            </button>
+          </div>
+        )}
+
+        {/* New token */}
+        <form onSubmit={handleCreate} className="space-y-3 p-4 rounded-xl border border-gray-200 bg-gray-50">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Token name, e.g. backup script"
+              maxLength={100}
+              className="flex-1 px-3 py-2 text-sm border-2 border-blue-200 rounded-lg focus:outline-none focus:border-blue-500"
+              aria-label="Token name"
+            />
+            <select
+              value={expiresInDays ?? ''}
+              onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+              className="text-sm border-2 border-blue-200 rounded-lg px-2 py-2 bg-white"
+              aria-label="Expires after"
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.value ?? ''}>Expires: {option.label}</option>
+              ))}
+            </select>
+          </div>
+          <fieldset className="flex flex-wrap gap-x-6 gap-y-2">
+            <legend className="sr-only">Scopes</legend>
+            {scopes.map(scope => (
+              <label key={scope} className="flex items-center space-x-2 text-sm text-gray-700" title={SCOPE_DESCRIPTIONS[scope]}>
+                <input
+                  type="checkbox"
+                  checked={selectedScopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <span className="font-medium">{scope}</span>
+                <span className="text-xs text-gray-400 hidden sm:inline">{SCOPE_DESCRIPTIONS[scope]}</span>
+              </label>
+            ))}
+          </fieldset>
+          <button
+            type="submit"
+            disabled={isCreating || !name.trim() || selectedScopes.length === 0}
+            className="inline-flex items-center space-x-1 px-4 py-2 text-sm bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Create token</span>
+          </button>
+        </form>
+
+        {/* Existing tokens */}
+        {loading && tokens.length === 0 ? (
+          <Loader2 className="w-6 h-6 text-blue-500 animate-spin" />
+        ) : tokens.length === 0 ? (
+          <p className="text-sm text-gray-500">You don't have any API tokens yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {tokens.map(token => {
+              const isExpired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+              return (
+                <li key={token._id} className="flex items-center justify-between gap-4 py-3">
+                  <div className="min-w-0 space-y-1">
+                    <p className="text-sm font-medium text-gray-800 truncate">
+                      {token.name}
+                      <code className="ml-2 text-xs text-gray-400">{token.tokenPrefix}…</code>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {token.scopes.join(', ')}
+                      {' · '}created {formatTokenDate(token.createdAt)}
+                      {' · '}{token.lastUsedAt ? `last used ${formatTokenDate(token.lastUsedAt)}` : 'never used'}
+                      {' · '}
+                      {isExpired ? (
+                        <span className="text-red-600">expired {formatTokenDate(token.expiresAt)}</span>
+                      ) : token.expiresAt ? (
+                        `expires ${formatTokenDate(token.expiresAt)}`
+                      ) : (
+                        'no expiry'
+                      )}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(token)}
+                    className="flex-shrink-0 inline-flex items-center space-x-1 px-3 py-1 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Revoke</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default SettingsView;
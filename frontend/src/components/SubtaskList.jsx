@@ -0,0 +1,161 @@
+/**
+ * Subtask List Component
+ * Expandable checklist with a mini progress bar shown inside a todo item
+ */
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, ChevronUp, ListChecks, Plus, Trash2, Check } from 'lucide-react';
+import { calculateProgress, getSubtaskId, moveSubtask } from '../utils/subtasks';
+
+const SubtaskList = ({ todo, onAddSubtask, onToggleSubtask, onReorderSubtasks, onDeleteSubtask, onUpdate, readOnly = false }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [newSubtask, setNewSubtask] = useState('');
+
+  const subtasks = [...(todo.subtasks || [])].sort((a, b) => a.order - b.order);
+  const doneCount = subtasks.filter(subtask => subtask.completed).length;
+  const progress = todo.progress ?? calculateProgress(subtasks);
+
+  /**
+   * Handle adding a subtask
+   * @param {Event} e - Form submit event
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (newSubtask.trim()) {
+      await onAddSubtask(todo.id, newSubtask.trim());
+      setNewSubtask('');
+    }
+  };
+
+  /**
+   * Move a subtask up or down
+   * @param {string} subtaskId - Subtask ID
+   * @param {number} offset - -1 for up, 1 for down
+   */
+  const handleMove = (subtaskId, offset) => {
+    const reordered = moveSubtask(subtasks, subtaskId, offset);
+    if (reordered) {
+      onReorderSubtasks(todo.id, reordered);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {/* Summary row: expand toggle and mini progress bar */}
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        aria-expanded={isExpanded}
+        className="flex items-center space-x-2 text-sm text-gray-500 hover:text-blue-600"
+      >
+        {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <ListChecks className="w-4 h-4" />
+        {subtasks.length > 0 ? (
+          <>
+            <span>{doneCount}/{subtasks.length}</span>
+            <span className="w-24 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+              <span
+                className="block h-full bg-gradient-to-r from-blue-500 to-purple-600 rounded-full transition-all duration-500"
+                style={{ width: `${progress}%` }}
+              ></span>
+            </span>
+          </>
+        ) : (
+          <span>Checklist</span>
+        )}
+      </button>
+
+      {isExpanded && (
+        <div className="pl-6 space-y-2">
+          {subtasks.map((subtask, index) => {
+            const subtaskId = getSubtaskId(subtask);
+            return (
+              <div key={subtaskId} className="group/subtask flex items-center space-x-2">
+                <button
+                  onClick={() => onToggleSubtask(todo.id, subtaskId)}
+                  disabled={readOnly}
+                  role="checkbox"
+                  aria-checked={subtask.completed}
+                  className={`
+                    w-5 h-5 rounded flex items-center justify-center flex-shrink-0
+                    ${subtask.completed
+                      ? 'bg-green-500 text-white'
+                      : 'border-2 border-gray-300 hover:border-blue-500'
+                    }
+                  `}
+                >
+                  {subtask.completed && <Check className="w-3 h-3" />}
+                </button>
+                <span className={`flex-1 text-sm todo-text ${subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                  {subtask.text}
+                </span>
+                {!readOnly && (
+                  <div className="flex items-center opacity-0 group-hover/subtask:opacity-100 focus-within:opacity-100">
+                    <button
+                      onClick={() => handleMove(subtaskId, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ChevronUp className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => handleMove(subtaskId, 1)}
+                      disabled={index === subtasks.length - 1}
+                      className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ChevronDown className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => onDeleteSubtask(todo.id, subtaskId)}
+                      className="p-1 text-gray-400 hover:text-red-500"
+                      title="Delete subtask"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {/* Add subtask */}
+          {!readOnly && (
+            <form onSubmit={handleAdd} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={newSubtask}
+                onChange={(e) => setNewSubtask(e.target.value)}
+                placeholder="Add a step..."
+                className="flex-1 px-2 py-1 text-sm border border-gray-200 rounded-lg focus:outline-none focus:border-blue-500"
+                maxLength={500}
+              />
+              <button
+                type="submit"
+                disabled={!newSubtask.trim()}
+                className="p-1 text-blue-500 hover:text-blue-700 disabled:text-gray-300"
+                title="Add subtask"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </form>
+          )}
+
+          {/* Auto-complete option */}
+          {subtasks.length > 0 && !readOnly && (
+            <label className="flex items-center space-x-2 text-xs text-gray-500">
+              <input
+                type="checkbox"
+                checked={Boolean(todo.autoCompleteOnSubtasks)}
+                onChange={(e) => onUpdate(todo.id, { autoCompleteOnSubtasks: e.target.checked })}
+              />
+              <span>Complete this todo when every step is done</span>
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,87 @@
+/**
+ * Tag Filter Bar Component
+ * Shows all tags with usage counts and filters the todo list by tag
+ */
+
+import React from 'react';
+import { Tag, X } from 'lucide-react';
+
+const TagFilterBar = ({ availableTags, tagFilter, onChange }) => {
+  const { tags: selectedTags, mode } = tagFilter;
+
+  if (availableTags.length === 0 && selectedTags.length === 0) {
+    return null;
+  }
+
+  /**
+   * Toggle a tag in the active filter
+   * @param {string} name - Tag name
+   */
+  const handleToggleTag = (name) => {
+    const tags = selectedTags.includes(name)
+      ? selectedTags.filter(tag => tag !== name)
+      : [...selectedTags, name];
+    onChange({ ...tagFilter, tags });
+  };
+
+  // Selected tags stay visible even if no todo currently uses them
+  const visibleTags = [
+    ...availableTags,
+    ...selectedTags
+      .filter(name => !availableTags.some(tag => tag.name === name))
+      .map(name => ({ name, count: 0 }))
+  ];
+
+  return (
+    <div className="w-full max-w-4xl px-6">
+      <div className="bg-white rounded-2xl p-4 shadow-lg border border-gray-100 flex flex-wrap items-center gap-2">
+        <Tag className="w-5 h-5 text-blue-500 flex-shrink-0" />
+
+        {visibleTags.map(({ name, count }) => {
+          const isSelected = selectedTags.includes(name);
+          return (
+            <button
+              key={name}
+              onClick={() => handleToggleTag(name)}
+              aria-pressed={isSelected}
+              className={`
+                px-3 py-1 rounded-full text-sm font-medium border transition-colors
+                ${isSelected
+                  ? 'bg-gradient-to-r from-blue-500 to-purple-600 text-white border-transparent shadow'
+                  : 'bg-gray-50 text-gray-600 border-gray-200 hover:border-blue-300 hover:text-blue-600'
+                }
+              `}
+            >
+              #{name} <span className="opacity-70">({count})</span>
+            </button>
+          );
+        })}
+
+        {selectedTags.length > 1 && (
+          <select
+            value={mode}
+            onChange={(e) => onChange({ ...tagFilter, mode: e.target.value })}
+            className="ml-auto px-2 py-1 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:border-blue-500"
+            aria-label="Tag match mode"
+          >
+            <option value="any">Match any</option>
+            <option value="all">Match all</option>
+          </select>
+        )}
+
+        {selectedTags.length > 0 && (
+          <button
+            onClick={() => onChange({ ...tagFilter, tags: [] })}
+            className={`flex items-center space-x-1 px-3 py-1 text-sm text-gray-500 hover:text-red-500 ${selectedTags.length > 1 ? '' : 'ml-auto'}`}
+            title="Clear tag filter"
+          >
+            <X className="w-4 h-4" />
+            <span>Clear</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagFilterBar;
@@ -0,0 +1,131 @@
+/**
+ * Time Entry Item Component
+ * A single time entry with its span, duration and note, editable inline by whoever tracked it
+ */
+
+import React, { useState } from 'react';
+import { Edit2, Trash2 } from 'lucide-react';
+import { formatDuration, toDateTimeInputValue } from '../utils/time';
+import { getMemberName } from '../utils/members';
+
+const TimeEntryItem = ({ entry, canEdit = true, onUpdate, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [form, setForm] = useState(null);
+  const isRunning = !entry.endedAt;
+
+  /**
+   * Open the editor with the saved values
+   */
+  const handleEdit = () => {
+    setForm({
+      startedAt: toDateTimeInputValue(entry.startedAt),
+      endedAt: entry.endedAt ? toDateTimeInputValue(entry.endedAt) : '',
+      note: entry.note || ''
+    });
+    setIsEditing(true);
+  };
+
+  /**
+   * Save the edited entry (the end of a running timer is set by stopping it)
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const entryData = {
+      startedAt: new Date(form.startedAt).toISOString(),
+      note: form.note.trim(),
+      ...(!isRunning && { endedAt: new Date(form.endedAt).toISOString() })
+    };
+    if (await onUpdate(entry._id, entryData)) {
+      setIsEditing(false);
+    }
+  };
+
+  /**
+   * Delete the entry with confirmation
+   */
+  const handleDelete = () => {
+    if (window.confirm('Delete this time entry?')) {
+      onDelete(entry._id);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <li>
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 text-xs">
+          <input
+            type="datetime-local"
+            value={form.startedAt}
+            onChange={(e) => setForm(prev => ({ ...prev, startedAt: e.target.value }))}
+            required
+            className="px-2 py-1 border border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+            aria-label="Start"
+          />
+          {!isRunning && (
+            <input
+              type="datetime-local"
+              value={form.endedAt}
+              onChange={(e) => setForm(prev => ({ ...prev, endedAt: e.target.value }))}
+              required
+              className="px-2 py-1 border border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+              aria-label="End"
+            />
+          )}
+          <input
+            type="text"
+            value={form.note}
+            onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="Note"
+            maxLength={200}
+            className="flex-1 min-w-24 px-2 py-1 border border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+            aria-label="Note"
+          />
+          <button type="submit" className="px-2 py-1 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600">Save</button>
+          <button type="button" onClick={() => setIsEditing(false)} className="px-2 py-1 text-gray-500 hover:text-gray-700">Cancel</button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li className="group/entry flex items-center gap-x-2 text-xs text-gray-600">
+      <time dateTime={entry.startedAt}>
+        {new Date(entry.startedAt).toLocaleString('en-US', {
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit'
+        })}
+      </time>
+      <span className="font-semibold text-gray-700">
+        {isRunning ? 'running' : formatDuration(entry.durationSeconds)}
+      </span>
+      {entry.source === 'manual' && <span className="text-gray-400">(manual)</span>}
+      {!canEdit && entry.ownerId?._id && <span className="text-gray-500">by {getMemberName(entry.ownerId)}</span>}
+      {entry.note && <span className="truncate">{entry.note}</span>}
+      {canEdit && (
+        <span className="ml-auto flex space-x-1 opacity-0 group-hover/entry:opacity-100 focus-within:opacity-100">
+          <button
+            onClick={handleEdit}
+            className="p-1 text-gray-400 hover:text-indigo-500"
+            aria-label="Edit time entry"
+          >
+            <Edit2 className="w-3 h-3" />
+          </button>
+          {!isRunning && (
+            <button
+              onClick={handleDelete}
+              className="p-1 text-gray-400 hover:text-red-500"
+              aria-label="Delete time entry"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          )}
+        </span>
+      )}
+    </li>
+  );
+};
+
+export default TimeEntryItem;
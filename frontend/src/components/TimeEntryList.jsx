@@ -0,0 +1,163 @@
+/**
+ * Time Entry List Component
+ * Time tracking panel inside a todo item: estimate, tracked entries and manual entry
+ */
+
+import React, { useState } from 'react';
+import { Loader2, Plus, Timer, X } from 'lucide-react';
+import { useTimeEntries } from '../hooks/useTimeEntries';
+import { formatDuration, parseEstimateInput, toDateTimeInputValue } from '../utils/time';
+import TimeEntryItem from './TimeEntryItem';
+
+/**
+ * Build an empty manual entry ending now
+ * @returns {Object} Form state
+ */
+const newEntryForm = () => ({
+  startedAt: toDateTimeInputValue(new Date(Date.now() - 30 * 60000)),
+  endedAt: toDateTimeInputValue(new Date()),
+  note: ''
+});
+
+const TimeEntryList = ({ todo, isRunning, onSaveEstimate, onTrackedTimeChange, onClose, currentUserId, readOnly = false }) => {
+  const { entries, loading, error, addEntry, updateEntry, deleteEntry } =
+    useTimeEntries(todo.id, true, onTrackedTimeChange, isRunning);
+  const [estimateInput, setEstimateInput] = useState(
+    todo.estimateMinutes ? formatDuration(todo.estimateMinutes * 60) : ''
+  );
+  const [estimateError, setEstimateError] = useState(null);
+  const [entryForm, setEntryForm] = useState(null);
+
+  /**
+   * Save the estimate (an empty input clears it)
+   * @param {Event} e - Form submit event
+   */
+  const handleEstimateSubmit = (e) => {
+    e.preventDefault();
+    const estimateMinutes = parseEstimateInput(estimateInput);
+    if (estimateMinutes === undefined) {
+      setEstimateError('Use minutes or hours, e.g. "45", "1.5h" or "1h 30m".');
+      return;
+    }
+    setEstimateError(null);
+    if (estimateMinutes !== (todo.estimateMinutes ?? null)) {
+      onSaveEstimate(estimateMinutes);
+    }
+  };
+
+  /**
+   * Add a manual time entry
+   * @param {Event} e - Form submit event
+   */
+  const handleEntrySubmit = async (e) => {
+    e.preventDefault();
+    const added = await addEntry({
+      startedAt: new Date(entryForm.startedAt).toISOString(),
+      endedAt: new Date(entryForm.endedAt).toISOString(),
+      ...(entryForm.note.trim() && { note: entryForm.note.trim() })
+    });
+    if (added) {
+      setEntryForm(null);
+    }
+  };
+
+  return (
+    <div className="basis-full space-y-3 p-3 rounded-xl border border-indigo-200 bg-indigo-50 text-sm text-gray-700">
+      <div className="flex items-center space-x-2">
+        <Timer className="w-4 h-4 text-indigo-600" />
+        <span className="font-semibold">Time</span>
+        <span className="text-gray-500">
+          {formatDuration(todo.trackedSeconds)} tracked
+          {todo.estimateMinutes ? ` of ${formatDuration(todo.estimateMinutes * 60)} estimated` : ''}
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          className="ml-auto p-1 text-gray-400 hover:text-gray-600"
+          title="Close"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {!readOnly && (
+        <form onSubmit={handleEstimateSubmit} className="flex items-center space-x-2">
+          <label htmlFor={`estimate-${todo.id}`} className="text-xs font-semibold text-gray-600">Estimate</label>
+          <input
+            id={`estimate-${todo.id}`}
+            type="text"
+            value={estimateInput}
+            onChange={(e) => setEstimateInput(e.target.value)}
+            placeholder="e.g. 1h 30m"
+            className="w-28 px-2 py-1 border border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+          />
+          <button type="submit" className="px-2 py-1 text-xs bg-indigo-500 text-white rounded-lg hover:bg-indigo-600">Save</button>
+        </form>
+      )}
+      {estimateError && <p className="text-xs text-red-600">{estimateError}</p>}
+
+      {loading && entries.length === 0 ? (
+        <Loader2 className="w-4 h-4 text-indigo-500 animate-spin" />
+      ) : entries.length === 0 && !error ? (
+        <p className="text-xs text-gray-500">No time tracked yet. Start the timer or add time by hand.</p>
+      ) : (
+        <ul className="space-y-1">
+          {/* Entries belong to whoever tracked them; others on a shared list only see them */}
+          {entries.map(entry => (
+            <TimeEntryItem
+              key={entry._id}
+              entry={entry}
+              canEdit={!readOnly && (!entry.ownerId?._id || entry.ownerId._id === currentUserId)}
+              onUpdate={updateEntry}
+              onDelete={deleteEntry}
+            />
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      {readOnly ? null : entryForm ? (
+        <form onSubmit={handleEntrySubmit} className="flex flex-wrap items-center gap-2 text-xs">
+          <input
+            type="datetime-local"
+            value={entryForm.startedAt}
+            onChange={(e) => setEntryForm(prev => ({ ...prev, startedAt: e.target.value }))}
+            required
+            className="px-2 py-1 border border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+            aria-label="Start"
+          />
+          <input
+            type="datetime-local"
+            value={entryForm.endedAt}
+            onChange={(e) => setEntryForm(prev => ({ ...prev, endedAt: e.target.value }))}
+            required
+            className="px-2 py-1 border border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+            aria-label="End"
+          />
+          <input
+            type="text"
+            value={entryForm.note}
+            onChange={(e) => setEntryForm(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="Note"
+            maxLength={200}
+            className="flex-1 min-w-24 px-2 py-1 border border-indigo-200 rounded-lg focus:outline-none focus:border-indigo-500"
+            aria-label="Note"
+          />
+          <button type="submit" className="px-2 py-1 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600">Add</button>
+          <button type="button" onClick={() => setEntryForm(null)} className="px-2 py-1 text-gray-500 hover:text-gray-700">Cancel</button>
+        </form>
+      ) : (
+        <button
+          onClick={() => setEntryForm(newEntryForm())}
+          className="inline-flex items-center space-x-1 text-xs text-indigo-600 hover:underline"
+        >
+          <Plus className="w-3 h-3" />
+          <span>Add time manually</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TimeEntryList;
@@ -0,0 +1,98 @@
+/**
+ * Time Tracker Component
+ * Start/stop timer chip with tracked vs. estimated time, opening the time entry panel
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Play, Square, Timer } from 'lucide-react';
+import { formatDuration, formatElapsed } from '../utils/time';
+import TimeEntryList from './TimeEntryList';
+
+const TimeTracker = ({
+  todo,
+  runningTimer,
+  onStartTimer,
+  onStopTimer,
+  onTrackedTimeChange,
+  onSaveEstimate,
+  currentUserId,
+  readOnly = false,
+  disabled
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const isRunning = runningTimer?.todoId === todo.id;
+  const tracked = todo.trackedSeconds || 0;
+  const isOverEstimate = todo.estimateMinutes > 0 && tracked > todo.estimateMinutes * 60;
+
+  // Tick every second while this todo's timer runs
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  /**
+   * Start or stop this todo's timer; starting stops a timer running elsewhere
+   */
+  const handleTimerClick = () => {
+    if (isRunning) {
+      onStopTimer();
+      return;
+    }
+    if (runningTimer && !window.confirm(
+      `A timer is running on "${runningTimer.todoText || 'another task'}". Stop it and start timing this task?`
+    )) {
+      return;
+    }
+    onStartTimer(todo.id, todo.text);
+  };
+
+  return (
+    <>
+      <span className="inline-flex items-center rounded-full border border-indigo-200 bg-white text-xs font-semibold overflow-hidden">
+        <button
+          onClick={handleTimerClick}
+          disabled={disabled}
+          className={`inline-flex items-center space-x-1 px-2 py-1 ${
+            isRunning ? 'bg-red-50 text-red-600 hover:bg-red-100' : 'text-indigo-600 hover:bg-indigo-50'
+          }`}
+          title={isRunning ? 'Stop timer' : 'Start timer'}
+          aria-pressed={isRunning}
+        >
+          {isRunning ? <Square className="w-3 h-3" /> : <Play className="w-3 h-3" />}
+          <span className="tabular-nums">
+            {isRunning
+              ? formatElapsed((now - new Date(runningTimer.startedAt).getTime()) / 1000)
+              : tracked > 0 ? formatDuration(tracked) : 'Track'}
+          </span>
+        </button>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+          className={`inline-flex items-center space-x-1 px-2 py-1 border-l border-indigo-100 hover:bg-indigo-50 ${
+            isOverEstimate ? 'text-red-600' : 'text-gray-500'
+          }`}
+          title={isOverEstimate ? 'Over the estimate' : 'Estimate and time entries'}
+        >
+          <Timer className="w-3 h-3" />
+          <span>{todo.estimateMinutes ? `${formatDuration(todo.estimateMinutes * 60)} est.` : 'Estimate'}</span>
+        </button>
+      </span>
+
+      {isOpen && (
+        <TimeEntryList
+          todo={todo}
+          isRunning={isRunning}
+          onSaveEstimate={onSaveEstimate}
+          currentUserId={currentUserId}
+          readOnly={readOnly}
+          onTrackedTimeChange={(seconds) => onTrackedTimeChange?.(todo.id, seconds)}
+          onClose={() => setIsOpen(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default TimeTracker;
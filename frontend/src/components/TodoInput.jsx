@@ -4,10 +4,12 @@
  */
 
 import React, { useState } from 'react';
-import { Plus, Loader2 } from 'lucide-react';
+import { Plus, Loader2, CalendarClock, X } from 'lucide-react';
+import { getLocalTimeZone, localInputToISO } from '../utils/dateUtils';
 
 const TodoInput = ({ onAddTodo, loading }) => {
   const [inputValue, setInputValue] = useState('');
+  const [dueValue, setDueValue] = useState('');
   const [isFocused, setIsFocused] = useState(false);
 
   /**
@@ -18,8 +20,10 @@ const TodoInput = ({ onAddTodo, loading }) => {
     e.preventDefault();
     
     if (inputValue.trim() && !loading) {
-      await onAddTodo(inputValue.trim());
+      const dueAt = localInputToISO(dueValue);
+      await onAddTodo(inputValue.trim(), dueAt ? { dueAt, dueTimeZone: getLocalTimeZone() } : {});
       setInputValue('');
+      setDueValue('');
     }
   };
 
@@ -57,6 +61,35 @@ const TodoInput = ({ onAddTodo, loading }) => {
               maxLength={500}
             />
             
+            {/* Due date picker */}
+            <label
+              className={`
+                flex items-center space-x-2 px-3 py-2 rounded-xl border-2 transition-colors cursor-pointer
+                ${dueValue ? 'border-blue-300 text-blue-600 bg-blue-50' : 'border-gray-200 text-gray-400 hover:border-blue-300'}
+              `}
+              title="Set a due date"
+            >
+              <CalendarClock className="w-5 h-5 flex-shrink-0" />
+              <input
+                type="datetime-local"
+                value={dueValue}
+                onChange={(e) => setDueValue(e.target.value)}
+                className="text-sm bg-transparent focus:outline-none"
+                disabled={loading}
+                aria-label="Due date"
+              />
+              {dueValue && (
+                <button
+                  type="button"
+                  onClick={() => setDueValue('')}
+                  className="p-1 text-gray-400 hover:text-red-500"
+                  title="Clear due date"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </label>
+            
             {/* Add button */}
             <button
               type="submit"
@@ -4,12 +4,117 @@
  */
 
 import React, { useState } from 'react';
-import { Check, Edit2, Trash2, Save, X } from 'lucide-react';
+import { Check, Edit2, Trash2, Save, X, CalendarClock, Plus, FolderInput, History, MessageSquare, Eye, AlertTriangle } from 'lucide-react';
+import { getDueStatus } from '../utils/dateUtils';
+import { PRIORITY_LEVELS, PRIORITY_STYLES } from '../utils/priority';
+import { parseTagInput } from '../utils/tags';
+import { getPendingBlockers } from '../utils/dependencies';
+import { getTodoRole } from '../utils/members';
+import SubtaskList from './SubtaskList';
+import RecurrencePicker from './RecurrencePicker';
+import HistoryDrawer from './HistoryDrawer';
+import NotesPanel from './NotesPanel';
+import LinkifiedText from './LinkifiedText';
+import HighlightedText from './HighlightedText';
+import AttachmentList from './AttachmentList';
+import CommentThread from './CommentThread';
+import DependencyPicker from './DependencyPicker';
+import TimeTracker from './TimeTracker';
 
-const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
+// Badge colors for each due status
+const DUE_BADGE_STYLES = {
+  overdue: 'bg-red-100 text-red-700 border-red-200',
+  soon: 'bg-orange-100 text-orange-700 border-orange-200',
+  later: 'bg-blue-100 text-blue-700 border-blue-200',
+  done: 'bg-gray-100 text-gray-500 border-gray-200'
+};
+
+const TodoItem = ({
+  todo,
+  todos = [],
+  lists = [],
+  currentUserId,
+  onUpdate,
+  onReload,
+  onDelete,
+  onToggleComplete,
+  onTagClick,
+  onAddSubtask,
+  onToggleSubtask,
+  onReorderSubtasks,
+  onDeleteSubtask,
+  onUpdateRecurrence,
+  onUploadAttachments,
+  onDeleteAttachment,
+  onCommentCountChange,
+  runningTimer = null,
+  onStartTimer,
+  onStopTimer,
+  onTrackedTimeChange,
+  highlights = null
+}) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(todo.text);
   const [isLoading, setIsLoading] = useState(false);
+  const [isAddingTag, setIsAddingTag] = useState(false);
+  const [tagInput, setTagInput] = useState('');
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isThreadOpen, setIsThreadOpen] = useState(false);
+  // A change that failed because the todo was changed elsewhere: { current, overwrite }
+  const [conflict, setConflict] = useState(null);
+  const tags = todo.tags || [];
+  const dueStatus = getDueStatus(todo.dueAt, todo.completed);
+  const priority = PRIORITY_STYLES[todo.priority] ? todo.priority : 'none';
+  // Viewers of a shared list can read its todos but not change them
+  const readOnly = getTodoRole(todo, lists) === 'viewer';
+  // Lists a todo can be moved into (not ones the user can only view)
+  const moveTargets = lists.filter(list => list.role !== 'viewer');
+  // Search matches, when shown as a search result
+  const textHighlight = highlights?.find(highlight => highlight.field === 'text');
+  const notesHighlight = highlights?.find(highlight => highlight.field === 'notes');
+
+  /**
+   * Make a change based on the version of the todo shown here
+   * If the todo was changed elsewhere in the meantime, the user can reload it or overwrite
+   * @param {Function} change - Makes the change, given { version } (an empty object overwrites)
+   * @param {Function} [overwrite] - Overwrites, given the current todo (defaults to repeating the change)
+   * @returns {Promise<boolean>} True unless the todo was changed elsewhere
+   */
+  const applyChange = async (change, overwrite = () => change({})) => {
+    const result = await change({ version: todo.version });
+    if (result?.conflict) {
+      setConflict({ current: result.conflict, overwrite });
+      return false;
+    }
+    setConflict(null);
+    return true;
+  };
+
+  /**
+   * Show the todo as it was changed elsewhere, dropping the change that conflicted
+   */
+  const handleReloadConflict = () => {
+    onReload(conflict.current);
+    setEditText(conflict.current.text);
+    setIsEditing(false);
+    setConflict(null);
+  };
+
+  /**
+   * Make the change that conflicted anyway, replacing the change made elsewhere
+   */
+  const handleOverwriteConflict = async () => {
+    setIsLoading(true);
+    try {
+      await conflict.overwrite(conflict.current);
+      setConflict(null);
+      setIsEditing(false);
+    } catch (error) {
+      console.error('Error overwriting todo:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
   /**
    * Handle edit mode toggle
@@ -34,8 +139,10 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
       
       setIsLoading(true);
       try {
-        await onUpdate(todo.id, { text: editText.trim() });
-        setIsEditing(false);
+        // Stay in edit mode if the todo changed elsewhere, so the edit isn't lost
+        if (await applyChange((options) => onUpdate(todo.id, { text: editText.trim() }, options))) {
+          setIsEditing(false);
+        }
       } catch (error) {
         console.error('Error updating todo:', error);
       } finally {
@@ -66,6 +173,113 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
     }
   };
 
+  /**
+   * Handle priority change from the inline picker
+   * @param {Event} e - Select change event
+   */
+  const handlePriorityChange = async (e) => {
+    const newPriority = e.target.value;
+    if (newPriority === priority) return;
+    
+    // Safety check for todo ID
+    if (!todo.id) {
+      console.error('Todo ID is undefined:', todo);
+      return;
+    }
+    
+    setIsLoading(true);
+    try {
+      await applyChange((options) => onUpdate(todo.id, { priority: newPriority }, options));
+    } catch (error) {
+      console.error('Error updating priority:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Handle moving the todo to another list
+   * @param {Event} e - Select change event
+   */
+  const handleMoveToList = async (e) => {
+    // Safety check for todo ID
+    if (!todo.id) {
+      console.error('Todo ID is undefined:', todo);
+      return;
+    }
+    
+    setIsLoading(true);
+    try {
+      const listId = e.target.value || null;
+      await applyChange((options) => onUpdate(todo.id, { listId }, options));
+    } catch (error) {
+      console.error('Error moving todo:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Save or stop the repeat schedule of this todo's series
+   * @param {Object|null} recurrence - New rule, or null to stop repeating
+   */
+  const handleRecurrenceSave = async (recurrence) => {
+    // Safety check for todo ID
+    if (!todo.id) {
+      console.error('Todo ID is undefined:', todo);
+      return;
+    }
+    
+    setIsLoading(true);
+    try {
+      await onUpdateRecurrence(todo.id, recurrence);
+    } catch (error) {
+      console.error('Error updating recurrence:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Save a new tag list for this todo
+   * @param {Array<string>} newTags - Tags to save
+   */
+  const saveTags = async (newTags) => {
+    // Safety check for todo ID
+    if (!todo.id) {
+      console.error('Todo ID is undefined:', todo);
+      return;
+    }
+    
+    setIsLoading(true);
+    try {
+      await applyChange((options) => onUpdate(todo.id, { tags: newTags }, options));
+    } catch (error) {
+      console.error('Error updating tags:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Handle key press in the add-tag input
+   * @param {Event} e - Keyboard event
+   */
+  const handleTagKeyDown = async (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const newTags = parseTagInput(tagInput).filter(tag => !tags.includes(tag));
+      if (newTags.length > 0) {
+        await saveTags([...tags, ...newTags]);
+      }
+      setTagInput('');
+      setIsAddingTag(false);
+    } else if (e.key === 'Escape') {
+      setTagInput('');
+      setIsAddingTag(false);
+    }
+  };
+
   /**
    * Handle delete with confirmation
    */
@@ -79,7 +293,7 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
       
       setIsLoading(true);
       try {
-        await onDelete(todo.id);
+        await applyChange((options) => onDelete(todo.id, options));
       } catch (error) {
         console.error('Error deleting todo:', error);
       } finally {
@@ -98,9 +312,24 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
       return;
     }
     
+    // Completing a blocked todo needs confirmation and is forced through the API
+    const pendingBlockers = todo.completed ? [] : getPendingBlockers(todo, todos);
+    if (pendingBlockers.length > 0 && !window.confirm(
+      `This task is blocked by: ${pendingBlockers.map(blocker => blocker.text).join(', ')}. Complete it anyway?`
+    )) {
+      return;
+    }
+    
     setIsLoading(true);
     try {
-      await onToggleComplete(todo.id);
+      const force = pendingBlockers.length > 0;
+      await applyChange(
+        (options) => onToggleComplete(todo.id, { force, ...options }),
+        // Toggling a todo someone else already toggled would undo what this user wanted
+        (current) => current.completed === todo.completed
+          ? onToggleComplete(todo.id, { force })
+          : onReload(current)
+      );
     } catch (error) {
       console.error('Error toggling todo:', error);
     } finally {
@@ -114,6 +343,11 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
       ${todo.completed ? 'opacity-75 bg-gradient-to-r from-green-50 to-blue-50' : 'bg-gradient-to-r from-white to-gray-50'}
       ${isLoading ? 'pointer-events-none opacity-50' : ''}
     `}>
+      {/* Priority stripe */}
+      {priority !== 'none' && (
+        <div className={`absolute left-0 top-4 bottom-4 w-1 rounded-r-full ${PRIORITY_STYLES[priority].dot}`}></div>
+      )}
+
       {/* Main content area with proper alignment */}
       <div className="todo-item">
         {/* Left side: Toggle button and content */}
@@ -121,20 +355,41 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
           {/* Completion checkmark */}
           <button
             onClick={handleToggleComplete}
-            disabled={isLoading}
+            disabled={isLoading || readOnly}
             className={`
               todo-toggle transition-all duration-300 transform hover:scale-110
               ${todo.completed
                 ? 'bg-gradient-to-r from-green-500 to-emerald-600 text-white shadow-lg'
                 : 'bg-white border-2 border-gray-300 text-gray-400 hover:border-blue-500 hover:text-blue-500'
               }
+              ${readOnly ? 'cursor-not-allowed' : ''}
             `}
+            title={readOnly ? 'View only' : undefined}
           >
             {todo.completed && <Check className="w-5 h-5" />}
           </button>
 
           {/* Todo content */}
           <div className="todo-text-content">
+        {/* The last change failed because the todo was changed elsewhere */}
+        {conflict && (
+          <div className="flex flex-wrap items-center gap-2 mb-3 px-3 py-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg" role="alert">
+            <AlertTriangle className="w-4 h-4 shrink-0" />
+            <span className="flex-1">This todo was changed elsewhere.</span>
+            <button
+              onClick={handleReloadConflict}
+              className="px-2 py-1 text-amber-800 bg-white border border-amber-200 rounded hover:bg-amber-100"
+            >
+              Reload
+            </button>
+            <button
+              onClick={handleOverwriteConflict}
+              className="px-2 py-1 text-white bg-amber-600 rounded hover:bg-amber-700"
+            >
+              Overwrite
+            </button>
+          </div>
+        )}
         {isEditing ? (
           // Edit mode
           <div className="space-y-4">
@@ -173,9 +428,219 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
               text-lg font-medium leading-relaxed todo-text
               ${todo.completed ? 'line-through text-gray-500' : 'text-gray-800'}
             `}>
-              {todo.text}
+              {textHighlight
+                ? <HighlightedText text={todo.text} matches={textHighlight.matches} />
+                : <LinkifiedText text={todo.text} />}
             </p>
             
+            {/* Matching part of the notes, in search results */}
+            {notesHighlight && (
+              <p className="text-sm text-gray-500 todo-text">
+                <span className="font-semibold">Notes: </span>
+                <HighlightedText text={notesHighlight.snippet} matches={notesHighlight.matches} />
+              </p>
+            )}
+            
+            <div className="flex flex-wrap items-center gap-2">
+              {/* Priority indicator with inline picker */}
+              <label
+                className={`inline-flex items-center space-x-1 px-2 py-1 rounded-full border border-gray-200 bg-white text-xs font-semibold ${PRIORITY_STYLES[priority].text}`}
+                title="Change priority"
+              >
+                <span className={`w-2 h-2 rounded-full ${PRIORITY_STYLES[priority].dot}`}></span>
+                <select
+                  value={priority}
+                  onChange={handlePriorityChange}
+                  disabled={isLoading || readOnly}
+                  className="bg-transparent focus:outline-none cursor-pointer"
+                  aria-label="Priority"
+                >
+                  {PRIORITY_LEVELS.map(level => (
+                    <option key={level} value={level}>{PRIORITY_STYLES[level].label}</option>
+                  ))}
+                </select>
+              </label>
+              
+              {/* Due date badge */}
+              {dueStatus && (
+                <span
+                  className={`inline-flex items-center space-x-1 px-2 py-1 rounded-full border text-xs font-semibold ${DUE_BADGE_STYLES[dueStatus.status]}`}
+                  title={new Date(todo.dueAt).toLocaleString('en-US', {
+                    year: 'numeric',
+                    month: 'short',
+                    day: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    ...(todo.dueTimeZone && { timeZone: todo.dueTimeZone, timeZoneName: 'short' })
+                  })}
+                >
+                  <CalendarClock className="w-3 h-3" />
+                  <span>{dueStatus.label}</span>
+                </span>
+              )}
+              
+              {/* Repeat schedule */}
+              {onUpdateRecurrence && !todo.completed && (
+                <RecurrencePicker
+                  recurrence={todo.recurrence}
+                  onSave={handleRecurrenceSave}
+                  disabled={isLoading || readOnly}
+                />
+              )}
+              
+              {/* Time tracking */}
+              {onStartTimer && (
+                <TimeTracker
+                  todo={todo}
+                  runningTimer={runningTimer}
+                  onStartTimer={onStartTimer}
+                  onStopTimer={onStopTimer}
+                  onTrackedTimeChange={onTrackedTimeChange}
+                  onSaveEstimate={(estimateMinutes) => applyChange((options) => onUpdate(todo.id, { estimateMinutes }, options))}
+                  currentUserId={currentUserId}
+                  readOnly={readOnly}
+                  disabled={isLoading || readOnly}
+                />
+              )}
+              
+              {/* Blocking tasks */}
+              {!todo.completed && (
+                <DependencyPicker
+                  todo={todo}
+                  todos={todos}
+                  onSave={(blockedBy) => applyChange((options) => onUpdate(todo.id, { blockedBy }, options))}
+                  disabled={isLoading || readOnly}
+                />
+              )}
+              
+              {/* Move to list */}
+              {moveTargets.length > 0 && (
+                <label
+                  className="inline-flex items-center space-x-1 px-2 py-1 rounded-full border border-gray-200 bg-white text-xs font-semibold text-gray-600"
+                  title="Move to list"
+                >
+                  <FolderInput className="w-3 h-3" />
+                  <select
+                    value={todo.listId || ''}
+                    onChange={handleMoveToList}
+                    disabled={isLoading || readOnly}
+                    className="bg-transparent focus:outline-none cursor-pointer max-w-32"
+                    aria-label="List"
+                  >
+                    <option value="">Inbox</option>
+                    {/* The current list stays selectable even when it's view-only */}
+                    {(readOnly ? lists.filter(list => list._id === todo.listId) : moveTargets).map(list => (
+                      <option key={list._id} value={list._id}>{list.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              
+              {/* Tag chips */}
+              {tags.map(tag => (
+                <span
+                  key={tag}
+                  className="inline-flex items-center px-2 py-1 rounded-full bg-purple-50 border border-purple-200 text-xs font-semibold text-purple-700"
+                >
+                  <button
+                    onClick={() => onTagClick?.(tag)}
+                    className="hover:underline"
+                    title={`Filter by #${tag}`}
+                  >
+                    #{tag}
+                  </button>
+                  {!readOnly && (
+                    <button
+                      onClick={() => saveTags(tags.filter(t => t !== tag))}
+                      disabled={isLoading}
+                      className="ml-1 text-purple-400 hover:text-red-500"
+                      title={`Remove #${tag}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  )}
+                </span>
+              ))}
+              
+              {/* Add tag */}
+              {readOnly ? (
+                <span
+                  className="inline-flex items-center space-x-1 px-2 py-1 rounded-full border border-gray-200 bg-gray-50 text-xs text-gray-500"
+                  title="You can view this todo but not change it"
+                >
+                  <Eye className="w-3 h-3" />
+                  <span>View only</span>
+                </span>
+              ) : isAddingTag ? (
+                <input
+                  type="text"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onKeyDown={handleTagKeyDown}
+                  onBlur={() => setIsAddingTag(false)}
+                  placeholder="#tag"
+                  className="w-24 px-2 py-1 text-xs border border-purple-200 rounded-full focus:outline-none focus:border-purple-500"
+                  autoFocus
+                />
+              ) : (
+                <button
+                  onClick={() => setIsAddingTag(true)}
+                  disabled={isLoading}
+                  className="inline-flex items-center px-2 py-1 rounded-full border border-dashed border-gray-300 text-xs text-gray-400 hover:text-purple-600 hover:border-purple-300"
+                  title="Add tag"
+                >
+                  <Plus className="w-3 h-3" />
+                  <span>Tag</span>
+                </button>
+              )}
+            </div>
+            
+            {/* Markdown notes */}
+            <NotesPanel
+              notes={todo.notes}
+              notesHtml={todo.notesHtml}
+              onSave={(notes) => applyChange((options) => onUpdate(todo.id, { notes }, options))}
+              disabled={isLoading || readOnly}
+            />
+            
+            {/* Attachments */}
+            {onUploadAttachments && (
+              <AttachmentList
+                todoId={todo.id}
+                attachments={todo.attachments}
+                onUpload={onUploadAttachments}
+                onDelete={onDeleteAttachment}
+                disabled={isLoading || readOnly}
+              />
+            )}
+            
+            {/* Checklist */}
+            {onAddSubtask && (
+              <SubtaskList
+                todo={todo}
+                onAddSubtask={onAddSubtask}
+                onToggleSubtask={onToggleSubtask}
+                onReorderSubtasks={onReorderSubtasks}
+                onDeleteSubtask={onDeleteSubtask}
+                onUpdate={onUpdate}
+                readOnly={readOnly}
+              />
+            )}
+            
+            {/* Discussion thread */}
+            {isThreadOpen && (
+              <CommentThread
+                todoId={todo.id}
+                onCountChange={(count) => onCommentCountChange?.(todo.id, count)}
+                currentUserId={currentUserId}
+                isOwner={getTodoRole(todo, lists) === 'owner'}
+                readOnly={readOnly}
+              />
+            )}
+            
+            {/* Change history */}
+            {isHistoryOpen && <HistoryDrawer todoId={todo.id} lists={lists} />}
+            
             {/* Timestamp */}
             <p className="todo-timestamp">
               {new Date(todo.createdAt).toLocaleDateString('en-US', {
@@ -194,22 +659,47 @@ const TodoItem = ({ todo, onUpdate, onDelete, onToggleComplete }) => {
         {/* Right side: Action buttons */}
         {!isEditing && (
           <div className="todo-right-section opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+            {!readOnly && (
+              <button
+                onClick={handleEditToggle}
+                disabled={isLoading}
+                className="todo-action-button text-gray-400 hover:text-blue-500 hover:bg-blue-50"
+                title="Edit todo"
+              >
+                <Edit2 className="w-4 h-4" />
+              </button>
+            )}
             <button
-              onClick={handleEditToggle}
-              disabled={isLoading}
-              className="todo-action-button text-gray-400 hover:text-blue-500 hover:bg-blue-50"
-              title="Edit todo"
+              onClick={() => setIsThreadOpen(!isThreadOpen)}
+              aria-expanded={isThreadOpen}
+              className={`todo-action-button relative hover:text-blue-500 hover:bg-blue-50 ${isThreadOpen ? 'text-blue-500' : 'text-gray-400'}`}
+              title={isThreadOpen ? 'Hide discussion' : `Discussion (${todo.commentCount || 0})`}
             >
-              <Edit2 className="w-4 h-4" />
+              <MessageSquare className="w-4 h-4" />
+              {todo.commentCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-blue-500 text-white text-[10px] leading-4 text-center">
+                  {todo.commentCount}
+                </span>
+              )}
             </button>
             <button
-              onClick={handleDelete}
-              disabled={isLoading}
-              className="todo-action-button text-gray-400 hover:text-red-500 hover:bg-red-50"
-              title="Delete todo"
+              onClick={() => setIsHistoryOpen(!isHistoryOpen)}
+              aria-expanded={isHistoryOpen}
+              className={`todo-action-button hover:text-purple-500 hover:bg-purple-50 ${isHistoryOpen ? 'text-purple-500' : 'text-gray-400'}`}
+              title={isHistoryOpen ? 'Hide history' : 'Show history'}
             >
-              <Trash2 className="w-4 h-4" />
+              <History className="w-4 h-4" />
             </button>
+            {!readOnly && (
+              <button
+                onClick={handleDelete}
+                disabled={isLoading}
+                className="todo-action-button text-gray-400 hover:text-red-500 hover:bg-red-50"
+                title="Delete todo"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -1,11 +1,33 @@
 /**
  * Todo List Component
  * Displays all todos with beautiful styling and animations
+ * Shift-click selects several todos for bulk actions
  */
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import TodoItem from './TodoItem';
-import { Loader2, CheckCircle, Circle, Trash2 } from 'lucide-react';
+import BulkActionBar from './BulkActionBar';
+import { Loader2, CheckCircle, Circle, Archive, ArrowUpDown, GripVertical } from 'lucide-react';
+import { compareByPriority } from '../utils/priority';
+import { compareByPosition } from '../utils/position';
+import { getTodoRole } from '../utils/members';
+
+// Available orderings for pending todos
+const PENDING_SORTS = {
+  priority: { label: 'Priority', compare: compareByPriority },
+  newest: { label: 'Newest', compare: (a, b) => new Date(b.createdAt) - new Date(a.createdAt) },
+  oldest: { label: 'Oldest', compare: (a, b) => new Date(a.createdAt) - new Date(b.createdAt) },
+  due: {
+    label: 'Due date',
+    compare: (a, b) => {
+      if (!a.dueAt && !b.dueAt) return compareByPriority(a, b);
+      if (!a.dueAt) return 1;
+      if (!b.dueAt) return -1;
+      return new Date(a.dueAt) - new Date(b.dueAt);
+    }
+  },
+  manual: { label: 'Manual', compare: compareByPosition }
+};
 
 const TodoList = ({ 
   todos, 
@@ -13,20 +35,231 @@ const TodoList = ({
   onUpdate, 
   onDelete, 
   onToggleComplete, 
-  onDeleteCompleted 
+  onArchiveCompleted,
+  onMoveTodo,
+  onBatch,
+  ...itemHandlers // Remaining TodoItem callbacks (tags, subtasks, ...)
 }) => {
+  const [pendingSort, setPendingSort] = useState('priority');
+  const [draggedId, setDraggedId] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [isBatchRunning, setIsBatchRunning] = useState(false);
+  const isManual = pendingSort === 'manual';
+  const lists = itemHandlers.lists || [];
+
   // Filter todos based on completion status
   const completedTodos = todos.filter(todo => todo.completed);
-  const pendingTodos = todos.filter(todo => !todo.completed);
+  const pendingTodos = todos
+    .filter(todo => !todo.completed)
+    .sort(PENDING_SORTS[pendingSort].compare);
+
+  // Todos in display order; the selection only counts todos still shown
+  const orderedTodos = [...pendingTodos, ...completedTodos];
+  const selectedTodos = orderedTodos.filter(todo => selectedIds.has(todo.id));
+  const hasSelection = selectedTodos.length > 0;
+  // Lists the selection can be moved into (not ones the user can only view)
+  const moveTargets = lists.filter(list => list.role !== 'viewer');
+
+  // Esc clears the selection
+  useEffect(() => {
+    if (!hasSelection) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setSelectedIds(new Set());
+        setSelectionAnchor(null);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [hasSelection]);
+
+  /**
+   * Check whether the user may change a todo (todos in view-only lists can't be selected)
+   * @param {Object} todo - Todo
+   * @returns {boolean} True if the todo is editable
+   */
+  const isEditable = (todo) => getTodoRole(todo, lists) !== 'viewer';
+
+  /**
+   * Clear the selection
+   */
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectionAnchor(null);
+  };
+
+  /**
+   * Check whether a click should change the selection instead of reaching the todo
+   * @param {MouseEvent} e - Mouse event
+   * @returns {boolean} True for shift-clicks outside form fields
+   */
+  const isSelectionClick = (e) => Boolean(onBatch) && e.shiftKey && !e.target.closest('input, textarea, select');
+
+  /**
+   * Shift-click a todo: deselect it if selected, otherwise select it, or the
+   * whole range from the previously shift-clicked todo
+   * @param {MouseEvent} e - Click event (capture phase)
+   * @param {Object} todo - Clicked todo
+   */
+  const handleSelectClick = (e, todo) => {
+    if (!isSelectionClick(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (selectedIds.has(todo.id)) {
+      setSelectedIds(prev => new Set([...prev].filter(id => id !== todo.id)));
+      setSelectionAnchor(null);
+      return;
+    }
+
+    const anchorIndex = orderedTodos.findIndex(item => item.id === selectionAnchor);
+    const index = orderedTodos.findIndex(item => item.id === todo.id);
+    const range = anchorIndex === -1
+      ? [todo]
+      : orderedTodos.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+    setSelectedIds(prev => new Set([...prev, ...range.filter(isEditable).map(item => item.id)]));
+    setSelectionAnchor(todo.id);
+  };
+
+  /**
+   * Keep shift-clicks from selecting text
+   * @param {MouseEvent} e - Mouse down event
+   */
+  const handleSelectMouseDown = (e) => {
+    if (isSelectionClick(e)) {
+      e.preventDefault();
+    }
+  };
 
   /**
-   * Handle delete all completed todos
+   * Send operations for the selected todos in one batch
+   * The selection is kept if some of them failed
+   * @param {Array<Object>} operations - Batch operations
    */
-  const handleDeleteCompleted = () => {
+  const runBatch = async (operations) => {
+    if (operations.length === 0) {
+      clearSelection();
+      return;
+    }
+    setIsBatchRunning(true);
+    const { failed } = await onBatch(operations);
+    setIsBatchRunning(false);
+    if (failed === 0) {
+      clearSelection();
+    }
+  };
+
+  /**
+   * Complete or reopen the selected todos
+   * @param {boolean} completed - New completion status
+   */
+  const handleBulkComplete = (completed) => runBatch(selectedTodos
+    .filter(todo => todo.completed !== completed)
+    .map(todo => ({ op: 'update', id: todo.id, data: { completed } })));
+
+  /**
+   * Move the selected todos to a list
+   * @param {string|null} listId - Target list, or null for the inbox
+   */
+  const handleBulkMove = (listId) => runBatch(selectedTodos
+    .filter(todo => (todo.listId || null) !== listId)
+    .map(todo => ({ op: 'update', id: todo.id, data: { listId } })));
+
+  /**
+   * Move the selected todos to the trash, with confirmation
+   */
+  const handleBulkDelete = () => {
+    const count = selectedTodos.length;
+    if (window.confirm(`Are you sure you want to delete ${count} todo${count === 1 ? '' : 's'}?`)) {
+      runBatch(selectedTodos.map(todo => ({ op: 'delete', id: todo.id })));
+    }
+  };
+
+  /**
+   * Get the row handlers that make a todo selectable
+   * @param {Object} todo - Todo
+   * @returns {Object} Event handlers
+   */
+  const getSelectionProps = (todo) => ({
+    onClickCapture: (e) => handleSelectClick(e, todo),
+    onMouseDownCapture: handleSelectMouseDown
+  });
+
+  /**
+   * Outline of a selected row
+   * @param {Object} todo - Todo
+   * @returns {string} Tailwind classes
+   */
+  const selectionClass = (todo) => selectedIds.has(todo.id) ? 'rounded-2xl ring-2 ring-blue-400 ring-offset-2' : '';
+
+  /**
+   * Move a pending todo to a new index in the manual order
+   * @param {string} id - Todo ID
+   * @param {number} index - Target index among the pending todos
+   */
+  const moveToIndex = (id, index) => {
+    const others = pendingTodos.filter(todo => todo.id !== id);
+    if (others.length === 0 || index < 0 || index > others.length) return;
+
+    const previous = others[index - 1];
+    const next = others[index];
+    onMoveTodo(id, {
+      ...(previous && { after: previous.id }),
+      ...(next && { before: next.id })
+    });
+    setAnnouncement(`Moved to position ${index + 1} of ${pendingTodos.length}`);
+  };
+
+  /**
+   * Start dragging a todo by its handle, showing the whole row as the drag image
+   * @param {DragEvent} e - Drag event
+   * @param {string} id - Todo ID
+   */
+  const handleDragStart = (e, id) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+    e.dataTransfer.setDragImage(e.currentTarget.closest('[data-todo-row]'), 0, 0);
+    setDraggedId(id);
+  };
+
+  /**
+   * Drop the dragged todo onto another todo's slot
+   * @param {DragEvent} e - Drop event
+   * @param {number} index - Index of the todo dropped on
+   */
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (draggedId) {
+      moveToIndex(draggedId, index);
+    }
+    setDraggedId(null);
+  };
+
+  /**
+   * Move a todo one slot with the arrow keys while its handle is focused
+   * @param {KeyboardEvent} e - Key event
+   * @param {string} id - Todo ID
+   * @param {number} index - Current index
+   */
+  const handleHandleKeyDown = (e, id, index) => {
+    if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveToIndex(id, index - 1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      moveToIndex(id, index + 1);
+    }
+  };
+
+  /**
+   * Handle archive all completed todos
+   */
+  const handleArchiveCompleted = () => {
     if (completedTodos.length > 0) {
-      if (window.confirm(`Are you sure you want to delete ${completedTodos.length} completed todo(s)?`)) {
-        onDeleteCompleted();
-      }
+      onArchiveCompleted();
     }
   };
 
@@ -59,32 +292,91 @@ const TodoList = ({
 
   return (
     <div className="w-full max-w-4xl space-y-8 px-6">
+      {/* Actions for the shift-click selection */}
+      {hasSelection && (
+        <BulkActionBar
+          count={selectedTodos.length}
+          moveTargets={moveTargets}
+          busy={isBatchRunning}
+          onComplete={() => handleBulkComplete(true)}
+          onUncomplete={() => handleBulkComplete(false)}
+          onMove={handleBulkMove}
+          onDelete={handleBulkDelete}
+          onClear={clearSelection}
+        />
+      )}
+
       {/* Pending todos section */}
       {pendingTodos.length > 0 && (
         <div className="space-y-6">
-          <div className="flex items-center space-x-3 mb-6">
-            <Circle className="w-6 h-6 text-blue-500" />
-            <h2 className="text-xl font-bold text-gray-700">
-              Pending Tasks ({pendingTodos.length})
-            </h2>
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center space-x-3">
+              <Circle className="w-6 h-6 text-blue-500" />
+              <h2 className="text-xl font-bold text-gray-700">
+                Pending Tasks ({pendingTodos.length})
+              </h2>
+            </div>
+            
+            {/* Sort order for pending tasks */}
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <ArrowUpDown className="w-4 h-4" />
+              <select
+                value={pendingSort}
+                onChange={(e) => setPendingSort(e.target.value)}
+                className="px-2 py-1 bg-white border border-gray-200 rounded-lg focus:outline-none focus:border-blue-500"
+                aria-label="Sort pending tasks"
+              >
+                {Object.entries(PENDING_SORTS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
           </div>
           
           <div className="space-y-6">
             {pendingTodos.map((todo, index) => (
               <div
                 key={todo.id}
-                className="animate-fade-in"
+                data-todo-row
+                className={`animate-fade-in ${isManual ? 'flex items-start space-x-2' : ''} ${
+                  draggedId === todo.id ? 'opacity-50' : ''
+                } ${selectionClass(todo)}`}
                 style={{ animationDelay: `${index * 0.1}s` }}
+                {...getSelectionProps(todo)}
+                {...(isManual && {
+                  onDragOver: (e) => e.preventDefault(),
+                  onDrop: (e) => handleDrop(e, index)
+                })}
               >
-                <TodoItem
-                  todo={todo}
-                  onUpdate={onUpdate}
-                  onDelete={onDelete}
-                  onToggleComplete={onToggleComplete}
-                />
+                {isManual && (
+                  <button
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, todo.id)}
+                    onDragEnd={() => setDraggedId(null)}
+                    onKeyDown={(e) => handleHandleKeyDown(e, todo.id, index)}
+                    className="mt-6 p-1 text-gray-400 hover:text-gray-600 cursor-grab active:cursor-grabbing rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label={`Reorder "${todo.text}", position ${index + 1} of ${pendingTodos.length}. Use arrow keys to move.`}
+                    title="Drag to reorder (or focus and use arrow keys)"
+                  >
+                    <GripVertical className="w-5 h-5" />
+                  </button>
+                )}
+                <div className={isManual ? 'flex-1 min-w-0' : ''}>
+                  <TodoItem
+                    todo={todo}
+                    todos={todos}
+                    onUpdate={onUpdate}
+                    onDelete={onDelete}
+                    onToggleComplete={onToggleComplete}
+                    {...itemHandlers}
+                  />
+                </div>
               </div>
             ))}
           </div>
+          
+          {/* Announce keyboard reordering to screen readers */}
+          <p className="sr-only" aria-live="polite">{announcement}</p>
         </div>
       )}
 
@@ -101,12 +393,12 @@ const TodoList = ({
             
             {completedTodos.length > 0 && (
               <button
-                onClick={handleDeleteCompleted}
-                className="flex items-center space-x-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
-                title="Delete all completed todos"
+                onClick={handleArchiveCompleted}
+                className="flex items-center space-x-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors text-sm"
+                title="Move completed todos to the archive"
               >
-                <Trash2 className="w-4 h-4" />
-                <span>Clear Completed</span>
+                <Archive className="w-4 h-4" />
+                <span>Archive Completed</span>
               </button>
             )}
           </div>
@@ -115,14 +407,17 @@ const TodoList = ({
             {completedTodos.map((todo, index) => (
               <div
                 key={todo.id}
-                className="animate-fade-in"
+                className={`animate-fade-in ${selectionClass(todo)}`}
                 style={{ animationDelay: `${(pendingTodos.length + index) * 0.1}s` }}
+                {...getSelectionProps(todo)}
               >
                 <TodoItem
                   todo={todo}
+                  todos={todos}
                   onUpdate={onUpdate}
                   onDelete={onDelete}
                   onToggleComplete={onToggleComplete}
+                  {...itemHandlers}
                 />
               </div>
             ))}
@@ -130,6 +425,12 @@ const TodoList = ({
         </div>
       )}
 
+      {onBatch && !hasSelection && (
+        <p className="text-center text-xs text-gray-400">
+          Tip: shift-click todos to select several, then complete, move or delete them together
+        </p>
+      )}
+
       {/* Loading overlay for individual operations */}
       {loading && todos.length > 0 && (
         <div className="fixed inset-0 bg-black bg-opacity-25 flex items-center justify-center z-50">
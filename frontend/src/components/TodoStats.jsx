@@ -4,13 +4,20 @@
  */
 
 import React from 'react';
-import { CheckCircle, Circle, BarChart3, Wifi, WifiOff } from 'lucide-react';
+import { CheckCircle, Circle, BarChart3, Timer, Wifi, WifiOff } from 'lucide-react';
+import { formatDuration } from '../utils/time';
 
-const TodoStats = ({ stats, isOnline }) => {
-  const { total, completed, pending } = stats;
+const TodoStats = ({ stats, isOnline, listName, archivedCount = null }) => {
+  const { total, completed, pending, time } = stats;
   
   // Calculate completion percentage
   const completionPercentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+  
+  // Tracked time of estimated todos as a share of their estimates
+  const estimatedSeconds = (time?.estimatedMinutes || 0) * 60;
+  const estimateUsage = estimatedSeconds > 0
+    ? Math.round((time.trackedOnEstimatedSeconds / estimatedSeconds) * 100)
+    : null;
 
   return (
     <div className="w-full max-w-4xl px-6">
@@ -22,7 +29,9 @@ const TodoStats = ({ stats, isOnline }) => {
             <div className="w-10 h-10 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl flex items-center justify-center">
               <BarChart3 className="w-6 h-6 text-white" />
             </div>
-            <h3 className="text-xl font-bold text-gray-800">Todo Statistics</h3>
+            <h3 className="text-xl font-bold text-gray-800">
+              {listName ? `${listName} Statistics` : 'Todo Statistics'}
+            </h3>
           </div>
           
           {/* Online/Offline indicator */}
@@ -65,7 +74,11 @@ const TodoStats = ({ stats, isOnline }) => {
               <h4 className="text-lg font-semibold text-gray-700">Completed</h4>
             </div>
             <p className="text-3xl font-bold text-green-600 mb-2">{completed}</p>
-            <p className="text-sm text-gray-500">Finished tasks</p>
+            <p className="text-sm text-gray-500">
+              {archivedCount > 0
+                ? `${completed + archivedCount} finished all time (${archivedCount} archived)`
+                : 'Finished tasks'}
+            </p>
           </div>
 
           {/* Pending todos */}
@@ -97,6 +110,46 @@ const TodoStats = ({ stats, isOnline }) => {
           </div>
         )}
 
+        {/* Estimated vs. actual time */}
+        {(estimatedSeconds > 0 || time?.trackedSeconds > 0) && (
+          <div className="mt-8 bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+            <div className="flex items-center space-x-3 mb-4">
+              <div className="w-8 h-8 bg-gradient-to-r from-indigo-500 to-indigo-600 rounded-lg flex items-center justify-center">
+                <Timer className="w-5 h-5 text-white" />
+              </div>
+              <h4 className="text-lg font-semibold text-gray-700">Time</h4>
+            </div>
+            <div className="flex flex-wrap gap-x-8 gap-y-2 text-sm text-gray-600">
+              <p><span className="text-xl font-bold text-indigo-600">{formatDuration(time.trackedSeconds)}</span> tracked</p>
+              {estimatedSeconds > 0 && (
+                <p>
+                  <span className="text-xl font-bold text-gray-700">{formatDuration(estimatedSeconds)}</span> estimated
+                  for {time.estimatedTodos} task{time.estimatedTodos === 1 ? '' : 's'}
+                  {' '}({formatDuration(time.trackedOnEstimatedSeconds)} tracked on them)
+                </p>
+              )}
+            </div>
+            {estimateUsage !== null && (
+              <div className="mt-4">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-medium text-gray-700">Actual vs. estimate</span>
+                  <span className={`text-sm font-bold ${estimateUsage > 100 ? 'text-red-600' : 'text-indigo-600'}`}>
+                    {estimateUsage}%
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden">
+                  <div
+                    className={`h-full rounded-full transition-all duration-1000 ease-out ${
+                      estimateUsage > 100 ? 'bg-red-500' : 'bg-gradient-to-r from-indigo-500 to-purple-600'
+                    }`}
+                    style={{ width: `${Math.min(estimateUsage, 100)}%` }}
+                  ></div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Motivational message */}
         {total > 0 && (
           <div className="mt-8 text-center">
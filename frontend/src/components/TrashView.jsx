@@ -0,0 +1,100 @@
+/**
+ * Trash View Component
+ * Lists deleted todos with restore and empty-trash actions
+ */
+
+import React from 'react';
+import { Loader2, Trash2, RotateCcw, WifiOff } from 'lucide-react';
+
+const TrashView = ({ trash, loading, purgeAfterDays, isOnline, onRestore, onEmpty }) => {
+  /**
+   * Handle emptying the trash with confirmation
+   */
+  const handleEmpty = () => {
+    if (window.confirm(`Permanently delete ${trash.length} todo(s)? This cannot be undone.`)) {
+      onEmpty();
+    }
+  };
+
+  if (!isOnline) {
+    return (
+      <div className="w-full max-w-4xl px-6 text-center py-16">
+        <WifiOff className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">The trash is only available while online.</p>
+      </div>
+    );
+  }
+
+  if (loading && trash.length === 0) {
+    return (
+      <div className="w-full max-w-4xl px-6 flex items-center justify-center py-12">
+        <Loader2 className="w-12 h-12 text-blue-500 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-4xl px-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Trash2 className="w-6 h-6 text-gray-500" />
+          <h2 className="text-xl font-bold text-gray-700">Trash ({trash.length})</h2>
+        </div>
+
+        {trash.length > 0 && (
+          <button
+            onClick={handleEmpty}
+            className="flex items-center space-x-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
+            title="Permanently delete everything in the trash"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>Empty Trash</span>
+          </button>
+        )}
+      </div>
+
+      {purgeAfterDays > 0 && (
+        <p className="text-sm text-gray-500">
+          Todos are permanently deleted {purgeAfterDays} day(s) after being moved to the trash.
+        </p>
+      )}
+
+      {trash.length === 0 ? (
+        <div className="text-center py-16 text-gray-500">The trash is empty.</div>
+      ) : (
+        <ul className="space-y-3">
+          {trash.map(todo => (
+            <li
+              key={todo._id}
+              className="flex items-center justify-between bg-white rounded-2xl p-4 shadow border border-gray-100"
+            >
+              <div className="min-w-0">
+                <p className={`font-medium truncate ${todo.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                  {todo.text}
+                </p>
+                <p className="text-xs text-gray-400">
+                  Deleted {new Date(todo.deletedAt).toLocaleString('en-US', {
+                    month: 'short',
+                    day: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                  })}
+                </p>
+              </div>
+              <button
+                onClick={() => onRestore(todo._id)}
+                className="flex items-center space-x-1 px-3 py-1 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 flex-shrink-0"
+                title="Restore todo"
+              >
+                <RotateCcw className="w-4 h-4" />
+                <span>Restore</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrashView;
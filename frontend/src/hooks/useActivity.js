@@ -0,0 +1,84 @@
+/**
+ * Custom Hook for the Activity Feed
+ * Loads history entries across all todos, newest first
+ * The feed lives on the server, so it is only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { historyAPI } from '../services/api';
+
+/**
+ * Custom hook for the global activity feed
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {boolean} isOpen - Whether the feed is shown (loads on open)
+ * @returns {Object} Activity state and actions
+ */
+export const useActivity = (isOnline, isOpen) => {
+  // State management
+  const [activity, setActivity] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load a page of activity
+   * @param {number} [page=1] - Page to load; later pages are appended
+   */
+  const loadActivity = useCallback(async (page = 1) => {
+    if (!isOnline) {
+      setActivity([]);
+      setPagination(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await historyAPI.getActivity({ page, limit: 30 });
+      const entries = response.data || [];
+      setActivity(prev => page === 1 ? entries : [...prev, ...entries]);
+      setPagination(response.pagination || null);
+    } catch (error) {
+      console.error('Error loading activity:', error);
+      setError('Failed to load activity. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [isOnline]);
+
+  /**
+   * Load the next page of activity
+   */
+  const loadMore = useCallback(() => {
+    if (pagination?.hasNextPage) {
+      loadActivity(pagination.currentPage + 1);
+    }
+  }, [pagination, loadActivity]);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Reload whenever the feed is opened
+  useEffect(() => {
+    if (isOpen) {
+      loadActivity(1);
+    }
+  }, [isOpen, loadActivity]);
+
+  return {
+    // State
+    activity,
+    pagination,
+    loading,
+    error,
+
+    // Actions
+    loadActivity,
+    loadMore,
+    clearError
+  };
+};
@@ -0,0 +1,119 @@
+/**
+ * Custom Hook for API Tokens
+ * Loads, creates and revokes the signed-in user's personal API tokens
+ * Tokens live on the server, so they are only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiTokenAPI } from '../services/api';
+
+/**
+ * Custom hook for personal API tokens
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {boolean} isOpen - Whether the settings page is shown (loads on open)
+ * @returns {Object} Token state and actions
+ */
+export const useApiTokens = (isOnline, isOpen) => {
+  // State management
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState(['read', 'write', 'delete']);
+  // Raw token of the token just created; the API never returns it again
+  const [createdToken, setCreatedToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load tokens from the API
+   */
+  const loadTokens = useCallback(async () => {
+    if (!isOnline) {
+      setTokens([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiTokenAPI.getTokens();
+      setTokens(response.data || []);
+      if (response.scopes) {
+        setScopes(response.scopes);
+      }
+    } catch (error) {
+      console.error('Error loading API tokens:', error);
+      setError('Failed to load API tokens. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [isOnline]);
+
+  /**
+   * Create a token and keep its raw value to show once
+   * @param {Object} tokenData - { name, scopes, expiresInDays }
+   * @returns {Promise<boolean>} True if the token was created
+   */
+  const createToken = useCallback(async (tokenData) => {
+    setError(null);
+
+    try {
+      const response = await apiTokenAPI.createToken(tokenData);
+      setTokens(prev => [response.data, ...prev]);
+      setCreatedToken({ id: response.data._id, token: response.token, scopes: response.data.scopes });
+      return true;
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      setError(`Failed to create API token. ${error.response?.data?.message || 'Please try again.'}`);
+      return false;
+    }
+  }, []);
+
+  /**
+   * Revoke a token
+   * @param {string} id - Token ID
+   */
+  const revokeToken = useCallback(async (id) => {
+    setError(null);
+
+    try {
+      await apiTokenAPI.revokeToken(id);
+      setTokens(prev => prev.filter(token => token._id !== id));
+      setCreatedToken(prev => prev?.id === id ? null : prev);
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      setError('Failed to revoke API token. Please try again.');
+    }
+  }, []);
+
+  /**
+   * Forget the raw value of the token just created
+   */
+  const dismissCreatedToken = useCallback(() => {
+    setCreatedToken(null);
+  }, []);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Reload whenever the settings page is opened
+  useEffect(() => {
+    if (isOpen) {
+      loadTokens();
+    }
+  }, [isOpen, loadTokens]);
+
+  return {
+    tokens,
+    scopes,
+    createdToken,
+    loading,
+    error,
+    createToken,
+    revokeToken,
+    dismissCreatedToken,
+    clearError
+  };
+};
@@ -0,0 +1,127 @@
+/**
+ * Custom Hook for the Archive
+ * Browses archived (completed) todos by completion date and tracks the archived count
+ * The archive lives on the server, so it is only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { todoAPI } from '../services/api';
+import { getLocalTimeZone } from '../utils/dateUtils';
+
+/**
+ * Add one day to a YYYY-MM-DD date string
+ * @param {string} value - Date string
+ * @returns {string} Next day as YYYY-MM-DD
+ */
+const nextDay = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+/**
+ * Custom hook for browsing archived todos
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {boolean} isOpen - Whether the archive view is shown (loads on open)
+ * @returns {Object} Archive state and actions
+ */
+export const useArchive = (isOnline, isOpen) => {
+  // State management
+  const [archivedTodos, setArchivedTodos] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [archivedCount, setArchivedCount] = useState(null);
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load a page of archived todos for the selected completion date range
+   * @param {number} [page=1] - Page to load; later pages are appended
+   */
+  const loadArchive = useCallback(async (page = 1) => {
+    if (!isOnline) {
+      setArchivedTodos([]);
+      setPagination(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await todoAPI.getArchivedTodos({
+        page,
+        limit: 50,
+        timeZone: getLocalTimeZone(),
+        ...(dateRange.from && { from: dateRange.from }),
+        // The "to" date is inclusive in the picker, exclusive in the API
+        ...(dateRange.to && { to: nextDay(dateRange.to) })
+      });
+      const todos = response.data || [];
+      setArchivedTodos(prev => page === 1 ? todos : [...prev, ...todos]);
+      setPagination(response.pagination || null);
+    } catch (error) {
+      console.error('Error loading archive:', error);
+      setError('Failed to load archive. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [isOnline, dateRange]);
+
+  /**
+   * Load the number of archived todos (for historical stats)
+   */
+  const loadArchivedCount = useCallback(async () => {
+    if (!isOnline) return;
+
+    try {
+      const response = await todoAPI.getTodoStats();
+      setArchivedCount(response.data?.archived ?? null);
+    } catch (error) {
+      console.error('Error loading archived count:', error);
+    }
+  }, [isOnline]);
+
+  /**
+   * Load the next page of archived todos
+   */
+  const loadMore = useCallback(() => {
+    if (pagination?.hasNextPage) {
+      loadArchive(pagination.currentPage + 1);
+    }
+  }, [pagination, loadArchive]);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load the archived count on mount and when online status changes
+  useEffect(() => {
+    loadArchivedCount();
+  }, [loadArchivedCount]);
+
+  // Load the archive when it is opened or the date range changes
+  useEffect(() => {
+    if (isOpen) {
+      loadArchive(1);
+    }
+  }, [isOpen, loadArchive]);
+
+  return {
+    // State
+    archivedTodos,
+    pagination,
+    archivedCount,
+    dateRange,
+    loading,
+    error,
+
+    // Actions
+    setDateRange,
+    loadArchive,
+    loadArchivedCount,
+    loadMore,
+    clearError
+  };
+};
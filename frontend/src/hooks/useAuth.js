@@ -0,0 +1,122 @@
+/**
+ * Custom Hook for Authentication
+ * Keeps the signed-in session and switches offline data to the signed-in user
+ * A saved session is used as-is, so the app still opens offline
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { authAPI, setSessionExpiredHandler } from '../services/api';
+import {
+  getAuthFromStorage,
+  saveAuthToStorage,
+  clearAuthFromStorage,
+  setStorageUser
+} from '../services/localStorage';
+
+/**
+ * Read the saved session and point offline storage at its user
+ * @returns {Object|null} Saved session
+ */
+const loadSession = () => {
+  const session = getAuthFromStorage();
+  setStorageUser(session?.user?._id ?? null);
+  return session;
+};
+
+/**
+ * Custom hook for the signed-in session
+ * @returns {Object} Session state and actions
+ */
+export const useAuth = () => {
+  // State management
+  const [session, setSession] = useState(loadSession);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Store a session returned by the API and switch to its user
+   * @param {Object} data - { user, accessToken, refreshToken }
+   */
+  const startSession = useCallback((data) => {
+    const { user, accessToken, refreshToken } = data;
+    const next = { user, accessToken, refreshToken };
+    saveAuthToStorage(next);
+    setStorageUser(user._id);
+    setSession(next);
+  }, []);
+
+  /**
+   * Drop the session locally (the user's offline data stays for their next sign-in)
+   */
+  const endSession = useCallback(() => {
+    clearAuthFromStorage();
+    setStorageUser(null);
+    setSession(null);
+  }, []);
+
+  // Sign out when the API can no longer refresh the session
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      endSession();
+      setError('Your session has expired. Please sign in again.');
+    });
+    return () => setSessionExpiredHandler(null);
+  }, [endSession]);
+
+  /**
+   * Sign in or register
+   * @param {string} mode - 'login' or 'register'
+   * @param {Object} credentials - { email, password, name? }
+   * @returns {Promise<boolean>} Whether the user is now signed in
+   */
+  const authenticate = useCallback(async (mode, credentials) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = mode === 'register'
+        ? await authAPI.register(credentials)
+        : await authAPI.login(credentials);
+      startSession(response.data);
+      return true;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setError(error.response?.data?.errors?.join(', ') || error.response?.data?.message || error.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, [startSession]);
+
+  /**
+   * Sign out, revoking the refresh token when the API is reachable
+   */
+  const logout = useCallback(async () => {
+    // Read from storage: the interceptors may have rotated the token since it was put in state
+    const refreshToken = getAuthFromStorage()?.refreshToken;
+    endSession();
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Error revoking session:', error);
+      }
+    }
+  }, [endSession]);
+
+  /**
+   * Clear error state
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  return {
+    user: session?.user ?? null,
+    loading,
+    error,
+    login: (credentials) => authenticate('login', credentials),
+    register: (credentials) => authenticate('register', credentials),
+    logout,
+    clearError
+  };
+};
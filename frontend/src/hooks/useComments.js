@@ -0,0 +1,120 @@
+/**
+ * Custom Hook for Comments
+ * Loads and edits the discussion thread of a single todo
+ * Comments live on the server, so the thread is only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { commentAPI } from '../services/api';
+
+/**
+ * Custom hook for a todo's comments
+ * @param {string} todoId - Todo ID
+ * @param {boolean} isOpen - Whether the thread is shown (loads on open)
+ * @param {Function} [onCountChange] - Called with the new comment count after adding or deleting
+ * @returns {Object} Comment state and actions
+ */
+export const useComments = (todoId, isOpen, onCountChange) => {
+  // State management
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load a page of comments
+   * @param {number} [page=1] - Page to load; later pages are appended
+   */
+  const loadComments = useCallback(async (page = 1) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await commentAPI.getComments(todoId, { page });
+      setComments(prev => page === 1 ? response.data : [...prev, ...response.data]);
+      setPagination(response.pagination || null);
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      setError('Comments are unavailable right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [todoId]);
+
+  /**
+   * Add a comment to the end of the thread
+   * @param {string} body - Comment text
+   * @returns {Promise<boolean>} Whether the comment was added
+   */
+  const addComment = useCallback(async (body) => {
+    setError(null);
+    try {
+      const response = await commentAPI.addComment(todoId, { body });
+      // Only show it now if the last page is loaded; otherwise it appears when paging on
+      if (!pagination?.hasNextPage) {
+        setComments(prev => [...prev, response.data]);
+      }
+      onCountChange?.(response.commentCount);
+      return true;
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      setError(error.response?.data?.message || 'Failed to add comment. Please try again.');
+      return false;
+    }
+  }, [todoId, pagination, onCountChange]);
+
+  /**
+   * Edit a comment
+   * @param {string} commentId - Comment ID
+   * @param {string} body - New comment text
+   * @returns {Promise<boolean>} Whether the comment was updated
+   */
+  const updateComment = useCallback(async (commentId, body) => {
+    setError(null);
+    try {
+      const response = await commentAPI.updateComment(todoId, commentId, body);
+      setComments(prev => prev.map(comment => comment._id === commentId ? response.data : comment));
+      return true;
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      setError(error.response?.data?.message || 'Failed to update comment. Please try again.');
+      return false;
+    }
+  }, [todoId]);
+
+  /**
+   * Delete a comment
+   * @param {string} commentId - Comment ID
+   */
+  const deleteComment = useCallback(async (commentId) => {
+    setError(null);
+    try {
+      const response = await commentAPI.deleteComment(todoId, commentId);
+      setComments(prev => prev.filter(comment => comment._id !== commentId));
+      onCountChange?.(response.commentCount);
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      setError('Failed to delete comment. Please try again.');
+    }
+  }, [todoId, onCountChange]);
+
+  // Reload whenever the thread is opened
+  useEffect(() => {
+    if (isOpen) {
+      loadComments(1);
+    }
+  }, [isOpen, loadComments]);
+
+  return {
+    // State
+    comments,
+    pagination,
+    loading,
+    error,
+
+    // Actions
+    loadComments,
+    addComment,
+    updateComment,
+    deleteComment
+  };
+};
@@ -0,0 +1,143 @@
+/**
+ * Custom Hook for Importing and Exporting Todos
+ * Exports download from the API, or are built from the todos saved on the
+ * device while offline; imports are previewed (dry run) before they are saved
+ */
+
+import { useState, useCallback } from 'react';
+import { todoAPI } from '../services/api';
+import { getTodosFromStorage, filterTodosByList } from '../services/localStorage';
+import { serializeTodos, getExportFileName, downloadFile } from '../utils/todoFormats';
+
+/**
+ * Custom hook for importing and exporting todos
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {string|null} listId - Selected list (null for all todos, 'none' for the inbox)
+ * @param {Function} onImported - Called after an import saved todos (e.g. to reload them)
+ * @returns {Object} Import/export state and actions
+ */
+export const useImportExport = (isOnline, listId, onImported) => {
+  // State management
+  const [exporting, setExporting] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Download the todos of the selected list
+   * @param {string} format - 'json', 'csv' or 'md'
+   */
+  const exportTodos = useCallback(async (format) => {
+    setExporting(true);
+    setError(null);
+    try {
+      let blob;
+      if (isOnline) {
+        try {
+          blob = await todoAPI.exportTodos(format, listId !== null ? { listId } : {});
+        } catch (error) {
+          // Server unreachable: export what's on the device instead
+          if (error.response) throw error;
+        }
+      }
+      blob ??= serializeTodos(filterTodosByList(getTodosFromStorage(), listId), format);
+      downloadFile(blob, getExportFileName(format));
+    } catch (error) {
+      console.error('Error exporting todos:', error);
+      setError('Failed to export todos. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  }, [isOnline, listId]);
+
+  /**
+   * Send a file to the import endpoint
+   * @param {Object} file - { format, content }
+   * @param {string} duplicates - 'skip', 'overwrite' or 'keep'
+   * @param {boolean} dryRun - Only preview the import
+   * @returns {Promise<Object|null>} Import response, or null on failure
+   */
+  const sendImport = useCallback(async ({ format, content }, duplicates, dryRun) => {
+    if (!isOnline) {
+      setError('Importing needs a connection to the server.');
+      return null;
+    }
+
+    setImporting(true);
+    setError(null);
+    try {
+      return await todoAPI.importTodos({
+        format,
+        content,
+        duplicates,
+        dryRun,
+        // Imports go into the selected list, or the inbox
+        listId: listId === null || listId === 'none' ? null : listId
+      });
+    } catch (error) {
+      console.error('Error importing todos:', error);
+      setError(error.response?.data?.message || 'Failed to import todos. Please try again.');
+      return null;
+    } finally {
+      setImporting(false);
+    }
+  }, [isOnline, listId]);
+
+  /**
+   * Preview what importing a file would do, without saving anything
+   * @param {Object} file - { format, content }
+   * @param {string} duplicates - 'skip', 'overwrite' or 'keep'
+   */
+  const previewImport = useCallback(async (file, duplicates) => {
+    setImportResult(null);
+    setPreview(await sendImport(file, duplicates, true));
+  }, [sendImport]);
+
+  /**
+   * Import a file
+   * @param {Object} file - { format, content }
+   * @param {string} duplicates - 'skip', 'overwrite' or 'keep'
+   * @returns {Promise<boolean>} True if the import ran
+   */
+  const runImport = useCallback(async (file, duplicates) => {
+    const response = await sendImport(file, duplicates, false);
+    if (!response) return false;
+
+    setPreview(null);
+    setImportResult(response);
+    if (response.summary.create + response.summary.overwrite > 0) {
+      onImported();
+    }
+    return true;
+  }, [sendImport, onImported]);
+
+  /**
+   * Forget the preview and result (e.g. when another file is chosen)
+   */
+  const resetImport = useCallback(() => {
+    setPreview(null);
+    setImportResult(null);
+    setError(null);
+  }, []);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  return {
+    exporting,
+    importing,
+    preview,
+    importResult,
+    error,
+    exportTodos,
+    previewImport,
+    runImport,
+    resetImport,
+    clearError
+  };
+};
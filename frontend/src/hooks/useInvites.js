@@ -0,0 +1,94 @@
+/**
+ * Custom Hook for Invites
+ * Loads the signed-in user's pending invites to shared lists and handles accepting and declining them
+ * Invites live on the server, so they are only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { inviteAPI } from '../services/api';
+
+/**
+ * Custom hook for pending list invites
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {Function} [onJoin] - Called with the joined list after an invite is accepted
+ * @returns {Object} Invite state and actions
+ */
+export const useInvites = (isOnline, onJoin) => {
+  // State management
+  const [invites, setInvites] = useState([]);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load pending invites from the API
+   */
+  const loadInvites = useCallback(async () => {
+    if (!isOnline) {
+      setInvites([]);
+      return;
+    }
+
+    try {
+      const response = await inviteAPI.getInvites();
+      setInvites(response.data || []);
+    } catch (error) {
+      console.error('Error loading invites:', error);
+    }
+  }, [isOnline]);
+
+  /**
+   * Accept an invite and join its list
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<Object|undefined>} The joined list
+   */
+  const acceptInvite = useCallback(async (inviteId) => {
+    setError(null);
+
+    try {
+      const response = await inviteAPI.acceptInvite(inviteId);
+      setInvites(prev => prev.filter(invite => invite._id !== inviteId));
+      onJoin?.(response.data);
+      return response.data;
+    } catch (error) {
+      console.error('Error accepting invite:', error);
+      setError(`Failed to accept invite. ${error.response?.data?.message || 'Please try again.'}`);
+      loadInvites();
+      return undefined;
+    }
+  }, [onJoin, loadInvites]);
+
+  /**
+   * Decline an invite
+   * @param {string} inviteId - Invite ID
+   */
+  const declineInvite = useCallback(async (inviteId) => {
+    setError(null);
+
+    try {
+      await inviteAPI.declineInvite(inviteId);
+      setInvites(prev => prev.filter(invite => invite._id !== inviteId));
+    } catch (error) {
+      console.error('Error declining invite:', error);
+      setError('Failed to decline invite. Please try again.');
+    }
+  }, []);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load invites on mount and when online status changes
+  useEffect(() => {
+    loadInvites();
+  }, [loadInvites]);
+
+  return {
+    invites,
+    error,
+    acceptInvite,
+    declineInvite,
+    clearError
+  };
+};
@@ -0,0 +1,205 @@
+/**
+ * Custom Hook for List Management
+ * Loads todo lists (projects) and handles list CRUD
+ * Lists are cached in localStorage and are read-only while offline
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { listAPI } from '../services/api';
+import { getListsFromStorage, saveListsToStorage } from '../services/localStorage';
+
+/**
+ * Custom hook for managing todo lists
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @returns {Object} List management functions and state
+ */
+export const useLists = (isOnline) => {
+  // State management
+  const [lists, setLists] = useState(getListsFromStorage);
+  const [error, setError] = useState(null);
+
+  /**
+   * Replace the lists in state and localStorage
+   * @param {Function} update - Receives the previous lists, returns the new lists
+   */
+  const updateLists = useCallback((update) => {
+    setLists(prev => {
+      const updated = update(prev);
+      saveListsToStorage(updated);
+      return updated;
+    });
+  }, []);
+
+  /**
+   * Load lists from API or localStorage
+   */
+  const loadLists = useCallback(async () => {
+    if (!isOnline) {
+      setLists(getListsFromStorage());
+      return;
+    }
+
+    try {
+      const response = await listAPI.getAllLists();
+      updateLists(() => response.data || []);
+    } catch (error) {
+      console.error('Error loading lists:', error);
+      setLists(getListsFromStorage());
+    }
+  }, [isOnline, updateLists]);
+
+  /**
+   * Run a list change that requires the API
+   * @param {Function} action - Performs the change
+   * @param {string} errorMessage - Message shown on failure
+   * @returns {Promise<*>} Result of the action, or undefined on failure
+   */
+  const runOnline = useCallback(async (action, errorMessage) => {
+    setError(null);
+
+    if (!isOnline) {
+      setError('Lists can only be changed while online.');
+      return undefined;
+    }
+
+    try {
+      return await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      setError(`${errorMessage} ${error.response?.data?.message || 'Please try again.'}`);
+      return undefined;
+    }
+  }, [isOnline]);
+
+  /**
+   * Create a new list
+   * @param {Object} listData - { name, color?, icon? }
+   * @returns {Promise<Object|undefined>} Created list
+   */
+  const createList = useCallback((listData) => runOnline(async () => {
+    const response = await listAPI.createList(listData);
+    updateLists(prev => [...prev, response.data]);
+    return response.data;
+  }, 'Failed to create list.'), [runOnline, updateLists]);
+
+  /**
+   * Update a list; archived lists are removed from the sidebar
+   * @param {string} id - List ID
+   * @param {Object} updateData - { name?, color?, icon?, archived? }
+   */
+  const updateList = useCallback((id, updateData) => runOnline(async () => {
+    const response = await listAPI.updateList(id, updateData);
+    const updatedList = response.data;
+    updateLists(prev => updatedList.archived
+      ? prev.filter(list => list._id !== id)
+      : prev.map(list => list._id === id ? updatedList : list)
+    );
+    return updatedList;
+  }, 'Failed to update list.'), [runOnline, updateLists]);
+
+  /**
+   * Delete a list (its todos move to the inbox)
+   * @param {string} id - List ID
+   */
+  const deleteList = useCallback((id) => runOnline(async () => {
+    await listAPI.deleteList(id);
+    updateLists(prev => prev.filter(list => list._id !== id));
+    return true;
+  }, 'Failed to delete list.'), [runOnline, updateLists]);
+
+  /**
+   * Replace one list with the API's updated version
+   * @param {Object} updatedList - List from the API
+   * @returns {Object} The list
+   */
+  const replaceList = useCallback((updatedList) => {
+    updateLists(prev => prev.map(list => list._id === updatedList._id ? updatedList : list));
+    return updatedList;
+  }, [updateLists]);
+
+  /**
+   * Invite someone to a list (owner only)
+   * @param {string} id - List ID
+   * @param {Object} inviteData - { email, role }
+   * @returns {Promise<Object|undefined>} Updated list
+   */
+  const inviteCollaborator = useCallback((id, inviteData) => runOnline(async () => {
+    const response = await listAPI.inviteCollaborator(id, inviteData);
+    return replaceList(response.data);
+  }, 'Failed to send invite.'), [runOnline, replaceList]);
+
+  /**
+   * Withdraw a pending invite (owner only)
+   * @param {string} id - List ID
+   * @param {string} inviteId - Invite ID
+   */
+  const revokeInvite = useCallback((id, inviteId) => runOnline(async () => {
+    const response = await listAPI.revokeInvite(id, inviteId);
+    return replaceList(response.data);
+  }, 'Failed to withdraw invite.'), [runOnline, replaceList]);
+
+  /**
+   * Change a collaborator's role (owner only)
+   * @param {string} id - List ID
+   * @param {string} userId - Collaborator's user ID
+   * @param {string} role - 'editor' or 'viewer'
+   */
+  const updateCollaborator = useCallback((id, userId, role) => runOnline(async () => {
+    const response = await listAPI.updateCollaborator(id, userId, role);
+    return replaceList(response.data);
+  }, 'Failed to change role.'), [runOnline, replaceList]);
+
+  /**
+   * Remove a collaborator; removing yourself leaves the list
+   * @param {string} id - List ID
+   * @param {string} userId - Collaborator's user ID
+   * @returns {Promise<boolean|undefined>} True if removed
+   */
+  const removeCollaborator = useCallback((id, userId) => runOnline(async () => {
+    const response = await listAPI.removeCollaborator(id, userId);
+    if (response.data) {
+      replaceList(response.data);
+    } else {
+      updateLists(prev => prev.filter(list => list._id !== id));
+    }
+    return true;
+  }, 'Failed to remove collaborator.'), [runOnline, replaceList, updateLists]);
+
+  /**
+   * Add a list the user just joined
+   * @param {Object} list - List from the API
+   */
+  const addJoinedList = useCallback((list) => {
+    updateLists(prev => [...prev.filter(item => item._id !== list._id), list]);
+  }, [updateLists]);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load lists on mount and when online status changes
+  useEffect(() => {
+    loadLists();
+  }, [loadLists]);
+
+  return {
+    // State
+    lists,
+    error,
+
+    // Actions
+    loadLists,
+    createList,
+    updateList,
+    deleteList,
+    inviteCollaborator,
+    revokeInvite,
+    updateCollaborator,
+    removeCollaborator,
+    addJoinedList,
+    clearError
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * Custom Hook for Notes Preview
+ * Renders draft Markdown notes through the API so the preview matches what is saved
+ */
+
+import { useState, useEffect } from 'react';
+import { todoAPI } from '../services/api';
+
+/**
+ * Custom hook for previewing Markdown notes
+ * @param {string} notes - Draft Markdown
+ * @param {boolean} isActive - Whether the preview is shown (renders while active)
+ * @returns {Object} { html, loading, unavailable } - html is null when empty or unavailable
+ */
+export const useNotesPreview = (notes, isActive) => {
+  // State management
+  const [html, setHtml] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [unavailable, setUnavailable] = useState(false);
+
+  useEffect(() => {
+    if (!isActive) return;
+
+    let cancelled = false;
+    setLoading(true);
+
+    // Short delay so quickly switching tabs does not hit the API every time
+    const timer = setTimeout(async () => {
+      try {
+        const response = await todoAPI.previewNotes(notes);
+        if (!cancelled) {
+          setHtml(response.data?.html ?? null);
+          setUnavailable(false);
+        }
+      } catch {
+        // Offline: the panel falls back to the raw Markdown
+        if (!cancelled) {
+          setHtml(null);
+          setUnavailable(true);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [notes, isActive]);
+
+  return { html, loading, unavailable };
+};
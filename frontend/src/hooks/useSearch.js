@@ -0,0 +1,142 @@
+/**
+ * Custom Hook for Todo Search
+ * Debounced full-text search through the API, falling back to searching
+ * the todos saved on the device while offline
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { todoAPI } from '../services/api';
+import { getTodosFromStorage, filterTodosByList } from '../services/localStorage';
+import { searchTodosLocally, parseSearchQuery } from '../utils/search';
+
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Results per page
+const SEARCH_PAGE_SIZE = 20;
+
+/**
+ * Custom hook for searching todos
+ * @param {string} query - Search query as typed
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {string|null} listId - Selected list (null for all todos, 'none' for the inbox)
+ * @returns {Object} Search state and actions
+ */
+export const useSearch = (query, isOnline, listId = null) => {
+  // State management
+  const [results, setResults] = useState([]);
+  const [parsedQuery, setParsedQuery] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [isOffline, setIsOffline] = useState(false);
+  const [error, setError] = useState(null);
+  // Only the latest search may update state, so a slow response can't overwrite a newer one
+  const searchIdRef = useRef(0);
+
+  const trimmedQuery = query.trim();
+
+  /**
+   * Search todos saved on the device
+   * @param {string} q - Query
+   */
+  const searchLocally = useCallback((q) => {
+    setResults(searchTodosLocally(filterTodosByList(getTodosFromStorage(), listId), q)
+      .map(todo => ({ ...todo, id: todo._id || todo.id })));
+    setParsedQuery(parseSearchQuery(q));
+    setPagination(null);
+    setIsOffline(true);
+  }, [listId]);
+
+  /**
+   * Run a search
+   * @param {string} q - Query
+   * @param {number} [page=1] - Page to load; later pages are appended
+   */
+  const runSearch = useCallback(async (q, page = 1) => {
+    const searchId = ++searchIdRef.current;
+    setError(null);
+
+    if (!isOnline) {
+      searchLocally(q);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await todoAPI.searchTodos(q, {
+        page,
+        limit: SEARCH_PAGE_SIZE,
+        ...(listId !== null && { listId })
+      });
+      if (searchId !== searchIdRef.current) return;
+
+      const found = (response.data || []).map(todo => ({ ...todo, id: todo._id || todo.id }));
+      setResults(prev => page === 1 ? found : [...prev, ...found]);
+      setParsedQuery(response.query || parseSearchQuery(q));
+      setPagination(response.pagination || null);
+      setIsOffline(false);
+    } catch (error) {
+      console.error('Error searching todos:', error);
+      if (searchId !== searchIdRef.current) return;
+
+      if (error.response?.status === 400) {
+        // e.g. a query of only exclusions: nothing to search for
+        setResults([]);
+        setPagination(null);
+        setError(error.response.data?.message || 'Invalid search.');
+      } else {
+        // Server unreachable: search what's on the device instead
+        searchLocally(q);
+      }
+    } finally {
+      if (searchId === searchIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [isOnline, listId, searchLocally]);
+
+  /**
+   * Load the next page of results
+   */
+  const loadMore = useCallback(() => {
+    if (pagination?.hasNextPage) {
+      runSearch(trimmedQuery, pagination.currentPage + 1);
+    }
+  }, [pagination, runSearch, trimmedQuery]);
+
+  /**
+   * Drop a result (e.g. after the todo was deleted)
+   * @param {string} id - Todo ID
+   */
+  const removeResult = useCallback((id) => {
+    setResults(prev => prev.filter(todo => todo.id !== id));
+  }, []);
+
+  // Search once typing pauses; clear results when the box is emptied
+  useEffect(() => {
+    if (!trimmedQuery) {
+      searchIdRef.current++;
+      setResults([]);
+      setParsedQuery(null);
+      setPagination(null);
+      setLoading(false);
+      setError(null);
+      return;
+    }
+
+    const timeout = setTimeout(() => runSearch(trimmedQuery), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [trimmedQuery, runSearch]);
+
+  return {
+    isSearching: trimmedQuery.length > 0,
+    results,
+    parsedQuery,
+    pagination,
+    loading,
+    isOffline,
+    error,
+    loadMore,
+    removeResult
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * Custom Hook for Time Entries
+ * Loads and edits the time entries of a single todo
+ * Time entries live on the server, so they are only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { timeAPI } from '../services/api';
+
+/**
+ * Custom hook for a todo's time entries
+ * @param {string} todoId - Todo ID
+ * @param {boolean} isOpen - Whether the entries are shown (loads on open)
+ * @param {Function} [onTrackedTimeChange] - Called with the new tracked seconds after a change
+ * @param {*} [reloadKey] - Reloads the open entries when it changes (e.g. when a timer stops)
+ * @returns {Object} Time entry state and actions
+ */
+export const useTimeEntries = (todoId, isOpen, onTrackedTimeChange, reloadKey) => {
+  // State management
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the todo's time entries
+   */
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await timeAPI.getTimeEntries(todoId);
+      setEntries(response.data || []);
+    } catch (error) {
+      console.error('Error loading time entries:', error);
+      setError('Time entries are unavailable right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [todoId]);
+
+  /**
+   * Apply a time entry change and report the new total
+   * @param {Function} apiCall - Performs the API request, resolves with the response
+   * @param {Function} applyChange - Updates the entry list from the response
+   * @param {string} errorMessage - Message shown on failure
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const changeEntries = useCallback(async (apiCall, applyChange, errorMessage) => {
+    setError(null);
+    try {
+      const response = await apiCall();
+      setEntries(prev => applyChange(prev, response.data));
+      onTrackedTimeChange?.(response.trackedSeconds);
+      return true;
+    } catch (error) {
+      console.error(errorMessage, error);
+      setError(error.response?.data?.message || `${errorMessage} Please try again.`);
+      return false;
+    }
+  }, [onTrackedTimeChange]);
+
+  /**
+   * Add a finished time entry by hand
+   * @param {Object} entryData - { startedAt, endedAt, note? }
+   * @returns {Promise<boolean>} Whether the entry was added
+   */
+  const addEntry = useCallback((entryData) => changeEntries(
+    () => timeAPI.addTimeEntry(todoId, entryData),
+    (prev, entry) => [entry, ...prev].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt)),
+    'Failed to add time entry.'
+  ), [todoId, changeEntries]);
+
+  /**
+   * Edit a time entry
+   * @param {string} entryId - Time entry ID
+   * @param {Object} entryData - { startedAt?, endedAt?, note? }
+   * @returns {Promise<boolean>} Whether the entry was updated
+   */
+  const updateEntry = useCallback((entryId, entryData) => changeEntries(
+    () => timeAPI.updateTimeEntry(todoId, entryId, entryData),
+    (prev, entry) => prev
+      .map(item => item._id === entryId ? entry : item)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt)),
+    'Failed to update time entry.'
+  ), [todoId, changeEntries]);
+
+  /**
+   * Delete a time entry
+   * @param {string} entryId - Time entry ID
+   * @returns {Promise<boolean>} Whether the entry was deleted
+   */
+  const deleteEntry = useCallback((entryId) => changeEntries(
+    () => timeAPI.deleteTimeEntry(todoId, entryId),
+    (prev) => prev.filter(item => item._id !== entryId),
+    'Failed to delete time entry.'
+  ), [todoId, changeEntries]);
+
+  // Reload whenever the entries are opened or the reload key changes
+  useEffect(() => {
+    if (isOpen) {
+      loadEntries();
+    }
+  }, [isOpen, loadEntries, reloadKey]);
+
+  return {
+    // State
+    entries,
+    loading,
+    error,
+
+    // Actions
+    loadEntries,
+    addEntry,
+    updateEntry,
+    deleteEntry
+  };
+};
@@ -0,0 +1,112 @@
+/**
+ * Custom Hook for the Timer
+ * Tracks the single running timer across all todos
+ * Timers live on the server, so they are only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { timeAPI } from '../services/api';
+
+/**
+ * Custom hook for the running timer
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {Function} [onTrackedTimeChange] - Called with (todoId, trackedSeconds) after a timer stops
+ * @returns {Object} Timer state and actions
+ */
+export const useTimer = (isOnline, onTrackedTimeChange) => {
+  // State management
+  const [runningTimer, setRunningTimer] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the running timer (it may have been started in another tab or device)
+   */
+  const loadRunningTimer = useCallback(async () => {
+    if (!isOnline) {
+      setRunningTimer(null);
+      return;
+    }
+
+    try {
+      const response = await timeAPI.getRunningTimer();
+      setRunningTimer(response.data);
+    } catch (error) {
+      console.error('Error loading running timer:', error);
+    }
+  }, [isOnline]);
+
+  /**
+   * Stop the running timer
+   * @returns {Promise<boolean>} Whether the timer was stopped
+   */
+  const stopTimer = useCallback(async () => {
+    if (!runningTimer) return true;
+    setError(null);
+
+    try {
+      const response = await timeAPI.stopTimer(runningTimer.todoId);
+      setRunningTimer(null);
+      onTrackedTimeChange?.(runningTimer.todoId, response.trackedSeconds);
+      return true;
+    } catch (error) {
+      // Already stopped elsewhere, or its todo was moved to the trash (which stops it)
+      if (error.response?.status === 404) {
+        setRunningTimer(null);
+        return true;
+      }
+      console.error('Error stopping timer:', error);
+      setError(error.response?.data?.message || 'Failed to stop timer. Please try again.');
+      loadRunningTimer();
+      return false;
+    }
+  }, [runningTimer, onTrackedTimeChange, loadRunningTimer]);
+
+  /**
+   * Start a timer on a todo, stopping the running one first
+   * @param {string} todoId - Todo ID
+   * @param {string} todoText - Todo text, shown while the timer runs
+   */
+  const startTimer = useCallback(async (todoId, todoText) => {
+    setError(null);
+
+    if (!isOnline) {
+      setError('Time tracking is only available while online.');
+      return;
+    }
+    if (!(await stopTimer())) return;
+
+    try {
+      const response = await timeAPI.startTimer(todoId);
+      setRunningTimer({ ...response.data, todoText });
+    } catch (error) {
+      console.error('Error starting timer:', error);
+      // 409: a timer was started elsewhere in the meantime
+      setError(error.response?.data?.message || 'Failed to start timer. Please try again.');
+      loadRunningTimer();
+    }
+  }, [isOnline, stopTimer, loadRunningTimer]);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load the running timer on mount and when coming back online
+  useEffect(() => {
+    loadRunningTimer();
+  }, [loadRunningTimer]);
+
+  return {
+    // State
+    runningTimer,
+    error,
+
+    // Actions
+    startTimer,
+    stopTimer,
+    loadRunningTimer,
+    clearError
+  };
+};
@@ -0,0 +1,62 @@
+/**
+ * Custom Hook for Todo History
+ * Loads the change history of a single todo (shown in the history drawer)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { historyAPI } from '../services/api';
+
+/**
+ * Custom hook for a todo's change history
+ * @param {string} todoId - Todo ID
+ * @param {boolean} isOpen - Whether the drawer is open (loads on open)
+ * @returns {Object} History state and actions
+ */
+export const useTodoHistory = (todoId, isOpen) => {
+  // State management
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load a page of history entries
+   * @param {number} [page=1] - Page to load; later pages are appended
+   */
+  const loadHistory = useCallback(async (page = 1) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await historyAPI.getTodoHistory(todoId, { page });
+      setEntries(prev => page === 1 ? response.data : [...prev, ...response.data]);
+      setPagination(response.pagination || null);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setEntries([]);
+        setPagination(null);
+      } else {
+        setError('History is unavailable right now.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [todoId]);
+
+  // Reload whenever the drawer is opened
+  useEffect(() => {
+    if (isOpen) {
+      loadHistory(1);
+    }
+  }, [isOpen, loadHistory]);
+
+  return {
+    // State
+    entries,
+    pagination,
+    loading,
+    error,
+
+    // Actions
+    loadHistory
+  };
+};
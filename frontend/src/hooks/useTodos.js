@@ -5,7 +5,9 @@
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { todoAPI } from '../services/api';
+import { todoAPI, tagAPI, subtaskAPI, attachmentAPI } from '../services/api';
+import { withSubtasks, appendSubtask, getSubtaskId } from '../utils/subtasks';
+import { withPositions, getMovedPosition } from '../utils/position';
 import {
   getTodosFromStorage,
   saveTodosToStorage,
@@ -15,20 +17,38 @@ import {
   addTodoToStorage,
   updateTodoInStorage,
   deleteTodoFromStorage,
-  syncTodosWithStorage
+  syncTodosWithStorage,
+  filterTodosByTags,
+  filterTodosByList,
+  getTagsFromStorage
 } from '../services/localStorage';
 
+/**
+ * Get the current todo from a version conflict (412) response
+ * @param {Error} error - API error
+ * @returns {Object|null} Todo as it is on the server, or null for other errors
+ */
+const getConflictingTodo = (error) => {
+  const current = error.response?.status === 412 ? error.response.data?.data : null;
+  // Convert MongoDB _id to id for consistency
+  return current ? { ...current, id: current._id || current.id } : null;
+};
+
 /**
  * Custom hook for managing todos
+ * @param {Object} [options] - Hook options
+ * @param {string|null} [options.listId] - Selected list ID, 'none' for the inbox, or null for all todos
  * @returns {Object} Todo management functions and state
  */
-export const useTodos = () => {
+export const useTodos = ({ listId = null } = {}) => {
   // State management
   const [todos, setTodos] = useState([]);
   const [stats, setStats] = useState({ total: 0, completed: 0, pending: 0 });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [tagFilter, setTagFilter] = useState({ tags: [], mode: 'any' });
+  const [availableTags, setAvailableTags] = useState([]);
 
   /**
    * Handle online/offline status changes
@@ -53,10 +73,18 @@ export const useTodos = () => {
     setLoading(true);
     setError(null);
 
+    const hasTagFilter = tagFilter.tags.length > 0;
+    const params = {
+      ...(hasTagFilter && { tags: tagFilter.tags.join(','), tagMode: tagFilter.mode }),
+      ...(listId !== null && { listId })
+    };
+    const applyLocalFilters = (todos) => 
+      filterTodosByList(filterTodosByTags(todos, tagFilter.tags, tagFilter.mode), listId);
+
     try {
       if (isOnline) {
         // Try to fetch from API
-        const response = await todoAPI.getAllTodos();
+        const response = await todoAPI.getAllTodos(params);
         const todosData = response.data || [];
         const statsData = response.pagination ? calculateStats(todosData) : await getStatsFromAPI();
         
@@ -71,11 +99,13 @@ export const useTodos = () => {
         setTodos(validTodos);
         setStats(calculateStats(validTodos));
         
-        // Sync with localStorage
-        syncTodosWithStorage(todosData);
+        // Sync with localStorage (a filtered result would overwrite offline data)
+        if (Object.keys(params).length === 0) {
+          syncTodosWithStorage(todosData);
+        }
       } else {
         // Use localStorage when offline
-        const todosData = getTodosFromStorage();
+        const todosData = applyLocalFilters(getTodosFromStorage());
         const statsData = getStatsFromStorage();
         
         // Convert MongoDB _id to id for consistency
@@ -93,7 +123,7 @@ export const useTodos = () => {
       console.error('Error loading todos:', error);
       
       // Fallback to localStorage
-      const todosData = getTodosFromStorage();
+      const todosData = applyLocalFilters(getTodosFromStorage());
       const statsData = getStatsFromStorage();
       
       // Convert MongoDB _id to id for consistency
@@ -110,6 +140,23 @@ export const useTodos = () => {
     } finally {
       setLoading(false);
     }
+  }, [isOnline, tagFilter, listId]);
+
+  /**
+   * Load tags with usage counts from API or localStorage
+   */
+  const loadTags = useCallback(async () => {
+    try {
+      if (isOnline) {
+        const response = await tagAPI.getAllTags();
+        setAvailableTags(response.data || []);
+      } else {
+        setAvailableTags(getTagsFromStorage());
+      }
+    } catch (error) {
+      console.error('Error loading tags:', error);
+      setAvailableTags(getTagsFromStorage());
+    }
   }, [isOnline]);
 
   /**
@@ -125,11 +172,42 @@ export const useTodos = () => {
     }
   };
 
+  /**
+   * Add the next occurrence of a recurring todo returned by the API
+   * @param {Object} response - API response that may include nextOccurrence
+   */
+  const addNextOccurrence = useCallback((response) => {
+    const nextTodo = response.nextOccurrence;
+    if (!nextTodo) return;
+    
+    // Convert MongoDB _id to id for consistency
+    nextTodo.id = nextTodo._id || nextTodo.id;
+    
+    setTodos(prev => {
+      if (prev.some(todo => todo.id === nextTodo.id)) return prev;
+      const updated = filterTodosByList([...prev, nextTodo], listId);
+      setStats(calculateStats(updated));
+      return updated;
+    });
+    
+    try {
+      updateTodoInStorage(nextTodo.id, nextTodo);
+    } catch {
+      // If todo doesn't exist in localStorage, add it
+      addTodoToStorage(nextTodo);
+    }
+  }, [listId]);
+
   /**
    * Add a new todo
    * @param {string} text - Todo text
+   * @param {Object} [options] - Optional fields
+   * @param {string} [options.priority] - Priority level
+   * @param {Array<string>} [options.tags] - Tags
+   * @param {string} [options.dueAt] - ISO due date
+   * @param {string} [options.dueTimeZone] - IANA time zone of the due date
    */
-  const addTodo = useCallback(async (text) => {
+  const addTodo = useCallback(async (text, options = {}) => {
     if (!text.trim()) {
       setError('Todo text cannot be empty');
       return;
@@ -137,10 +215,13 @@ export const useTodos = () => {
 
     setError(null);
 
+    // New todos go into the selected list (the inbox for 'all' and 'none')
+    const listFields = listId && listId !== 'none' ? { listId } : {};
+
     try {
       if (isOnline) {
         // Try API first
-        const response = await todoAPI.createTodo({ text: text.trim() });
+        const response = await todoAPI.createTodo({ text: text.trim(), ...listFields, ...options });
         
         // Extract the todo object from the response
         const newTodo = response.data;
@@ -170,7 +251,12 @@ export const useTodos = () => {
         // Use localStorage when offline
         const newTodo = addTodoToStorage({
           text: text.trim(),
-          completed: false
+          completed: false,
+          priority: options.priority || 'none',
+          tags: options.tags || [],
+          listId: listFields.listId || null,
+          dueAt: options.dueAt || null,
+          dueTimeZone: options.dueTimeZone || null
         });
         
         // Convert MongoDB _id to id for consistency (if it exists)
@@ -195,20 +281,43 @@ export const useTodos = () => {
       console.error('Error adding todo:', error);
       setError('Failed to add todo. Please try again.');
     }
-  }, [isOnline]);
+  }, [isOnline, listId]);
+
+  /**
+   * Replace a todo with the copy the server has (e.g. after a version conflict)
+   * @param {Object} current - Todo as it is on the server
+   */
+  const replaceTodo = useCallback((current) => {
+    setTodos(prev => {
+      // Todos moved to another list drop out of the current view
+      const updated = filterTodosByList(prev.map(todo => 
+        todo.id === current.id ? current : todo
+      ), listId);
+      setStats(calculateStats(updated));
+      return updated;
+    });
+    try {
+      updateTodoInStorage(current.id, current);
+    } catch {
+      // If todo doesn't exist in localStorage, add it
+      addTodoToStorage(current);
+    }
+  }, [listId]);
 
   /**
    * Update a todo
    * @param {string} id - Todo ID
    * @param {Object} updateData - Update data
+   * @param {Object} [options] - { version } the change is based on, to detect changes made elsewhere
+   * @returns {Promise<Object|undefined>} { conflict } with the current todo if it changed elsewhere
    */
-  const updateTodo = useCallback(async (id, updateData) => {
+  const updateTodo = useCallback(async (id, updateData, options = {}) => {
     setError(null);
 
     try {
       if (isOnline) {
         // Try API first
-        const response = await todoAPI.updateTodo(id, updateData);
+        const response = await todoAPI.updateTodo(id, updateData, options);
         const updatedTodo = response.data;
         
         // Convert MongoDB _id to id for consistency
@@ -217,30 +326,37 @@ export const useTodos = () => {
         }
         
         setTodos(prev => {
-          const updated = prev.map(todo => 
+          // Todos moved to another list drop out of the current view
+          const updated = filterTodosByList(prev.map(todo => 
             todo.id === id ? updatedTodo : todo
-          );
+          ), listId);
           const newStats = calculateStats(updated);
           setStats(newStats);
           return updated;
         });
         
-        // Update localStorage (if todo exists in localStorage)
+        // Update localStorage (if todo exists in localStorage), keeping the server's version and rendered notes
         try {
-          updateTodoInStorage(id, updateData);
+          updateTodoInStorage(id, 'notes' in updateData
+            ? { ...updateData, version: updatedTodo.version, notesHtml: updatedTodo.notesHtml }
+            : { ...updateData, version: updatedTodo.version });
         } catch (error) {
           // If todo doesn't exist in localStorage, add it
           console.log('Todo not found in localStorage, adding it:', updatedTodo);
           addTodoToStorage(updatedTodo);
         }
+        
+        // Completing a recurring todo creates its next occurrence
+        addNextOccurrence(response);
       } else {
         // Use localStorage when offline
         const updatedTodo = updateTodoInStorage(id, updateData);
         
         setTodos(prev => {
-          const updated = prev.map(todo => 
+          // Todos moved to another list drop out of the current view
+          const updated = filterTodosByList(prev.map(todo => 
             todo.id === id ? updatedTodo : todo
-          );
+          ), listId);
           const newStats = calculateStats(updated);
           setStats(newStats);
           return updated;
@@ -248,21 +364,27 @@ export const useTodos = () => {
       }
     } catch (error) {
       console.error('Error updating todo:', error);
-      setError('Failed to update todo. Please try again.');
+      // Changed elsewhere: the caller decides whether to reload or overwrite
+      const conflict = getConflictingTodo(error);
+      if (conflict) return { conflict };
+      // Blocked completions and dependency cycles come back with a specific message
+      setError(error.response?.data?.message || 'Failed to update todo. Please try again.');
     }
-  }, [isOnline]);
+  }, [isOnline, listId, addNextOccurrence]);
 
   /**
    * Toggle todo completion status
    * @param {string} id - Todo ID
+   * @param {Object} [options] - { force } to complete a todo that is still blocked, { version } the change is based on
+   * @returns {Promise<Object|undefined>} { conflict } with the current todo if it changed elsewhere
    */
-  const toggleTodoComplete = useCallback(async (id) => {
+  const toggleTodoComplete = useCallback(async (id, options = {}) => {
     setError(null);
 
     try {
       if (isOnline) {
         // Try API first
-        const response = await todoAPI.toggleTodoComplete(id);
+        const response = await todoAPI.toggleTodoComplete(id, options);
         const updatedTodo = response.data;
         
         // Convert MongoDB _id to id for consistency
@@ -283,13 +405,16 @@ export const useTodos = () => {
         const todo = todos.find(t => t.id === id);
         if (todo) {
           try {
-            updateTodoInStorage(id, { completed: !todo.completed });
+            updateTodoInStorage(id, { completed: !todo.completed, version: updatedTodo.version });
           } catch (error) {
             // If todo doesn't exist in localStorage, add it
             console.log('Todo not found in localStorage, adding it:', todo);
             addTodoToStorage(updatedTodo);
           }
         }
+        
+        // Completing a recurring todo creates its next occurrence
+        addNextOccurrence(response);
       } else {
         // Use localStorage when offline
         const todo = todos.find(t => t.id === id);
@@ -308,21 +433,69 @@ export const useTodos = () => {
       }
     } catch (error) {
       console.error('Error toggling todo:', error);
-      setError('Failed to toggle todo. Please try again.');
+      // Changed elsewhere: the caller decides whether to reload or overwrite
+      const conflict = getConflictingTodo(error);
+      if (conflict) return { conflict };
+      setError(error.response?.data?.message || 'Failed to toggle todo. Please try again.');
     }
-  }, [isOnline, todos]);
+  }, [isOnline, todos, addNextOccurrence]);
+
+  /**
+   * Move a todo in the manual order
+   * @param {string} id - Todo ID
+   * @param {Object} neighbors - { before, after } IDs of the todos to place it before/after
+   */
+  const moveTodo = useCallback(async (id, neighbors) => {
+    setError(null);
+
+    try {
+      if (isOnline) {
+        // Try API first
+        const response = await todoAPI.moveTodo(id, neighbors);
+        
+        const movedTodo = response.data;
+        setTodos(prev => prev.map(todo => 
+          todo.id === id ? { ...todo, position: movedTodo.position, version: movedTodo.version } : todo
+        ));
+        
+        // Update localStorage
+        try {
+          updateTodoInStorage(id, { position: movedTodo.position, version: movedTodo.version });
+        } catch {
+          // Todo isn't cached locally; nothing to keep in sync
+        }
+      } else {
+        // Use localStorage when offline (positioning any todos that lack one)
+        const ordered = withPositions(getTodosFromStorage().map(todo => ({
+          ...todo,
+          id: todo.id || todo._id
+        })));
+        const position = getMovedPosition(ordered, id, neighbors);
+        const updated = ordered.map(todo => todo.id === id ? { ...todo, position } : todo);
+        saveTodosToStorage(updated);
+        
+        const positions = new Map(updated.map(todo => [todo.id, todo.position]));
+        setTodos(prev => prev.map(todo => ({ ...todo, position: positions.get(todo.id) ?? todo.position })));
+      }
+    } catch (error) {
+      console.error('Error moving todo:', error);
+      setError('Failed to move todo. Please try again.');
+    }
+  }, [isOnline]);
 
   /**
    * Delete a todo
    * @param {string} id - Todo ID
+   * @param {Object} [options] - { version } the deletion is based on, to detect changes made elsewhere
+   * @returns {Promise<Object|undefined>} { conflict } with the current todo if it changed elsewhere
    */
-  const deleteTodo = useCallback(async (id) => {
+  const deleteTodo = useCallback(async (id, options = {}) => {
     setError(null);
 
     try {
       if (isOnline) {
         // Try API first
-        await todoAPI.deleteTodo(id);
+        await todoAPI.deleteTodo(id, options);
         
         setTodos(prev => {
           const updated = prev.filter(todo => todo.id !== id);
@@ -351,6 +524,9 @@ export const useTodos = () => {
       }
     } catch (error) {
       console.error('Error deleting todo:', error);
+      // Changed elsewhere: the caller decides whether to reload or delete anyway
+      const conflict = getConflictingTodo(error);
+      if (conflict) return { conflict };
       setError('Failed to delete todo. Please try again.');
     }
   }, [isOnline]);
@@ -395,6 +571,383 @@ export const useTodos = () => {
     }
   }, [isOnline, todos]);
 
+  /**
+   * Archive all completed todos (requires the API)
+   * Archived todos leave the active list but are kept for history and stats
+   * @returns {Promise<boolean>} True if the todos were archived
+   */
+  const archiveCompletedTodos = useCallback(async () => {
+    setError(null);
+
+    if (!isOnline) {
+      setError('Completed todos can only be archived while online.');
+      return false;
+    }
+
+    try {
+      await todoAPI.archiveCompletedTodos();
+      
+      setTodos(prev => {
+        const updated = prev.filter(todo => !todo.completed);
+        setStats(calculateStats(updated));
+        return updated;
+      });
+      
+      // Update localStorage (every list, not just the one in view)
+      const remainingTodos = getTodosFromStorage().filter(todo => !todo.completed);
+      saveTodosToStorage(remainingTodos);
+      saveStatsToStorage(calculateStats(remainingTodos));
+      return true;
+    } catch (error) {
+      console.error('Error archiving completed todos:', error);
+      setError('Failed to archive completed todos. Please try again.');
+      return false;
+    }
+  }, [isOnline]);
+
+  /**
+   * Apply several changes in one request (bulk actions on selected todos)
+   * Offline, updates, toggles and deletes are applied to the todos saved on the device
+   * @param {Array<Object>} operations - [{ op: 'create'|'update'|'toggle'|'delete', id?, data? }]
+   * @returns {Promise<Object>} { succeeded, failed } operation counts
+   */
+  const batchTodos = useCallback(async (operations) => {
+    setError(null);
+
+    /**
+     * Apply the outcome of a batch to the todos in view
+     * @param {Set<string>} deletedIds - IDs of deleted todos
+     * @param {Map<string, Object>} changedTodos - Created and updated todos by ID
+     */
+    const applyResults = (deletedIds, changedTodos) => {
+      setTodos(prev => {
+        const existingIds = new Set(prev.map(todo => todo.id));
+        const createdTodos = [...changedTodos.values()].filter(todo => !existingIds.has(todo.id));
+        // Todos moved to another list drop out of the current view
+        const updated = filterTodosByList([
+          ...createdTodos,
+          ...prev
+            .filter(todo => !deletedIds.has(todo.id))
+            .map(todo => changedTodos.get(todo.id) ?? todo)
+        ], listId);
+        setStats(calculateStats(updated));
+        return updated;
+      });
+    };
+
+    try {
+      if (isOnline) {
+        // Try API first
+        const response = await todoAPI.batchTodos(operations);
+        const succeeded = (response.results || []).filter(result => result.success);
+        const failures = (response.results || []).filter(result => !result.success);
+        
+        const deletedIds = new Set(succeeded
+          .filter(result => result.op === 'delete')
+          .map(result => result.id));
+        // Convert MongoDB _id to id for consistency
+        const changedTodos = new Map(succeeded
+          .filter(result => result.op !== 'delete' && result.data)
+          .map(result => {
+            const todo = { ...result.data, id: result.data._id || result.data.id };
+            return [todo.id, todo];
+          }));
+        applyResults(deletedIds, changedTodos);
+        
+        // Update localStorage
+        deletedIds.forEach(id => {
+          try {
+            deleteTodoFromStorage(id);
+          } catch {
+            // Todo isn't cached locally; nothing to remove
+          }
+        });
+        changedTodos.forEach((todo, id) => {
+          try {
+            updateTodoInStorage(id, todo);
+          } catch {
+            // If todo doesn't exist in localStorage, add it
+            addTodoToStorage(todo);
+          }
+        });
+        
+        // Completing recurring todos creates their next occurrences
+        succeeded.forEach(addNextOccurrence);
+        
+        if (failures.length > 0) {
+          setError(`${failures.length} of ${operations.length} changes failed: ${failures[0].message}`);
+        }
+        return { succeeded: succeeded.length, failed: failures.length };
+      } else {
+        // Use localStorage when offline
+        const deletedIds = new Set();
+        const changedTodos = new Map();
+        let failed = 0;
+        for (const { op, id, data } of operations) {
+          try {
+            if (op === 'delete') {
+              deleteTodoFromStorage(id);
+              deletedIds.add(id);
+            } else if (op === 'update' || op === 'toggle') {
+              const current = changedTodos.get(id) ?? todos.find(todo => todo.id === id);
+              const changes = op === 'toggle' ? { completed: !current?.completed } : data;
+              changedTodos.set(id, updateTodoInStorage(id, changes));
+            } else {
+              failed++;
+            }
+          } catch (error) {
+            console.error(`Error applying ${op} offline:`, error);
+            failed++;
+          }
+        }
+        applyResults(deletedIds, changedTodos);
+        
+        if (failed > 0) {
+          setError(`${failed} of ${operations.length} changes could not be made offline.`);
+        }
+        return { succeeded: operations.length - failed, failed };
+      }
+    } catch (error) {
+      console.error('Error running batch:', error);
+      setError(error.response?.data?.message || 'Failed to apply changes. Please try again.');
+      return { succeeded: 0, failed: operations.length };
+    }
+  }, [isOnline, listId, todos, addNextOccurrence]);
+
+  /**
+   * Set, edit or stop the recurrence of a todo's series (requires the API)
+   * @param {string} id - Todo ID
+   * @param {Object|null} recurrence - New rule, or null to stop the series
+   */
+  const updateRecurrence = useCallback(async (id, recurrence) => {
+    setError(null);
+
+    if (!isOnline) {
+      setError('Recurring schedules can only be changed while online.');
+      return;
+    }
+
+    try {
+      const response = recurrence
+        ? await todoAPI.updateRecurrence(id, recurrence)
+        : await todoAPI.stopRecurrence(id);
+      const updatedTodo = response.data;
+      
+      // Convert MongoDB _id to id for consistency
+      if (updatedTodo._id && !updatedTodo.id) {
+        updatedTodo.id = updatedTodo._id;
+      }
+      
+      // Replace the todo with its updated schedule
+      setTodos(prev => prev.map(todo => 
+        todo.id === id ? updatedTodo : todo
+      ));
+      updateTodoInStorage(id, updatedTodo);
+    } catch (error) {
+      console.error('Error updating recurrence:', error);
+      setError('Failed to update recurring schedule. Please try again.');
+    }
+  }, [isOnline]);
+
+  /**
+   * Update a todo's comment count after its thread changes
+   * @param {string} id - Todo ID
+   * @param {number} commentCount - New number of comments
+   */
+  const setCommentCount = useCallback((id, commentCount) => {
+    setTodos(prev => prev.map(todo => 
+      todo.id === id ? { ...todo, commentCount } : todo
+    ));
+    try {
+      updateTodoInStorage(id, { commentCount });
+    } catch {
+      // Todo isn't cached locally; nothing to keep in sync
+    }
+  }, []);
+
+  /**
+   * Update a todo's tracked time after its timer or time entries change
+   * @param {string} id - Todo ID
+   * @param {number} trackedSeconds - New tracked time in seconds
+   */
+  const setTrackedSeconds = useCallback((id, trackedSeconds) => {
+    setTodos(prev => {
+      const updated = prev.map(todo => 
+        todo.id === id ? { ...todo, trackedSeconds } : todo
+      );
+      setStats(calculateStats(updated));
+      return updated;
+    });
+    try {
+      updateTodoInStorage(id, { trackedSeconds });
+    } catch {
+      // Todo isn't cached locally; nothing to keep in sync
+    }
+  }, []);
+
+  /**
+   * Apply an attachment change (files live on the server, so online only)
+   * @param {string} id - Todo ID
+   * @param {Function} apiCall - Performs the API request, resolves with the response
+   * @param {string} errorMessage - Message shown on failure
+   * @returns {Promise<boolean>} Whether the change succeeded
+   */
+  const changeAttachments = useCallback(async (id, apiCall, errorMessage) => {
+    setError(null);
+
+    if (!isOnline) {
+      setError('Attachments are only available while online.');
+      return false;
+    }
+
+    try {
+      const response = await apiCall();
+      const updatedTodo = response.data;
+      
+      // Convert MongoDB _id to id for consistency
+      if (updatedTodo._id && !updatedTodo.id) {
+        updatedTodo.id = updatedTodo._id;
+      }
+      
+      setTodos(prev => prev.map(todo => 
+        todo.id === id ? updatedTodo : todo
+      ));
+      try {
+        updateTodoInStorage(id, { attachments: updatedTodo.attachments });
+      } catch {
+        // Todo isn't cached locally; nothing to keep in sync
+      }
+      return true;
+    } catch (error) {
+      console.error(errorMessage, error);
+      // Size and type limits come back with a specific message
+      setError(error.response?.data?.message || `${errorMessage} Please try again.`);
+      return false;
+    }
+  }, [isOnline]);
+
+  /**
+   * Upload files to a todo
+   * @param {string} id - Todo ID
+   * @param {Array<File>} files - Files to upload
+   * @param {Function} [onProgress] - Called with the upload progress (0-100)
+   */
+  const uploadAttachments = useCallback((id, files, onProgress) => changeAttachments(
+    id,
+    () => attachmentAPI.uploadAttachments(id, files, onProgress),
+    'Failed to upload attachments.'
+  ), [changeAttachments]);
+
+  /**
+   * Delete an attachment
+   * @param {string} id - Todo ID
+   * @param {string} attachmentId - Attachment ID
+   */
+  const deleteAttachment = useCallback((id, attachmentId) => changeAttachments(
+    id,
+    () => attachmentAPI.deleteAttachment(id, attachmentId),
+    'Failed to delete attachment.'
+  ), [changeAttachments]);
+
+  /**
+   * Apply a subtask change online (API) or offline (localStorage)
+   * @param {string} id - Todo ID
+   * @param {Function} apiCall - Performs the API request, resolves with the response
+   * @param {Function} computeSubtasks - Builds the new subtasks from the current todo
+   * @param {string} errorMessage - Message shown on failure
+   */
+  const changeSubtasks = useCallback(async (id, apiCall, computeSubtasks, errorMessage) => {
+    setError(null);
+
+    try {
+      let updatedTodo;
+      if (isOnline) {
+        // Try API first
+        const response = await apiCall();
+        updatedTodo = response.data;
+        
+        // Convert MongoDB _id to id for consistency
+        if (updatedTodo._id && !updatedTodo.id) {
+          updatedTodo.id = updatedTodo._id;
+        }
+        
+        // Update localStorage (if todo exists in localStorage)
+        try {
+          updateTodoInStorage(id, updatedTodo);
+        } catch {
+          // If todo doesn't exist in localStorage, add it
+          addTodoToStorage(updatedTodo);
+        }
+      } else {
+        // Use localStorage when offline
+        const todo = todos.find(t => t.id === id);
+        if (!todo) return;
+        updatedTodo = updateTodoInStorage(id, withSubtasks(todo, computeSubtasks(todo.subtasks || [])));
+      }
+      
+      setTodos(prev => {
+        const updated = prev.map(todo => 
+          todo.id === id ? updatedTodo : todo
+        );
+        setStats(calculateStats(updated));
+        return updated;
+      });
+    } catch (error) {
+      console.error(errorMessage, error);
+      setError(`${errorMessage} Please try again.`);
+    }
+  }, [isOnline, todos]);
+
+  /**
+   * Add a subtask to a todo
+   * @param {string} id - Todo ID
+   * @param {string} text - Subtask text
+   */
+  const addSubtask = useCallback((id, text) => changeSubtasks(
+    id,
+    () => subtaskAPI.addSubtask(id, text),
+    (subtasks) => appendSubtask(subtasks, text),
+    'Failed to add subtask.'
+  ), [changeSubtasks]);
+
+  /**
+   * Toggle a subtask's completion status
+   * @param {string} id - Todo ID
+   * @param {string} subtaskId - Subtask ID
+   */
+  const toggleSubtask = useCallback((id, subtaskId) => changeSubtasks(
+    id,
+    () => subtaskAPI.toggleSubtask(id, subtaskId),
+    (subtasks) => subtasks.map(subtask => 
+      getSubtaskId(subtask) === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+    ),
+    'Failed to toggle subtask.'
+  ), [changeSubtasks]);
+
+  /**
+   * Reorder a todo's subtasks
+   * @param {string} id - Todo ID
+   * @param {Array} reordered - Subtasks in their new order
+   */
+  const reorderSubtasks = useCallback((id, reordered) => changeSubtasks(
+    id,
+    () => subtaskAPI.reorderSubtasks(id, reordered.map(getSubtaskId)),
+    () => reordered,
+    'Failed to reorder subtasks.'
+  ), [changeSubtasks]);
+
+  /**
+   * Delete a subtask
+   * @param {string} id - Todo ID
+   * @param {string} subtaskId - Subtask ID
+   */
+  const deleteSubtask = useCallback((id, subtaskId) => changeSubtasks(
+    id,
+    () => subtaskAPI.deleteSubtask(id, subtaskId),
+    (subtasks) => subtasks.filter(subtask => getSubtaskId(subtask) !== subtaskId),
+    'Failed to delete subtask.'
+  ), [changeSubtasks]);
+
   /**
    * Clear error message
    */
@@ -402,11 +955,16 @@ export const useTodos = () => {
     setError(null);
   }, []);
 
-  // Load todos on mount and when online status changes
+  // Load todos on mount and when online status or tag filter changes
   useEffect(() => {
     loadTodos();
   }, [loadTodos]);
 
+  // Refresh tag counts whenever todos change
+  useEffect(() => {
+    loadTags();
+  }, [loadTags, todos]);
+
   return {
     // State
     todos,
@@ -414,14 +972,30 @@ export const useTodos = () => {
     loading,
     error,
     isOnline,
+    tagFilter,
+    availableTags,
     
     // Actions
     addTodo,
     updateTodo,
+    replaceTodo,
     toggleTodoComplete,
+    moveTodo,
     deleteTodo,
     deleteCompletedTodos,
+    archiveCompletedTodos,
+    batchTodos,
+    updateRecurrence,
+    addSubtask,
+    toggleSubtask,
+    reorderSubtasks,
+    deleteSubtask,
+    uploadAttachments,
+    deleteAttachment,
+    setCommentCount,
+    setTrackedSeconds,
     loadTodos,
+    setTagFilter,
     clearError
   };
 };
@@ -0,0 +1,106 @@
+/**
+ * Custom Hook for the Trash
+ * Loads deleted todos and handles restoring and emptying the trash
+ * The trash lives on the server, so it is only available while online
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { trashAPI } from '../services/api';
+
+/**
+ * Custom hook for managing trashed todos
+ * @param {boolean} isOnline - Whether the API is reachable
+ * @param {boolean} isOpen - Whether the trash view is shown (loads on open)
+ * @returns {Object} Trash state and actions
+ */
+export const useTrash = (isOnline, isOpen) => {
+  // State management
+  const [trash, setTrash] = useState([]);
+  const [purgeAfterDays, setPurgeAfterDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load trashed todos from the API
+   */
+  const loadTrash = useCallback(async () => {
+    if (!isOnline) {
+      setTrash([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await trashAPI.getTrash({ limit: 100 });
+      setTrash(response.data || []);
+      setPurgeAfterDays(response.purgeAfterDays ?? null);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      setError('Failed to load trash. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [isOnline]);
+
+  /**
+   * Restore a todo from the trash
+   * @param {string} id - Todo ID
+   * @returns {Promise<Object|undefined>} Restored todo
+   */
+  const restoreTodo = useCallback(async (id) => {
+    setError(null);
+
+    try {
+      const response = await trashAPI.restoreTodo(id);
+      setTrash(prev => prev.filter(todo => todo._id !== id));
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring todo:', error);
+      setError('Failed to restore todo. Please try again.');
+      return undefined;
+    }
+  }, []);
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  const emptyTrash = useCallback(async () => {
+    setError(null);
+
+    try {
+      await trashAPI.emptyTrash();
+      setTrash([]);
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      setError('Failed to empty trash. Please try again.');
+    }
+  }, []);
+
+  /**
+   * Clear error message
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load the trash whenever it is opened
+  useEffect(() => {
+    if (isOpen) {
+      loadTrash();
+    }
+  }, [isOpen, loadTrash]);
+
+  return {
+    // State
+    trash,
+    purgeAfterDays,
+    loading,
+    error,
+
+    // Actions
+    loadTrash,
+    restoreTodo,
+    emptyTrash,
+    clearError
+  };
+};
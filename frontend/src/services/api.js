@@ -5,6 +5,7 @@
  */
 
 import axios from 'axios';
+import { getAuthFromStorage, saveAuthToStorage, clearAuthFromStorage } from './localStorage';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -15,12 +16,54 @@ const api = axios.create({
   },
 });
 
+// Called when the session can't be refreshed and the user has to sign in again
+let onSessionExpired = null;
+
+// Refresh in flight, shared by every request that failed with an expired token
+let refreshPromise = null;
+
+/**
+ * Register the handler for sessions that can no longer be refreshed
+ * @param {Function|null} handler - Called with no arguments after the session is cleared
+ */
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+/**
+ * Exchange the refresh token for new tokens, once for all concurrent callers
+ * Uses bare axios so a failed refresh doesn't go through the interceptors again
+ * @returns {Promise<Object>} The new session
+ */
+const refreshSession = () => {
+  refreshPromise ??= (async () => {
+    try {
+      const { refreshToken } = getAuthFromStorage() || {};
+      if (!refreshToken) {
+        throw new Error('Not signed in');
+      }
+      const response = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+      const { user, accessToken, refreshToken: nextRefreshToken } = response.data.data;
+      const session = { user, accessToken, refreshToken: nextRefreshToken };
+      saveAuthToStorage(session);
+      return session;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+  return refreshPromise;
+};
+
 /**
  * Request interceptor for logging and authentication
  */
 api.interceptors.request.use(
   (config) => {
     console.log(`🚀 API Request: ${config.method?.toUpperCase()} ${config.url}`);
+    const accessToken = getAuthFromStorage()?.accessToken;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
     return config;
   },
   (error) => {
@@ -37,7 +80,25 @@ api.interceptors.response.use(
     console.log(`✅ API Response: ${response.status} ${response.config.url}`);
     return response;
   },
-  (error) => {
+  async (error) => {
+    // An expired or rejected access token: refresh the session and retry the request once
+    // (a 401 from signing in means wrong credentials, not an expired session)
+    const { config } = error;
+    const isSignIn = ['/auth/login', '/auth/register'].includes(config?.url);
+    if (error.response?.status === 401 && config && !config.retriedAfterRefresh && !isSignIn) {
+      try {
+        await refreshSession();
+      } catch (refreshError) {
+        console.error('❌ Session refresh failed:', refreshError.response?.data || refreshError.message);
+        clearAuthFromStorage();
+        onSessionExpired?.();
+        throw Object.assign(new Error('Session expired: Please sign in again'), {
+          response: error.response
+        });
+      }
+      return api({ ...config, retriedAfterRefresh: true });
+    }
+
     console.error('❌ API Response Error:', error.response?.data || error.message);
     
     // Handle different error types
@@ -45,17 +106,12 @@ api.interceptors.response.use(
       // Server responded with error status
       const { status, data } = error.response;
       const message = data?.message || 'An error occurred';
+      const prefixes = { 400: 'Bad Request', 401: 'Unauthorized', 404: 'Not Found', 500: 'Server Error' };
       
-      switch (status) {
-        case 400:
-          throw new Error(`Bad Request: ${message}`);
-        case 404:
-          throw new Error(`Not Found: ${message}`);
-        case 500:
-          throw new Error(`Server Error: ${message}`);
-        default:
-          throw new Error(`Error ${status}: ${message}`);
-      }
+      // Keep the response so callers can show the server's message or check the status
+      throw Object.assign(new Error(`${prefixes[status] || `Error ${status}`}: ${message}`), {
+        response: error.response
+      });
     } else if (error.request) {
       // Network error
       throw new Error('Network Error: Unable to connect to server');
@@ -66,19 +122,75 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Options for listing todos (all optional)
+ * Date ranges include their start and exclude their end; dates without an
+ * offset are interpreted in timeZone
+ * @typedef {Object} TodoListOptions
+ * @property {number} [page] - Page number (>= 1)
+ * @property {string} [after] - Cursor pagination: nextCursor of the previous page ('' for the first page)
+ * @property {number} [limit] - Todos per page (1-100)
+ * @property {boolean} [includeTotal] - Count all matching todos (default: true for page numbers, false for cursors)
+ * @property {'createdAt'|'updatedAt'|'dueAt'|'priority'|'position'|'text'} [sortBy] - Sort field
+ * @property {'asc'|'desc'} [sortOrder] - Sort direction
+ * @property {string} [listId] - List ID, or 'none' for the inbox
+ * @property {Array<string>|string} [tags] - Tags, as an array or comma-separated
+ * @property {'any'|'all'} [tagMode] - Whether todos need any or all of the tags
+ * @property {Date|string} [dueBefore] - Due before this date
+ * @property {Date|string} [dueAfter] - Due after this date
+ * @property {boolean} [overdue] - Only pending todos past their due date
+ * @property {boolean} [completed] - Only completed (true) or pending (false) todos
+ * @property {Date|string} [createdFrom] - Created at or after this date
+ * @property {Date|string} [createdTo] - Created before this date
+ * @property {Date|string} [updatedFrom] - Updated at or after this date
+ * @property {Date|string} [updatedTo] - Updated before this date
+ * @property {string} [timeZone] - IANA time zone for dates without an offset
+ * @property {string} [textContains] - Case-insensitive text the todo must contain
+ */
+
+/**
+ * Convert todo list options to query parameters
+ * Dates become ISO strings, tag arrays are joined and unset options are left out
+ * @param {TodoListOptions} options - List options
+ * @returns {Object} Query parameters
+ */
+const toTodoListParams = (options) => {
+  const params = {};
+  for (const [key, value] of Object.entries(options)) {
+    // An empty cursor still selects cursor pagination
+    if (value === undefined || value === null || (value === '' && key !== 'after')) continue;
+    if (value instanceof Date) {
+      params[key] = value.toISOString();
+    } else if (Array.isArray(value)) {
+      if (value.length > 0) params[key] = value.join(',');
+    } else {
+      params[key] = String(value);
+    }
+  }
+  return params;
+};
+
+/**
+ * Build the If-Match header for a change to the todo version the user last saw
+ * The server answers 412 with the current todo if it has changed since
+ * @param {number} [version] - Todo version (no header, i.e. overwrite, when undefined)
+ * @returns {Object} Request headers
+ */
+const toIfMatchHeaders = (version) => (version === undefined ? {} : { 'If-Match': `"${version}"` });
+
 /**
  * Todo API Service
  * Contains all methods for todo operations
  */
 export const todoAPI = {
   /**
-   * Get all todos with optional pagination
-   * @param {Object} params - Query parameters
-   * @returns {Promise<Array>} Array of todos
+   * Get all todos with optional pagination and filters
+   * @param {TodoListOptions} [options] - Pagination, sorting and filters
+   * @returns {Promise<Object>} Todos plus pagination for the filtered count
    */
-  getAllTodos: async (params = {}) => {
+  getAllTodos: async (options = {}) => {
     try {
-      const response = await api.get('/todos', { params });
+      const response = await api.get('/todos', { params: toTodoListParams(options) });
       return response.data;
     } catch (error) {
       console.error('Error fetching todos:', error);
@@ -86,6 +198,65 @@ export const todoAPI = {
     }
   },
 
+  /**
+   * Page through every matching todo with cursor pagination
+   * Pages stay consistent when todos are added or removed while iterating
+   * @example
+   * for await (const page of todoAPI.iterateTodos({ completed: false, limit: 100 })) { ... }
+   * @param {TodoListOptions} [options] - Sorting and filters (page and after are ignored)
+   * @yields {Array<Object>} Todos of each page, in order
+   */
+  iterateTodos: async function* (options = {}) {
+    let after = '';
+    do {
+      let response;
+      try {
+        response = await todoAPI.getAllTodos({ ...options, page: undefined, after });
+      } catch (error) {
+        console.error('Error iterating todos:', error);
+        throw error;
+      }
+      yield response.data || [];
+      after = response.pagination?.nextCursor ?? null;
+    } while (after);
+  },
+
+  /**
+   * Full-text search of todo text and notes, best matches first
+   * @param {string} q - Query: words, "exact phrases", -excluded words
+   * @param {Object} [params] - Query parameters
+   * @param {string} [params.listId] - List ID, or 'none' for the inbox
+   * @param {number} [params.page] - Page number
+   * @param {number} [params.limit] - Results per page (1-50)
+   * @returns {Promise<Object>} Todos with score and highlights, plus pagination
+   */
+  searchTodos: async (q, params = {}) => {
+    try {
+      const response = await api.get('/todos/search', { params: { q, ...params } });
+      return response.data;
+    } catch (error) {
+      console.error('Error searching todos:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get pending todos due soon, grouped by day
+   * @param {Object} params - Query parameters
+   * @param {number} [params.days] - Days to look ahead (1-90)
+   * @param {string} [params.timeZone] - IANA time zone for day grouping
+   * @returns {Promise<Object>} Overdue todos and agenda
+   */
+  getUpcomingTodos: async (params = {}) => {
+    try {
+      const response = await api.get('/todos/upcoming', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching upcoming todos:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get a single todo by ID
    * @param {string} id - Todo ID
@@ -105,6 +276,11 @@ export const todoAPI = {
    * Create a new todo
    * @param {Object} todoData - Todo data
    * @param {string} todoData.text - Todo text
+   * @param {string} [todoData.priority] - Priority (none, low, medium, high, urgent)
+   * @param {Array<string>} [todoData.tags] - Tags
+   * @param {string} [todoData.listId] - List ID (omit for the inbox)
+   * @param {string} [todoData.dueAt] - ISO due date
+   * @param {string} [todoData.dueTimeZone] - IANA time zone of the due date
    * @returns {Promise<Object>} Created todo
    */
   createTodo: async (todoData) => {
@@ -124,11 +300,14 @@ export const todoAPI = {
    * Update a todo
    * @param {string} id - Todo ID
    * @param {Object} updateData - Update data
+   * @param {Object} [options] - { version } the change is based on
    * @returns {Promise<Object>} Updated todo
    */
-  updateTodo: async (id, updateData) => {
+  updateTodo: async (id, updateData, { version } = {}) => {
     try {
-      const response = await api.put(`/todos/${id}`, updateData);
+      const response = await api.put(`/todos/${id}`, updateData, {
+        headers: toIfMatchHeaders(version)
+      });
       return response.data;
     } catch (error) {
       console.error('Error updating todo:', error);
@@ -136,14 +315,68 @@ export const todoAPI = {
     }
   },
 
+  /**
+   * Run several todo operations in one request
+   * @param {Array<Object>} operations - [{ op: 'create'|'update'|'toggle'|'delete', id?, data?, force? }]
+   * @param {Object} [options] - { atomic } to roll back every operation if one fails
+   * @returns {Promise<Object>} A result per operation, in order, plus a summary
+   */
+  batchTodos: async (operations, { atomic = false } = {}) => {
+    try {
+      const response = await api.post('/todos/batch', { operations, atomic });
+      return response.data;
+    } catch (error) {
+      console.error('Error running batch:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download todos as a file
+   * @param {string} format - 'json', 'csv' or 'md'
+   * @param {Object} [params] - { listId } (a list ID, or 'none' for the inbox)
+   * @returns {Promise<Blob>} File contents
+   */
+  exportTodos: async (format, params = {}) => {
+    try {
+      const response = await api.get('/todos/export', {
+        params: { format, ...params },
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting todos:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Import todos from the contents of a file, or preview the import
+   * @param {Object} importData - { format, content, duplicates: 'skip'|'overwrite'|'keep', dryRun, listId }
+   * @returns {Promise<Object>} What happened (or would happen) to each row, plus a summary
+   */
+  importTodos: async (importData) => {
+    try {
+      const response = await api.post('/todos/import', importData);
+      return response.data;
+    } catch (error) {
+      console.error('Error importing todos:', error);
+      throw error;
+    }
+  },
+
   /**
    * Toggle todo completion status
    * @param {string} id - Todo ID
+   * @param {Object} options - { force } to complete a todo that is still blocked, { version } the change is based on
    * @returns {Promise<Object>} Updated todo
    */
-  toggleTodoComplete: async (id) => {
+  toggleTodoComplete: async (id, { force = false, version } = {}) => {
     try {
-      const response = await api.patch(`/todos/${id}/toggle`);
+      const response = await api.patch(`/todos/${id}/toggle`, null, {
+        params: force ? { force: true } : {},
+        headers: toIfMatchHeaders(version)
+      });
       return response.data;
     } catch (error) {
       console.error('Error toggling todo:', error);
@@ -154,11 +387,14 @@ export const todoAPI = {
   /**
    * Delete a todo
    * @param {string} id - Todo ID
+   * @param {Object} [options] - { version } the deletion is based on
    * @returns {Promise<Object>} Deletion result
    */
-  deleteTodo: async (id) => {
+  deleteTodo: async (id, { version } = {}) => {
     try {
-      const response = await api.delete(`/todos/${id}`);
+      const response = await api.delete(`/todos/${id}`, {
+        headers: toIfMatchHeaders(version)
+      });
       return response.data;
     } catch (error) {
       console.error('Error deleting todo:', error);
@@ -193,6 +429,954 @@ export const todoAPI = {
       throw error;
     }
   },
+
+  /**
+   * Render Markdown notes to sanitized HTML without saving
+   * @param {string} notes - Markdown source
+   * @returns {Promise<Object>} Rendered HTML ({ html })
+   */
+  previewNotes: async (notes) => {
+    try {
+      const response = await api.post('/todos/notes/preview', { notes });
+      return response.data;
+    } catch (error) {
+      console.error('Error previewing notes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a todo in the manual order
+   * @param {string} id - Todo ID
+   * @param {Object} neighbors - { before, after } IDs of the todos to place it before/after
+   * @returns {Promise<Object>} Moved todo
+   */
+  moveTodo: async (id, neighbors) => {
+    try {
+      const response = await api.patch(`/todos/${id}/move`, neighbors);
+      return response.data;
+    } catch (error) {
+      console.error('Error moving todo:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a todo's dependency graph
+   * @param {string} id - Todo ID
+   * @returns {Promise<Object>} { todo, upstream, downstream, isBlocked }
+   */
+  getDependencies: async (id) => {
+    try {
+      const response = await api.get(`/todos/${id}/dependencies`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching todo dependencies:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Archive all completed todos
+   * @returns {Promise<Object>} Archive result
+   */
+  archiveCompletedTodos: async () => {
+    try {
+      const response = await api.post('/todos/archive-completed');
+      return response.data;
+    } catch (error) {
+      console.error('Error archiving completed todos:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Browse archived todos, most recently completed first
+   * @param {Object} params - Query parameters (page, limit, from, to, timeZone)
+   * @returns {Promise<Object>} Archived todos and pagination
+   */
+  getArchivedTodos: async (params = {}) => {
+    try {
+      const response = await api.get('/todos/archive', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching archived todos:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get every occurrence in a todo's recurring series
+   * @param {string} id - Todo ID
+   * @returns {Promise<Object>} { seriesId, recurrence, occurrences }
+   */
+  getSeries: async (id) => {
+    try {
+      const response = await api.get(`/todos/${id}/recurrence`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching series:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Set or edit the recurrence rule of a todo's series
+   * @param {string} id - Todo ID
+   * @param {Object} recurrence - { frequency, interval?, daysOfWeek?, dayOfMonth?, until?, count? }
+   * @returns {Promise<Object>} Updated todo
+   */
+  updateRecurrence: async (id, recurrence) => {
+    try {
+      const response = await api.put(`/todos/${id}/recurrence`, { recurrence });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating recurrence:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop a recurring series
+   * @param {string} id - Todo ID
+   * @returns {Promise<Object>} Updated todo
+   */
+  stopRecurrence: async (id) => {
+    try {
+      const response = await api.delete(`/todos/${id}/recurrence`);
+      return response.data;
+    } catch (error) {
+      console.error('Error stopping recurrence:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Subtask API Service
+ * Contains all methods for todo checklist items
+ * Every method resolves with the updated parent todo
+ */
+export const subtaskAPI = {
+  /**
+   * Add a subtask to a todo
+   * @param {string} todoId - Todo ID
+   * @param {string} text - Subtask text
+   * @returns {Promise<Object>} Updated todo
+   */
+  addSubtask: async (todoId, text) => {
+    try {
+      const response = await api.post(`/todos/${todoId}/subtasks`, { text });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding subtask:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Toggle a subtask's completion status
+   * @param {string} todoId - Todo ID
+   * @param {string} subtaskId - Subtask ID
+   * @returns {Promise<Object>} Updated todo
+   */
+  toggleSubtask: async (todoId, subtaskId) => {
+    try {
+      const response = await api.patch(`/todos/${todoId}/subtasks/${subtaskId}/toggle`);
+      return response.data;
+    } catch (error) {
+      console.error('Error toggling subtask:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reorder a todo's subtasks
+   * @param {string} todoId - Todo ID
+   * @param {Array<string>} order - Every subtask ID in the new order
+   * @returns {Promise<Object>} Updated todo
+   */
+  reorderSubtasks: async (todoId, order) => {
+    try {
+      const response = await api.patch(`/todos/${todoId}/subtasks/reorder`, { order });
+      return response.data;
+    } catch (error) {
+      console.error('Error reordering subtasks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a subtask
+   * @param {string} todoId - Todo ID
+   * @param {string} subtaskId - Subtask ID
+   * @returns {Promise<Object>} Updated todo
+   */
+  deleteSubtask: async (todoId, subtaskId) => {
+    try {
+      const response = await api.delete(`/todos/${todoId}/subtasks/${subtaskId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting subtask:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Comment API Service
+ * Contains all methods for a todo's discussion thread
+ */
+export const commentAPI = {
+  /**
+   * Get a todo's comments, oldest first
+   * @param {string} todoId - Todo ID
+   * @param {Object} params - Query parameters (page, limit)
+   * @returns {Promise<Object>} Comments with pagination
+   */
+  getComments: async (todoId, params = {}) => {
+    try {
+      const response = await api.get(`/todos/${todoId}/comments`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a comment to a todo
+   * @param {string} todoId - Todo ID
+   * @param {Object} commentData - { body }
+   * @returns {Promise<Object>} Created comment and the new commentCount
+   */
+  addComment: async (todoId, commentData) => {
+    try {
+      const response = await api.post(`/todos/${todoId}/comments`, commentData);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Edit a comment
+   * @param {string} todoId - Todo ID
+   * @param {string} commentId - Comment ID
+   * @param {string} body - New comment body
+   * @returns {Promise<Object>} Updated comment
+   */
+  updateComment: async (todoId, commentId, body) => {
+    try {
+      const response = await api.put(`/todos/${todoId}/comments/${commentId}`, { body });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a comment
+   * @param {string} todoId - Todo ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>} Deleted comment and the new commentCount
+   */
+  deleteComment: async (todoId, commentId) => {
+    try {
+      const response = await api.delete(`/todos/${todoId}/comments/${commentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Time API Service
+ * Contains all methods for time tracking: the timer, time entries and reports
+ * Entry changes resolve with the todo's new trackedSeconds
+ */
+export const timeAPI = {
+  /**
+   * Start a timer on a todo (fails with 409 while another timer runs)
+   * @param {string} todoId - Todo ID
+   * @returns {Promise<Object>} Running time entry
+   */
+  startTimer: async (todoId) => {
+    try {
+      const response = await api.post(`/todos/${todoId}/timer/start`);
+      return response.data;
+    } catch (error) {
+      console.error('Error starting timer:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Stop the timer running on a todo
+   * @param {string} todoId - Todo ID
+   * @returns {Promise<Object>} Finished time entry and trackedSeconds
+   */
+  stopTimer: async (todoId) => {
+    try {
+      const response = await api.post(`/todos/${todoId}/timer/stop`);
+      return response.data;
+    } catch (error) {
+      console.error('Error stopping timer:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the running timer, if any
+   * @returns {Promise<Object>} Running entry with todoText, or null data
+   */
+  getRunningTimer: async () => {
+    try {
+      const response = await api.get('/time/running');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching running timer:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a todo's time entries, newest first
+   * @param {string} todoId - Todo ID
+   * @returns {Promise<Object>} Time entries and trackedSeconds
+   */
+  getTimeEntries: async (todoId) => {
+    try {
+      const response = await api.get(`/todos/${todoId}/time-entries`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a finished time entry by hand
+   * @param {string} todoId - Todo ID
+   * @param {Object} entryData - { startedAt, endedAt, note? }
+   * @returns {Promise<Object>} Created entry and trackedSeconds
+   */
+  addTimeEntry: async (todoId, entryData) => {
+    try {
+      const response = await api.post(`/todos/${todoId}/time-entries`, entryData);
+      return response.data;
+    } catch (error) {
+      console.error('Error adding time entry:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Edit a time entry
+   * @param {string} todoId - Todo ID
+   * @param {string} entryId - Time entry ID
+   * @param {Object} entryData - { startedAt?, endedAt?, note? }
+   * @returns {Promise<Object>} Updated entry and trackedSeconds
+   */
+  updateTimeEntry: async (todoId, entryId, entryData) => {
+    try {
+      const response = await api.put(`/todos/${todoId}/time-entries/${entryId}`, entryData);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating time entry:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a time entry
+   * @param {string} todoId - Todo ID
+   * @param {string} entryId - Time entry ID
+   * @returns {Promise<Object>} Deleted entry and trackedSeconds
+   */
+  deleteTimeEntry: async (todoId, entryId) => {
+    try {
+      const response = await api.delete(`/todos/${todoId}/time-entries/${entryId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting time entry:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sum tracked time over a date range
+   * @param {Object} params - Query parameters (from, to, groupBy: day|tag|list, timeZone)
+   * @returns {Promise<Object>} Report groups and totalSeconds
+   */
+  getTimeReport: async (params = {}) => {
+    try {
+      const response = await api.get('/time/report', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching time report:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Attachment API Service
+ * Contains all methods for files attached to a todo
+ * Upload and delete resolve with the updated parent todo
+ */
+export const attachmentAPI = {
+  /**
+   * Upload files to a todo
+   * @param {string} todoId - Todo ID
+   * @param {Array<File>} files - Files to upload
+   * @param {Function} [onProgress] - Called with the upload progress (0-100)
+   * @returns {Promise<Object>} Updated todo
+   */
+  uploadAttachments: async (todoId, files, onProgress) => {
+    try {
+      const formData = new FormData();
+      files.forEach(file => formData.append('files', file));
+      
+      const response = await api.post(`/todos/${todoId}/attachments`, formData, {
+        // Large files need longer than the default timeout
+        timeout: 120000,
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded / event.total) * 100));
+          }
+        }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading attachments:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an attachment
+   * @param {string} todoId - Todo ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Object>} Updated todo
+   */
+  deleteAttachment: async (todoId, attachmentId) => {
+    try {
+      const response = await api.delete(`/todos/${todoId}/attachments/${attachmentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the URL of an attachment, for links and image thumbnails
+   * @param {string} todoId - Todo ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} [options] - { inline: true } to display images instead of downloading
+   * @returns {string} Attachment URL
+   */
+  getAttachmentUrl: (todoId, attachmentId, { inline = false } = {}) => {
+    // Links and <img> tags can't send headers, so the access token goes in the query
+    const params = new URLSearchParams();
+    if (inline) params.set('inline', 'true');
+    const accessToken = getAuthFromStorage()?.accessToken;
+    if (accessToken) params.set('access_token', accessToken);
+    const query = params.toString();
+    return `${api.defaults.baseURL}/todos/${todoId}/attachments/${attachmentId}${query ? `?${query}` : ''}`;
+  },
+};
+
+/**
+ * List API Service
+ * Contains all methods for todo lists (projects)
+ */
+export const listAPI = {
+  /**
+   * Get all lists
+   * @param {Object} params - Query parameters
+   * @param {boolean} [params.includeArchived] - Include archived lists
+   * @returns {Promise<Object>} Lists
+   */
+  getAllLists: async (params = {}) => {
+    try {
+      const response = await api.get('/lists', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching lists:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a new list
+   * @param {Object} listData - List data
+   * @param {string} listData.name - List name
+   * @param {string} [listData.color] - Hex color
+   * @param {string} [listData.icon] - Icon name
+   * @returns {Promise<Object>} Created list
+   */
+  createList: async (listData) => {
+    try {
+      const response = await api.post('/lists', listData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating list:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a list
+   * @param {string} id - List ID
+   * @param {Object} updateData - Update data (name, color, icon, archived)
+   * @returns {Promise<Object>} Updated list
+   */
+  updateList: async (id, updateData) => {
+    try {
+      const response = await api.put(`/lists/${id}`, updateData);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating list:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a list (its todos move to the inbox)
+   * @param {string} id - List ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  deleteList: async (id) => {
+    try {
+      const response = await api.delete(`/lists/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting list:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the todos of a list
+   * @param {string} id - List ID
+   * @param {Object} params - Query parameters (page, limit, sortBy, sortOrder)
+   * @returns {Promise<Object>} Todos and pagination
+   */
+  getListTodos: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/lists/${id}/todos`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching list todos:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get statistics for a list
+   * @param {string} id - List ID
+   * @returns {Promise<Object>} Statistics object
+   */
+  getListStats: async (id) => {
+    try {
+      const response = await api.get(`/lists/${id}/stats`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching list stats:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Invite someone to a list by email (owner only)
+   * @param {string} id - List ID
+   * @param {Object} inviteData - { email, role: 'editor' | 'viewer' }
+   * @returns {Promise<Object>} Updated list
+   */
+  inviteCollaborator: async (id, inviteData) => {
+    try {
+      const response = await api.post(`/lists/${id}/invites`, inviteData);
+      return response.data;
+    } catch (error) {
+      console.error('Error inviting collaborator:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Withdraw a pending invite (owner only)
+   * @param {string} id - List ID
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<Object>} Updated list
+   */
+  revokeInvite: async (id, inviteId) => {
+    try {
+      const response = await api.delete(`/lists/${id}/invites/${inviteId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error withdrawing invite:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Change a collaborator's role (owner only)
+   * @param {string} id - List ID
+   * @param {string} userId - Collaborator's user ID
+   * @param {string} role - 'editor' or 'viewer'
+   * @returns {Promise<Object>} Updated list
+   */
+  updateCollaborator: async (id, userId, role) => {
+    try {
+      const response = await api.patch(`/lists/${id}/collaborators/${userId}`, { role });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating collaborator:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a collaborator, or leave the list when userId is your own
+   * @param {string} id - List ID
+   * @param {string} userId - Collaborator's user ID
+   * @returns {Promise<Object>} Updated list (null after leaving)
+   */
+  removeCollaborator: async (id, userId) => {
+    try {
+      const response = await api.delete(`/lists/${id}/collaborators/${userId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing collaborator:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Invite API Service
+ * Contains all methods for the signed-in user's invites to shared lists
+ */
+export const inviteAPI = {
+  /**
+   * Get pending invites sent to the signed-in user's email
+   * @returns {Promise<Array>} Invites with their list and owner
+   */
+  getInvites: async () => {
+    try {
+      const response = await api.get('/invites');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching invites:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Accept an invite and join its list
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<Object>} The joined list
+   */
+  acceptInvite: async (inviteId) => {
+    try {
+      const response = await api.post(`/invites/${inviteId}/accept`);
+      return response.data;
+    } catch (error) {
+      console.error('Error accepting invite:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Decline an invite
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<Object>} Response
+   */
+  declineInvite: async (inviteId) => {
+    try {
+      const response = await api.delete(`/invites/${inviteId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error declining invite:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Tag API Service
+ * Contains all methods for tag management
+ */
+export const tagAPI = {
+  /**
+   * Get all tags with usage counts
+   * @returns {Promise<Object>} Tags as { name, count }
+   */
+  getAllTags: async () => {
+    try {
+      const response = await api.get('/tags');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rename a tag on every todo that uses it
+   * @param {string} name - Current tag name
+   * @param {string} newName - New tag name
+   * @returns {Promise<Object>} Rename result
+   */
+  renameTag: async (name, newName) => {
+    try {
+      const response = await api.put(`/tags/${encodeURIComponent(name)}`, { newName });
+      return response.data;
+    } catch (error) {
+      console.error('Error renaming tag:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Merge several tags into one
+   * @param {Array<string>} sources - Tags to merge
+   * @param {string} target - Tag to merge into
+   * @returns {Promise<Object>} Merge result
+   */
+  mergeTags: async (sources, target) => {
+    try {
+      const response = await api.post('/tags/merge', { sources, target });
+      return response.data;
+    } catch (error) {
+      console.error('Error merging tags:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * History API Service
+ * Contains methods for todo change history and the activity feed
+ */
+export const historyAPI = {
+  /**
+   * Get a todo's change history, newest first
+   * @param {string} id - Todo ID
+   * @param {Object} params - Query parameters (page, limit)
+   * @returns {Promise<Object>} History entries and pagination
+   */
+  getTodoHistory: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/todos/${id}/history`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching todo history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the activity feed across all todos, newest first
+   * @param {Object} params - Query parameters (page, limit, action)
+   * @returns {Promise<Object>} History entries and pagination
+   */
+  getActivity: async (params = {}) => {
+    try {
+      const response = await api.get('/activity', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Trash API Service
+ * Contains all methods for browsing and restoring deleted todos
+ */
+export const trashAPI = {
+  /**
+   * Get trashed todos, most recently deleted first
+   * @param {Object} params - Query parameters (page, limit)
+   * @returns {Promise<Object>} Trashed todos, pagination and purgeAfterDays
+   */
+  getTrash: async (params = {}) => {
+    try {
+      const response = await api.get('/trash', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore a todo from the trash
+   * @param {string} id - Todo ID
+   * @returns {Promise<Object>} Restored todo
+   */
+  restoreTodo: async (id) => {
+    try {
+      const response = await api.post(`/trash/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring todo:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete every todo in the trash
+   * @returns {Promise<Object>} Deletion result
+   */
+  emptyTrash: async () => {
+    try {
+      const response = await api.delete('/trash');
+      return response.data;
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Auth API Service
+ * Contains all methods for accounts and sessions
+ */
+export const authAPI = {
+  /**
+   * Create an account
+   * @param {Object} credentials - Account details
+   * @param {string} credentials.email - Email
+   * @param {string} credentials.password - Password (at least 8 characters)
+   * @param {string} [credentials.name] - Display name
+   * @returns {Promise<Object>} { user, accessToken, refreshToken, expiresIn }
+   */
+  register: async (credentials) => {
+    try {
+      const response = await api.post('/auth/register', credentials);
+      return response.data;
+    } catch (error) {
+      console.error('Error registering:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign in
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} { user, accessToken, refreshToken, expiresIn }
+   */
+  login: async (credentials) => {
+    try {
+      const response = await api.post('/auth/login', credentials);
+      return response.data;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sign out by revoking the refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} Response
+   */
+  logout: async (refreshToken) => {
+    try {
+      const response = await api.post('/auth/logout', { refreshToken });
+      return response.data;
+    } catch (error) {
+      console.error('Error signing out:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the signed-in user
+   * @returns {Promise<Object>} User
+   */
+  getMe: async () => {
+    try {
+      const response = await api.get('/auth/me');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching user:', error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * API Token Service
+ * Contains all methods for personal API tokens (used by scripts and automation)
+ */
+export const apiTokenAPI = {
+  /**
+   * Get the signed-in user's API tokens (without the tokens themselves)
+   * @returns {Promise<Object>} Tokens and the available scopes
+   */
+  getTokens: async () => {
+    try {
+      const response = await api.get('/tokens');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching API tokens:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create an API token
+   * @param {Object} tokenData - Token details
+   * @param {string} tokenData.name - Token name
+   * @param {Array<string>} tokenData.scopes - 'read', 'write' and/or 'delete'
+   * @param {number|null} [tokenData.expiresInDays] - Days until it expires (null for never)
+   * @returns {Promise<Object>} The token's details, plus the raw token (shown only once)
+   */
+  createToken: async (tokenData) => {
+    try {
+      const response = await api.post('/tokens', tokenData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke an API token
+   * @param {string} id - Token ID
+   * @returns {Promise<Object>} Response
+   */
+  revokeToken: async (id) => {
+    try {
+      const response = await api.delete(`/tokens/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the calendar feed URL for an API token, to subscribe to in a calendar app
+   * Calendar apps can't send headers, so the token goes in the query
+   * @param {string} token - API token with the read scope
+   * @returns {string} Feed URL
+   */
+  getCalendarFeedUrl: (token) => {
+    return `${api.defaults.baseURL}/calendar.ics?access_token=${encodeURIComponent(token)}`;
+  },
 };
 
 export default api;
@@ -4,8 +4,82 @@
  * Provides fallback when API is unavailable
  */
 
+import { getTopPosition } from '../utils/position';
+
 const STORAGE_KEY = 'todoapp_todos';
 const STATS_KEY = 'todoapp_stats';
+const LISTS_KEY = 'todoapp_lists';
+const AUTH_KEY = 'todoapp_auth';
+
+// Signed-in user whose offline data is read and written (see setStorageUser)
+let storageUserId = null;
+
+/**
+ * Namespace a storage key by the signed-in user, so accounts sharing a browser
+ * never see each other's offline data
+ * @param {string} key - Base storage key
+ * @returns {string} Key for the current user
+ */
+const userKey = (key) => storageUserId ? `${key}_${storageUserId}` : key;
+
+/**
+ * Switch offline data to a user's namespace
+ * Data saved before accounts existed moves to the first user who signs in on this browser
+ * @param {string|null} userId - User ID, or null when signed out
+ */
+export const setStorageUser = (userId) => {
+  storageUserId = userId;
+  if (!userId) return;
+
+  try {
+    [STORAGE_KEY, STATS_KEY, LISTS_KEY].forEach(key => {
+      const legacy = localStorage.getItem(key);
+      if (legacy !== null && localStorage.getItem(userKey(key)) === null) {
+        localStorage.setItem(userKey(key), legacy);
+      }
+      localStorage.removeItem(key);
+    });
+  } catch (error) {
+    console.error('Error migrating offline data in localStorage:', error);
+  }
+};
+
+/**
+ * Get the saved session
+ * @returns {Object|null} { user, accessToken, refreshToken }, or null when signed out
+ */
+export const getAuthFromStorage = () => {
+  try {
+    const auth = localStorage.getItem(AUTH_KEY);
+    return auth ? JSON.parse(auth) : null;
+  } catch (error) {
+    console.error('Error reading session from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the session
+ * @param {Object} auth - { user, accessToken, refreshToken }
+ */
+export const saveAuthToStorage = (auth) => {
+  try {
+    localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+  } catch (error) {
+    console.error('Error saving session to localStorage:', error);
+  }
+};
+
+/**
+ * Forget the session (the user's offline data stays for their next sign-in)
+ */
+export const clearAuthFromStorage = () => {
+  try {
+    localStorage.removeItem(AUTH_KEY);
+  } catch (error) {
+    console.error('Error clearing session from localStorage:', error);
+  }
+};
 
 /**
  * Get todos from local storage
@@ -13,7 +87,7 @@ const STATS_KEY = 'todoapp_stats';
  */
 export const getTodosFromStorage = () => {
   try {
-    const todos = localStorage.getItem(STORAGE_KEY);
+    const todos = localStorage.getItem(userKey(STORAGE_KEY));
     return todos ? JSON.parse(todos) : [];
   } catch (error) {
     console.error('Error reading todos from localStorage:', error);
@@ -27,7 +101,7 @@ export const getTodosFromStorage = () => {
  */
 export const saveTodosToStorage = (todos) => {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
+    localStorage.setItem(userKey(STORAGE_KEY), JSON.stringify(todos));
     console.log('✅ Todos saved to localStorage');
   } catch (error) {
     console.error('Error saving todos to localStorage:', error);
@@ -40,7 +114,7 @@ export const saveTodosToStorage = (todos) => {
  */
 export const getStatsFromStorage = () => {
   try {
-    const stats = localStorage.getItem(STATS_KEY);
+    const stats = localStorage.getItem(userKey(STATS_KEY));
     return stats ? JSON.parse(stats) : { total: 0, completed: 0, pending: 0 };
   } catch (error) {
     console.error('Error reading stats from localStorage:', error);
@@ -54,7 +128,7 @@ export const getStatsFromStorage = () => {
  */
 export const saveStatsToStorage = (stats) => {
   try {
-    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+    localStorage.setItem(userKey(STATS_KEY), JSON.stringify(stats));
     console.log('✅ Stats saved to localStorage');
   } catch (error) {
     console.error('Error saving stats to localStorage:', error);
@@ -71,7 +145,90 @@ export const calculateStats = (todos) => {
   const completed = todos.filter(todo => todo.completed).length;
   const pending = total - completed;
   
-  return { total, completed, pending };
+  // Estimated vs. tracked time, matching the API's stats
+  const estimated = todos.filter(todo => todo.estimateMinutes > 0);
+  const sumTracked = (list) => list.reduce((sum, todo) => sum + (todo.trackedSeconds || 0), 0);
+  const time = {
+    estimatedMinutes: estimated.reduce((sum, todo) => sum + todo.estimateMinutes, 0),
+    trackedSeconds: sumTracked(todos),
+    estimatedTodos: estimated.length,
+    trackedOnEstimatedSeconds: sumTracked(estimated)
+  };
+  
+  return { total, completed, pending, time };
+};
+
+/**
+ * Filter todos by list
+ * @param {Array} todos - Array of todos
+ * @param {string|null} listId - List ID, 'none' for the inbox, or null for all todos
+ * @returns {Array} Matching todos
+ */
+export const filterTodosByList = (todos, listId = null) => {
+  if (listId === null) return todos;
+  if (listId === 'none') return todos.filter(todo => !todo.listId);
+  return todos.filter(todo => todo.listId === listId);
+};
+
+/**
+ * Get lists from local storage
+ * @returns {Array} Array of lists
+ */
+export const getListsFromStorage = () => {
+  try {
+    const lists = localStorage.getItem(userKey(LISTS_KEY));
+    return lists ? JSON.parse(lists) : [];
+  } catch (error) {
+    console.error('Error reading lists from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Save lists to local storage
+ * @param {Array} lists - Array of lists to save
+ */
+export const saveListsToStorage = (lists) => {
+  try {
+    localStorage.setItem(userKey(LISTS_KEY), JSON.stringify(lists));
+  } catch (error) {
+    console.error('Error saving lists to localStorage:', error);
+  }
+};
+
+/**
+ * Filter todos by tags (same semantics as the API's tags/tagMode query)
+ * @param {Array} todos - Array of todos
+ * @param {Array<string>} tags - Tags to filter on
+ * @param {string} mode - 'any' (at least one tag) or 'all' (every tag)
+ * @returns {Array} Matching todos
+ */
+export const filterTodosByTags = (todos, tags = [], mode = 'any') => {
+  if (tags.length === 0) return todos;
+  
+  return todos.filter(todo => {
+    const todoTags = todo.tags || [];
+    return mode === 'all'
+      ? tags.every(tag => todoTags.includes(tag))
+      : tags.some(tag => todoTags.includes(tag));
+  });
+};
+
+/**
+ * Get all tags used by todos in local storage with usage counts
+ * @returns {Array} Tags as { name, count }, most used first
+ */
+export const getTagsFromStorage = () => {
+  const counts = {};
+  getTodosFromStorage().forEach(todo => {
+    (todo.tags || []).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  
+  return Object.entries(counts)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
 };
 
 /**
@@ -84,6 +241,9 @@ export const addTodoToStorage = (todo) => {
     const newTodo = {
       ...todo,
       id: todo.id || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      tags: todo.tags || [],
+      // New todos go to the top of the manual order
+      position: todo.position || getTopPosition(todos),
       createdAt: todo.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -118,6 +278,8 @@ export const updateTodoInStorage = (id, updateData) => {
     if (index !== -1) {
       todos[index] = {
         ...todos[index],
+        // Rendered notes come from the server; drop them when the notes change locally
+        ...('notes' in updateData && { notesHtml: null }),
         ...updateData,
         id: todos[index].id || todos[index]._id, // Ensure id is set
         updatedAt: new Date().toISOString()
@@ -173,8 +335,8 @@ export const deleteTodoFromStorage = (id) => {
  */
 export const clearTodosFromStorage = () => {
   try {
-    localStorage.removeItem(STORAGE_KEY);
-    localStorage.removeItem(STATS_KEY);
+    localStorage.removeItem(userKey(STORAGE_KEY));
+    localStorage.removeItem(userKey(STATS_KEY));
     console.log('✅ Todos cleared from localStorage');
   } catch (error) {
     console.error('Error clearing todos from localStorage:', error);
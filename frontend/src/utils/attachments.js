@@ -0,0 +1,40 @@
+/**
+ * Attachment Utilities
+ * File type and size helpers for todo attachments
+ */
+
+// Image types the API serves inline, shown as thumbnails
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// File picker filter, mirroring the API's default allowed types
+export const ATTACHMENT_ACCEPT = [
+  ...IMAGE_MIME_TYPES,
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  '.md',
+  'application/zip',
+  '.doc',
+  '.docx',
+  '.xls',
+  '.xlsx'
+].join(',');
+
+/**
+ * Check whether an attachment can be shown as an image thumbnail
+ * @param {Object} attachment - Attachment metadata
+ * @returns {boolean} True for inline image types
+ */
+export const isImageAttachment = (attachment) => IMAGE_MIME_TYPES.includes(attachment.mimeType);
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "820 B", "14 KB" or "2.5 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+};
@@ -0,0 +1,88 @@
+/**
+ * Date Utilities
+ * Helpers for due date display and date picker conversion
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const relativeFormatter = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+
+/**
+ * Get the user's IANA time zone (e.g. 'Europe/Berlin')
+ * @returns {string} Time zone name
+ */
+export const getLocalTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Convert a datetime-local input value to an ISO string
+ * @param {string} value - Value like '2025-01-31T17:30' (local time)
+ * @returns {string|null} ISO string, or null when empty/invalid
+ */
+export const localInputToISO = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Convert an ISO string to a datetime-local input value
+ * @param {string} iso - ISO date string
+ * @returns {string} Value like '2025-01-31T17:30', or '' when empty
+ */
+export const isoToLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return '';
+  const offsetDate = new Date(date.getTime() - date.getTimezoneOffset() * MINUTE);
+  return offsetDate.toISOString().slice(0, 16);
+};
+
+/**
+ * Describe a due date relative to now
+ * @param {string} dueAt - ISO due date
+ * @param {boolean} completed - Whether the todo is completed
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object|null} { label, status } where status is 'done', 'overdue', 'soon' or 'later'
+ */
+export const getDueStatus = (dueAt, completed, now = new Date()) => {
+  if (!dueAt) return null;
+  const due = new Date(dueAt);
+  if (isNaN(due.getTime())) return null;
+
+  const diff = due.getTime() - now.getTime();
+  const absDiff = Math.abs(diff);
+
+  let relative;
+  if (absDiff < HOUR) {
+    relative = relativeFormatter.format(Math.round(diff / MINUTE), 'minute');
+  } else if (absDiff < DAY) {
+    relative = relativeFormatter.format(Math.round(diff / HOUR), 'hour');
+  } else {
+    relative = relativeFormatter.format(Math.round(diff / DAY), 'day');
+  }
+
+  if (completed) {
+    return { label: `due ${relative}`, status: 'done' };
+  }
+  if (diff < 0) {
+    return { label: `overdue (${relative})`, status: 'overdue' };
+  }
+  return { label: `due ${relative}`, status: diff < DAY ? 'soon' : 'later' };
+};
+
+/**
+ * Get the start (Monday 00:00, local time) of the week containing a date
+ * @param {string|Date} value - Date to evaluate
+ * @returns {Date} Start of the week
+ */
+export const getWeekStart = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  // getDay() is 0 for Sunday, which belongs to the week that started 6 days earlier
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date;
+};
@@ -0,0 +1,62 @@
+/**
+ * Dependency Utilities
+ * Resolve "blocked by" references and mirror the backend's cycle check
+ * so the picker can hide choices the API would reject
+ */
+
+/**
+ * Get a todo's ID whether it came from the API (_id) or localStorage (id)
+ * @param {Object} todo - Todo object
+ * @returns {string} Todo ID
+ */
+const getTodoId = (todo) => String(todo.id || todo._id);
+
+/**
+ * Resolve a todo's blockers to { id, text, completed }
+ * Prefers the todos loaded in the app (fresh after offline edits),
+ * falling back to the blockers populated by the API
+ * @param {Object} todo - Todo with a blockedBy array
+ * @param {Array} todos - Todos currently loaded
+ * @returns {Array<Object>} Blockers in blockedBy order; unknown IDs are skipped
+ */
+export const resolveBlockers = (todo, todos = []) => {
+  const known = new Map([...(todo.blockers || []), ...todos].map(item => [getTodoId(item), item]));
+  return (todo.blockedBy || [])
+    .map(id => known.get(String(id)))
+    .filter(Boolean)
+    .map(blocker => ({ id: getTodoId(blocker), text: blocker.text, completed: Boolean(blocker.completed) }));
+};
+
+/**
+ * Get the blockers that still prevent a todo from being completed
+ * @param {Object} todo - Todo with a blockedBy array
+ * @param {Array} todos - Todos currently loaded
+ * @returns {Array<Object>} Pending blockers
+ */
+export const getPendingBlockers = (todo, todos = []) => {
+  return resolveBlockers(todo, todos).filter(blocker => !blocker.completed);
+};
+
+/**
+ * Check whether blocking a todo by another one would create a cycle,
+ * i.e. whether the todo already (directly or indirectly) blocks the blocker
+ * @param {string} todoId - Todo that would be blocked
+ * @param {string} blockerId - Todo that would block it
+ * @param {Array} todos - Todos currently loaded
+ * @returns {boolean} True if the edge would create a cycle
+ */
+export const wouldCreateCycle = (todoId, blockerId, todos = []) => {
+  const blockedByOf = new Map(todos.map(todo => [getTodoId(todo), (todo.blockedBy || []).map(String)]));
+  const visited = new Set();
+  const queue = [String(blockerId)];
+
+  // Walk upstream from the blocker; reaching the todo closes a loop
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === String(todoId)) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    queue.push(...(blockedByOf.get(id) || []));
+  }
+  return false;
+};
@@ -0,0 +1,94 @@
+/**
+ * History Utilities
+ * Labels and value formatting for todo change history entries
+ */
+
+import { PRIORITY_STYLES } from './priority';
+import { describeRecurrence } from './recurrence';
+import { formatDuration } from './time';
+
+// Past-tense labels for history actions
+export const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  toggle: 'Toggled',
+  move: 'Reordered',
+  delete: 'Moved to trash',
+  restore: 'Restored',
+  archive: 'Archived'
+};
+
+// Fields recorded for auditing but not shown (e.g. raw position keys)
+export const HIDDEN_FIELDS = ['position'];
+
+// Display names for tracked fields
+export const FIELD_LABELS = {
+  text: 'Text',
+  notes: 'Notes',
+  completed: 'Completed',
+  priority: 'Priority',
+  tags: 'Tags',
+  listId: 'List',
+  blockedBy: 'Blocked by',
+  dueAt: 'Due',
+  dueTimeZone: 'Time zone',
+  estimateMinutes: 'Estimate',
+  recurrence: 'Repeat',
+  autoCompleteOnSubtasks: 'Auto-complete',
+  subtasks: 'Checklist',
+  attachments: 'Attachments',
+  archivedAt: 'Archived',
+  deletedAt: 'Deleted'
+};
+
+/**
+ * Format a history value for display
+ * @param {string} field - Field name
+ * @param {*} value - Value from the history entry
+ * @param {Array} [lists=[]] - Known lists, to show list names
+ * @returns {string} Display value
+ */
+export const formatHistoryValue = (field, value, lists = []) => {
+  if (value === null || value === undefined) {
+    return field === 'listId' ? 'Inbox' : '—';
+  }
+
+  switch (field) {
+    case 'completed':
+    case 'autoCompleteOnSubtasks':
+      return value ? 'Yes' : 'No';
+    case 'priority':
+      return PRIORITY_STYLES[value]?.label || value;
+    case 'tags':
+      return value.map(tag => `#${tag}`).join(' ');
+    case 'listId':
+      return lists.find(list => list._id === value)?.name || 'Deleted list';
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'estimateMinutes':
+      return formatDuration(value * 60);
+    case 'blockedBy':
+      // Only IDs are recorded; the blocking todos may have been renamed or deleted since
+      return value.length === 0 ? 'Nothing' : `${value.length} task${value.length === 1 ? '' : 's'}`;
+    case 'subtasks':
+      // Recorded as { text, completed } in checklist order
+      return value.map(subtask => `${subtask.completed ? '☑' : '☐'} ${subtask.text}`).join(', ');
+    case 'attachments':
+      // Recorded as file names
+      return value.join(', ');
+    case 'notes':
+      // Notes can be long; show the start only
+      return value.length > 80 ? `${value.slice(0, 80)}…` : value;
+    case 'dueAt':
+    case 'archivedAt':
+    case 'deletedAt':
+      return new Date(value).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    default:
+      return String(value);
+  }
+};
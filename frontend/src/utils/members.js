@@ -0,0 +1,64 @@
+/**
+ * Member Utilities
+ * Helpers for shared lists: members, roles and display names
+ */
+
+// Roles a list owner can give collaborators
+export const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+// What each role can do, shown in the sharing panel
+export const ROLE_DESCRIPTIONS = {
+  owner: 'Manages the list and its sharing',
+  editor: 'Can add, change and delete todos',
+  viewer: 'Can only view todos'
+};
+
+/**
+ * Get a user's display name
+ * @param {Object} user - { name, email }
+ * @returns {string} Name, or email when the user has no name
+ */
+export const getMemberName = (user) => user?.name || user?.email || 'Unknown user';
+
+/**
+ * Get up to two initials from a name or email
+ * @param {Object} user - { name, email }
+ * @returns {string} Initials
+ */
+export const getInitials = (user) => {
+  const words = getMemberName(user).split(/[\s@.]+/).filter(Boolean);
+  return words.slice(0, 2).map(word => word[0].toUpperCase()).join('');
+};
+
+/**
+ * Get a list's members with their roles, owner first
+ * Members are populated by the API as { _id, name, email }
+ * @param {Object} list - List
+ * @returns {Array<Object>} Members as { _id, name, email, role }
+ */
+export const getListMembers = (list) => {
+  const members = [];
+  if (list.ownerId?._id) {
+    members.push({ ...list.ownerId, role: 'owner' });
+  }
+  for (const collaborator of list.collaborators || []) {
+    if (collaborator.userId?._id) {
+      members.push({ ...collaborator.userId, role: collaborator.role });
+    }
+  }
+  return members;
+};
+
+/**
+ * Get the current user's role on a todo, which is their role on its list
+ * Inbox todos (and todos in lists not loaded yet) are treated as the user's own
+ * @param {Object} todo - Todo
+ * @param {Array<Object>} lists - Lists the user belongs to
+ * @returns {string} 'owner', 'editor' or 'viewer'
+ */
+export const getTodoRole = (todo, lists = []) => {
+  if (!todo.listId) {
+    return 'owner';
+  }
+  return lists.find(list => list._id === todo.listId)?.role || 'owner';
+};
@@ -0,0 +1,34 @@
+/**
+ * Notes Utilities
+ * Limits for Markdown notes and link detection for plain todo text
+ */
+
+// Mirrors the API's default notes limit
+export const MAX_NOTES_LENGTH = 10000;
+
+// http(s) and www. links, without trailing punctuation such as "." or ")"
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,:;'!?)\]]/gi;
+
+/**
+ * Split plain text into text and link segments
+ * @param {string} text - Plain text
+ * @returns {Array} Segments as { text } or { text, href }
+ */
+export const splitLinks = (text) => {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(URL_REGEX)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index) });
+    }
+    const url = match[0];
+    segments.push({ text: url, href: /^www\./i.test(url) ? `https://${url}` : url });
+    lastIndex = match.index + url.length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex) });
+  }
+  return segments;
+};
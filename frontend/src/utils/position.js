@@ -0,0 +1,115 @@
+/**
+ * Position Utilities
+ * Fractional rank keys for manual ordering, matching the API's keys
+ * Used to reorder todos offline and to sort by manual order
+ */
+
+// Digits in ascending ASCII order, so string comparison matches numeric order
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Midpoint of two fractional digit strings (a < b, b null for "infinity")
+ * @param {string} a - Lower bound ('' for zero)
+ * @param {string|null} b - Upper bound
+ * @returns {string} Key strictly between a and b
+ */
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Skip the shared prefix
+    let n = 0;
+    while ((a[n] || '0') === b[n]) {
+      n++;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Consecutive digits: use b's first digit if b continues, else extend a
+  if (b && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * Generate a key between two neighbors
+ * @param {string|null} before - Key of the previous item (null for the start)
+ * @param {string|null} after - Key of the next item (null for the end)
+ * @returns {string} New key
+ */
+export const keyBetween = (before, after) => {
+  if (before && after && before >= after) {
+    throw new Error(`Invalid position range: ${before} >= ${after}`);
+  }
+  return midpoint(before || '', after || null);
+};
+
+/**
+ * Compare two todos by manual position
+ * Todos without a position (created before manual ordering) come last, newest first
+ * @param {Object} a - First todo
+ * @param {Object} b - Second todo
+ * @returns {number} Sort order
+ */
+export const compareByPosition = (a, b) => {
+  if (a.position && b.position) {
+    return a.position < b.position ? -1 : a.position > b.position ? 1 : 0;
+  }
+  if (a.position) return -1;
+  if (b.position) return 1;
+  return new Date(b.createdAt) - new Date(a.createdAt);
+};
+
+/**
+ * Get the position key for a new todo at the top of the manual order
+ * @param {Array} todos - Existing todos
+ * @returns {string} Position key
+ */
+export const getTopPosition = (todos) => {
+  const first = todos
+    .map(todo => todo.position)
+    .filter(Boolean)
+    .sort()[0];
+  return keyBetween(null, first || null);
+};
+
+/**
+ * Give every todo a position, appending unpositioned todos after the rest
+ * @param {Array} todos - Todos
+ * @returns {Array} Todos in manual order, all with a position
+ */
+export const withPositions = (todos) => {
+  const sorted = [...todos].sort(compareByPosition);
+  let lastPosition = null;
+  return sorted.map(todo => {
+    const position = todo.position || keyBetween(lastPosition, null);
+    lastPosition = position;
+    return todo.position ? todo : { ...todo, position };
+  });
+};
+
+/**
+ * Calculate the new position of a todo placed before and/or after neighbors
+ * @param {Array} todos - Todos in manual order, all with a position
+ * @param {string} id - Todo being moved
+ * @param {Object} neighbors - { before, after } IDs of the todos to place it before/after
+ * @returns {string} New position key
+ */
+export const getMovedPosition = (todos, id, { before, after }) => {
+  const others = todos.filter(todo => todo.id !== id);
+  const nextIndex = before ? others.findIndex(todo => todo.id === before) : -1;
+  const previousIndex = after ? others.findIndex(todo => todo.id === after) : -1;
+
+  // With a single neighbor, the other side is whatever currently follows/precedes it
+  const previous = after ? others[previousIndex] : others[nextIndex - 1];
+  const next = before ? others[nextIndex] : others[previousIndex + 1];
+
+  return keyBetween(previous?.position || null, next?.position || null);
+};
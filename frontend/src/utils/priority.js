@@ -0,0 +1,39 @@
+/**
+ * Priority Utilities
+ * Priority levels, display styles and sorting helpers
+ */
+
+// Priority levels from lowest to highest ('none' always sorts last)
+export const PRIORITY_LEVELS = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Display label and colors for each priority level
+export const PRIORITY_STYLES = {
+  none: { label: 'No priority', dot: 'bg-gray-300', text: 'text-gray-500' },
+  low: { label: 'Low', dot: 'bg-green-500', text: 'text-green-700' },
+  medium: { label: 'Medium', dot: 'bg-yellow-500', text: 'text-yellow-700' },
+  high: { label: 'High', dot: 'bg-orange-500', text: 'text-orange-700' },
+  urgent: { label: 'Urgent', dot: 'bg-red-600', text: 'text-red-700' }
+};
+
+/**
+ * Get the numeric rank of a priority (0 for none or unknown)
+ * @param {string} priority - Priority level
+ * @returns {number} Rank
+ */
+export const getPriorityRank = (priority) => {
+  const rank = PRIORITY_LEVELS.indexOf(priority);
+  return rank === -1 ? 0 : rank;
+};
+
+/**
+ * Compare two todos by priority, highest first, with no priority last
+ * Ties fall back to newest first
+ * @param {Object} a - First todo
+ * @param {Object} b - Second todo
+ * @returns {number} Sort order
+ */
+export const compareByPriority = (a, b) => {
+  const rankDiff = getPriorityRank(b.priority) - getPriorityRank(a.priority);
+  if (rankDiff !== 0) return rankDiff;
+  return new Date(b.createdAt) - new Date(a.createdAt);
+};
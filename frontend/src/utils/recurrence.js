@@ -0,0 +1,64 @@
+/**
+ * Recurrence Utilities
+ * Frequencies and human-readable descriptions of recurring schedules
+ */
+
+// Supported frequencies, matching the API
+export const FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekdays', label: 'Every weekday', unit: null },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' }
+];
+
+// Short weekday names, indexed 0 = Sunday
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Add an English ordinal suffix (1st, 2nd, 3rd, 4th...)
+ * @param {number} value - Number to format
+ * @returns {string} Ordinal
+ */
+const toOrdinal = (value) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${value}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(value)]}`;
+};
+
+/**
+ * Describe a recurrence rule, e.g. "Every 2 weeks on Mon, Wed"
+ * @param {Object|null} rule - Recurrence rule
+ * @returns {string} Description, or an empty string when not recurring
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule?.frequency) return '';
+
+  const frequency = FREQUENCIES.find(option => option.value === rule.frequency);
+  if (!frequency) return '';
+
+  const interval = rule.interval || 1;
+  let description;
+
+  if (!frequency.unit) {
+    description = frequency.label;
+  } else if (interval === 1) {
+    description = frequency.label;
+  } else {
+    description = `Every ${interval} ${frequency.unit}s`;
+  }
+
+  if (rule.frequency === 'weekly' && rule.daysOfWeek?.length) {
+    description += ` on ${rule.daysOfWeek.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+
+  if (rule.frequency === 'monthly' && rule.dayOfMonth) {
+    description += ` on the ${toOrdinal(rule.dayOfMonth)}`;
+  }
+
+  if (rule.count) {
+    description += `, ${rule.count} times`;
+  } else if (rule.until) {
+    description += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  }
+
+  return description;
+};
@@ -0,0 +1,182 @@
+/**
+ * Search Utilities
+ * Mirrors the backend search query parsing and highlighting, so offline search
+ * over saved todos finds and marks the same matches as the API
+ * Words match any of them, "quoted phrases" must all appear, -word or -"phrase" excludes
+ */
+
+// Characters of context kept on each side of the first match in a notes snippet
+const SNIPPET_CONTEXT = 60;
+
+// Endings stripped from search words so "running" also matches "run" and "runs"
+const WORD_ENDINGS = /(ing|ed|es|s)$/;
+
+// Matches in the text count for more than matches in the notes (same weights as the text index)
+const FIELD_WEIGHTS = { text: 3, notes: 1 };
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a search query into its parts
+ * @param {string} query - Raw query
+ * @returns {Object} { terms, phrases, excluded } (all lowercase)
+ */
+export const parseSearchQuery = (query) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  // Quoted phrases (optionally negated), then single words (optionally negated)
+  for (const [, phraseNegation, phrase, wordNegation, word] of String(query).matchAll(/(-?)"([^"]*)"|(-?)(\S+)/g)) {
+    if (phrase !== undefined) {
+      const value = phrase.trim().toLowerCase();
+      if (value) (phraseNegation ? excluded : phrases).push(value);
+    } else {
+      const value = word.replace(/^"+|"+$/g, '').toLowerCase();
+      if (value) (wordNegation ? excluded : terms).push(value);
+    }
+  }
+
+  return { terms, phrases, excluded };
+};
+
+/**
+ * Check whether a parsed query has anything to search for
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} True if the query has words or phrases
+ */
+export const hasSearchTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+/**
+ * Build the pattern for a search word: the start of a word, up to its end
+ * @param {string} term - Search word
+ * @returns {string} Regular expression source
+ */
+const termPattern = (term) => {
+  // "running" -> "runn" -> "run"
+  const stem = term.length > 4 ? term.replace(WORD_ENDINGS, '').replace(/([^aeiou])\1$/, '$1') : term;
+  return `${/^\w/.test(stem) ? '\\b' : ''}${escapeRegex(stem)}\\w*`;
+};
+
+/**
+ * Find the ranges of a text that match a parsed query
+ * @param {string} text - Text to search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end] ranges
+ */
+export const findMatches = (text, parsed) => {
+  const patterns = [...parsed.phrases.map(escapeRegex), ...parsed.terms.map(termPattern)];
+  if (!text || patterns.length === 0) {
+    return [];
+  }
+
+  const ranges = [...text.matchAll(new RegExp(patterns.join('|'), 'gi'))]
+    .filter(match => match[0].length > 0)
+    .map(match => [match.index, match.index + match[0].length])
+    .sort((a, b) => a[0] - b[0]);
+
+  // Merge overlapping ranges (a phrase containing a word, for example)
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Cut a snippet around the first match of a long text
+ * @param {string} text - Full text
+ * @param {Array<Array<number>>} matches - Ranges from findMatches
+ * @returns {Object} { snippet, matches } with ranges relative to the snippet
+ */
+const buildSnippet = (text, matches) => {
+  const start = Math.max(0, matches[0][0] - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_CONTEXT * 2);
+  const prefix = start > 0 ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    snippet: prefix + text.slice(start, end) + (end < text.length ? '…' : ''),
+    matches: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset])
+  };
+};
+
+/**
+ * Build the highlights of a search result, in the API's format
+ * @param {Object} todo - Todo (text, notes)
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<Object>} [{ field, snippet, matches }] for each field that matched
+ */
+export const buildHighlights = (todo, parsed) => {
+  const highlights = [];
+
+  const textMatches = findMatches(todo.text, parsed);
+  if (textMatches.length > 0) {
+    highlights.push({ field: 'text', snippet: todo.text, matches: textMatches });
+  }
+
+  const notesMatches = findMatches(todo.notes, parsed);
+  if (notesMatches.length > 0) {
+    highlights.push({ field: 'notes', ...buildSnippet(todo.notes, notesMatches) });
+  }
+
+  return highlights;
+};
+
+/**
+ * Check whether a todo satisfies a query: no excluded words, every phrase,
+ * and (without phrases) at least one word
+ * @param {Object} todo - Todo
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} True if the todo matches
+ */
+const matchesQuery = (todo, parsed) => {
+  const content = `${todo.text || ''}\n${todo.notes || ''}`;
+  const lowerContent = content.toLowerCase();
+
+  const isExcluded = parsed.excluded.some(value => value.includes(' ')
+    ? lowerContent.includes(value)
+    : new RegExp(`\\b${escapeRegex(value)}\\b`, 'i').test(content));
+  if (isExcluded) {
+    return false;
+  }
+  if (parsed.phrases.length > 0) {
+    return parsed.phrases.every(phrase => lowerContent.includes(phrase));
+  }
+  return parsed.terms.some(term => new RegExp(termPattern(term), 'i').test(content));
+};
+
+/**
+ * Search todos on the device (offline fallback for the search API)
+ * Archived todos are skipped, like the API does
+ * @param {Array<Object>} todos - Todos to search
+ * @param {string} query - Raw query
+ * @returns {Array<Object>} Matching todos with score and highlights, best first
+ */
+export const searchTodosLocally = (todos, query) => {
+  const parsed = parseSearchQuery(query);
+  if (!hasSearchTerms(parsed)) {
+    return [];
+  }
+
+  return todos
+    .filter(todo => !todo.archivedAt && matchesQuery(todo, parsed))
+    .map(todo => {
+      const highlights = buildHighlights(todo, parsed);
+      const score = highlights.reduce((total, highlight) =>
+        total + highlight.matches.length * FIELD_WEIGHTS[highlight.field], 0);
+      return { ...todo, score, highlights };
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt));
+};
@@ -0,0 +1,66 @@
+/**
+ * Subtask Utilities
+ * Client-side checklist operations used by the offline path
+ * Mirrors the backend rules: progress rollup and optional auto-complete
+ */
+
+/**
+ * Calculate subtask completion percentage
+ * @param {Array} subtasks - Subtasks
+ * @returns {number|null} Percentage (0-100), or null without subtasks
+ */
+export const calculateProgress = (subtasks = []) => {
+  if (subtasks.length === 0) return null;
+  const done = subtasks.filter(subtask => subtask.completed).length;
+  return Math.round((done / subtasks.length) * 100);
+};
+
+/**
+ * Build the updated fields for a todo after its subtasks change
+ * @param {Object} todo - Todo before the change
+ * @param {Array} subtasks - New subtasks
+ * @returns {Object} Fields to store: subtasks, progress and (maybe) completed
+ */
+export const withSubtasks = (todo, subtasks) => {
+  const fields = { subtasks, progress: calculateProgress(subtasks) };
+  if (todo.autoCompleteOnSubtasks && subtasks.length > 0) {
+    fields.completed = subtasks.every(subtask => subtask.completed);
+  }
+  return fields;
+};
+
+/**
+ * Create a new local subtask at the end of the checklist
+ * @param {Array} subtasks - Existing subtasks
+ * @param {string} text - Subtask text
+ * @returns {Array} New subtasks
+ */
+export const appendSubtask = (subtasks, text) => {
+  const order = subtasks.reduce((max, subtask) => Math.max(max, subtask.order + 1), 0);
+  const id = `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return [...subtasks, { _id: id, id, text, completed: false, order }];
+};
+
+/**
+ * Get a subtask's ID (MongoDB _id or local id)
+ * @param {Object} subtask - Subtask
+ * @returns {string} Subtask ID
+ */
+export const getSubtaskId = (subtask) => subtask._id || subtask.id;
+
+/**
+ * Move a subtask up or down by one position
+ * @param {Array} subtasks - Subtasks in display order
+ * @param {string} subtaskId - Subtask to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array|null} Reordered subtasks, or null if the move is out of bounds
+ */
+export const moveSubtask = (subtasks, subtaskId, offset) => {
+  const index = subtasks.findIndex(subtask => getSubtaskId(subtask) === subtaskId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= subtasks.length) return null;
+
+  const reordered = [...subtasks];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered.map((subtask, order) => ({ ...subtask, order }));
+};
@@ -0,0 +1,36 @@
+/**
+ * Tag Utilities
+ * Mirrors the backend tag normalization so offline tags match online ones
+ */
+
+// Tags are lowercase letters, digits, dashes, underscores and slashes
+const TAG_REGEX = /^[a-z0-9][a-z0-9_\-/]*$/;
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a tag: trim, drop a leading '#', lowercase
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag
+ */
+export const normalizeTag = (tag) => String(tag).trim().replace(/^#+/, '').toLowerCase();
+
+/**
+ * Check whether a normalized tag is valid
+ * @param {string} tag - Normalized tag
+ * @returns {boolean} True if valid
+ */
+export const isValidTag = (tag) => tag.length > 0 && tag.length <= MAX_TAG_LENGTH && TAG_REGEX.test(tag);
+
+/**
+ * Parse user input like "#backend, errands" into normalized tags
+ * @param {string} input - Comma or space separated tags
+ * @returns {Array<string>} Valid, unique tags
+ */
+export const parseTagInput = (input) => {
+  return [...new Set(
+    input
+      .split(/[\s,]+/)
+      .map(normalizeTag)
+      .filter(isValidTag)
+  )];
+};
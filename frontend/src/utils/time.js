@@ -0,0 +1,63 @@
+/**
+ * Time Tracking Utilities
+ * Formatting for tracked durations and estimates
+ */
+
+// Mirrors the API's estimate limit (1000 hours)
+export const MAX_ESTIMATE_MINUTES = 60000;
+
+/**
+ * Format a duration as hours and minutes, e.g. "1h 05m" or "45m"
+ * Durations under a minute are shown in seconds
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  if (total < 60) {
+    return `${total}s`;
+  }
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+/**
+ * Format a running timer's elapsed time as a clock, e.g. "1:05:09" or "05:09"
+ * @param {number} seconds - Elapsed seconds
+ * @returns {string} Clock display
+ */
+export const formatElapsed = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Parse an estimate typed as minutes ("90"), hours ("1.5h") or both ("1h 30m")
+ * @param {string} input - Estimate input
+ * @returns {number|null|undefined} Whole minutes, null when empty, undefined when invalid
+ */
+export const parseEstimateInput = (input) => {
+  const value = input.trim().toLowerCase();
+  if (value === '') return null;
+
+  const match = value.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m?)?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return undefined;
+
+  const minutes = Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+  return minutes >= 1 && minutes <= MAX_ESTIMATE_MINUTES ? minutes : undefined;
+};
+
+/**
+ * Convert a date to the value of a datetime-local input in the user's time zone
+ * @param {string|Date} date - Date to convert
+ * @returns {string} Value like "2025-03-01T09:30"
+ */
+export const toDateTimeInputValue = (date) => {
+  const d = new Date(date);
+  const local = new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
@@ -0,0 +1,167 @@
+/**
+ * Todo Export Format Utilities
+ * Serializes todos as JSON, CSV or Markdown the same way the API's export does,
+ * so todos saved on the device can be exported while offline
+ */
+
+// Fields of an exported todo, in CSV column order (matches the API)
+const EXPORT_FIELDS = [
+  'id',
+  'text',
+  'completed',
+  'priority',
+  'tags',
+  'dueAt',
+  'dueTimeZone',
+  'estimateMinutes',
+  'notes',
+  'createdAt',
+  'completedAt'
+];
+
+// Spreadsheets run cells starting with these as formulas, so exports prefix them with '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format an optional date as an ISO string
+ * @param {Date|string|null} value - Date
+ * @returns {string|null} ISO string, or null
+ */
+const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+/**
+ * Get the exported fields of a todo
+ * @param {Object} todo - Todo
+ * @returns {Object} Record with the exported fields
+ */
+const toExportRecord = (todo) => ({
+  id: String(todo._id ?? todo.id),
+  text: todo.text,
+  completed: Boolean(todo.completed),
+  priority: todo.priority || 'none',
+  tags: todo.tags || [],
+  dueAt: toIso(todo.dueAt),
+  dueTimeZone: todo.dueTimeZone || null,
+  estimateMinutes: todo.estimateMinutes ?? null,
+  notes: todo.notes || null,
+  createdAt: toIso(todo.createdAt),
+  completedAt: toIso(todo.completedAt)
+});
+
+/**
+ * Format a value as a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let cell = Array.isArray(value) ? value.join(',') : String(value);
+  if (FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]|^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Format a todo as a Markdown checklist item with its fields as nested items
+ * @param {Object} record - Export record
+ * @returns {string} Markdown
+ */
+const toMarkdownItem = (record) => {
+  const lines = [`- [${record.completed ? 'x' : ' '}] ${record.text.replace(/\s*\n\s*/g, ' ')}`];
+  if (record.priority !== 'none') lines.push(`  - priority: ${record.priority}`);
+  if (record.tags.length > 0) lines.push(`  - tags: ${record.tags.join(', ')}`);
+  if (record.dueAt) lines.push(`  - due: ${record.dueAt}`);
+  if (record.dueTimeZone) lines.push(`  - timezone: ${record.dueTimeZone}`);
+  if (record.estimateMinutes) lines.push(`  - estimate: ${record.estimateMinutes}`);
+  lines.push(`  - id: ${record.id}`);
+  if (record.notes) {
+    lines.push(...record.notes.split(/\r?\n/).map(line => `  > ${line}`.trimEnd()));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Export formats: label, content type, file extension, and serializer
+ */
+export const EXPORT_FORMATS = {
+  json: {
+    label: 'JSON',
+    contentType: 'application/json',
+    extension: 'json',
+    serialize: (records) => `[${records.map((record, index) => `${index > 0 ? ',' : ''}\n  ${JSON.stringify(record)}`).join('')}\n]\n`
+  },
+  csv: {
+    label: 'CSV',
+    contentType: 'text/csv',
+    extension: 'csv',
+    // The byte order mark makes spreadsheets read the file as UTF-8
+    serialize: (records) => `\uFEFF${[EXPORT_FIELDS, ...records.map(record => EXPORT_FIELDS.map(field => toCsvCell(record[field])))]
+      .map(cells => `${cells.join(',')}\r\n`).join('')}`
+  },
+  md: {
+    label: 'Markdown',
+    contentType: 'text/markdown',
+    extension: 'md',
+    serialize: (records) => `# Todos\n\n${records.map(toMarkdownItem).join('')}`
+  }
+};
+
+// Formats accepted by imports, with their labels: the export formats and iCalendar files
+export const IMPORT_FORMATS = {
+  ...Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([format, { label }]) => [format, label])),
+  ics: 'iCalendar'
+};
+
+/**
+ * Serialize todos in an export format, oldest first like the API's export
+ * @param {Array} todos - Todos
+ * @param {string} format - 'json', 'csv' or 'md'
+ * @returns {Blob} File contents
+ */
+export const serializeTodos = (todos, format) => {
+  const { serialize, contentType } = EXPORT_FORMATS[format];
+  const records = [...todos]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(toExportRecord);
+  return new Blob([serialize(records)], { type: `${contentType};charset=utf-8` });
+};
+
+/**
+ * Get the name of an export file
+ * @param {string} format - 'json', 'csv' or 'md'
+ * @returns {string} e.g. todos-2024-05-01.csv
+ */
+export const getExportFileName = (format) => {
+  return `todos-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Guess the import format from a file name
+ * @param {string} fileName - File name
+ * @returns {string|null} 'json', 'csv', 'md' or 'ics', or null if unknown
+ */
+export const getFormatFromFileName = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'markdown') return 'md';
+  if (extension === 'ical') return 'ics';
+  return Object.hasOwn(IMPORT_FORMATS, extension) ? extension : null;
+};
+
+/**
+ * Save a file through the browser's download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - File name
+ */
+export const downloadFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -5,6 +5,42 @@
 
 const API_BASE = 'http://localhost:5000/api';
 
+/**
+ * Register a throwaway account
+ * @returns {Promise<Object>} { email, message, authHeader }
+ */
+async function registerAccount() {
+  const email = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+  const registerResponse = await fetch(`${API_BASE}/auth/register`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      email,
+      password: 'test-password'
+    })
+  });
+  const registerData = await registerResponse.json();
+  return {
+    email,
+    message: registerData.message,
+    authHeader: { Authorization: `Bearer ${registerData.data?.accessToken}` }
+  };
+}
+
+/**
+ * Throw unless a response has the expected status
+ * @param {Response} response - Fetch response
+ * @param {number} expected - Expected status code
+ * @param {string} label - What was tested, for the error message
+ */
+function expectStatus(response, expected, label) {
+  if (response.status !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${response.status}`);
+  }
+}
+
 async function testAPI() {
   console.log('🧪 Testing Todo Backend API...\n');
 
@@ -16,9 +52,23 @@ async function testAPI() {
     console.log('✅ Health check:', healthData.message);
     console.log('');
 
+    // Every todo endpoint needs a signed-in user: use a personal API token from
+    // API_TOKEN (needs the read, write and delete scopes), or register a throwaway account
+    let authHeader;
+    if (process.env.API_TOKEN) {
+      console.log('🔑 Using the API token from API_TOKEN');
+      authHeader = { Authorization: `Bearer ${process.env.API_TOKEN}` };
+    } else {
+      console.log('🔑 Testing POST /api/auth/register...');
+      const account = await registerAccount();
+      console.log('✅ Register:', account.message);
+      authHeader = account.authHeader;
+    }
+    console.log('');
+
     // Test 2: Get all todos (should be empty initially)
     console.log('2️⃣ Testing GET /api/todos...');
-    const todosResponse = await fetch(`${API_BASE}/todos`);
+    const todosResponse = await fetch(`${API_BASE}/todos`, { headers: authHeader });
     const todosData = await todosResponse.json();
     console.log('✅ Get todos:', todosData.message);
     console.log('📊 Current todos count:', todosData.data?.length || 0);
@@ -30,6 +80,7 @@ async function testAPI() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeader,
       },
       body: JSON.stringify({
         text: 'Test todo from script'
@@ -44,7 +95,7 @@ async function testAPI() {
     if (todoId) {
       // Test 4: Get the created todo
       console.log('4️⃣ Testing GET /api/todos/:id...');
-      const getTodoResponse = await fetch(`${API_BASE}/todos/${todoId}`);
+      const getTodoResponse = await fetch(`${API_BASE}/todos/${todoId}`, { headers: authHeader });
       const getTodoData = await getTodoResponse.json();
       console.log('✅ Get todo by ID:', getTodoData.message);
       console.log('📝 Todo text:', getTodoData.data?.text);
@@ -53,7 +104,8 @@ async function testAPI() {
       // Test 5: Toggle todo completion
       console.log('5️⃣ Testing PATCH /api/todos/:id/toggle...');
       const toggleResponse = await fetch(`${API_BASE}/todos/${todoId}/toggle`, {
-        method: 'PATCH'
+        method: 'PATCH',
+        headers: authHeader
       });
       const toggleData = await toggleResponse.json();
       console.log('✅ Toggle todo:', toggleData.message);
@@ -66,6 +118,7 @@ async function testAPI() {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeader,
         },
         body: JSON.stringify({
           text: 'Updated test todo from script'
@@ -78,7 +131,7 @@ async function testAPI() {
 
       // Test 7: Get stats
       console.log('7️⃣ Testing GET /api/todos/stats...');
-      const statsResponse = await fetch(`${API_BASE}/todos/stats`);
+      const statsResponse = await fetch(`${API_BASE}/todos/stats`, { headers: authHeader });
       const statsData = await statsResponse.json();
       console.log('✅ Get stats:', statsData.message);
       console.log('📊 Stats:', statsData.data);
@@ -87,13 +140,77 @@ async function testAPI() {
       // Test 8: Delete the todo
       console.log('8️⃣ Testing DELETE /api/todos/:id...');
       const deleteResponse = await fetch(`${API_BASE}/todos/${todoId}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: authHeader
       });
       const deleteData = await deleteResponse.json();
       console.log('✅ Delete todo:', deleteData.message);
       console.log('');
     }
 
+    // Test 9: Attachments on a shared list (viewers can open files but not add them)
+    console.log('9️⃣ Testing attachments for a viewer of a shared list...');
+    const listResponse = await fetch(`${API_BASE}/lists`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ name: 'Shared test list' })
+    });
+    expectStatus(listResponse, 201, 'Create list');
+    const listId = (await listResponse.json()).data._id;
+
+    const sharedTodoResponse = await fetch(`${API_BASE}/todos`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ text: 'Shared test todo', listId })
+    });
+    expectStatus(sharedTodoResponse, 201, 'Create todo in list');
+    const sharedTodoId = (await sharedTodoResponse.json()).data._id;
+
+    const uploadForm = () => {
+      const form = new FormData();
+      form.append('files', new Blob(['hello'], { type: 'text/plain' }), 'hello.txt');
+      return form;
+    };
+    const ownerUploadResponse = await fetch(`${API_BASE}/todos/${sharedTodoId}/attachments`, {
+      method: 'POST',
+      headers: authHeader,
+      body: uploadForm()
+    });
+    expectStatus(ownerUploadResponse, 201, 'Owner upload');
+    const attachmentId = (await ownerUploadResponse.json()).data.attachments[0]._id;
+
+    const viewer = await registerAccount();
+    const inviteResponse = await fetch(`${API_BASE}/lists/${listId}/invites`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ email: viewer.email, role: 'viewer' })
+    });
+    expectStatus(inviteResponse, 201, 'Invite viewer');
+    const invitesData = await (await fetch(`${API_BASE}/invites`, { headers: viewer.authHeader })).json();
+    const acceptResponse = await fetch(`${API_BASE}/invites/${invitesData.data[0]._id}/accept`, {
+      method: 'POST',
+      headers: viewer.authHeader
+    });
+    expectStatus(acceptResponse, 200, 'Accept invite');
+
+    const viewerUploadResponse = await fetch(`${API_BASE}/todos/${sharedTodoId}/attachments`, {
+      method: 'POST',
+      headers: viewer.authHeader,
+      body: uploadForm()
+    });
+    expectStatus(viewerUploadResponse, 403, 'Viewer upload');
+    console.log('✅ Viewer upload rejected:', (await viewerUploadResponse.json()).message);
+
+    const viewerDownloadResponse = await fetch(`${API_BASE}/todos/${sharedTodoId}/attachments/${attachmentId}`, {
+      headers: viewer.authHeader
+    });
+    expectStatus(viewerDownloadResponse, 200, 'Viewer download');
+    console.log('✅ Viewer download:', await viewerDownloadResponse.text());
+
+    await fetch(`${API_BASE}/lists/${listId}`, { method: 'DELETE', headers: authHeader });
+    await fetch(`${API_BASE}/todos/${sharedTodoId}`, { method: 'DELETE', headers: authHeader });
+    console.log('');
+
     console.log('🎉 All tests completed successfully!');
     console.log('✅ Backend is working properly');
 